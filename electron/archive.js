@@ -0,0 +1,133 @@
+const zlib = require("zlib");
+const { promisify } = require("util");
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// Sync bundles are gzipped tar archives in the POSIX ustar format, so an
+// office without EcoWatch can still open one with any archive tool. Only
+// plain files with names up to 100 bytes are written or read, which is all
+// a bundle needs.
+const BLOCK_SIZE = 512;
+const NAME_LENGTH = 100;
+const MAX_ARCHIVE_BYTES = 2 * 1024 * 1024 * 1024;
+
+function writeOctal(header, offset, length, value) {
+  header.write(
+    value.toString(8).padStart(length - 1, "0"),
+    offset,
+    length - 1,
+    "ascii"
+  );
+}
+
+function readText(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString("utf8");
+}
+
+function readOctal(header, offset, length) {
+  const text = readText(header, offset, length).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+// The checksum is the byte sum of the header with its own field read as
+// spaces.
+function computeChecksum(header) {
+  let sum = 0;
+  for (let index = 0; index < BLOCK_SIZE; index += 1) {
+    sum += index >= 148 && index < 156 ? 0x20 : header[index];
+  }
+  return sum;
+}
+
+function createHeader(name, size, modifiedAt) {
+  const nameBytes = Buffer.from(name, "utf8");
+  if (!nameBytes.length || nameBytes.length > NAME_LENGTH) {
+    throw new Error(`Archive entry name is too long: ${name}`);
+  }
+  const header = Buffer.alloc(BLOCK_SIZE);
+  nameBytes.copy(header, 0);
+  writeOctal(header, 100, 8, 0o644);
+  writeOctal(header, 108, 8, 0);
+  writeOctal(header, 116, 8, 0);
+  writeOctal(header, 124, 12, size);
+  writeOctal(header, 136, 12, Math.floor(modifiedAt.getTime() / 1000));
+  header.write("0", 156, 1, "ascii");
+  header.write("ustar\u000000", 257, 8, "ascii");
+  const checksum = computeChecksum(header);
+  header.write(`${checksum.toString(8).padStart(6, "0")}\u0000 `, 148, 8);
+  return header;
+}
+
+function padding(size) {
+  const remainder = size % BLOCK_SIZE;
+  return remainder ? BLOCK_SIZE - remainder : 0;
+}
+
+// `files` is a list of { name, data } with data as a Buffer or string.
+async function packArchive(files, { modifiedAt = new Date() } = {}) {
+  const parts = [];
+  files.forEach(({ name, data }) => {
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(data, "utf8");
+    parts.push(createHeader(name, content.length, modifiedAt), content);
+    parts.push(Buffer.alloc(padding(content.length)));
+  });
+  parts.push(Buffer.alloc(BLOCK_SIZE * 2));
+  return gzip(Buffer.concat(parts));
+}
+
+// Returns a Map of entry name to contents. Folders are skipped; anything else
+// other than a plain file, or a header that does not add up, means the file
+// is not a bundle, so reading stops with an error rather than guessing.
+async function unpackArchive(buffer, { maxBytes = MAX_ARCHIVE_BYTES } = {}) {
+  let tar;
+  try {
+    tar = await gunzip(buffer, { maxOutputLength: maxBytes });
+  } catch (error) {
+    throw new Error(
+      error.code === "ERR_BUFFER_TOO_LARGE"
+        ? "The archive is too large to open"
+        : "The file is not a compressed archive"
+    );
+  }
+
+  const files = new Map();
+  let offset = 0;
+  while (offset + BLOCK_SIZE <= tar.length) {
+    const header = tar.subarray(offset, offset + BLOCK_SIZE);
+    if (header.every((byte) => byte === 0)) {
+      return files;
+    }
+    if (readOctal(header, 148, 8) !== computeChecksum(header)) {
+      throw new Error("The archive is damaged");
+    }
+    const type = readText(header, 156, 1);
+    const name = readText(header, 0, NAME_LENGTH);
+    const size = readOctal(header, 124, 12);
+    const start = offset + BLOCK_SIZE;
+    if (start + size > tar.length) {
+      throw new Error("The archive is incomplete");
+    }
+    // Archive tools add an entry for each folder; files carry their full path.
+    if (type === "5") {
+      offset = start + size + padding(size);
+      continue;
+    }
+    if (type !== "0" && type !== "") {
+      throw new Error("The archive contains something other than files");
+    }
+    if (files.has(name)) {
+      throw new Error(`The archive contains ${name} twice`);
+    }
+    files.set(name, tar.subarray(start, start + size));
+    offset = start + size + padding(size);
+  }
+  throw new Error("The archive is incomplete");
+}
+
+module.exports = {
+  packArchive,
+  unpackArchive,
+};
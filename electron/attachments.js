@@ -0,0 +1,349 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { nativeImage } = require("electron");
+const { readExifMetadata } = require("./exif");
+const {
+  getDatabaseFilePath,
+  getFieldData,
+  insertAttachment,
+  getAttachment,
+  listAttachments,
+  deleteAttachment,
+} = require("./db");
+
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const COMPRESS_ABOVE_BYTES = 2 * 1024 * 1024;
+const MAX_IMAGE_EDGE = 2560;
+const THUMBNAIL_EDGE = 320;
+const JPEG_QUALITY = 82;
+const THUMBNAIL_QUALITY = 70;
+const EXIF_SCAN_BYTES = 256 * 1024;
+
+const ATTACHMENT_TYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  heic: "image/heic",
+  heif: "image/heif",
+};
+
+function getAttachmentsDirectory() {
+  return path.join(path.dirname(getDatabaseFilePath()), "attachments");
+}
+
+function resolveStoredPath(relativePath) {
+  return path.join(getAttachmentsDirectory(), relativePath);
+}
+
+function resolveAttachmentType(file) {
+  const name = typeof file?.name === "string" ? file.name.trim() : "";
+  const extension = path.extname(name).slice(1).toLowerCase();
+  if (ATTACHMENT_TYPES[extension]) {
+    return { extension, mimeType: ATTACHMENT_TYPES[extension] };
+  }
+
+  const mimeType = typeof file?.type === "string" ? file.type : "";
+  const match = Object.entries(ATTACHMENT_TYPES).find(
+    ([, type]) => type === mimeType
+  );
+  return match ? { extension: match[0], mimeType } : null;
+}
+
+function toBuffer(data) {
+  if (Buffer.isBuffer(data)) {
+    return data;
+  }
+  if (ArrayBuffer.isView(data)) {
+    return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  }
+  if (data instanceof ArrayBuffer) {
+    return Buffer.from(data);
+  }
+  return null;
+}
+
+function scaleToEdge(image, edge) {
+  const { width, height } = image.getSize();
+  if (Math.max(width, height) <= edge) {
+    return image;
+  }
+  return image.resize(
+    width >= height
+      ? { width: edge, quality: "best" }
+      : { height: edge, quality: "best" }
+  );
+}
+
+// HEIC and a handful of unusual JPEG variants cannot be decoded by Chromium
+// on every platform. Those files are kept as uploaded, just without a
+// thumbnail, rather than being rejected.
+function prepareImage(buffer, type) {
+  const image = nativeImage.createFromBuffer(buffer);
+  if (image.isEmpty()) {
+    return {
+      data: buffer,
+      extension: type.extension,
+      mimeType: type.mimeType,
+      width: null,
+      height: null,
+      thumbnail: null,
+    };
+  }
+
+  let data = buffer;
+  let extension = type.extension;
+  let mimeType = type.mimeType;
+  let { width, height } = image.getSize();
+
+  if (
+    buffer.length > COMPRESS_ABOVE_BYTES ||
+    Math.max(width, height) > MAX_IMAGE_EDGE
+  ) {
+    const scaled = scaleToEdge(image, MAX_IMAGE_EDGE);
+    const compressed = scaled.toJPEG(JPEG_QUALITY);
+    if (compressed.length && compressed.length < buffer.length) {
+      data = compressed;
+      extension = "jpg";
+      mimeType = "image/jpeg";
+      ({ width, height } = scaled.getSize());
+    }
+  }
+
+  return {
+    data,
+    extension,
+    mimeType,
+    width,
+    height,
+    thumbnail: scaleToEdge(image, THUMBNAIL_EDGE).toJPEG(THUMBNAIL_QUALITY),
+  };
+}
+
+async function storeAttachment(fieldDataId, file) {
+  const fileName = path.basename(String(file?.name || "").trim()) || "photo";
+  const type = resolveAttachmentType(file);
+  if (!type) {
+    throw new Error(`${fileName}: only JPG, PNG and HEIC photos are supported`);
+  }
+
+  const buffer = toBuffer(file?.data);
+  if (!buffer || !buffer.length) {
+    throw new Error(`${fileName}: the file is empty`);
+  }
+  if (buffer.length > MAX_ATTACHMENT_BYTES) {
+    throw new Error(`${fileName}: photos must be 10MB or smaller`);
+  }
+
+  // Re-encoding drops EXIF, so the metadata is read from the original bytes.
+  const metadata =
+    type.mimeType === "image/jpeg" ? readExifMetadata(buffer) : null;
+  const prepared = prepareImage(buffer, type);
+  const baseName = crypto.randomUUID();
+  const folder = String(fieldDataId);
+  const storedPath = path.join(folder, `${baseName}.${prepared.extension}`);
+  const thumbnailPath = prepared.thumbnail
+    ? path.join(folder, `${baseName}.thumb.jpg`)
+    : null;
+
+  await fs.promises.mkdir(path.join(getAttachmentsDirectory(), folder), {
+    recursive: true,
+  });
+  await fs.promises.writeFile(resolveStoredPath(storedPath), prepared.data);
+  if (thumbnailPath) {
+    await fs.promises.writeFile(
+      resolveStoredPath(thumbnailPath),
+      prepared.thumbnail
+    );
+  }
+
+  try {
+    return await insertAttachment({
+      fieldDataId,
+      fileName,
+      mimeType: prepared.mimeType,
+      storedPath,
+      thumbnailPath,
+      sizeBytes: prepared.data.length,
+      originalSizeBytes: buffer.length,
+      width: prepared.width,
+      height: prepared.height,
+      capturedAt: metadata?.capturedAt,
+      gpsLatitude: metadata?.latitude,
+      gpsLongitude: metadata?.longitude,
+      camera: metadata?.camera,
+    });
+  } catch (error) {
+    await removeStoredFiles({ storedPath, thumbnailPath });
+    throw error;
+  }
+}
+
+function inspectPhoto(data) {
+  const buffer = toBuffer(data);
+  if (!buffer) {
+    return null;
+  }
+  return readExifMetadata(buffer.subarray(0, EXIF_SCAN_BYTES));
+}
+
+async function addAttachments(fieldDataId, files = []) {
+  const entry = await getFieldData(fieldDataId);
+  if (!entry) {
+    throw new Error("Field entry not found");
+  }
+
+  const list = Array.isArray(files) ? files : [files];
+  const saved = [];
+  const errors = [];
+
+  for (const file of list) {
+    try {
+      saved.push(await storeAttachment(entry.id, file));
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  if (!saved.length && errors.length) {
+    throw new Error(errors.join("; "));
+  }
+
+  return { saved: saved.map(toPublicAttachment), errors };
+}
+
+async function readThumbnail(attachment) {
+  if (!attachment.thumbnailPath) {
+    return null;
+  }
+  try {
+    const data = await fs.promises.readFile(
+      resolveStoredPath(attachment.thumbnailPath)
+    );
+    return `data:image/jpeg;base64,${data.toString("base64")}`;
+  } catch (error) {
+    console.warn("[attachments] thumbnail unavailable:", error.message);
+    return null;
+  }
+}
+
+function toPublicAttachment(attachment) {
+  const { storedPath, thumbnailPath, ...rest } = attachment;
+  return rest;
+}
+
+async function listAttachmentsWithThumbnails(fieldDataId) {
+  const attachments = await listAttachments(fieldDataId);
+  return Promise.all(
+    attachments.map(async (attachment) => ({
+      ...toPublicAttachment(attachment),
+      thumbnail: await readThumbnail(attachment),
+    }))
+  );
+}
+
+async function removeStoredFiles({ storedPath, thumbnailPath }) {
+  for (const relativePath of [storedPath, thumbnailPath]) {
+    if (!relativePath) {
+      continue;
+    }
+    try {
+      await fs.promises.rm(resolveStoredPath(relativePath), { force: true });
+    } catch (error) {
+      console.warn("[attachments] failed to remove file:", error.message);
+    }
+  }
+}
+
+async function removeAttachment(id) {
+  const attachment = await deleteAttachment(id);
+  await removeStoredFiles(attachment);
+  return toPublicAttachment(attachment);
+}
+
+// Copies the photo files named by importDatabase from the attachments folder
+// beside the imported database. A database is often sent without its photos,
+// so missing files are counted rather than treated as an error.
+async function copyImportedAttachments(sourceDatabasePath, files = []) {
+  const sourceDirectory = path.join(
+    path.dirname(sourceDatabasePath),
+    "attachments"
+  );
+  let copied = 0;
+  let missing = 0;
+
+  for (const file of files) {
+    const targetPath = resolveStoredPath(file.to);
+    try {
+      await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+      await fs.promises.copyFile(
+        path.join(sourceDirectory, file.from),
+        targetPath
+      );
+      copied += 1;
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(
+          "[attachments] failed to copy imported file:",
+          error.message
+        );
+      }
+      missing += 1;
+    }
+  }
+
+  return { copied, missing };
+}
+
+// Reads a stored photo for a sync bundle, or null when the file has gone
+// missing from disk.
+async function readStoredAttachment(storedPath) {
+  try {
+    return await fs.promises.readFile(resolveStoredPath(storedPath));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+    return null;
+  }
+}
+
+// Writes the photo files named by a bundle import; `contents` maps each
+// bundle path to its bytes.
+async function writeImportedAttachments(files = [], contents) {
+  let copied = 0;
+  let missing = 0;
+
+  for (const file of files) {
+    const data = contents.get(file.from);
+    if (!data) {
+      missing += 1;
+      continue;
+    }
+    const targetPath = resolveStoredPath(file.to);
+    await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+    await fs.promises.writeFile(targetPath, data);
+    copied += 1;
+  }
+
+  return { copied, missing };
+}
+
+async function getAttachmentFilePath(id) {
+  const attachment = await getAttachment(id);
+  if (!attachment) {
+    throw new Error("Attachment not found");
+  }
+  return resolveStoredPath(attachment.storedPath);
+}
+
+module.exports = {
+  inspectPhoto,
+  addAttachments,
+  listAttachmentsWithThumbnails,
+  removeAttachment,
+  copyImportedAttachments,
+  readStoredAttachment,
+  writeImportedAttachments,
+  getAttachmentFilePath,
+};
@@ -0,0 +1,396 @@
+const fs = require("fs");
+const path = require("path");
+const sqlite3 = require("sqlite3");
+const { get, all } = require("./sqlite");
+const {
+  getDatabaseFilePath,
+  backupDatabaseTo,
+  checkDatabaseIntegrity,
+  initDatabase,
+  closeDatabase,
+} = require("./db");
+const { getSetting, describeSettings, updateSettings } = require("./settings");
+const { startSyncScheduler, stopSyncScheduler } = require("./sync");
+
+const BACKUP_KINDS = ["auto", "manual", "pre-restore", "pre-migration"];
+const BACKUP_FILE_PATTERN =
+  /^ecowatch-(auto|manual|pre-restore|pre-migration)-.+\.sqlite$/;
+// The schedule's fields and the settings that hold them.
+const BACKUP_SETTING_KEYS = {
+  enabled: "backupEnabled",
+  intervalHours: "backupIntervalHours",
+  retention: "backupRetention",
+};
+const STARTUP_DELAY_MS = 60 * 1000;
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+let timerId = null;
+let nextRunAt = null;
+let lastRun = null;
+let lastIntegrityCheck = null;
+let restoreInProgress = false;
+
+function getBackupDirectory() {
+  return path.join(path.dirname(getDatabaseFilePath()), "backups");
+}
+
+function formatTimestamp(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, "-");
+}
+
+// The schedule is kept with the other settings, so BACKUP_* environment
+// variables override the saved values the same way.
+function loadBackupSettings() {
+  return Object.fromEntries(
+    Object.entries(BACKUP_SETTING_KEYS).map(([field, key]) => [
+      field,
+      getSetting(key),
+    ])
+  );
+}
+
+// The schedule fields pinned by an environment variable, with its name.
+function listPinnedBackupSettings() {
+  const pinned = new Map(
+    describeSettings()
+      .filter((setting) => setting.source === "environment")
+      .map((setting) => [setting.key, setting.env])
+  );
+  return Object.fromEntries(
+    Object.entries(BACKUP_SETTING_KEYS)
+      .filter(([, key]) => pinned.has(key))
+      .map(([field, key]) => [field, pinned.get(key)])
+  );
+}
+
+// Earlier versions kept the schedule in backup-settings.json beside the
+// database. A file left from then is read into the saved settings once,
+// except for values an environment variable pins, and removed.
+async function importLegacyBackupSettings() {
+  const legacyPath = path.join(
+    path.dirname(getDatabaseFilePath()),
+    "backup-settings.json"
+  );
+  let saved;
+  try {
+    saved = JSON.parse(await fs.promises.readFile(legacyPath, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.warn("[backup] failed to read backup-settings.json:", error);
+    }
+    return;
+  }
+
+  const pinned = listPinnedBackupSettings();
+  const values = Object.fromEntries(
+    Object.entries(BACKUP_SETTING_KEYS)
+      .filter(([field]) => saved?.[field] !== undefined && !pinned[field])
+      .map(([field, key]) => [key, saved[field]])
+  );
+  try {
+    await updateSettings(values);
+    await fs.promises.rm(legacyPath, { force: true });
+  } catch (error) {
+    console.warn("[backup] failed to move backup-settings.json:", error);
+  }
+}
+
+function toBackupInfo(fileName, stats) {
+  const match = BACKUP_FILE_PATTERN.exec(fileName);
+  return {
+    fileName,
+    kind: match ? match[1] : "unknown",
+    sizeBytes: stats.size,
+    createdAt: stats.mtime.toISOString(),
+  };
+}
+
+async function listBackups() {
+  const directory = getBackupDirectory();
+  let names = [];
+  try {
+    names = await fs.promises.readdir(directory);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+
+  const backups = [];
+  for (const fileName of names) {
+    if (!BACKUP_FILE_PATTERN.test(fileName)) {
+      continue;
+    }
+    const stats = await fs.promises.stat(path.join(directory, fileName));
+    backups.push(toBackupInfo(fileName, stats));
+  }
+
+  return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function resolveBackupPath(fileName) {
+  const name = path.basename(String(fileName || ""));
+  if (!BACKUP_FILE_PATTERN.test(name)) {
+    throw new Error("Unknown backup file");
+  }
+  const backupPath = path.join(getBackupDirectory(), name);
+  if (!fs.existsSync(backupPath)) {
+    throw new Error("Backup file not found");
+  }
+  return backupPath;
+}
+
+function openExisting(filePath) {
+  return new Promise((resolve, reject) => {
+    const database = new sqlite3.Database(
+      filePath,
+      sqlite3.OPEN_READWRITE,
+      (error) => (error ? reject(error) : resolve(database))
+    );
+  });
+}
+
+function closeQuietly(database) {
+  return new Promise((resolve) => database.close(() => resolve()));
+}
+
+// Opens a copy on its own connection and confirms it is an intact EcoWatch
+// database before anything relies on it. The FTS5 part of integrity_check
+// needs write access, so callers only ever pass files this module wrote.
+async function verifyBackupFile(filePath) {
+  let database;
+  try {
+    database = await openExisting(filePath);
+    const rows = await all(database, "PRAGMA integrity_check");
+    const messages = rows.map((row) => Object.values(row)[0]);
+    if (messages.length !== 1 || messages[0] !== "ok") {
+      throw new Error(`Backup failed its integrity check: ${messages[0]}`);
+    }
+    const table = await get(
+      database,
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'field_data'"
+    );
+    if (!table) {
+      throw new Error("The file is not an EcoWatch database");
+    }
+  } catch (error) {
+    if (error.code === "SQLITE_NOTADB") {
+      throw new Error("The file is not a SQLite database");
+    }
+    throw error;
+  } finally {
+    if (database) {
+      await closeQuietly(database);
+    }
+  }
+}
+
+async function writeBackup(kind) {
+  const fileName = `ecowatch-${kind}-${formatTimestamp()}.sqlite`;
+  const backupPath = path.join(getBackupDirectory(), fileName);
+  await backupDatabaseTo(backupPath);
+
+  try {
+    await verifyBackupFile(backupPath);
+  } catch (error) {
+    await fs.promises.rm(backupPath, { force: true });
+    throw error;
+  }
+
+  const stats = await fs.promises.stat(backupPath);
+  return toBackupInfo(fileName, stats);
+}
+
+async function createBackup(kind = "manual") {
+  if (!BACKUP_KINDS.includes(kind)) {
+    throw new Error(`Unknown backup kind: ${kind}`);
+  }
+  if (restoreInProgress) {
+    throw new Error("A restore is in progress");
+  }
+  return writeBackup(kind);
+}
+
+// Only automatic backups rotate. Manual, pre-restore and pre-migration copies
+// are kept until someone deletes them.
+async function pruneBackups(retention = loadBackupSettings().retention) {
+  const backups = await listBackups();
+  const expired = backups
+    .filter((backup) => backup.kind === "auto")
+    .slice(retention);
+
+  for (const backup of expired) {
+    await fs.promises.rm(path.join(getBackupDirectory(), backup.fileName), {
+      force: true,
+    });
+  }
+  return expired.map((backup) => backup.fileName);
+}
+
+async function deleteBackup(fileName) {
+  const backupPath = resolveBackupPath(fileName);
+  await fs.promises.rm(backupPath, { force: true });
+  return { fileName: path.basename(backupPath) };
+}
+
+async function runIntegrityCheck() {
+  const startedAt = Date.now();
+  const result = await checkDatabaseIntegrity();
+  lastIntegrityCheck = {
+    ...result,
+    checkedAt: new Date(startedAt).toISOString(),
+    durationMs: Date.now() - startedAt,
+  };
+  return lastIntegrityCheck;
+}
+
+// Attachment files live beside the database and are not part of the SQLite
+// copy, so only the records themselves are rolled back by a restore.
+async function restoreBackup(sourcePath) {
+  if (restoreInProgress) {
+    throw new Error("A restore is already in progress");
+  }
+
+  restoreInProgress = true;
+  const databasePath = getDatabaseFilePath();
+  const stagingPath = `${databasePath}.restore`;
+
+  try {
+    await fs.promises.copyFile(sourcePath, stagingPath);
+    await verifyBackupFile(stagingPath);
+    const safetyCopy = await writeBackup("pre-restore");
+
+    stopBackupScheduler();
+    stopSyncScheduler();
+
+    // The files are swapped in the close's queue slot, so no transaction can
+    // reopen the old database in between.
+    try {
+      await closeDatabase(() => {
+        fs.renameSync(stagingPath, databasePath);
+        fs.rmSync(`${databasePath}-wal`, { force: true });
+        fs.rmSync(`${databasePath}-shm`, { force: true });
+      });
+    } catch (error) {
+      throw new Error(
+        `The current database could not be closed and replaced, so nothing was restored: ${error.message}`
+      );
+    }
+
+    let migration;
+    try {
+      migration = await initDatabase();
+    } catch (error) {
+      throw new Error(
+        `${error.message}. The previous database was saved as ${safetyCopy.fileName}.`
+      );
+    }
+
+    return {
+      restoredFrom: path.basename(sourcePath),
+      safetyCopy: safetyCopy.fileName,
+      migration,
+    };
+  } finally {
+    restoreInProgress = false;
+    await fs.promises.rm(stagingPath, { force: true });
+    startBackupScheduler();
+    startSyncScheduler();
+  }
+}
+
+async function runScheduledBackup() {
+  timerId = null;
+  nextRunAt = null;
+  try {
+    const backup = await createBackup("auto");
+    const removed = await pruneBackups();
+    lastRun = { at: new Date().toISOString(), fileName: backup.fileName };
+    console.log(
+      `[backup] wrote ${backup.fileName}${
+        removed.length ? `, removed ${removed.length} expired` : ""
+      }`
+    );
+  } catch (error) {
+    lastRun = { at: new Date().toISOString(), error: error.message };
+    console.error("[backup] scheduled backup failed:", error);
+  } finally {
+    scheduleNextRun();
+  }
+}
+
+async function scheduleNextRun() {
+  const settings = loadBackupSettings();
+  if (!settings.enabled || timerId) {
+    return;
+  }
+
+  let lastAutoBackup = null;
+  try {
+    lastAutoBackup = (await listBackups()).find(
+      (backup) => backup.kind === "auto"
+    );
+  } catch (error) {
+    console.warn("[backup] failed to list existing backups:", error);
+  }
+
+  const intervalMs = settings.intervalHours * 60 * 60 * 1000;
+  const earliest = Date.now() + STARTUP_DELAY_MS;
+  const due = lastAutoBackup
+    ? new Date(lastAutoBackup.createdAt).getTime() + intervalMs
+    : earliest;
+  const target = Math.max(due, earliest);
+
+  // Listing backups is asynchronous, so a second caller may have won the race.
+  if (timerId) {
+    return;
+  }
+  nextRunAt = new Date(target);
+  timerId = setTimeout(
+    runScheduledBackup,
+    Math.min(target - Date.now(), MAX_TIMER_DELAY_MS)
+  );
+}
+
+function startBackupScheduler() {
+  stopBackupScheduler();
+  if (!loadBackupSettings().enabled) {
+    console.log("[backup] automatic backups disabled");
+    return;
+  }
+  scheduleNextRun();
+}
+
+function stopBackupScheduler() {
+  if (timerId) {
+    clearTimeout(timerId);
+    timerId = null;
+  }
+  nextRunAt = null;
+}
+
+async function getBackupStatus() {
+  return {
+    directory: getBackupDirectory(),
+    settings: loadBackupSettings(),
+    pinned: listPinnedBackupSettings(),
+    backups: await listBackups(),
+    nextRunAt: nextRunAt ? nextRunAt.toISOString() : null,
+    lastRun,
+    lastIntegrityCheck,
+  };
+}
+
+module.exports = {
+  getBackupStatus,
+  importLegacyBackupSettings,
+  pruneBackups,
+  createBackup,
+  deleteBackup,
+  resolveBackupPath,
+  restoreBackup,
+  runIntegrityCheck,
+  startBackupScheduler,
+  stopBackupScheduler,
+};
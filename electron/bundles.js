@@ -0,0 +1,360 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { packArchive, unpackArchive } = require("./archive");
+const {
+  readStoredAttachment,
+  writeImportedAttachments,
+} = require("./attachments");
+const {
+  getDatabaseFilePath,
+  exportSyncEntries,
+  recordSyncExport,
+  previewSyncEntries,
+  importSyncEntries,
+} = require("./db");
+
+// A sync bundle carries observations between offices on a USB drive. It is a
+// gzipped tar archive holding:
+//   manifest.json  who made it, when, and the SHA-256 of every other file
+//   manifest.sig   an Ed25519 signature of manifest.json
+//   records.json   the entries, in the shape db.exportSyncEntries returns
+//   attachments/   photos, named by their SHA-256
+// The signature ties the files to the signing key of the install that made
+// the bundle; db.js remembers that key per device on first import.
+const BUNDLE_FORMAT = "ecowatch-bundle";
+const BUNDLE_VERSION = 1;
+const BUNDLE_EXTENSION = "ecowatch";
+const MANIFEST_NAME = "manifest.json";
+const SIGNATURE_NAME = "manifest.sig";
+const RECORDS_NAME = "records.json";
+const MAX_BUNDLE_BYTES = 1024 * 1024 * 1024;
+// Device ids name the folder imported photos are filed under, so anything
+// other than the UUID an install generates for itself is refused.
+const DEVICE_ID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function getSigningKeyPath() {
+  return path.join(
+    path.dirname(getDatabaseFilePath()),
+    "sync-signing-key.pem"
+  );
+}
+
+// Each install signs with its own key, made the first time it exports. The
+// key is kept beside the database and should travel with it: offices that
+// have imported from this install refuse bundles signed with any other key.
+async function loadSigningKey() {
+  const keyPath = getSigningKeyPath();
+  let privateKey;
+  try {
+    privateKey = crypto.createPrivateKey(
+      await fs.promises.readFile(keyPath, "utf8")
+    );
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw new Error(`The sync signing key could not be read: ${error.message}`);
+    }
+    ({ privateKey } = crypto.generateKeyPairSync("ed25519"));
+    await fs.promises.writeFile(
+      keyPath,
+      privateKey.export({ type: "pkcs8", format: "pem" }),
+      { mode: 0o600 }
+    );
+  }
+  const publicKey = crypto
+    .createPublicKey(privateKey)
+    .export({ type: "spki", format: "der" })
+    .toString("base64");
+  return { privateKey, publicKey };
+}
+
+function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+// A short form of the signing key for rangers to compare by phone.
+function formatFingerprint(publicKey) {
+  return sha256(Buffer.from(publicKey, "base64"))
+    .slice(0, 16)
+    .toUpperCase()
+    .match(/.{4}/g)
+    .join("-");
+}
+
+// Photos are stored once per distinct file, however many entries share it.
+async function collectBundleFiles(entries) {
+  const files = new Map();
+  let photos = 0;
+  let missing = 0;
+
+  const addFile = async (storedPath) => {
+    const data = await readStoredAttachment(storedPath);
+    if (!data) {
+      return null;
+    }
+    const name = `attachments/${sha256(data)}${path
+      .extname(storedPath)
+      .toLowerCase()}`;
+    files.set(name, data);
+    return name;
+  };
+
+  for (const entry of entries) {
+    const attachments = [];
+    for (const attachment of entry.attachments) {
+      const file = await addFile(attachment.storedPath);
+      if (!file) {
+        missing += 1;
+        continue;
+      }
+      const thumbnailFile = attachment.thumbnailPath
+        ? await addFile(attachment.thumbnailPath)
+        : null;
+      attachments.push({ ...attachment, file, thumbnailFile });
+      photos += 1;
+    }
+    entry.attachments = attachments;
+  }
+
+  return { files, photos, missing };
+}
+
+// Writes every entry changed since `options.since` (a date, read as IST) to
+// `targetPath`. Without a date the bundle holds everything.
+async function exportBundle(targetPath, options = {}) {
+  const { privateKey, publicKey } = await loadSigningKey();
+  const data = await exportSyncEntries({ since: options.since });
+  const { files, photos, missing } = await collectBundleFiles(data.entries);
+
+  files.set(RECORDS_NAME, Buffer.from(JSON.stringify(data.entries), "utf8"));
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    createdAt: new Date().toISOString(),
+    device: { ...data.device, publicKey },
+    since: data.since,
+    entryCount: data.entries.length,
+    devices: data.devices,
+    files: Array.from(files.entries()).map(([name, content]) => ({
+      path: name,
+      size: content.length,
+      sha256: sha256(content),
+    })),
+  };
+  const manifestData = Buffer.from(JSON.stringify(manifest, null, 2), "utf8");
+  const signature = crypto.sign(null, manifestData, privateKey);
+
+  const archive = await packArchive([
+    { name: MANIFEST_NAME, data: manifestData },
+    { name: SIGNATURE_NAME, data: signature.toString("base64") },
+    ...Array.from(files.entries()).map(([name, content]) => ({
+      name,
+      data: content,
+    })),
+  ]);
+
+  // Written beside the target first so a full USB drive never leaves half a
+  // bundle under the real name.
+  const stagingPath = `${targetPath}.partial`;
+  try {
+    await fs.promises.writeFile(stagingPath, archive);
+    await fs.promises.rename(stagingPath, targetPath);
+  } finally {
+    await fs.promises.rm(stagingPath, { force: true });
+  }
+
+  const fileName = path.basename(targetPath);
+  await recordSyncExport({
+    method: "bundle",
+    fileName,
+    since: data.since,
+    entryCount: data.entries.length,
+  });
+
+  return {
+    fileName,
+    since: data.since,
+    entryCount: data.entries.length,
+    photos,
+    missing,
+    sizeBytes: archive.length,
+  };
+}
+
+function parseJsonFile(data, name) {
+  try {
+    return JSON.parse(data.toString("utf8"));
+  } catch (error) {
+    throw new Error(`${name} in the bundle is not valid JSON`);
+  }
+}
+
+function readPublicKey(value) {
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.from(String(value), "base64"),
+      format: "der",
+      type: "spki",
+    });
+    if (key.asymmetricKeyType === "ed25519") {
+      return key;
+    }
+  } catch (error) {
+    // Reported below with the same message as an unsupported key type.
+  }
+  throw new Error("The bundle's signing key is not readable");
+}
+
+// Opens a bundle and checks it end to end: the manifest signature, then the
+// size and checksum of every file the manifest lists. A bundle with a file
+// the manifest does not list is refused too, since it was changed after it
+// was signed.
+async function readBundle(filePath) {
+  const text = typeof filePath === "string" ? filePath.trim() : "";
+  if (!text) {
+    throw new Error(`Choose a .${BUNDLE_EXTENSION} bundle to import`);
+  }
+  const fileName = path.basename(text);
+  const stats = await fs.promises.stat(text).catch(() => null);
+  if (!stats || !stats.isFile()) {
+    throw new Error(`${fileName} was not found`);
+  }
+  if (stats.size > MAX_BUNDLE_BYTES) {
+    throw new Error(`${fileName} is too large to be a sync bundle`);
+  }
+
+  const files = await unpackArchive(await fs.promises.readFile(text), {
+    maxBytes: MAX_BUNDLE_BYTES * 2,
+  });
+  const manifestData = files.get(MANIFEST_NAME);
+  const signature = files.get(SIGNATURE_NAME);
+  if (!manifestData || !signature) {
+    throw new Error(`${fileName} is not an EcoWatch sync bundle`);
+  }
+
+  const manifest = parseJsonFile(manifestData, MANIFEST_NAME);
+  if (manifest?.format !== BUNDLE_FORMAT) {
+    throw new Error(`${fileName} is not an EcoWatch sync bundle`);
+  }
+  if (manifest.version !== BUNDLE_VERSION) {
+    throw new Error(
+      `${fileName} was made by a newer version of EcoWatch. Update EcoWatch to import it`
+    );
+  }
+  if (
+    !manifest.device ||
+    typeof manifest.device.id !== "string" ||
+    !DEVICE_ID_PATTERN.test(manifest.device.id)
+  ) {
+    throw new Error(`${fileName} does not say which office made it`);
+  }
+
+  const publicKey = readPublicKey(manifest.device.publicKey);
+  const verified = crypto.verify(
+    null,
+    manifestData,
+    publicKey,
+    Buffer.from(signature.toString("utf8").trim(), "base64")
+  );
+  if (!verified) {
+    throw new Error(`${fileName} has been changed since it was signed`);
+  }
+
+  const listed = new Map(
+    (Array.isArray(manifest.files) ? manifest.files : []).map((file) => [
+      file.path,
+      file,
+    ])
+  );
+  for (const [name, content] of files) {
+    if (name === MANIFEST_NAME || name === SIGNATURE_NAME) {
+      continue;
+    }
+    const expected = listed.get(name);
+    if (!expected) {
+      throw new Error(`${fileName} contains ${name}, which was not signed`);
+    }
+    if (
+      expected.size !== content.length ||
+      expected.sha256 !== sha256(content)
+    ) {
+      throw new Error(`${name} in ${fileName} does not match its checksum`);
+    }
+  }
+  for (const name of listed.keys()) {
+    if (!files.has(name)) {
+      throw new Error(`${fileName} is missing ${name}`);
+    }
+  }
+
+  const records = files.has(RECORDS_NAME)
+    ? parseJsonFile(files.get(RECORDS_NAME), RECORDS_NAME)
+    : [];
+  if (!Array.isArray(records)) {
+    throw new Error(`${RECORDS_NAME} in the bundle is not a list of entries`);
+  }
+
+  return {
+    fileName,
+    manifest,
+    records,
+    files,
+    source: {
+      id: manifest.device.id,
+      name:
+        typeof manifest.device.name === "string" ? manifest.device.name : null,
+      publicKey: manifest.device.publicKey,
+      devices: (Array.isArray(manifest.devices) ? manifest.devices : [])
+        .filter(
+          (device) =>
+            typeof device?.id === "string" && DEVICE_ID_PATTERN.test(device.id)
+        )
+        .map((device) => ({
+          id: device.id,
+          name: typeof device.name === "string" ? device.name : null,
+        })),
+    },
+  };
+}
+
+function describeBundle(bundle) {
+  return {
+    fileName: bundle.fileName,
+    createdAt: bundle.manifest.createdAt || null,
+    since: bundle.manifest.since || null,
+    fingerprint: formatFingerprint(bundle.source.publicKey),
+  };
+}
+
+// Counts what importing the bundle would do, including records that fail
+// validation, without changing anything.
+async function previewBundle(filePath) {
+  const bundle = await readBundle(filePath);
+  const preview = await previewSyncEntries(bundle.source, bundle.records);
+  return { ...describeBundle(bundle), ...preview };
+}
+
+// Imports a bundle with the same conflict policies as a database import and
+// writes its photos once the entries have committed.
+async function importBundle(filePath, options = {}) {
+  const bundle = await readBundle(filePath);
+  const { files, ...result } = await importSyncEntries(
+    bundle.source,
+    bundle.records,
+    {
+      conflicts: options.conflicts,
+      fileName: bundle.fileName,
+      since: bundle.manifest.since,
+    }
+  );
+  const photos = await writeImportedAttachments(files, bundle.files);
+  return { ...describeBundle(bundle), ...result, photos };
+}
+
+module.exports = {
+  BUNDLE_EXTENSION,
+  exportBundle,
+  previewBundle,
+  importBundle,
+};
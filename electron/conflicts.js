@@ -0,0 +1,45 @@
+// Decides which of two versions of an entry wins when two laptops changed it
+// between syncs. The division server and every laptop apply this same rule,
+// so whichever order changes arrive in they all settle on one copy.
+//
+// Each version is { updatedAt, device }: the time of the edit (UTC, as an
+// ISO string or in SQLite's format) and the id of the device that made it.
+
+// SQLite writes UTC without a zone designator.
+function parseVersionTime(value) {
+  const text = typeof value === "string" ? value.trim() : "";
+  if (!text) {
+    return Number.NaN;
+  }
+  return Date.parse(
+    /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text)
+      ? `${text.replace(" ", "T")}Z`
+      : text
+  );
+}
+
+// Positive when `a` wins, negative when `b` wins and 0 only for the same
+// edit. The later edit wins; an exact tie goes to the device id that sorts
+// last, which is arbitrary but the same everywhere. A version without a
+// readable time loses to one with a time.
+function compareVersions(a, b) {
+  const timeA = parseVersionTime(a?.updatedAt);
+  const timeB = parseVersionTime(b?.updatedAt);
+  if (Number.isNaN(timeA) !== Number.isNaN(timeB)) {
+    return Number.isNaN(timeA) ? -1 : 1;
+  }
+  if (!Number.isNaN(timeA) && timeA !== timeB) {
+    return timeA - timeB;
+  }
+
+  const deviceA = String(a?.device ?? "");
+  const deviceB = String(b?.device ?? "");
+  if (deviceA === deviceB) {
+    return 0;
+  }
+  return deviceA > deviceB ? 1 : -1;
+}
+
+module.exports = {
+  compareVersions,
+};
@@ -1,8 +1,48 @@
 const sqlite3 = require("sqlite3").verbose();
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
+const { exec, run, get, all } = require("./sqlite");
+const { runMigrations } = require("./migrations");
+const {
+  parseCoordinate,
+  haversineDistanceKm,
+  boundingBoxAround,
+  pointInPolygon,
+} = require("./geo");
+const {
+  MAX_TAGS_PER_ENTRY,
+  validateTagName,
+  parseTagList,
+} = require("./tags");
+const {
+  isPriorityTaxon,
+  normaliseSpeciesName,
+  speciesNameCandidates,
+  loadSpeciesChecklist,
+  speciesLookupNames,
+} = require("./species");
+const {
+  PROTECTED_AREA_TYPES,
+  parseSiteCollection,
+  loadSiteRegistry,
+} = require("./sites");
+const {
+  FIELD_DATA_OPTIONS,
+  FIELD_DATA_SCHEMA,
+  validateFieldDataEntry,
+} = require("./validation");
+const { DAY_MS, APP_SQL_OFFSET, parseWallClockTime } = require("./time");
+const {
+  DUPLICATE_WINDOW_HOURS,
+  DuplicateObservationError,
+  findDuplicateCandidates,
+  clusterDuplicates,
+} = require("./duplicates");
+const { compareVersions } = require("./conflicts");
 
 let db;
+let transactionQueue = Promise.resolve();
 
 function getDatabaseFilePath() {
   return resolveDatabasePath();
@@ -55,92 +95,85 @@ function getDatabase() {
   return db;
 }
 
-function exec(dbInstance, sql) {
-  return new Promise((resolve, reject) => {
-    dbInstance.exec(sql, (error) => {
-      if (error) {
-        return reject(error);
-      }
-      resolve();
+// Migrations take a queue slot like any other write; the species and site
+// refreshes after them queue their own transactions.
+async function initDatabase() {
+  const result = await enqueueTransaction(async () => {
+    const database = getDatabase();
+    await exec(
+      database,
+      `PRAGMA journal_mode = WAL;
+       PRAGMA foreign_keys = ON;`
+    );
+    return runMigrations(database, {
+      databasePath: resolveDatabasePath(),
     });
   });
+  await syncSpeciesCatalogue(getDatabase());
+  await syncSiteRegistry(getDatabase());
+  return result;
 }
 
-function run(dbInstance, sql, params = []) {
-  return new Promise((resolve, reject) => {
-    dbInstance.run(sql, params, function runCallback(error) {
-      if (error) {
-        return reject(error);
-      }
-      resolve(this);
-    });
-  });
+async function runTransaction(database, work) {
+  await exec(database, "BEGIN IMMEDIATE");
+  try {
+    const value = await work(database);
+    await exec(database, "COMMIT");
+    return value;
+  } catch (error) {
+    try {
+      await exec(database, "ROLLBACK");
+    } catch (rollbackError) {
+      console.error("[database] rollback failed:", rollbackError);
+    }
+    throw error;
+  }
 }
 
-function get(dbInstance, sql, params = []) {
-  return new Promise((resolve, reject) => {
-    dbInstance.get(sql, params, (error, row) => {
-      if (error) {
-        return reject(error);
-      }
-      resolve(row);
-    });
-  });
+// Every caller shares the one connection, so transactions are queued rather
+// than nested: a second BEGIN on the same handle would fail outright. Every
+// other write waits here too, since one issued while a transaction is open
+// would become part of it and be lost if that transaction rolled back.
+function enqueueTransaction(task) {
+  const result = transactionQueue.then(task);
+  transactionQueue = result.catch(() => {});
+  return result;
 }
 
-function all(dbInstance, sql, params = []) {
-  return new Promise((resolve, reject) => {
-    dbInstance.all(sql, params, (error, rows) => {
-      if (error) {
-        return reject(error);
-      }
-      resolve(rows || []);
-    });
-  });
+// The handle is looked up when the transaction's turn comes, so work queued
+// behind a restore runs against the database that replaced the old one.
+function withTransaction(work) {
+  return enqueueTransaction(() => runTransaction(getDatabase(), work));
 }
 
-async function initDatabase() {
-  const database = getDatabase();
-  await exec(
-    database,
-    `PRAGMA journal_mode = WAL;
-     PRAGMA foreign_keys = ON;`
-  );
-
-  await exec(
-    database,
-    `CREATE TABLE IF NOT EXISTS user_profile (
-      id INTEGER PRIMARY KEY CHECK (id = 1),
-      name TEXT NOT NULL,
-      email TEXT NOT NULL,
-      dob TEXT NOT NULL,
-      city TEXT NOT NULL,
-      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
-    )`
-  );
+const IMPORT_SCHEMA = "incoming";
 
-  await exec(
-    database,
-    `CREATE TABLE IF NOT EXISTS field_data (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      recorded_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
-      latitude TEXT,
-      longitude TEXT,
-      category TEXT,
-      species TEXT NOT NULL,
-      age_group TEXT,
-      behavior TEXT,
-      individual_count INTEGER,
-      weather TEXT,
-      temperature REAL,
-      visibility TEXT,
-      notes TEXT,
-      priority TEXT,
-      tags TEXT
-    )`
-  );
+// Runs `work` in a transaction with another database file attached as
+// `incoming`. SQLite refuses to attach inside a transaction, so the file is
+// attached and detached in the same queue slot around it.
+function withAttachedDatabase(filePath, work) {
+  return enqueueTransaction(async () => {
+    const database = getDatabase();
+    try {
+      await run(database, `ATTACH DATABASE ? AS ${IMPORT_SCHEMA}`, [filePath]);
+    } catch (error) {
+      if (error.code === "SQLITE_NOTADB") {
+        throw new Error(`${path.basename(filePath)} is not a database file`);
+      }
+      throw error;
+    }
+    try {
+      return await runTransaction(database, work);
+    } finally {
+      // A failed detach is only logged, so it never hides why the import
+      // itself failed.
+      try {
+        await run(database, `DETACH DATABASE ${IMPORT_SCHEMA}`);
+      } catch (error) {
+        console.error("[database] failed to detach imported database:", error);
+      }
+    }
+  });
 }
 
 function validateEmail(email) {
@@ -160,12 +193,25 @@ function normaliseDob(dob) {
   return `${year}-${month}-${day}`;
 }
 
-async function saveUserProfile(payload) {
-  const database = getDatabase();
+const USER_COLUMNS = `
+       id,
+       name,
+       email,
+       dob,
+       designation,
+       division,
+       city,
+       created_at AS createdAt,
+       updated_at AS updatedAt`;
 
+const ACTIVE_USER_KEY = "active_user_id";
+
+function normaliseUser(payload = {}) {
   const name = (payload?.name || "").trim();
   const email = (payload?.email || "").trim().toLowerCase();
   const dob = (payload?.dob || "").trim();
+  const designation = (payload?.designation || "").trim();
+  const division = (payload?.division || "").trim();
   const city = (payload?.city || "").trim();
 
   if (!name) {
@@ -184,48 +230,190 @@ async function saveUserProfile(payload) {
     throw new Error("Email address is invalid");
   }
 
-  if (!dob) {
-    throw new Error("Date of birth is required");
-  }
-
-  const normalisedDob = normaliseDob(dob);
-  const today = new Date();
-  const dobDate = new Date(normalisedDob);
-  if (dobDate > today) {
-    throw new Error("Date of birth cannot be in the future");
+  let normalisedDob = null;
+  if (dob) {
+    normalisedDob = normaliseDob(dob);
+    if (new Date(normalisedDob) > new Date()) {
+      throw new Error("Date of birth cannot be in the future");
+    }
   }
 
   if (!city) {
     throw new Error("City is required");
   }
 
-  await run(
-    database,
-    `INSERT INTO user_profile (id, name, email, dob, city, created_at, updated_at)
-     VALUES (1, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-     ON CONFLICT(id) DO UPDATE SET
-       name = excluded.name,
-       email = excluded.email,
-       dob = excluded.dob,
-       city = excluded.city,
-       updated_at = CURRENT_TIMESTAMP`,
-    [name, email, normalisedDob, city]
+  return {
+    name,
+    email,
+    dob: normalisedDob,
+    designation: designation || null,
+    division: division || null,
+    city,
+  };
+}
+
+function isDuplicateEmailError(error) {
+  return (
+    error?.code === "SQLITE_CONSTRAINT" &&
+    /users\.email/.test(error.message || "")
   );
+}
 
-  return getUserProfile();
+async function listUsers() {
+  const database = getDatabase();
+  return all(
+    database,
+    `SELECT ${USER_COLUMNS}
+     FROM users
+     ORDER BY name COLLATE NOCASE ASC, id ASC`
+  );
 }
 
-async function getUserProfile() {
+async function getUser(id) {
   const database = getDatabase();
+  const userId = parseRecordId(id, "ranger");
   const row = await get(
     database,
-    `SELECT id, name, email, dob, city, created_at AS createdAt, updated_at AS updatedAt
-       FROM user_profile
-       WHERE id = 1`
+    `SELECT ${USER_COLUMNS}
+     FROM users
+     WHERE id = ?`,
+    [userId]
   );
   return row || null;
 }
 
+async function createUser(payload) {
+  const values = normaliseUser(payload);
+
+  let statement;
+  try {
+    statement = await withTransaction((database) =>
+      run(
+        database,
+        `INSERT INTO users (name, email, dob, designation, division, city, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+        [
+          values.name,
+          values.email,
+          values.dob,
+          values.designation,
+          values.division,
+          values.city,
+        ]
+      )
+    );
+  } catch (error) {
+    if (isDuplicateEmailError(error)) {
+      throw new Error("Another ranger already uses this email address");
+    }
+    throw error;
+  }
+
+  return getUser(statement.lastID);
+}
+
+async function updateUser(id, payload) {
+  const userId = parseRecordId(id, "ranger");
+  const values = normaliseUser(payload);
+
+  let statement;
+  try {
+    statement = await withTransaction((database) =>
+      run(
+        database,
+        `UPDATE users SET
+           name = ?,
+           email = ?,
+           dob = ?,
+           designation = ?,
+           division = ?,
+           city = ?,
+           updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [
+          values.name,
+          values.email,
+          values.dob,
+          values.designation,
+          values.division,
+          values.city,
+          userId,
+        ]
+      )
+    );
+  } catch (error) {
+    if (isDuplicateEmailError(error)) {
+      throw new Error("Another ranger already uses this email address");
+    }
+    throw error;
+  }
+
+  if (!statement.changes) {
+    throw new Error("Ranger not found");
+  }
+
+  return getUser(userId);
+}
+
+// Falls back to the first ranger on the roster when the stored id is missing
+// or points at someone who is no longer there.
+async function getActiveUserId() {
+  const database = getDatabase();
+  const row = await get(
+    database,
+    `SELECT users.id
+     FROM app_state
+     JOIN users ON users.id = CAST(app_state.value AS INTEGER)
+     WHERE app_state.key = ?`,
+    [ACTIVE_USER_KEY]
+  );
+  if (row) {
+    return row.id;
+  }
+
+  const first = await get(database, "SELECT MIN(id) AS id FROM users");
+  return first?.id ?? null;
+}
+
+async function setActiveUser(id) {
+  const user = await getUser(id);
+  if (!user) {
+    throw new Error("Ranger not found");
+  }
+
+  await withTransaction((database) =>
+    writeAppState(database, ACTIVE_USER_KEY, user.id)
+  );
+
+  return user;
+}
+
+async function getActiveUser() {
+  const userId = await getActiveUserId();
+  return userId ? getUser(userId) : null;
+}
+
+// The profile handlers predate the roster: saving with an id edits that
+// ranger, saving without one edits whoever is active, and the very first save
+// creates the ranger and signs them in.
+async function saveUserProfile(payload) {
+  if (payload?.id) {
+    return updateUser(payload.id, payload);
+  }
+
+  const activeUserId = await getActiveUserId();
+  if (activeUserId) {
+    return updateUser(activeUserId, payload);
+  }
+
+  const user = await createUser(payload);
+  return setActiveUser(user.id);
+}
+
+async function getUserProfile() {
+  return getActiveUser();
+}
+
 function sanitiseText(value) {
   if (typeof value !== "string") {
     return "";
@@ -242,136 +430,3920 @@ function sanitiseNumber(value) {
   return Number.isFinite(number) ? number : null;
 }
 
-async function saveFieldData(entry = {}) {
-  const database = getDatabase();
-
-  const species = sanitiseText(entry.species);
-  if (!species) {
-    throw new Error("Species or subject is required");
-  }
-
-  const category = sanitiseText(entry.category);
-  const ageGroup = sanitiseText(entry.ageGroup);
-  const behavior = sanitiseText(entry.behavior);
-  const weather = sanitiseText(entry.weather);
-  const visibility = sanitiseText(entry.visibility);
-  const notes = sanitiseText(entry.notes);
-  const priority = sanitiseText(entry.priority);
-  const tags = Array.isArray(entry.tags)
-    ? entry.tags
-        .map((tag) => sanitiseText(tag))
-        .filter(Boolean)
-        .join(", ")
-    : sanitiseText(entry.tags);
-
-  const latitude = sanitiseText(entry.latitude);
-  const longitude = sanitiseText(entry.longitude);
-  const individualCount = sanitiseNumber(entry.individualCount);
-  const temperature = sanitiseNumber(entry.temperature);
-
-  const statement = await run(
-    database,
-    `INSERT INTO field_data (
+const FIELD_DATA_SUMMARY_COLUMNS = `
+       id,
+       uuid,
+       species,
+       category,
+       priority,
+       individual_count AS individualCount,
+       recorded_at AS recordedAt,
+       observed_at AS observedAt,
        latitude,
        longitude,
-       category,
-       species,
-       age_group,
+       (
+         SELECT json_group_array(name)
+         FROM (
+           SELECT tags.name
+           FROM field_data_tags
+           JOIN tags ON tags.id = field_data_tags.tag_id
+           WHERE field_data_tags.field_data_id = field_data.id
+           ORDER BY field_data_tags.position
+         )
+       ) AS tags,
+       species_id AS speciesId,
+       (
+         SELECT json_object(
+           'id', species.id,
+           'scientificName', species.scientific_name,
+           'commonName', species.common_name,
+           'hindiName', species.hindi_name,
+           'taxonGroup', species.taxon_group,
+           'iucnCategory', species.iucn_category,
+           'wpaSchedule', species.wpa_schedule
+         )
+         FROM species
+         WHERE species.id = field_data.species_id
+       ) AS taxon,
+       (
+         SELECT json_group_array(
+           json_object('id', id, 'name', name, 'type', site_type)
+         )
+         FROM (
+           SELECT sites.id, sites.name, sites.site_type
+           FROM field_data_sites
+           JOIN sites ON sites.id = field_data_sites.site_id
+           WHERE field_data_sites.field_data_id = field_data.id
+           ORDER BY sites.area_km2
+         )
+       ) AS sites,
+       observer_id AS observerId,
+       (
+         SELECT name
+         FROM users
+         WHERE users.id = field_data.observer_id
+       ) AS observerName,
+       source_device AS sourceDevice,
+       source_record_id AS sourceRecordId,
+       (
+         SELECT name
+         FROM devices
+         WHERE devices.id = field_data.source_device
+       ) AS sourceDeviceName,
+       (
+         SELECT COUNT(*)
+         FROM attachments
+         WHERE attachments.field_data_id = field_data.id
+       ) AS attachmentCount`;
+
+const FIELD_DATA_DETAIL_COLUMNS = `${FIELD_DATA_SUMMARY_COLUMNS},
+       updated_at AS updatedAt,
+       deleted_at AS deletedAt,
+       deleted_by AS deletedBy,
+       (
+         SELECT name
+         FROM users
+         WHERE users.id = field_data.deleted_by
+       ) AS deletedByName,
+       age_group AS ageGroup,
        behavior,
-       individual_count,
        weather,
        temperature,
        visibility,
-       notes,
-       priority,
-       tags,
-       recorded_at,
-       updated_at
-     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
-    [
-      latitude || null,
-      longitude || null,
-      category || null,
-      species,
-      ageGroup || null,
-      behavior || null,
-      individualCount,
-      weather || null,
-      temperature,
-      visibility || null,
-      notes || null,
-      priority || null,
-      tags || null,
-    ]
+       notes`;
+
+function toFieldDataRow(row) {
+  if (!row) {
+    return row;
+  }
+  let tags = [];
+  try {
+    tags = JSON.parse(row.tags || "[]");
+  } catch (error) {
+    console.warn("[database] unreadable tag list for entry", row.id);
+  }
+  let taxon = null;
+  try {
+    taxon = row.taxon ? JSON.parse(row.taxon) : null;
+  } catch (error) {
+    console.warn("[database] unreadable species link for entry", row.id);
+  }
+  let sites = [];
+  try {
+    sites = JSON.parse(row.sites || "[]");
+  } catch (error) {
+    console.warn("[database] unreadable site list for entry", row.id);
+  }
+  return { ...row, tags, taxon, sites };
+}
+
+// field_data.tags is a denormalised copy of the linked tag names that only
+// exists so the full-text index can match on them. It is rewritten here after
+// every change to field_data_tags and never read back as the source of truth.
+const FIELD_DATA_TAG_TEXT = `(
+         SELECT group_concat(name, ', ')
+         FROM (
+           SELECT tags.name
+           FROM field_data_tags
+           JOIN tags ON tags.id = field_data_tags.tag_id
+           WHERE field_data_tags.field_data_id = field_data.id
+           ORDER BY field_data_tags.position
+         )
+       )`;
+
+async function refreshTagText(database, fieldDataIds) {
+  if (!fieldDataIds.length) {
+    return;
+  }
+  await run(
+    database,
+    `UPDATE field_data SET tags = ${FIELD_DATA_TAG_TEXT}
+     WHERE id IN (${fieldDataIds.map(() => "?").join(", ")})`,
+    fieldDataIds
   );
+}
+
+async function ensureTag(database, name) {
+  await run(database, "INSERT OR IGNORE INTO tags (name) VALUES (?)", [name]);
+  return get(database, "SELECT id, name FROM tags WHERE name = ?", [name]);
+}
+
+async function writeFieldDataTags(database, fieldDataId, names) {
+  await run(database, "DELETE FROM field_data_tags WHERE field_data_id = ?", [
+    fieldDataId,
+  ]);
+  for (const [position, name] of names.entries()) {
+    const tag = await ensureTag(database, name);
+    await run(
+      database,
+      `INSERT OR IGNORE INTO field_data_tags (field_data_id, tag_id, position)
+       VALUES (?, ?, ?)`,
+      [fieldDataId, tag.id, position]
+    );
+  }
+  await refreshTagText(database, [fieldDataId]);
+}
+
+function parseRecordId(id, label = "field entry") {
+  const recordId = Number(id);
+  if (!Number.isInteger(recordId) || recordId <= 0) {
+    throw new Error(`A valid ${label} id is required`);
+  }
+  return recordId;
+}
+
+function normaliseCoordinates(rawLatitude, rawLongitude) {
+  const latitude = parseCoordinate(rawLatitude, "latitude");
+  if (latitude.error) {
+    throw new Error(
+      `Latitude is invalid (${latitude.error}). Use decimal degrees between -90 and 90`
+    );
+  }
+
+  const longitude = parseCoordinate(rawLongitude, "longitude");
+  if (longitude.error) {
+    throw new Error(
+      `Longitude is invalid (${longitude.error}). Use decimal degrees between -180 and 180`
+    );
+  }
+
+  if ((latitude.value === null) !== (longitude.value === null)) {
+    throw new Error("Latitude and longitude must be provided together");
+  }
+
+  return { latitude: latitude.value, longitude: longitude.value };
+}
+
+// Field-level checks live in validation.js; this only adapts the result to
+// the column formats.
+function normaliseFieldDataEntry(entry = {}) {
+  const values = validateFieldDataEntry(entry);
+  return {
+    ...values,
+    observedAt: values.observedAt ? toSqlTimestamp(values.observedAt) : null,
+  };
+}
+
+function toFieldDataParams(values) {
+  return [
+    values.latitude,
+    values.longitude,
+    values.category,
+    values.species,
+    values.ageGroup,
+    values.behavior,
+    values.individualCount,
+    values.weather,
+    values.temperature,
+    values.visibility,
+    values.notes,
+    values.priority,
+    values.tags.length ? values.tags.join(", ") : null,
+    values.observedAt,
+  ];
+}
+
+// Refuses to save what looks like a sighting that is already recorded unless
+// `options.allowDuplicates` is set, so the form can offer to merge instead.
+async function saveFieldData(entry = {}, options = {}) {
+  const values = normaliseFieldDataEntry(entry);
+  const observerId = await getActiveUserId();
+
+  return withTransaction(async (database) => {
+    const speciesId = await resolveEntrySpecies(
+      database,
+      entry.speciesId,
+      values.species
+    );
+    if (!options.allowDuplicates) {
+      const duplicates = await findEntryDuplicates(database, {
+        ...values,
+        speciesId,
+      });
+      if (duplicates.length) {
+        throw new DuplicateObservationError(duplicates);
+      }
+    }
+    if (!values.priority) {
+      values.priority = await getDefaultPriority(database, speciesId);
+    }
+    const statement = await run(
+      database,
+      `INSERT INTO field_data (
+         latitude,
+         longitude,
+         category,
+         species,
+         age_group,
+         behavior,
+         individual_count,
+         weather,
+         temperature,
+         visibility,
+         notes,
+         priority,
+         tags,
+         observed_at,
+         species_id,
+         observer_id,
+         uuid,
+         recorded_at,
+         updated_at
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+      [...toFieldDataParams(values), speciesId, observerId, crypto.randomUUID()]
+    );
+    await writeFieldDataTags(database, statement.lastID, values.tags);
+    await assignEntrySites(
+      database,
+      statement.lastID,
+      values.latitude,
+      values.longitude
+    );
+
+    const saved = await get(
+      database,
+      `SELECT ${FIELD_DATA_SUMMARY_COLUMNS}
+       FROM field_data
+       WHERE id = ?`,
+      [statement.lastID]
+    );
+
+    return toFieldDataRow(saved);
+  });
+}
+
+async function getFieldData(id) {
+  const database = getDatabase();
+  const recordId = parseRecordId(id);
 
-  const saved = await get(
+  const row = await get(
     database,
-    `SELECT
-       id,
-       species,
-       category,
-       priority,
-       individual_count AS individualCount,
-       recorded_at AS recordedAt,
-       latitude,
-       longitude,
-       tags
+    `SELECT ${FIELD_DATA_DETAIL_COLUMNS}
      FROM field_data
      WHERE id = ?`,
-    [statement.lastID]
+    [recordId]
   );
 
-  return saved;
+  return row ? toFieldDataRow(row) : null;
 }
 
-async function listFieldData(limit = 10) {
-  const database = getDatabase();
+async function updateFieldData(id, entry = {}) {
+  const recordId = parseRecordId(id);
+  const values = normaliseFieldDataEntry(entry);
 
-  const rows = await all(
+  await withTransaction(async (database) => {
+    const current = await readFieldDataRow(database, recordId);
+    if (current.deletedAt) {
+      throw new Error("Restore this entry from the trash before editing it");
+    }
+    const speciesId = await resolveEntrySpecies(
+      database,
+      entry.speciesId,
+      values.species
+    );
+
+    await writeRevision(database, current, "update");
+    await writeFieldDataValues(database, recordId, values, speciesId);
+  });
+
+  return getFieldData(recordId);
+}
+
+// Rewrites everything a ranger can edit on an entry, including its tags and
+// the sites its coordinates fall in. `values` has the normalised shape.
+async function writeFieldDataValues(database, recordId, values, speciesId) {
+  await run(
     database,
-    `SELECT
-       id,
-       species,
-       category,
-       priority,
-       individual_count AS individualCount,
-       recorded_at AS recordedAt,
-       latitude,
-       longitude,
-       tags
+    `UPDATE field_data SET
+       latitude = ?,
+       longitude = ?,
+       category = ?,
+       species = ?,
+       age_group = ?,
+       behavior = ?,
+       individual_count = ?,
+       weather = ?,
+       temperature = ?,
+       visibility = ?,
+       notes = ?,
+       priority = ?,
+       tags = ?,
+       observed_at = ?,
+       species_id = ?,
+       updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [...toFieldDataParams(values), speciesId, recordId]
+  );
+
+  await writeFieldDataTags(database, recordId, values.tags);
+  await assignEntrySites(database, recordId, values.latitude, values.longitude);
+}
+
+// Entries are evidence, so deleting only moves them to the trash. Photos stay
+// on disk and the entry keeps its full revision history.
+async function deleteFieldData(id) {
+  const recordId = parseRecordId(id);
+  const deletedBy = await getActiveUserId();
+
+  await withTransaction(async (database) => {
+    const current = await readFieldDataRow(database, recordId);
+    if (current.deletedAt) {
+      throw new Error("Field entry is already in the trash");
+    }
+
+    await writeRevision(database, current, "delete");
+    await run(
+      database,
+      `UPDATE field_data SET
+         deleted_at = CURRENT_TIMESTAMP,
+         deleted_by = ?,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [deletedBy, recordId]
+    );
+  });
+
+  return { id: recordId };
+}
+
+async function restoreFieldData(id) {
+  const recordId = parseRecordId(id);
+
+  await withTransaction(async (database) => {
+    const current = await readFieldDataRow(database, recordId);
+    if (!current.deletedAt) {
+      throw new Error("Field entry is not in the trash");
+    }
+
+    await writeRevision(database, current, "restore");
+    await run(
+      database,
+      `UPDATE field_data SET
+         deleted_at = NULL,
+         deleted_by = NULL,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [recordId]
+    );
+    // Photos a duplicate merge moved off this entry come back with it.
+    await run(
+      database,
+      `UPDATE attachments SET field_data_id = ?, merged_from = NULL
+       WHERE merged_from = ?`,
+      [recordId, recordId]
+    );
+  });
+
+  return getFieldData(recordId);
+}
+
+// Everything a ranger can change on an entry, keyed by its column. Rollback
+// writes exactly these back, plus the tag list.
+const REVISION_FIELDS = {
+  species: "species",
+  speciesId: "species_id",
+  category: "category",
+  priority: "priority",
+  individualCount: "individual_count",
+  latitude: "latitude",
+  longitude: "longitude",
+  observedAt: "observed_at",
+  ageGroup: "age_group",
+  behavior: "behavior",
+  weather: "weather",
+  temperature: "temperature",
+  visibility: "visibility",
+  notes: "notes",
+};
+
+const COMPARED_FIELDS = [...Object.keys(REVISION_FIELDS), "tags", "deletedAt"];
+
+const SNAPSHOT_FIELDS = [
+  ...COMPARED_FIELDS,
+  "observerId",
+  "recordedAt",
+  "updatedAt",
+];
+
+const FIELD_DATA_REVISION_COLUMNS = `
+       field_data_revisions.id,
+       field_data_revisions.field_data_id AS fieldDataId,
+       field_data_revisions.revision,
+       field_data_revisions.action,
+       field_data_revisions.snapshot,
+       field_data_revisions.changed_by AS changedBy,
+       users.name AS changedByName,
+       field_data_revisions.created_at AS createdAt`;
+
+async function readFieldDataRow(database, recordId) {
+  const row = await get(
+    database,
+    `SELECT ${FIELD_DATA_DETAIL_COLUMNS}
      FROM field_data
-     ORDER BY recorded_at DESC
-     LIMIT ?`,
-    [Math.max(1, Math.min(Number(limit) || 10, 100))]
+     WHERE id = ?`,
+    [recordId]
+  );
+  if (!row) {
+    throw new Error("Field entry not found");
+  }
+  return toFieldDataRow(row);
+}
+
+function toRevisionSnapshot(row) {
+  return Object.fromEntries(
+    SNAPSHOT_FIELDS.map((field) => [field, row[field] ?? null])
   );
+}
 
-  return rows;
+function toRevisionRow(row) {
+  let snapshot = null;
+  try {
+    snapshot = JSON.parse(row.snapshot);
+  } catch (error) {
+    console.warn("[database] unreadable snapshot for revision", row.id);
+  }
+  return { ...row, snapshot };
 }
 
-async function hasUserProfile() {
-  const database = getDatabase();
+// Stores the entry as it stands right now, before `action` changes it.
+// Callers run this inside the transaction that makes the change.
+async function writeRevision(database, row, action) {
+  const changedBy = await getActiveUserId();
+  await run(
+    database,
+    `INSERT INTO field_data_revisions (
+       field_data_id, revision, action, snapshot, changed_by
+     )
+     SELECT ?, COALESCE(MAX(revision), 0) + 1, ?, ?, ?
+     FROM field_data_revisions
+     WHERE field_data_id = ?`,
+    [
+      row.id,
+      action,
+      JSON.stringify(toRevisionSnapshot(row)),
+      changedBy,
+      row.id,
+    ]
+  );
+}
+
+async function getLatestRevisionNumber(database, recordId) {
   const row = await get(
     database,
-    "SELECT 1 AS hasProfile FROM user_profile WHERE id = 1 LIMIT 1"
+    `SELECT COALESCE(MAX(revision), 0) AS revision
+     FROM field_data_revisions
+     WHERE field_data_id = ?`,
+    [recordId]
   );
-  return Boolean(row);
+  return Number(row?.revision) || 0;
 }
 
-function closeDatabase() {
-  return new Promise((resolve) => {
-    if (!db) {
-      resolve();
-      return;
-    }
+// Revision numbers count versions of one entry: 1 is the entry as first
+// saved and the live row is always one past the newest stored revision.
+// "current" (or no revision at all) means the live row.
+async function loadRevisionState(database, recordId, revision) {
+  if (revision === undefined || revision === null || revision === "current") {
+    const current = await readFieldDataRow(database, recordId);
+    return {
+      revision: (await getLatestRevisionNumber(database, recordId)) + 1,
+      current: true,
+      snapshot: toRevisionSnapshot(current),
+    };
+  }
 
-    db.close((error) => {
-      if (error) {
-        console.error("[database] failed to close database:", error);
-      }
-      db = null;
-      resolve();
-    });
+  const number = Number(revision);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error("A valid revision number is required");
+  }
+  const row = await get(
+    database,
+    `SELECT ${FIELD_DATA_REVISION_COLUMNS}
+     FROM field_data_revisions
+     LEFT JOIN users ON users.id = field_data_revisions.changed_by
+     WHERE field_data_revisions.field_data_id = ?
+       AND field_data_revisions.revision = ?`,
+    [recordId, number]
+  );
+  if (!row) {
+    throw new Error(`Revision ${number} of this entry was not found`);
+  }
+  return { ...toRevisionRow(row), current: false };
+}
+
+async function listFieldDataRevisions(id) {
+  const database = getDatabase();
+  const recordId = parseRecordId(id);
+  const entry = await readFieldDataRow(database, recordId);
+
+  const rows = await all(
+    database,
+    `SELECT ${FIELD_DATA_REVISION_COLUMNS}
+     FROM field_data_revisions
+     LEFT JOIN users ON users.id = field_data_revisions.changed_by
+     WHERE field_data_revisions.field_data_id = ?
+     ORDER BY field_data_revisions.revision DESC`,
+    [recordId]
+  );
+  const revisions = rows.map(toRevisionRow);
+
+  return {
+    entry,
+    currentRevision: (revisions[0]?.revision ?? 0) + 1,
+    revisions,
+  };
+}
+
+async function compareFieldDataRevisions(options = {}) {
+  const database = getDatabase();
+  const recordId = parseRecordId(options.id);
+  const from = await loadRevisionState(database, recordId, options.from);
+  const to = await loadRevisionState(database, recordId, options.to);
+
+  const changes = COMPARED_FIELDS.filter(
+    (field) =>
+      JSON.stringify(from.snapshot?.[field] ?? null) !==
+      JSON.stringify(to.snapshot?.[field] ?? null)
+  ).map((field) => ({
+    field,
+    before: from.snapshot?.[field] ?? null,
+    after: to.snapshot?.[field] ?? null,
+  }));
+
+  return { id: recordId, from, to, changes };
+}
+
+// Rolling back is itself recorded as a revision, so it can be undone the
+// same way. Snapshot values were valid when stored and go back verbatim.
+async function rollbackFieldData(options = {}) {
+  const recordId = parseRecordId(options.id);
+  if (options.revision === undefined || options.revision === "current") {
+    throw new Error("Choose an earlier revision to roll back to");
+  }
+
+  await withTransaction(async (database) => {
+    const current = await readFieldDataRow(database, recordId);
+    if (current.deletedAt) {
+      throw new Error(
+        "Restore this entry from the trash before rolling it back"
+      );
+    }
+    const target = await loadRevisionState(
+      database,
+      recordId,
+      options.revision
+    );
+    if (!target.snapshot) {
+      throw new Error("This revision cannot be read and cannot be restored");
+    }
+
+    await writeRevision(database, current, "rollback");
+
+    const fields = Object.keys(REVISION_FIELDS);
+    await run(
+      database,
+      `UPDATE field_data SET
+         ${fields.map((field) => `${REVISION_FIELDS[field]} = ?`).join(",\n         ")},
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [...fields.map((field) => target.snapshot[field] ?? null), recordId]
+    );
+    await writeFieldDataTags(
+      database,
+      recordId,
+      parseTagList(target.snapshot.tags)
+    );
+    await assignEntrySites(
+      database,
+      recordId,
+      target.snapshot.latitude ?? null,
+      target.snapshot.longitude ?? null
+    );
+  });
+
+  return getFieldData(recordId);
+}
+
+const DUPLICATE_CHECK_COLUMNS = `
+       id,
+       species,
+       species_id AS speciesId,
+       latitude,
+       longitude,
+       individual_count AS individualCount,
+       observed_at AS observedAt,
+       recorded_at AS recordedAt`;
+
+// Loads entries in summary form, in the order of `matches`, each carrying
+// whatever the caller attached to it (a duplicate score, for instance).
+async function loadMatchedEntries(database, matches) {
+  if (!matches.length) {
+    return [];
+  }
+  const rows = await all(
+    database,
+    `SELECT ${FIELD_DATA_SUMMARY_COLUMNS}
+     FROM field_data
+     WHERE id IN (${matches.map(() => "?").join(", ")})`,
+    matches.map((item) => item.id)
+  );
+  const byId = new Map(rows.map((row) => [row.id, toFieldDataRow(row)]));
+  return matches
+    .filter((item) => byId.has(item.id))
+    .map((item) => ({ ...byId.get(item.id), ...item }));
+}
+
+async function findEntryDuplicates(database, values) {
+  const entry = {
+    ...values,
+    observedAt: values.observedAt || toSqlTimestamp(new Date()),
+  };
+  const rows = await all(
+    database,
+    `SELECT ${DUPLICATE_CHECK_COLUMNS}
+     FROM field_data
+     WHERE deleted_at IS NULL
+       AND COALESCE(observed_at, recorded_at)
+         BETWEEN datetime(?, ?) AND datetime(?, ?)`,
+    [
+      entry.observedAt,
+      `-${DUPLICATE_WINDOW_HOURS} hours`,
+      entry.observedAt,
+      `+${DUPLICATE_WINDOW_HOURS} hours`,
+    ]
+  );
+  return loadMatchedEntries(database, findDuplicateCandidates(entry, rows));
+}
+
+const PRIORITY_RANK = ["Draft", "Routine", "Important", "Urgent"];
+
+// Combines two records of one sighting without losing either. The target
+// keeps its own values and gains whatever it is missing; the count becomes
+// the larger of the two, the priority the more urgent, notes are joined and
+// tags are unioned. Coordinates move only as a pair.
+function combineFieldDataValues(target, source) {
+  const values = { ...target };
+  [
+    "category",
+    "ageGroup",
+    "behavior",
+    "weather",
+    "temperature",
+    "visibility",
+    "observedAt",
+  ].forEach((field) => {
+    if (values[field] === null || values[field] === undefined) {
+      values[field] = source[field] ?? null;
+    }
+  });
+
+  if (values.latitude === null || values.longitude === null) {
+    values.latitude = source.latitude ?? null;
+    values.longitude = source.longitude ?? null;
+  }
+
+  if (
+    source.individualCount !== null &&
+    source.individualCount !== undefined &&
+    (values.individualCount === null ||
+      source.individualCount > values.individualCount)
+  ) {
+    values.individualCount = source.individualCount;
+  }
+
+  if (
+    FIELD_DATA_OPTIONS.priority.includes(source.priority) &&
+    PRIORITY_RANK.indexOf(source.priority) >
+      PRIORITY_RANK.indexOf(values.priority)
+  ) {
+    values.priority = source.priority;
+  }
+
+  const notes = [values.notes, source.notes].filter(Boolean);
+  values.notes =
+    notes.length === 2 && notes[0] !== notes[1]
+      ? notes.join("\n\n").slice(0, FIELD_DATA_SCHEMA.notes.maxLength)
+      : notes[0] || null;
+
+  values.tags = Array.from(
+    new Set([...(values.tags || []), ...(source.tags || [])])
+  ).slice(0, MAX_TAGS_PER_ENTRY);
+
+  return values;
+}
+
+// Folds a new submission into an entry it duplicates instead of saving it as
+// a second record. The change is stored as a revision like any other edit.
+async function mergeIntoFieldData(id, entry = {}) {
+  const recordId = parseRecordId(id);
+  const incoming = normaliseFieldDataEntry(entry);
+
+  await withTransaction(async (database) => {
+    const current = await readFieldDataRow(database, recordId);
+    if (current.deletedAt) {
+      throw new Error(
+        "Restore this entry from the trash before merging into it"
+      );
+    }
+
+    await writeRevision(database, current, "update");
+    await writeFieldDataValues(
+      database,
+      recordId,
+      combineFieldDataValues(current, incoming),
+      current.speciesId
+    );
+  });
+
+  return getFieldData(recordId);
+}
+
+// Scans every entry outside the trash for groups that look like the same
+// sighting recorded more than once.
+async function findDuplicateClusters() {
+  const database = getDatabase();
+  const rows = await all(
+    database,
+    `SELECT ${DUPLICATE_CHECK_COLUMNS}
+     FROM field_data
+     WHERE deleted_at IS NULL`
+  );
+
+  const clusters = clusterDuplicates(rows);
+  const entries = await loadMatchedEntries(
+    database,
+    clusters.flatMap((cluster) => cluster.ids.map((id) => ({ id })))
+  );
+  const byId = new Map(entries.map((item) => [item.id, item]));
+
+  return clusters.map((cluster) => ({
+    score: cluster.score,
+    entries: cluster.ids.map((id) => byId.get(id)).filter(Boolean),
+  }));
+}
+
+// Keeps the target entry, fills it in from the others, moves their photos
+// across and sends them to the trash, so the merge can be undone by restoring
+// them and rolling the target back. Each photo remembers the entry it was
+// first taken from, and restoring that entry takes it back.
+async function mergeDuplicateEntries(options = {}) {
+  const targetId = parseRecordId(options.targetId);
+  const sourceIds = Array.from(
+    new Set(
+      (Array.isArray(options.sourceIds) ? options.sourceIds : []).map((id) =>
+        parseRecordId(id)
+      )
+    )
+  ).filter((id) => id !== targetId);
+  if (!sourceIds.length) {
+    throw new Error("Choose at least one other entry to merge");
+  }
+  const deletedBy = await getActiveUserId();
+
+  await withTransaction(async (database) => {
+    const target = await readFieldDataRow(database, targetId);
+    if (target.deletedAt) {
+      throw new Error(
+        "Restore this entry from the trash before merging into it"
+      );
+    }
+
+    const sources = [];
+    for (const sourceId of sourceIds) {
+      const source = await readFieldDataRow(database, sourceId);
+      if (source.deletedAt) {
+        throw new Error(`Field entry ${sourceId} is already in the trash`);
+      }
+      sources.push(source);
+    }
+
+    await writeRevision(database, target, "update");
+    await writeFieldDataValues(
+      database,
+      targetId,
+      sources.reduce(combineFieldDataValues, target),
+      target.speciesId
+    );
+
+    for (const source of sources) {
+      await run(
+        database,
+        `UPDATE attachments SET
+           field_data_id = ?,
+           merged_from = COALESCE(merged_from, field_data_id)
+         WHERE field_data_id = ?`,
+        [targetId, source.id]
+      );
+      await writeRevision(database, source, "delete");
+      await run(
+        database,
+        `UPDATE field_data SET
+           deleted_at = CURRENT_TIMESTAMP,
+           deleted_by = ?,
+           updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [deletedBy, source.id]
+      );
+    }
+  });
+
+  return getFieldData(targetId);
+}
+
+const ATTACHMENT_COLUMNS = `
+       id,
+       field_data_id AS fieldDataId,
+       file_name AS fileName,
+       mime_type AS mimeType,
+       stored_path AS storedPath,
+       thumbnail_path AS thumbnailPath,
+       size_bytes AS sizeBytes,
+       original_size_bytes AS originalSizeBytes,
+       width,
+       height,
+       captured_at AS capturedAt,
+       gps_latitude AS gpsLatitude,
+       gps_longitude AS gpsLongitude,
+       camera,
+       created_at AS createdAt`;
+
+async function insertAttachment(values) {
+  const statement = await withTransaction((database) =>
+    run(
+      database,
+      `INSERT INTO attachments (
+         field_data_id,
+         file_name,
+         mime_type,
+         stored_path,
+         thumbnail_path,
+         size_bytes,
+         original_size_bytes,
+         width,
+         height,
+         captured_at,
+         gps_latitude,
+         gps_longitude,
+         camera
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        parseRecordId(values.fieldDataId),
+        values.fileName,
+        values.mimeType,
+        values.storedPath,
+        values.thumbnailPath || null,
+        values.sizeBytes,
+        values.originalSizeBytes,
+        values.width ?? null,
+        values.height ?? null,
+        values.capturedAt || null,
+        values.gpsLatitude ?? null,
+        values.gpsLongitude ?? null,
+        values.camera || null,
+      ]
+    )
+  );
+
+  return getAttachment(statement.lastID);
+}
+
+async function getAttachment(id) {
+  const database = getDatabase();
+  const row = await get(
+    database,
+    `SELECT ${ATTACHMENT_COLUMNS}
+     FROM attachments
+     WHERE id = ?`,
+    [parseRecordId(id)]
+  );
+  return row || null;
+}
+
+async function listAttachments(fieldDataId) {
+  const database = getDatabase();
+  return all(
+    database,
+    `SELECT ${ATTACHMENT_COLUMNS}
+     FROM attachments
+     WHERE field_data_id = ?
+     ORDER BY created_at ASC, id ASC`,
+    [parseRecordId(fieldDataId)]
+  );
+}
+
+async function deleteAttachment(id) {
+  const attachment = await getAttachment(id);
+  if (!attachment) {
+    throw new Error("Attachment not found");
+  }
+
+  await withTransaction((database) =>
+    run(database, "DELETE FROM attachments WHERE id = ?", [attachment.id])
+  );
+  return attachment;
+}
+
+const TAG_COLUMNS = `
+       tags.id,
+       tags.name,
+       tags.created_at AS createdAt,
+       tags.updated_at AS updatedAt,
+       COUNT(field_data_tags.field_data_id) AS usageCount`;
+
+async function listTags() {
+  const database = getDatabase();
+  return all(
+    database,
+    `SELECT ${TAG_COLUMNS}
+     FROM tags
+     LEFT JOIN field_data_tags ON field_data_tags.tag_id = tags.id
+     GROUP BY tags.id
+     ORDER BY tags.name COLLATE NOCASE ASC`
+  );
+}
+
+async function getTag(id) {
+  const database = getDatabase();
+  const tagId = parseRecordId(id, "tag");
+  const row = await get(
+    database,
+    `SELECT ${TAG_COLUMNS}
+     FROM tags
+     LEFT JOIN field_data_tags ON field_data_tags.tag_id = tags.id
+     WHERE tags.id = ?
+     GROUP BY tags.id`,
+    [tagId]
+  );
+  return row || null;
+}
+
+async function requireTag(id) {
+  const tag = await getTag(id);
+  if (!tag) {
+    throw new Error("Tag not found");
+  }
+  return tag;
+}
+
+async function listTaggedEntryIds(database, tagIds) {
+  const rows = await all(
+    database,
+    `SELECT DISTINCT field_data_id AS id
+     FROM field_data_tags
+     WHERE tag_id IN (${tagIds.map(() => "?").join(", ")})`,
+    tagIds
+  );
+  return rows.map((row) => row.id);
+}
+
+// Renaming, merging or deleting a tag changes the tag list of every entry
+// carrying it, so each of those entries is kept as a revision first, just as
+// an edit would keep it. Snapshots read the tag names live, so this runs
+// before the tags change.
+async function writeTagRevisions(database, fieldDataIds) {
+  for (const fieldDataId of fieldDataIds) {
+    const current = await readFieldDataRow(database, fieldDataId);
+    await writeRevision(database, current, "update");
+  }
+}
+
+// The tag names travel with every synced record, so the entries a tag change
+// touched count as edited: the outbox queues them for the division server
+// and the next since-date bundle carries them.
+async function markRetaggedEntries(database, fieldDataIds) {
+  if (!fieldDataIds.length) {
+    return;
+  }
+  await run(
+    database,
+    `UPDATE field_data SET updated_at = CURRENT_TIMESTAMP
+     WHERE id IN (${fieldDataIds.map(() => "?").join(", ")})`,
+    fieldDataIds
+  );
+}
+
+// Adding a tag that already exists in another case returns the existing one,
+// so the form can persist custom tags without checking first.
+async function createTag(name) {
+  const tagName = validateTagName(name);
+  const tag = await withTransaction((database) =>
+    ensureTag(database, tagName)
+  );
+  return getTag(tag.id);
+}
+
+async function renameTag(id, name) {
+  const tag = await requireTag(id);
+  const tagName = validateTagName(name);
+
+  await withTransaction(async (database) => {
+    const clash = await get(
+      database,
+      "SELECT id, name FROM tags WHERE name = ? AND id <> ?",
+      [tagName, tag.id]
+    );
+    if (clash) {
+      throw new Error(
+        `A tag named "${clash.name}" already exists. Merge the tags instead.`
+      );
+    }
+
+    const affected = await listTaggedEntryIds(database, [tag.id]);
+    await writeTagRevisions(database, affected);
+    await run(
+      database,
+      "UPDATE tags SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [tagName, tag.id]
+    );
+    await refreshTagText(database, affected);
+    await markRetaggedEntries(database, affected);
+  });
+
+  return getTag(tag.id);
+}
+
+// Entries keep the position of whichever tag they had first, so merging never
+// reorders the tags an observer picked.
+async function mergeTags(sourceIds, targetId) {
+  const target = await requireTag(targetId);
+  const sources = [];
+  for (const sourceId of Array.isArray(sourceIds) ? sourceIds : [sourceIds]) {
+    const source = await requireTag(sourceId);
+    if (source.id !== target.id) {
+      sources.push(source.id);
+    }
+  }
+  if (!sources.length) {
+    throw new Error("Choose at least one other tag to merge");
+  }
+
+  await withTransaction(async (database) => {
+    const affected = await listTaggedEntryIds(database, sources);
+    await writeTagRevisions(database, affected);
+    const placeholders = sources.map(() => "?").join(", ");
+
+    await run(
+      database,
+      `INSERT INTO field_data_tags (field_data_id, tag_id, position)
+       SELECT field_data_id, ?, MIN(position)
+       FROM field_data_tags
+       WHERE tag_id IN (${placeholders})
+       GROUP BY field_data_id
+       ON CONFLICT (field_data_id, tag_id) DO UPDATE SET
+         position = MIN(position, excluded.position)`,
+      [target.id, ...sources]
+    );
+    await run(
+      database,
+      `DELETE FROM tags WHERE id IN (${placeholders})`,
+      sources
+    );
+    await run(
+      database,
+      "UPDATE tags SET updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [target.id]
+    );
+    await refreshTagText(database, affected);
+    await markRetaggedEntries(database, affected);
+  });
+
+  return getTag(target.id);
+}
+
+async function deleteTag(id) {
+  const tag = await requireTag(id);
+
+  await withTransaction(async (database) => {
+    const affected = await listTaggedEntryIds(database, [tag.id]);
+    await writeTagRevisions(database, affected);
+    await run(database, "DELETE FROM tags WHERE id = ?", [tag.id]);
+    await refreshTagText(database, affected);
+    await markRetaggedEntries(database, affected);
+  });
+
+  return tag;
+}
+
+const SPECIES_CHECKLIST_KEY = "species_checklist_version";
+
+const SPECIES_COLUMNS = `
+       species.id,
+       species.scientific_name AS scientificName,
+       species.common_name AS commonName,
+       species.hindi_name AS hindiName,
+       species.taxon_group AS taxonGroup,
+       species.iucn_category AS iucnCategory,
+       species.wpa_schedule AS wpaSchedule,
+       (
+         SELECT COUNT(*)
+         FROM field_data
+         WHERE field_data.species_id = species.id
+           AND field_data.deleted_at IS NULL
+       ) AS observationCount`;
+
+const DEFAULT_SPECIES_LIMIT = 10;
+const MAX_SPECIES_LIMIT = 50;
+
+// Links every entry still stored as free text to the first catalogue name one
+// of its candidate spellings matches. The backfill is not an edit, so
+// updated_at is left alone.
+async function matchUnlinkedEntries(database) {
+  const rows = await all(
+    database,
+    "SELECT id, species FROM field_data WHERE species_id IS NULL"
+  );
+  const aliases = new Map(
+    (
+      await all(
+        database,
+        "SELECT alias, species_id AS speciesId FROM species_aliases"
+      )
+    ).map((row) => [row.alias, row.speciesId])
+  );
+
+  let matched = 0;
+  for (const row of rows) {
+    const speciesId = speciesNameCandidates(row.species)
+      .map((name) => aliases.get(name))
+      .find(Boolean);
+    if (speciesId) {
+      await run(database, "UPDATE field_data SET species_id = ? WHERE id = ?", [
+        speciesId,
+        row.id,
+      ]);
+      matched += 1;
+    }
+  }
+
+  return { matched, unmatched: rows.length - matched };
+}
+
+// Loads the bundled checklist whenever its version changes, then runs the
+// matcher over entries recorded before the catalogue existed. New entries are
+// linked as they are saved, so the matcher only has work to do once per
+// checklist release.
+async function syncSpeciesCatalogue(database) {
+  let checklist;
+  try {
+    checklist = loadSpeciesChecklist();
+  } catch (error) {
+    console.error("[database] failed to load species checklist:", error);
+    return;
+  }
+
+  const state = await get(
+    database,
+    "SELECT value FROM app_state WHERE key = ?",
+    [SPECIES_CHECKLIST_KEY]
+  );
+  if (state?.value === String(checklist.version)) {
+    return;
+  }
+
+  const result = await withTransaction(async (transaction) => {
+    // Aliases only ever come from the checklist, so they are rebuilt rather
+    // than diffed. Species rows are upserted and never removed because
+    // entries may still point at them.
+    await run(transaction, "DELETE FROM species_aliases");
+
+    for (const species of checklist.species) {
+      await run(
+        transaction,
+        `INSERT INTO species (
+           scientific_name,
+           common_name,
+           hindi_name,
+           taxon_group,
+           iucn_category,
+           wpa_schedule
+         ) VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT(scientific_name) DO UPDATE SET
+           common_name = excluded.common_name,
+           hindi_name = excluded.hindi_name,
+           taxon_group = excluded.taxon_group,
+           iucn_category = excluded.iucn_category,
+           wpa_schedule = excluded.wpa_schedule,
+           updated_at = CURRENT_TIMESTAMP`,
+        [
+          species.scientificName,
+          species.commonName,
+          species.hindiName,
+          species.taxonGroup,
+          species.iucnCategory,
+          species.wpaSchedule,
+        ]
+      );
+      const row = await get(
+        transaction,
+        "SELECT id FROM species WHERE scientific_name = ?",
+        [species.scientificName]
+      );
+      for (const alias of speciesLookupNames(species)) {
+        await run(
+          transaction,
+          "INSERT OR IGNORE INTO species_aliases (alias, species_id) VALUES (?, ?)",
+          [alias, row.id]
+        );
+      }
+    }
+
+    const matches = await matchUnlinkedEntries(transaction);
+    await run(
+      transaction,
+      `INSERT INTO app_state (key, value, updated_at)
+       VALUES (?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT(key) DO UPDATE SET
+         value = excluded.value,
+         updated_at = CURRENT_TIMESTAMP`,
+      [SPECIES_CHECKLIST_KEY, String(checklist.version)]
+    );
+    return matches;
+  });
+
+  console.info(
+    `[database] species checklist v${checklist.version} loaded: ${result.matched} entries linked, ${result.unmatched} left as free text`
+  );
+}
+
+async function resolveSpeciesId(database, text) {
+  for (const name of speciesNameCandidates(text)) {
+    const row = await get(
+      database,
+      "SELECT species_id AS speciesId FROM species_aliases WHERE alias = ?",
+      [name]
+    );
+    if (row) {
+      return row.speciesId;
+    }
+  }
+  return null;
+}
+
+// An explicit id from the species picker wins; otherwise the typed name is
+// matched against the catalogue and left unlinked when nothing fits.
+async function resolveEntrySpecies(database, requestedId, text) {
+  if (requestedId === null || requestedId === undefined || requestedId === "") {
+    return resolveSpeciesId(database, text);
+  }
+
+  const speciesId = parseRecordId(requestedId, "species");
+  const row = await get(database, "SELECT id FROM species WHERE id = ?", [
+    speciesId,
+  ]);
+  if (!row) {
+    throw new Error("Species not found");
+  }
+  return row.id;
+}
+
+async function getDefaultPriority(database, speciesId) {
+  if (!speciesId) {
+    return null;
+  }
+  const species = await get(
+    database,
+    `SELECT iucn_category AS iucnCategory, wpa_schedule AS wpaSchedule
+     FROM species
+     WHERE id = ?`,
+    [speciesId]
+  );
+  return isPriorityTaxon(species) ? "Urgent" : null;
+}
+
+// Ranks exact name matches first, then names starting with the query, then
+// names with a later word starting with it. Normalised names hold no LIKE
+// wildcards, so the query needs no escaping.
+async function searchSpecies(options = {}) {
+  const database = getDatabase();
+  const query = normaliseSpeciesName(options.query);
+  const requestedLimit = Number(options.limit);
+  const limit =
+    Number.isInteger(requestedLimit) && requestedLimit > 0
+      ? Math.min(requestedLimit, MAX_SPECIES_LIMIT)
+      : DEFAULT_SPECIES_LIMIT;
+
+  if (!query) {
+    return all(
+      database,
+      `SELECT ${SPECIES_COLUMNS}
+       FROM species
+       ORDER BY observationCount DESC, species.common_name COLLATE NOCASE
+       LIMIT ?`,
+      [limit]
+    );
+  }
+
+  const rows = await all(
+    database,
+    `SELECT ${SPECIES_COLUMNS},
+       MIN(
+         CASE
+           WHEN species_aliases.alias = ? THEN 0
+           WHEN species_aliases.alias LIKE ? THEN 1
+           ELSE 2
+         END
+       ) AS matchRank
+     FROM species
+     JOIN species_aliases ON species_aliases.species_id = species.id
+     WHERE species_aliases.alias LIKE ? OR species_aliases.alias LIKE ?
+     GROUP BY species.id
+     ORDER BY matchRank, species.common_name COLLATE NOCASE
+     LIMIT ?`,
+    [query, `${query}%`, `${query}%`, `% ${query}%`, limit]
+  );
+
+  return rows.map(({ matchRank, ...species }) => species);
+}
+
+async function getSpecies(id) {
+  const database = getDatabase();
+  const speciesId = parseRecordId(id, "species");
+  const row = await get(
+    database,
+    `SELECT ${SPECIES_COLUMNS}
+     FROM species
+     WHERE species.id = ?`,
+    [speciesId]
+  );
+  return row || null;
+}
+
+// Free-text names the matcher could not place, grouped case-insensitively so
+// the most common gaps in the checklist show up first.
+async function listUnmatchedSpecies() {
+  const database = getDatabase();
+  return all(
+    database,
+    `SELECT MIN(species) AS species,
+       COUNT(*) AS entryCount,
+       MAX(recorded_at) AS lastRecordedAt
+     FROM field_data
+     WHERE species_id IS NULL AND deleted_at IS NULL
+     GROUP BY LOWER(TRIM(species))
+     ORDER BY entryCount DESC, species COLLATE NOCASE
+     LIMIT 200`
+  );
+}
+
+const SITE_REGISTRY_KEY = "site_registry_version";
+
+const SITE_COLUMNS = `
+       sites.id,
+       sites.code,
+       sites.name,
+       sites.site_type AS siteType,
+       sites.district,
+       sites.area_km2 AS areaKm2,
+       sites.source,
+       sites.updated_at AS updatedAt,
+       (
+         SELECT COUNT(*)
+         FROM field_data_sites
+         JOIN field_data ON field_data.id = field_data_sites.field_data_id
+         WHERE field_data_sites.site_id = sites.id
+           AND field_data.deleted_at IS NULL
+       ) AS observationCount`;
+
+// Inserts or replaces sites by code. Bundled outlines never overwrite a site
+// that was imported from an official file, so a registry update cannot undo
+// a ranger's import.
+async function upsertSites(database, sites, source) {
+  let written = 0;
+  for (const site of sites) {
+    const statement = await run(
+      database,
+      `INSERT INTO sites (
+         code,
+         name,
+         site_type,
+         district,
+         geometry,
+         min_lat,
+         max_lat,
+         min_lon,
+         max_lon,
+         area_km2,
+         source
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(code) DO UPDATE SET
+         name = excluded.name,
+         site_type = excluded.site_type,
+         district = excluded.district,
+         geometry = excluded.geometry,
+         min_lat = excluded.min_lat,
+         max_lat = excluded.max_lat,
+         min_lon = excluded.min_lon,
+         max_lon = excluded.max_lon,
+         area_km2 = excluded.area_km2,
+         source = excluded.source,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE excluded.source <> 'bundled' OR sites.source = 'bundled'`,
+      [
+        site.code,
+        site.name,
+        site.siteType,
+        site.district,
+        JSON.stringify(site.geometry),
+        site.bounds.minLat,
+        site.bounds.maxLat,
+        site.bounds.minLon,
+        site.bounds.maxLon,
+        site.areaKm2,
+        source,
+      ]
+    );
+    written += statement.changes;
+  }
+  return written;
+}
+
+function toSiteGeometry(row) {
+  try {
+    return { ...row, geometry: JSON.parse(row.geometry) };
+  } catch (error) {
+    console.warn("[database] unreadable outline for site", row.id);
+    return null;
+  }
+}
+
+function findContainingSites(sites, latitude, longitude) {
+  return sites
+    .filter(
+      (site) =>
+        latitude >= site.minLat &&
+        latitude <= site.maxLat &&
+        longitude >= site.minLon &&
+        longitude <= site.maxLon &&
+        pointInPolygon(latitude, longitude, site.geometry)
+    )
+    .map((site) => site.id);
+}
+
+// Replaces the site links of one entry. The bounding box query keeps the
+// polygon test to the handful of sites near the point.
+async function assignEntrySites(database, recordId, latitude, longitude) {
+  await run(database, "DELETE FROM field_data_sites WHERE field_data_id = ?", [
+    recordId,
+  ]);
+  if (latitude === null || longitude === null) {
+    return [];
+  }
+
+  const candidates = await all(
+    database,
+    `SELECT id, geometry,
+       min_lat AS minLat, max_lat AS maxLat,
+       min_lon AS minLon, max_lon AS maxLon
+     FROM sites
+     WHERE min_lat <= ? AND max_lat >= ? AND min_lon <= ? AND max_lon >= ?`,
+    [latitude, latitude, longitude, longitude]
+  );
+  const siteIds = findContainingSites(
+    candidates.map(toSiteGeometry).filter(Boolean),
+    latitude,
+    longitude
+  );
+  for (const siteId of siteIds) {
+    await run(
+      database,
+      "INSERT INTO field_data_sites (field_data_id, site_id) VALUES (?, ?)",
+      [recordId, siteId]
+    );
+  }
+  return siteIds;
+}
+
+// Recomputes every entry's sites after the registry changes. Trashed entries
+// are included so they come back with the right sites if restored.
+async function assignAllSites(database) {
+  const sites = (
+    await all(
+      database,
+      `SELECT id, geometry,
+         min_lat AS minLat, max_lat AS maxLat,
+         min_lon AS minLon, max_lon AS maxLon
+       FROM sites`
+    )
+  )
+    .map(toSiteGeometry)
+    .filter(Boolean);
+  const rows = await all(
+    database,
+    `SELECT id, latitude, longitude
+     FROM field_data
+     WHERE latitude IS NOT NULL AND longitude IS NOT NULL`
+  );
+
+  await run(database, "DELETE FROM field_data_sites");
+  let assigned = 0;
+  for (const row of rows) {
+    const siteIds = findContainingSites(sites, row.latitude, row.longitude);
+    for (const siteId of siteIds) {
+      await run(
+        database,
+        "INSERT INTO field_data_sites (field_data_id, site_id) VALUES (?, ?)",
+        [row.id, siteId]
+      );
+    }
+    if (siteIds.length) {
+      assigned += 1;
+    }
+  }
+
+  return { assigned, outside: rows.length - assigned };
+}
+
+// Loads the bundled outlines whenever their version changes, the same way
+// the species checklist is kept current.
+async function syncSiteRegistry(database) {
+  let registry;
+  try {
+    registry = loadSiteRegistry();
+  } catch (error) {
+    console.error("[database] failed to load site registry:", error);
+    return;
+  }
+
+  const state = await get(
+    database,
+    "SELECT value FROM app_state WHERE key = ?",
+    [SITE_REGISTRY_KEY]
+  );
+  if (state?.value === String(registry.version)) {
+    return;
+  }
+
+  const result = await withTransaction(async (transaction) => {
+    await upsertSites(transaction, registry.sites, "bundled");
+    const assignments = await assignAllSites(transaction);
+    await run(
+      transaction,
+      `INSERT INTO app_state (key, value, updated_at)
+       VALUES (?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT(key) DO UPDATE SET
+         value = excluded.value,
+         updated_at = CURRENT_TIMESTAMP`,
+      [SITE_REGISTRY_KEY, String(registry.version)]
+    );
+    return assignments;
+  });
+
+  console.info(
+    `[database] site registry v${registry.version} loaded: ${result.assigned} entries inside a site, ${result.outside} outside`
+  );
+}
+
+async function listSites() {
+  const database = getDatabase();
+  return all(
+    database,
+    `SELECT ${SITE_COLUMNS}
+     FROM sites
+     ORDER BY sites.name COLLATE NOCASE`
+  );
+}
+
+// Imports a GeoJSON FeatureCollection of site outlines, replacing any site
+// with the same code, and reassigns every entry against the new outlines.
+async function importSites(collection, source) {
+  const sites = parseSiteCollection(collection);
+  const sourceName = sanitiseText(source) || "import";
+  if (sourceName === "bundled") {
+    throw new Error("Choose a different source name for imported sites");
+  }
+
+  return withTransaction(async (database) => {
+    const written = await upsertSites(database, sites, sourceName);
+    const assignments = await assignAllSites(database);
+    return { imported: written, ...assignments };
+  });
+}
+
+// Entries are dated by when the sighting was made; the time it was typed in
+// stands in for entries without one, as in summariseFieldData.
+const FIELD_DATA_SORT_COLUMNS = {
+  observedAt: "COALESCE(observed_at, recorded_at)",
+  recordedAt: "recorded_at",
+  updatedAt: "updated_at",
+  deletedAt: "deleted_at",
+  species: "species COLLATE NOCASE",
+  category: "category COLLATE NOCASE",
+  priority: "priority COLLATE NOCASE",
+  individualCount: "individual_count",
+};
+
+const DEFAULT_QUERY_LIMIT = 50;
+const MAX_QUERY_LIMIT = 500;
+
+function toFilterList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values.map((item) => sanitiseText(item)).filter(Boolean);
+}
+
+function toSqlTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace("T", " ");
+}
+
+// Filters come from date pickers, so a bare date means that day in IST.
+function normaliseDateBound(value, { endOfDay = false } = {}) {
+  const text = sanitiseText(value);
+  if (!text) {
+    return null;
+  }
+
+  const parsed = parseWallClockTime(text);
+  if (Number.isNaN(parsed.getTime())) {
+    throw new Error(`Invalid date filter: ${text}`);
+  }
+
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    return toSqlTimestamp(new Date(parsed.getTime() + DAY_MS - 1000));
+  }
+
+  return toSqlTimestamp(parsed);
+}
+
+function normaliseBounds(bounds) {
+  if (!bounds || typeof bounds !== "object") {
+    return null;
+  }
+
+  const minLat = sanitiseNumber(bounds.minLat);
+  const maxLat = sanitiseNumber(bounds.maxLat);
+  const minLon = sanitiseNumber(bounds.minLon);
+  const maxLon = sanitiseNumber(bounds.maxLon);
+
+  if ([minLat, maxLat, minLon, maxLon].some((value) => value === null)) {
+    throw new Error(
+      "Bounding box requires numeric minLat, maxLat, minLon and maxLon"
+    );
+  }
+
+  return {
+    minLat: Math.min(minLat, maxLat),
+    maxLat: Math.max(minLat, maxLat),
+    minLon: Math.min(minLon, maxLon),
+    maxLon: Math.max(minLon, maxLon),
+  };
+}
+
+function buildFieldDataFilters(options = {}) {
+  const clauses = [
+    options.trash ? "deleted_at IS NOT NULL" : "deleted_at IS NULL",
+  ];
+  const params = [];
+
+  const categories = toFilterList(options.category);
+  if (categories.length) {
+    clauses.push(
+      `LOWER(category) IN (${categories.map(() => "?").join(", ")})`
+    );
+    params.push(...categories.map((value) => value.toLowerCase()));
+  }
+
+  const priorities = toFilterList(options.priority);
+  if (priorities.length) {
+    clauses.push(
+      `LOWER(priority) IN (${priorities.map(() => "?").join(", ")})`
+    );
+    params.push(...priorities.map((value) => value.toLowerCase()));
+  }
+
+  const species = sanitiseText(options.species);
+  if (species) {
+    clauses.push("species LIKE ? ESCAPE '\\'");
+    params.push(`%${species.replace(/[\\%_]/g, "\\$&")}%`);
+  }
+
+  const observerId = Number(options.observerId);
+  if (Number.isInteger(observerId) && observerId > 0) {
+    clauses.push("observer_id = ?");
+    params.push(observerId);
+  }
+
+  const speciesId = Number(options.speciesId);
+  if (Number.isInteger(speciesId) && speciesId > 0) {
+    clauses.push("species_id = ?");
+    params.push(speciesId);
+  }
+
+  const siteId = Number(options.siteId);
+  if (Number.isInteger(siteId) && siteId > 0) {
+    clauses.push(
+      "id IN (SELECT field_data_id FROM field_data_sites WHERE site_id = ?)"
+    );
+    params.push(siteId);
+  }
+
+  parseTagList(options.tags).forEach((tag) => {
+    clauses.push(
+      `id IN (
+         SELECT field_data_tags.field_data_id
+         FROM field_data_tags
+         JOIN tags ON tags.id = field_data_tags.tag_id
+         WHERE tags.name = ?
+       )`
+    );
+    params.push(tag);
+  });
+
+  const from = normaliseDateBound(options.from);
+  if (from) {
+    clauses.push("COALESCE(observed_at, recorded_at) >= ?");
+    params.push(from);
+  }
+
+  const to = normaliseDateBound(options.to, { endOfDay: true });
+  if (to) {
+    clauses.push("COALESCE(observed_at, recorded_at) <= ?");
+    params.push(to);
+  }
+
+  const bounds = normaliseBounds(options.bounds);
+  if (bounds) {
+    // The R*Tree stores 32-bit floats rounded outwards, so it narrows the
+    // candidates and the comparison on the REAL columns makes it exact.
+    clauses.push(
+      `id IN (
+         SELECT id FROM field_data_rtree
+         WHERE max_lat >= ? AND min_lat <= ? AND max_lon >= ? AND min_lon <= ?
+       )
+       AND latitude BETWEEN ? AND ?
+       AND longitude BETWEEN ? AND ?`
+    );
+    params.push(
+      bounds.minLat,
+      bounds.maxLat,
+      bounds.minLon,
+      bounds.maxLon,
+      bounds.minLat,
+      bounds.maxLat,
+      bounds.minLon,
+      bounds.maxLon
+    );
+  }
+
+  return {
+    where: `WHERE ${clauses.join(" AND ")}`,
+    params,
+  };
+}
+
+function buildFieldDataOrder(options = {}) {
+  const column =
+    FIELD_DATA_SORT_COLUMNS[options.sortBy] ||
+    FIELD_DATA_SORT_COLUMNS.observedAt;
+  const direction =
+    sanitiseText(options.sortDirection).toLowerCase() === "asc"
+      ? "ASC"
+      : "DESC";
+  return `ORDER BY ${column} ${direction}, id ${direction}`;
+}
+
+async function queryFieldData(options = {}) {
+  const database = getDatabase();
+  const { where, params } = buildFieldDataFilters(options);
+
+  const requestedLimit = Math.floor(Number(options.limit));
+  const limit = Math.max(
+    1,
+    Math.min(
+      Number.isFinite(requestedLimit) ? requestedLimit : DEFAULT_QUERY_LIMIT,
+      MAX_QUERY_LIMIT
+    )
+  );
+  const offset = Math.max(0, Math.floor(Number(options.offset)) || 0);
+
+  const totalRow = await get(
+    database,
+    `SELECT COUNT(*) AS total FROM field_data ${where}`,
+    params
+  );
+  const total = Number(totalRow?.total) || 0;
+
+  const rows = await all(
+    database,
+    `SELECT ${FIELD_DATA_DETAIL_COLUMNS}
+     FROM field_data
+     ${where}
+     ${buildFieldDataOrder(options)}
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+
+  const nextOffset = offset + rows.length < total ? offset + rows.length : null;
+
+  return {
+    rows: rows.map(toFieldDataRow),
+    total,
+    limit,
+    offset,
+    nextOffset,
+  };
+}
+
+const MAX_RADIUS_KM = 500;
+
+async function findFieldDataNear(options = {}) {
+  const { latitude, longitude } = normaliseCoordinates(
+    options.latitude,
+    options.longitude
+  );
+  if (latitude === null) {
+    throw new Error("A centre latitude and longitude are required");
+  }
+
+  const radiusKm = sanitiseNumber(options.radiusKm) ?? 5;
+  if (radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+    throw new Error(`Radius must be between 0 and ${MAX_RADIUS_KM} km`);
+  }
+
+  const requestedLimit = Math.floor(Number(options.limit));
+  const limit = Math.max(
+    1,
+    Math.min(
+      Number.isFinite(requestedLimit) ? requestedLimit : DEFAULT_QUERY_LIMIT,
+      MAX_QUERY_LIMIT
+    )
+  );
+
+  const database = getDatabase();
+  const { where, params } = buildFieldDataFilters({
+    ...options,
+    bounds: boundingBoxAround(latitude, longitude, radiusKm),
+  });
+
+  const candidates = await all(
+    database,
+    `SELECT ${FIELD_DATA_DETAIL_COLUMNS}
+     FROM field_data
+     ${where}`,
+    params
+  );
+
+  const matches = candidates
+    .map((row) => ({
+      ...toFieldDataRow(row),
+      distanceKm: Number(
+        haversineDistanceKm(
+          latitude,
+          longitude,
+          row.latitude,
+          row.longitude
+        ).toFixed(3)
+      ),
+    }))
+    .filter((row) => row.distanceKm <= radiusKm)
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+
+  return {
+    centre: { latitude, longitude },
+    radiusKm,
+    total: matches.length,
+    rows: matches.slice(0, limit),
+  };
+}
+
+async function listCoordinateIssues() {
+  const database = getDatabase();
+  return all(
+    database,
+    `SELECT
+       ci.id,
+       ci.field_data_id AS fieldDataId,
+       ci.latitude_text AS latitudeText,
+       ci.longitude_text AS longitudeText,
+       ci.reason,
+       ci.detected_at AS detectedAt,
+       fd.species,
+       fd.latitude,
+       fd.longitude
+     FROM coordinate_issues ci
+     JOIN field_data fd ON fd.id = ci.field_data_id
+     WHERE (fd.latitude IS NULL OR fd.longitude IS NULL)
+       AND fd.deleted_at IS NULL
+     ORDER BY ci.field_data_id ASC`
+  );
+}
+
+const DEFAULT_BREAKDOWN_LIMIT = 10;
+const MAX_BREAKDOWN_LIMIT = 100;
+const SUMMARY_DAYS = 30;
+const SUMMARY_WEEKS = 12;
+
+// Counts for the statistics cards, worked out over every matching entry
+// rather than a page of rows. Takes the same filters as queryFieldData.
+// Days and weeks are IST calendar days of the observation time, weeks start
+// on Monday, and "this week" means today and the six days before, matching
+// the renderer's time policy. `limit` caps the species, site and observer
+// lists; categories, priorities and regions are always complete.
+//
+// A region is where the dashboards place an entry: its smallest protected
+// area, else its smallest site, else "outside" or "unlocated" by whether it
+// has coordinates. Each region carries its counts by priority and its lead
+// entry, the most urgent and then the latest, which the pages score.
+async function summariseFieldData(options = {}) {
+  const database = getDatabase();
+  const { where, params } = buildFieldDataFilters(options);
+  const requestedLimit = Number(options.limit);
+  const limit =
+    Number.isInteger(requestedLimit) && requestedLimit > 0
+      ? Math.min(requestedLimit, MAX_BREAKDOWN_LIMIT)
+      : DEFAULT_BREAKDOWN_LIMIT;
+
+  // buildFieldDataFilters writes bare column names, so every breakdown reads
+  // from this CTE instead of joining field_data directly.
+  const filtered = `WITH filtered AS (
+       SELECT id,
+         species,
+         species_id,
+         category,
+         priority,
+         observer_id,
+         latitude,
+         longitude,
+         recorded_at,
+         COALESCE(observed_at, recorded_at) AS observed_time,
+         date(COALESCE(observed_at, recorded_at), ?) AS observed_day,
+         date(recorded_at, ?) AS recorded_day
+       FROM field_data
+       ${where}
+     )`;
+  const filteredParams = [APP_SQL_OFFSET, APP_SQL_OFFSET, ...params];
+  const today = `date('now', '${APP_SQL_OFFSET}')`;
+
+  const totals = await get(
+    database,
+    `${filtered}
+     SELECT COUNT(*) AS total,
+       SUM(LOWER(priority) = 'draft') AS drafts,
+       COUNT(DISTINCT COALESCE(
+         'species:' || species_id,
+         'text:' || LOWER(TRIM(species))
+       )) AS species,
+       SUM(observed_day >= date(${today}, '-6 days')) AS observedThisWeek,
+       SUM(recorded_day >= date(${today}, '-6 days')) AS recordedThisWeek,
+       SUM(
+         LOWER(priority) = 'urgent'
+           AND observed_day >= date(${today}, '-6 days')
+       ) AS urgentThisWeek,
+       MAX(recorded_at) AS lastRecordedAt
+     FROM filtered`,
+    filteredParams
+  );
+
+  const protectedTypes = PROTECTED_AREA_TYPES.map(() => "?").join(", ");
+  const protectedAreas = await get(
+    database,
+    `${filtered}
+     SELECT COUNT(DISTINCT sites.id) AS count
+     FROM filtered
+     JOIN field_data_sites ON field_data_sites.field_data_id = filtered.id
+     JOIN sites ON sites.id = field_data_sites.site_id
+     WHERE sites.site_type IN (${protectedTypes})`,
+    [...filteredParams, ...PROTECTED_AREA_TYPES]
+  );
+
+  const byCategory = await all(
+    database,
+    `${filtered}
+     SELECT MIN(category) AS category, COUNT(*) AS count
+     FROM filtered
+     GROUP BY LOWER(category)
+     ORDER BY count DESC, category COLLATE NOCASE`,
+    filteredParams
+  );
+
+  const byPriority = await all(
+    database,
+    `${filtered}
+     SELECT MIN(priority) AS priority, COUNT(*) AS count
+     FROM filtered
+     GROUP BY LOWER(priority)
+     ORDER BY count DESC, priority COLLATE NOCASE`,
+    filteredParams
+  );
+
+  const bySpecies = await all(
+    database,
+    `${filtered}
+     SELECT filtered.species_id AS speciesId,
+       COALESCE(MIN(species.common_name), MIN(filtered.species)) AS name,
+       MIN(species.scientific_name) AS scientificName,
+       COUNT(*) AS count
+     FROM filtered
+     LEFT JOIN species ON species.id = filtered.species_id
+     GROUP BY COALESCE(
+       'species:' || filtered.species_id,
+       'text:' || LOWER(TRIM(filtered.species))
+     )
+     ORDER BY count DESC, name COLLATE NOCASE
+     LIMIT ?`,
+    [...filteredParams, limit]
+  );
+
+  const bySite = await all(
+    database,
+    `${filtered}
+     SELECT sites.id, sites.name, sites.site_type AS type, COUNT(*) AS count
+     FROM filtered
+     JOIN field_data_sites ON field_data_sites.field_data_id = filtered.id
+     JOIN sites ON sites.id = field_data_sites.site_id
+     GROUP BY sites.id
+     ORDER BY count DESC, sites.name COLLATE NOCASE
+     LIMIT ?`,
+    [...filteredParams, limit]
+  );
+
+  const byObserver = await all(
+    database,
+    `${filtered}
+     SELECT filtered.observer_id AS id, users.name, COUNT(*) AS count
+     FROM filtered
+     LEFT JOIN users ON users.id = filtered.observer_id
+     GROUP BY filtered.observer_id
+     ORDER BY count DESC, users.name COLLATE NOCASE
+     LIMIT ?`,
+    [...filteredParams, limit]
+  );
+
+  const regionRows = await all(
+    database,
+    `${filtered},
+     placed AS (
+       SELECT filtered.*,
+         (
+           SELECT sites.id
+           FROM field_data_sites
+           JOIN sites ON sites.id = field_data_sites.site_id
+           WHERE field_data_sites.field_data_id = filtered.id
+           ORDER BY sites.site_type IN (${protectedTypes}) DESC,
+             sites.area_km2
+           LIMIT 1
+         ) AS site_id,
+         CASE LOWER(priority)
+           WHEN 'urgent' THEN 3
+           WHEN 'important' THEN 2
+           WHEN 'routine' THEN 1
+           ELSE 0
+         END AS priority_rank
+       FROM filtered
+     ),
+     regioned AS (
+       SELECT placed.*,
+         COALESCE(
+           'site:' || site_id,
+           CASE
+             WHEN latitude IS NULL OR longitude IS NULL THEN 'unlocated'
+             ELSE 'outside'
+           END
+         ) AS region
+       FROM placed
+     ),
+     ranked AS (
+       SELECT regioned.*,
+         ROW_NUMBER() OVER (
+           PARTITION BY region
+           ORDER BY priority_rank DESC, observed_time DESC, id DESC
+         ) AS position
+       FROM regioned
+     )
+     SELECT region,
+       MIN(site_id) AS siteId,
+       COUNT(*) AS count,
+       SUM(priority_rank = 3) AS urgent,
+       SUM(priority_rank = 2) AS important,
+       SUM(priority_rank = 1) AS routine,
+       SUM(priority_rank = 0) AS drafts,
+       MAX(observed_time) AS lastObservedAt,
+       MAX(CASE WHEN position = 1 THEN id END) AS leadEntryId
+     FROM ranked
+     GROUP BY region
+     ORDER BY urgent DESC, important DESC, count DESC, region`,
+    [...filteredParams, ...PROTECTED_AREA_TYPES]
+  );
+  const leadEntries = await loadMatchedEntries(
+    database,
+    regionRows.map((row) => ({ id: row.leadEntryId }))
+  );
+  const leadById = new Map(leadEntries.map((entry) => [entry.id, entry]));
+  const byRegion = regionRows.map(({ leadEntryId, ...row }) => ({
+    ...row,
+    urgent: Number(row.urgent) || 0,
+    important: Number(row.important) || 0,
+    routine: Number(row.routine) || 0,
+    drafts: Number(row.drafts) || 0,
+    entry: leadById.get(leadEntryId) || null,
+  }));
+
+  const byDay = await all(
+    database,
+    `${filtered}
+     SELECT observed_day AS day, COUNT(*) AS count
+     FROM filtered
+     WHERE observed_day >= date(${today}, '-${SUMMARY_DAYS - 1} days')
+     GROUP BY observed_day
+     ORDER BY observed_day`,
+    filteredParams
+  );
+
+  const byWeek = await all(
+    database,
+    `${filtered}
+     SELECT date(observed_day, '-6 days', 'weekday 1') AS weekStart,
+       COUNT(*) AS count
+     FROM filtered
+     WHERE observed_day >= date(
+       ${today}, '-6 days', 'weekday 1', '-${(SUMMARY_WEEKS - 1) * 7} days'
+     )
+     GROUP BY weekStart
+     ORDER BY weekStart`,
+    filteredParams
+  );
+
+  return {
+    total: Number(totals?.total) || 0,
+    drafts: Number(totals?.drafts) || 0,
+    species: Number(totals?.species) || 0,
+    protectedAreas: Number(protectedAreas?.count) || 0,
+    observedThisWeek: Number(totals?.observedThisWeek) || 0,
+    recordedThisWeek: Number(totals?.recordedThisWeek) || 0,
+    urgentThisWeek: Number(totals?.urgentThisWeek) || 0,
+    lastRecordedAt: totals?.lastRecordedAt || null,
+    byCategory,
+    byPriority,
+    bySpecies,
+    bySite,
+    byObserver,
+    byRegion,
+    byDay,
+    byWeek,
+  };
+}
+
+const SEARCH_HIGHLIGHT_START = "\u0001";
+const SEARCH_HIGHLIGHT_END = "\u0002";
+
+function buildSearchExpression(query) {
+  const terms = sanitiseText(query)
+    .split(/\s+/)
+    .map((term) => term.replace(/"/g, ""))
+    .filter(Boolean)
+    .slice(0, 12);
+
+  return terms.map((term) => `"${term}"*`).join(" ");
+}
+
+async function searchFieldData(options = {}) {
+  const database = getDatabase();
+  const expression = buildSearchExpression(options.query);
+
+  const requestedLimit = Math.floor(Number(options.limit));
+  const limit = Math.max(
+    1,
+    Math.min(
+      Number.isFinite(requestedLimit) ? requestedLimit : DEFAULT_QUERY_LIMIT,
+      MAX_QUERY_LIMIT
+    )
+  );
+  const offset = Math.max(0, Math.floor(Number(options.offset)) || 0);
+
+  if (!expression) {
+    return { rows: [], total: 0, limit, offset, nextOffset: null };
+  }
+
+  const totalRow = await get(
+    database,
+    `SELECT COUNT(*) AS total
+     FROM field_data_fts
+     JOIN field_data ON field_data.id = field_data_fts.rowid
+     WHERE field_data_fts MATCH ? AND field_data.deleted_at IS NULL`,
+    [expression]
+  );
+  const total = Number(totalRow?.total) || 0;
+
+  // bm25 weights follow the column order of field_data_fts: a hit on the
+  // species name counts for more than one buried in free-text notes.
+  const rows = await all(
+    database,
+    `WITH matches AS (
+       SELECT
+         rowid AS id,
+         snippet(field_data_fts, -1, ?, ?, '…', 12) AS snippet,
+         bm25(field_data_fts, 10.0, 1.0, 2.0, 4.0) AS rank
+       FROM field_data_fts
+       WHERE field_data_fts MATCH ?
+     )
+     SELECT ${FIELD_DATA_DETAIL_COLUMNS},
+       matches.snippet,
+       matches.rank
+     FROM matches
+     JOIN field_data USING (id)
+     WHERE field_data.deleted_at IS NULL
+     ORDER BY matches.rank ASC, recorded_at DESC
+     LIMIT ? OFFSET ?`,
+    [SEARCH_HIGHLIGHT_START, SEARCH_HIGHLIGHT_END, expression, limit, offset]
+  );
+
+  const nextOffset = offset + rows.length < total ? offset + rows.length : null;
+
+  return {
+    rows: rows.map(toFieldDataRow),
+    total,
+    limit,
+    offset,
+    nextOffset,
+    highlight: {
+      start: SEARCH_HIGHLIGHT_START,
+      end: SEARCH_HIGHLIGHT_END,
+    },
+  };
+}
+
+// OpenWeather refreshes its readings roughly every ten minutes, so page loads
+// inside that window would only store copies of the same sample.
+const ENVIRONMENT_SAMPLE_MINUTES = 10;
+const ENVIRONMENT_HISTORY_DAYS = 7;
+
+async function recordEnvironmentalSummary(summary = {}) {
+  return withTransaction((database) =>
+    writeEnvironmentalSummary(database, summary)
+  );
+}
+
+async function writeEnvironmentalSummary(database, summary) {
+  const city = sanitiseText(summary.city);
+  const recordedAt = toSqlTimestamp(new Date());
+  const sampleWindow = `-${ENVIRONMENT_SAMPLE_MINUTES} minutes`;
+  const stored = { weather: 0, airQuality: 0, alerts: 0, earthquakes: 0 };
+
+  const weather = summary.weather;
+  const latitude = sanitiseNumber(weather?.location?.latitude);
+  const longitude = sanitiseNumber(weather?.location?.longitude);
+
+  if (city && weather) {
+    const result = await run(
+      database,
+      `INSERT INTO weather_readings (
+         city, country, latitude, longitude, temperature, condition,
+         humidity, rainfall, source, recorded_at
+       )
+       SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+       WHERE NOT EXISTS (
+         SELECT 1 FROM weather_readings
+         WHERE city = ? AND recorded_at > datetime(?, ?)
+       )`,
+      [
+        city,
+        sanitiseText(weather.location?.country) || null,
+        latitude,
+        longitude,
+        sanitiseNumber(weather.temperature),
+        sanitiseText(weather.condition) || null,
+        sanitiseNumber(weather.humidity),
+        sanitiseNumber(weather.rainfall),
+        sanitiseText(weather.source) || "unknown",
+        recordedAt,
+        city,
+        recordedAt,
+        sampleWindow,
+      ]
+    );
+    stored.weather = result.changes;
+  }
+
+  const airQuality = summary.airQuality;
+  if (city && airQuality) {
+    const result = await run(
+      database,
+      `INSERT INTO aqi_readings (
+         city, latitude, longitude, aqi_index, category, components,
+         source, recorded_at
+       )
+       SELECT ?, ?, ?, ?, ?, ?, ?, ?
+       WHERE NOT EXISTS (
+         SELECT 1 FROM aqi_readings
+         WHERE city = ? AND recorded_at > datetime(?, ?)
+       )`,
+      [
+        city,
+        latitude,
+        longitude,
+        sanitiseNumber(airQuality.index),
+        sanitiseText(airQuality.category) || null,
+        JSON.stringify(airQuality.components || {}),
+        sanitiseText(airQuality.source) || "unknown",
+        recordedAt,
+        city,
+        recordedAt,
+        sampleWindow,
+      ]
+    );
+    stored.airQuality = result.changes;
+  }
+
+  // The fallback written when the IMD page is unreachable carries no source,
+  // and there is nothing worth keeping from it.
+  const alerts = summary.alerts;
+  const alertSource = sanitiseText(alerts?.source);
+  if (alertSource && Array.isArray(alerts.notices)) {
+    const region = sanitiseText(alerts.region) || city;
+    for (const notice of alerts.notices) {
+      const text = sanitiseText(notice);
+      if (!text || !region) {
+        continue;
+      }
+      const result = await run(
+        database,
+        `INSERT OR IGNORE INTO alert_notices (
+           region, notice, issued_on, source, recorded_at
+         ) VALUES (?, ?, date(?), ?, ?)`,
+        [region, text, recordedAt, alertSource, recordedAt]
+      );
+      stored.alerts += result.changes;
+    }
+  }
+
+  const earthquakes = Array.isArray(summary.earthquakes)
+    ? summary.earthquakes
+    : [];
+  for (const quake of earthquakes) {
+    const occurredAt = quake?.timestamp ? new Date(quake.timestamp) : null;
+    const location = sanitiseText(quake?.location);
+    if (!location || !occurredAt || Number.isNaN(occurredAt.getTime())) {
+      continue;
+    }
+    const result = await run(
+      database,
+      `INSERT OR IGNORE INTO quake_events (
+         location, magnitude, occurred_at, source, recorded_at
+       ) VALUES (?, ?, ?, ?, ?)`,
+      [
+        location,
+        sanitiseNumber(quake.magnitude),
+        toSqlTimestamp(occurredAt),
+        sanitiseText(quake.source) || "unknown",
+        recordedAt,
+      ]
+    );
+    stored.earthquakes += result.changes;
+  }
+
+  return stored;
+}
+
+async function queryEnvironmentHistory(options = {}) {
+  const database = getDatabase();
+  const city = sanitiseText(options.city);
+  const from =
+    normaliseDateBound(options.from) ??
+    toSqlTimestamp(
+      new Date(Date.now() - ENVIRONMENT_HISTORY_DAYS * 24 * 60 * 60 * 1000)
+    );
+  const to =
+    normaliseDateBound(options.to, { endOfDay: true }) ??
+    toSqlTimestamp(new Date());
+
+  const requestedLimit = Math.floor(Number(options.limit));
+  const limit = Math.max(
+    1,
+    Math.min(
+      Number.isFinite(requestedLimit) ? requestedLimit : MAX_QUERY_LIMIT,
+      MAX_QUERY_LIMIT
+    )
+  );
+
+  const cityClause = city ? "AND city = ?" : "";
+  const cityParams = city ? [city] : [];
+
+  // Each series keeps the newest `limit` rows but is returned oldest first,
+  // which is the order a trend chart draws them in.
+  const weather = await all(
+    database,
+    `SELECT
+       id, city, country, latitude, longitude, temperature, condition,
+       humidity, rainfall, source, recorded_at AS recordedAt
+     FROM weather_readings
+     WHERE recorded_at BETWEEN ? AND ? ${cityClause}
+     ORDER BY recorded_at DESC
+     LIMIT ?`,
+    [from, to, ...cityParams, limit]
+  );
+
+  const airQuality = await all(
+    database,
+    `SELECT
+       id, city, latitude, longitude, aqi_index AS "index", category,
+       components, source, recorded_at AS recordedAt
+     FROM aqi_readings
+     WHERE recorded_at BETWEEN ? AND ? ${cityClause}
+     ORDER BY recorded_at DESC
+     LIMIT ?`,
+    [from, to, ...cityParams, limit]
+  );
+
+  // Alerts and earthquakes are published for the whole state rather than a
+  // city, so only the time range applies to them.
+  const alerts = await all(
+    database,
+    `SELECT
+       id, region, notice, issued_on AS issuedOn, source,
+       recorded_at AS recordedAt
+     FROM alert_notices
+     WHERE recorded_at BETWEEN ? AND ?
+     ORDER BY recorded_at DESC
+     LIMIT ?`,
+    [from, to, limit]
+  );
+
+  const earthquakes = await all(
+    database,
+    `SELECT
+       id, location, magnitude, occurred_at AS occurredAt, source,
+       recorded_at AS recordedAt
+     FROM quake_events
+     WHERE occurred_at BETWEEN ? AND ?
+     ORDER BY occurred_at DESC
+     LIMIT ?`,
+    [from, to, limit]
+  );
+
+  return {
+    city: city || null,
+    from,
+    to,
+    weather: weather.reverse(),
+    airQuality: airQuality.reverse().map((row) => {
+      let components = {};
+      try {
+        components = row.components ? JSON.parse(row.components) : {};
+      } catch (error) {
+        console.warn("[database] unreadable AQI components:", error);
+      }
+      return { ...row, components };
+    }),
+    alerts: alerts.reverse(),
+    earthquakes: earthquakes.reverse(),
+  };
+}
+
+async function listStoredSettings() {
+  const database = getDatabase();
+  return all(
+    database,
+    `SELECT key, value, updated_by AS updatedBy, updated_at AS updatedAt
+     FROM settings`
+  );
+}
+
+// Writes JSON-encoded values in one transaction. A null value deletes the row
+// so the setting falls back to its default.
+async function saveStoredSettings(entries = []) {
+  const updatedBy = await getActiveUserId();
+  await withTransaction(async (database) => {
+    for (const { key, value } of entries) {
+      if (value === null) {
+        await run(database, "DELETE FROM settings WHERE key = ?", [key]);
+        continue;
+      }
+      await run(
+        database,
+        `INSERT INTO settings (key, value, updated_by, updated_at)
+         VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT(key) DO UPDATE SET
+           value = excluded.value,
+           updated_by = excluded.updated_by,
+           updated_at = CURRENT_TIMESTAMP`,
+        [key, JSON.stringify(value), updatedBy]
+      );
+    }
+  });
+  return listStoredSettings();
+}
+
+// The first schema version that gives records a UUID. Older files have
+// nothing stable to match on, so they are upgraded in EcoWatch first.
+const MIN_IMPORT_SCHEMA_VERSION = 13;
+const IMPORT_CONFLICT_POLICIES = ["keep", "newer"];
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SYNC_LOG_LIMIT = 50;
+
+// Incoming entries from an attached database, in the shape a sync bundle
+// uses: rangers and species travel by email and scientific name because row
+// ids mean nothing on another install.
+const ATTACHED_ENTRY_COLUMNS = `
+       entry.id,
+       entry.uuid,
+       entry.source_device AS sourceDevice,
+       entry.source_record_id AS sourceRecordId,
+       entry.species,
+       species.scientific_name AS scientificName,
+       entry.category,
+       entry.priority,
+       entry.individual_count AS individualCount,
+       entry.latitude,
+       entry.longitude,
+       entry.observed_at AS observedAt,
+       entry.age_group AS ageGroup,
+       entry.behavior,
+       entry.weather,
+       entry.temperature,
+       entry.visibility,
+       entry.notes,
+       entry.recorded_at AS recordedAt,
+       entry.updated_at AS updatedAt,
+       entry.deleted_at AS deletedAt,
+       (
+         SELECT json_object(
+           'name', person.name,
+           'email', person.email,
+           'dob', person.dob,
+           'designation', person.designation,
+           'division', person.division,
+           'city', person.city
+         )
+         FROM ${IMPORT_SCHEMA}.users AS person
+         WHERE person.id = entry.observer_id
+       ) AS observer,
+       (
+         SELECT json_object(
+           'name', person.name,
+           'email', person.email,
+           'dob', person.dob,
+           'designation', person.designation,
+           'division', person.division,
+           'city', person.city
+         )
+         FROM ${IMPORT_SCHEMA}.users AS person
+         WHERE person.id = entry.deleted_by
+       ) AS deletedBy,
+       (
+         SELECT json_group_array(name)
+         FROM (
+           SELECT tag.name
+           FROM ${IMPORT_SCHEMA}.field_data_tags AS link
+           JOIN ${IMPORT_SCHEMA}.tags AS tag ON tag.id = link.tag_id
+           WHERE link.field_data_id = entry.id
+           ORDER BY link.position
+         )
+       ) AS tags`;
+
+// The same shape read from this database for a sync bundle.
+const SYNC_EXPORT_COLUMNS = `
+       field_data.id,
+       field_data.uuid,
+       field_data.source_device AS sourceDevice,
+       field_data.source_record_id AS sourceRecordId,
+       field_data.species,
+       species.scientific_name AS scientificName,
+       field_data.category,
+       field_data.priority,
+       field_data.individual_count AS individualCount,
+       field_data.latitude,
+       field_data.longitude,
+       field_data.observed_at AS observedAt,
+       field_data.age_group AS ageGroup,
+       field_data.behavior,
+       field_data.weather,
+       field_data.temperature,
+       field_data.visibility,
+       field_data.notes,
+       field_data.recorded_at AS recordedAt,
+       field_data.updated_at AS updatedAt,
+       field_data.deleted_at AS deletedAt,
+       (
+         SELECT json_object(
+           'name', users.name,
+           'email', users.email,
+           'dob', users.dob,
+           'designation', users.designation,
+           'division', users.division,
+           'city', users.city
+         )
+         FROM users
+         WHERE users.id = field_data.observer_id
+       ) AS observer,
+       (
+         SELECT json_object(
+           'name', users.name,
+           'email', users.email,
+           'dob', users.dob,
+           'designation', users.designation,
+           'division', users.division,
+           'city', users.city
+         )
+         FROM users
+         WHERE users.id = field_data.deleted_by
+       ) AS deletedBy,
+       (
+         SELECT json_group_array(name)
+         FROM (
+           SELECT tags.name
+           FROM field_data_tags
+           JOIN tags ON tags.id = field_data_tags.tag_id
+           WHERE field_data_tags.field_data_id = field_data.id
+           ORDER BY field_data_tags.position
+         )
+       ) AS tags`;
+
+const SYNC_LOG_COLUMNS = `
+       sync_log.id,
+       sync_log.direction,
+       sync_log.method,
+       sync_log.device_id AS deviceId,
+       sync_log.device_name AS deviceName,
+       sync_log.file_name AS fileName,
+       sync_log.since,
+       sync_log.entry_count AS entryCount,
+       sync_log.added,
+       sync_log.updated,
+       sync_log.duplicates,
+       sync_log.conflicts,
+       sync_log.rejected,
+       sync_log.created_by AS createdBy,
+       users.name AS createdByName,
+       sync_log.created_at AS createdAt`;
+
+function parseJsonColumn(value, fallback) {
+  if (!value) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function resolveImportPath(filePath) {
+  const text = typeof filePath === "string" ? filePath.trim() : "";
+  const resolved = text ? path.resolve(text) : "";
+  // ATTACH creates a missing file, so a typo would import an empty database.
+  if (!resolved || !fs.existsSync(resolved)) {
+    throw new Error("Choose an EcoWatch database file to import");
+  }
+  if (resolved === path.resolve(resolveDatabasePath())) {
+    throw new Error("This is the database EcoWatch is using now");
+  }
+  return resolved;
+}
+
+async function readDeviceIdentity(database, schema = "main") {
+  const rows = await all(
+    database,
+    `SELECT key, value
+     FROM ${schema}.app_state
+     WHERE key IN ('device_id', 'device_name')`
+  );
+  const values = Object.fromEntries(rows.map((row) => [row.key, row.value]));
+  return { id: values.device_id || null, name: values.device_name || null };
+}
+
+// Refuses this install's own data, and data signed with a different key
+// from the one an earlier bundle from the same device was signed with. The
+// device id names the folder imported photos are filed under, so only the
+// UUIDs EcoWatch generates are accepted.
+async function checkImportSource(database, source) {
+  if (typeof source.id !== "string" || !UUID_PATTERN.test(source.id)) {
+    throw new Error("This data has no valid device id and cannot be imported");
+  }
+  const local = await readDeviceIdentity(database);
+  if (source.id === local.id) {
+    throw new Error(
+      "This data was created on this computer. Use Restore to go back to a copy of it"
+    );
+  }
+
+  const known = await get(
+    database,
+    `SELECT public_key AS publicKey, last_imported_at AS lastImportedAt
+     FROM main.devices
+     WHERE id = ?`,
+    [source.id]
+  );
+  if (source.publicKey && known?.publicKey) {
+    if (known.publicKey !== source.publicKey) {
+      throw new Error(
+        `This bundle claims to come from ${
+          source.name || "a known office"
+        } but is signed with a different key from earlier bundles. Check where it came from before importing it`
+      );
+    }
+  }
+  return {
+    ...source,
+    lastImportedAt: known?.lastImportedAt || null,
+    trusted: Boolean(source.publicKey && known?.publicKey),
+  };
+}
+
+// Identifies the attached file and refuses anything that cannot be merged by
+// UUID: other SQLite files, databases from before UUIDs and this install's
+// own database or backups.
+async function inspectAttachedSource(database) {
+  let version = 0;
+  try {
+    const row = await get(
+      database,
+      `SELECT MAX(version) AS version FROM ${IMPORT_SCHEMA}.schema_version`
+    );
+    version = Number(row?.version) || 0;
+  } catch (error) {
+    throw new Error("This file is not an EcoWatch database");
+  }
+  if (version < MIN_IMPORT_SCHEMA_VERSION) {
+    throw new Error(
+      "This database was saved by an older version of EcoWatch. Open it in the current version once to upgrade it, then import it again"
+    );
+  }
+
+  const identity = await readDeviceIdentity(database, IMPORT_SCHEMA);
+  const devices = await all(
+    database,
+    `SELECT id, name FROM ${IMPORT_SCHEMA}.devices`
+  );
+  return checkImportSource(database, { ...identity, devices });
+}
+
+async function loadAttachedEntries(database) {
+  const rows = await all(
+    database,
+    `SELECT ${ATTACHED_ENTRY_COLUMNS}
+     FROM ${IMPORT_SCHEMA}.field_data AS entry
+     LEFT JOIN ${IMPORT_SCHEMA}.species AS species
+       ON species.id = entry.species_id
+     WHERE entry.uuid IS NOT NULL
+     ORDER BY entry.id`
+  );
+  const attachments = await all(
+    database,
+    `SELECT ${ATTACHMENT_COLUMNS}
+     FROM ${IMPORT_SCHEMA}.attachments
+     ORDER BY id`
+  );
+
+  const attachmentsByEntry = new Map();
+  attachments.forEach((attachment) => {
+    const list = attachmentsByEntry.get(attachment.fieldDataId) || [];
+    // Files sit under the attachments folder beside the attached database.
+    list.push({
+      ...attachment,
+      createdAt: toIsoTimestamp(attachment.createdAt),
+      file: attachment.storedPath,
+      thumbnailFile: attachment.thumbnailPath,
+    });
+    attachmentsByEntry.set(attachment.fieldDataId, list);
+  });
+
+  // Another install's file can hold anything, so its rows are checked like
+  // bundle records: { entries, rejected }.
+  return readSyncRecords(
+    rows.map((row) => toSyncRecord(row, attachmentsByEntry.get(row.id) || []))
+  );
+}
+
+// Catalogue ids differ between installs, so incoming entries are linked on
+// the scientific name and then, like a typed entry, on the species text.
+async function resolveImportedSpecies(database, entry, cache) {
+  const key = `${entry.scientificName ?? ""}:${entry.species}`;
+  if (!cache.has(key)) {
+    const linked = entry.scientificName
+      ? await get(
+          database,
+          "SELECT id FROM main.species WHERE scientific_name = ?",
+          [entry.scientificName]
+        )
+      : null;
+    cache.set(
+      key,
+      linked ? linked.id : await resolveSpeciesId(database, entry.species)
+    );
+  }
+  return cache.get(key);
+}
+
+// Rangers are matched on email. Anyone not on this roster yet is added, so
+// imported entries keep the name of the person who recorded them; details
+// that would not pass the roster form leave the entry without a ranger.
+async function resolveImportedUser(database, user, cache) {
+  const email = typeof user?.email === "string" ? user.email.trim() : "";
+  if (!email) {
+    return null;
+  }
+  const key = email.toLowerCase();
+  if (!cache.has(key)) {
+    const existing = await get(
+      database,
+      "SELECT id FROM main.users WHERE email = ?",
+      [email]
+    );
+    let userId = existing?.id ?? null;
+    if (!userId) {
+      try {
+        const values = normaliseUser(user);
+        const statement = await run(
+          database,
+          `INSERT INTO main.users (name, email, dob, designation, division, city)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [
+            values.name,
+            values.email,
+            values.dob,
+            values.designation,
+            values.division,
+            values.city,
+          ]
+        );
+        userId = statement.lastID;
+      } catch (error) {
+        console.warn(`[database] not adding ranger ${email}: ${error.message}`);
+      }
+    }
+    cache.set(key, userId);
+  }
+  return cache.get(key);
+}
+
+function toComparableEntry(entry) {
+  return JSON.stringify([
+    ...Object.keys(REVISION_FIELDS).map((field) => entry[field] ?? null),
+    entry.tags.map((tag) => tag.toLowerCase()),
+    Boolean(entry.deletedAt),
+  ]);
+}
+
+// Pairs every incoming entry with the local entry sharing its UUID and sorts
+// it into new, duplicate (same content) or conflict (edited on one side or
+// both since they last matched).
+async function classifyImportEntries(database, incomingEntries) {
+  const locals = await all(
+    database,
+    `SELECT ${FIELD_DATA_DETAIL_COLUMNS}
+     FROM main.field_data AS field_data
+     WHERE uuid IN (SELECT value FROM json_each(?))`,
+    [JSON.stringify(incomingEntries.map((entry) => entry.uuid))]
+  );
+  const byUuid = new Map(locals.map((row) => [row.uuid, toFieldDataRow(row)]));
+
+  const speciesCache = new Map();
+  const entries = [];
+  for (const entry of incomingEntries) {
+    const incoming = {
+      ...entry,
+      speciesId: await resolveImportedSpecies(database, entry, speciesCache),
+    };
+    const local = byUuid.get(entry.uuid) || null;
+
+    let status = "new";
+    if (local) {
+      status =
+        toComparableEntry(local) === toComparableEntry(incoming)
+          ? "duplicate"
+          : "conflict";
+    }
+    entries.push({
+      incoming,
+      local,
+      status,
+      // Both sides store UTC timestamps in the same format, so they sort as
+      // text.
+      incomingIsNewer: Boolean(
+        local && String(incoming.updatedAt) > String(local.updatedAt)
+      ),
+    });
+  }
+  return entries;
+}
+
+function summariseImport(entries) {
+  const conflicts = entries.filter((item) => item.status === "conflict");
+  return {
+    total: entries.length,
+    toAdd: entries.filter((item) => item.status === "new").length,
+    duplicates: entries.filter((item) => item.status === "duplicate").length,
+    conflicts: conflicts.length,
+    newerConflicts: conflicts.filter((item) => item.incomingIsNewer).length,
+  };
+}
+
+// Stored paths come from another machine and are joined onto this one's
+// attachments folder, so anything that could climb out of it is skipped.
+function isSafeStoredPath(storedPath) {
+  if (typeof storedPath !== "string" || !storedPath) {
+    return false;
+  }
+  const normalised = path.normalize(storedPath);
+  return (
+    !path.isAbsolute(normalised) && !normalised.split(path.sep).includes("..")
+  );
+}
+
+// Imported photos are filed under imported/<device>/, naming the install
+// the file was first stored on, so names can never collide. A photo relayed
+// through another office already carries that prefix and keeps it rather
+// than gaining another, and its path without the prefix identifies it on
+// every install.
+function splitImportedPath(storedPath) {
+  const parts = path.normalize(storedPath).split(path.sep);
+  let device = null;
+  while (parts[0] === "imported" && UUID_PATTERN.test(parts[1] || "")) {
+    device = parts[1];
+    parts.splice(0, 2);
+  }
+  return { device, original: parts.join(path.sep) };
+}
+
+function toImportedPath(storedPath, source) {
+  const { device, original } = splitImportedPath(storedPath);
+  return path.join("imported", device || source.id, original);
+}
+
+// Adds the incoming entry's photo records that this entry does not have yet.
+// The caller copies the files, from `file` in the source to `to`, once the
+// import has committed.
+async function importEntryAttachments(database, recordId, incoming, source) {
+  const existing = await all(
+    database,
+    `SELECT stored_path AS storedPath
+     FROM main.attachments
+     WHERE field_data_id = ?`,
+    [recordId]
+  );
+  const known = new Set(
+    existing.map((row) => splitImportedPath(row.storedPath).original)
+  );
+
+  const files = [];
+  for (const attachment of incoming.attachments) {
+    if (
+      !isSafeStoredPath(attachment.storedPath) ||
+      (attachment.thumbnailPath && !isSafeStoredPath(attachment.thumbnailPath))
+    ) {
+      continue;
+    }
+    const storedPath = toImportedPath(attachment.storedPath, source);
+    const thumbnailPath = attachment.thumbnailPath
+      ? toImportedPath(attachment.thumbnailPath, source)
+      : null;
+    if (
+      !isSafeStoredPath(storedPath) ||
+      (thumbnailPath && !isSafeStoredPath(thumbnailPath))
+    ) {
+      continue;
+    }
+    const { original } = splitImportedPath(attachment.storedPath);
+    if (known.has(original)) {
+      continue;
+    }
+    known.add(original);
+
+    await run(
+      database,
+      `INSERT INTO main.attachments (
+         field_data_id,
+         file_name,
+         mime_type,
+         stored_path,
+         thumbnail_path,
+         size_bytes,
+         original_size_bytes,
+         width,
+         height,
+         captured_at,
+         gps_latitude,
+         gps_longitude,
+         camera,
+         created_at
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        recordId,
+        attachment.fileName,
+        attachment.mimeType,
+        storedPath,
+        thumbnailPath,
+        attachment.sizeBytes,
+        attachment.originalSizeBytes,
+        attachment.width ?? null,
+        attachment.height ?? null,
+        attachment.capturedAt || null,
+        attachment.gpsLatitude ?? null,
+        attachment.gpsLongitude ?? null,
+        attachment.camera || null,
+        attachment.createdAt,
+      ]
+    );
+    files.push({ from: attachment.file, to: storedPath });
+    if (thumbnailPath && attachment.thumbnailFile) {
+      files.push({ from: attachment.thumbnailFile, to: thumbnailPath });
+    }
+  }
+  return files;
+}
+
+// Copies an incoming entry in as it stands, keeping its UUID, timestamps and
+// trash state. Provenance names the install that first recorded it, so an
+// entry that reaches this office through another consolidation still points
+// back to the range office it came from.
+async function insertImportedEntry(database, incoming, source, userCache) {
+  const observerId = await resolveImportedUser(
+    database,
+    incoming.observer,
+    userCache
+  );
+  const deletedBy = await resolveImportedUser(
+    database,
+    incoming.deletedBy,
+    userCache
+  );
+
+  const statement = await run(
+    database,
+    `INSERT INTO main.field_data (
+       latitude,
+       longitude,
+       category,
+       species,
+       age_group,
+       behavior,
+       individual_count,
+       weather,
+       temperature,
+       visibility,
+       notes,
+       priority,
+       tags,
+       observed_at,
+       species_id,
+       observer_id,
+       uuid,
+       source_device,
+       source_record_id,
+       recorded_at,
+       updated_at,
+       deleted_at,
+       deleted_by
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      ...toFieldDataParams(incoming),
+      incoming.speciesId,
+      observerId,
+      incoming.uuid,
+      incoming.sourceDevice || source.id,
+      incoming.sourceDevice ? incoming.sourceRecordId : incoming.id,
+      incoming.recordedAt,
+      incoming.updatedAt,
+      incoming.deletedAt,
+      incoming.deletedAt ? deletedBy : null,
+    ]
+  );
+  await writeFieldDataTags(database, statement.lastID, incoming.tags);
+  await assignEntrySites(
+    database,
+    statement.lastID,
+    incoming.latitude,
+    incoming.longitude
+  );
+  return statement.lastID;
+}
+
+// Overwrites a local entry with the incoming version, recording the local
+// version as a revision first so the change can be rolled back.
+async function replaceWithImportedEntry(database, item, userCache) {
+  const { incoming, local } = item;
+  const deletedBy = await resolveImportedUser(
+    database,
+    incoming.deletedBy,
+    userCache
+  );
+
+  await writeRevision(database, local, "update");
+  const fields = Object.keys(REVISION_FIELDS);
+  await run(
+    database,
+    `UPDATE main.field_data SET
+       ${fields.map((field) => `${REVISION_FIELDS[field]} = ?`).join(",\n       ")},
+       deleted_at = ?,
+       deleted_by = ?,
+       updated_at = ?
+     WHERE id = ?`,
+    [
+      ...fields.map((field) => incoming[field] ?? null),
+      incoming.deletedAt,
+      incoming.deletedAt ? deletedBy : null,
+      incoming.updatedAt,
+      local.id,
+    ]
+  );
+  await writeFieldDataTags(database, local.id, incoming.tags);
+  await assignEntrySites(
+    database,
+    local.id,
+    incoming.latitude ?? null,
+    incoming.longitude ?? null
+  );
+}
+
+function parseConflictPolicy(value) {
+  const policy = value ?? "keep";
+  if (!IMPORT_CONFLICT_POLICIES.includes(policy)) {
+    throw new Error(
+      `Conflicts must be resolved with one of ${IMPORT_CONFLICT_POLICIES.join(
+        ", "
+      )}`
+    );
+  }
+  return policy;
+}
+
+// New entries are added with their provenance and duplicates are left alone.
+// Conflicts keep the local version unless the policy is "newer", in which
+// case whichever side was edited last wins, so merging the same data again
+// changes nothing. Photos come in only with entries that are added or
+// replaced.
+async function mergeImportEntries(database, entries, source, policy) {
+  const userCache = new Map();
+  const files = [];
+  let added = 0;
+  let replaced = 0;
+
+  for (const item of entries) {
+    let recordId = null;
+    if (item.status === "new") {
+      recordId = await insertImportedEntry(
+        database,
+        item.incoming,
+        source,
+        userCache
+      );
+      added += 1;
+    } else if (
+      item.status === "conflict" &&
+      policy === "newer" &&
+      item.incomingIsNewer
+    ) {
+      await replaceWithImportedEntry(database, item, userCache);
+      recordId = item.local.id;
+      replaced += 1;
+    }
+    if (!recordId) {
+      continue;
+    }
+    files.push(
+      ...(await importEntryAttachments(
+        database,
+        recordId,
+        item.incoming,
+        source
+      ))
+    );
+  }
+
+  // Devices the source has imported from are remembered too, so provenance
+  // of relayed entries can still be shown by name.
+  for (const device of source.devices || []) {
+    if (typeof device?.id !== "string" || !UUID_PATTERN.test(device.id)) {
+      continue;
+    }
+    await run(
+      database,
+      "INSERT OR IGNORE INTO main.devices (id, name) VALUES (?, ?)",
+      [device.id, device.name ?? null]
+    );
+  }
+  await run(
+    database,
+    `INSERT INTO main.devices (id, name, public_key, last_imported_at)
+     VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+     ON CONFLICT(id) DO UPDATE SET
+       name = excluded.name,
+       public_key = COALESCE(devices.public_key, excluded.public_key),
+       last_imported_at = CURRENT_TIMESTAMP`,
+    [source.id, source.name, source.publicKey || null]
+  );
+
+  const summary = summariseImport(entries);
+  return {
+    total: summary.total,
+    added,
+    duplicates: summary.duplicates,
+    conflicts: summary.conflicts,
+    replaced,
+    kept: summary.conflicts - replaced,
+    files,
+  };
+}
+
+// `direction` is "import" or "export"; `method` names the transport, such as
+// "database" for an attached file or "bundle" for a sync bundle.
+async function writeSyncLog(database, values) {
+  const createdBy = await getActiveUserId();
+  await run(
+    database,
+    `INSERT INTO main.sync_log (
+       direction,
+       method,
+       device_id,
+       device_name,
+       file_name,
+       since,
+       entry_count,
+       added,
+       updated,
+       duplicates,
+       conflicts,
+       rejected,
+       created_by
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      values.direction,
+      values.method,
+      values.deviceId ?? null,
+      values.deviceName ?? null,
+      values.fileName ?? null,
+      values.since ?? null,
+      values.entryCount ?? 0,
+      values.added ?? 0,
+      values.updated ?? 0,
+      values.duplicates ?? 0,
+      values.conflicts ?? 0,
+      values.rejected ?? 0,
+      createdBy,
+    ]
+  );
+}
+
+async function listSyncLog() {
+  const database = getDatabase();
+  return all(
+    database,
+    `SELECT ${SYNC_LOG_COLUMNS}
+     FROM sync_log
+     LEFT JOIN users ON users.id = sync_log.created_by
+     ORDER BY sync_log.created_at DESC, sync_log.id DESC
+     LIMIT ?`,
+    [SYNC_LOG_LIMIT]
+  );
+}
+
+// Counts what importing another install's database would do without
+// changing anything.
+async function previewDatabaseImport(filePath) {
+  const resolved = resolveImportPath(filePath);
+  return withAttachedDatabase(resolved, async (database) => {
+    const source = await inspectAttachedSource(database);
+    const { entries, rejected } = await loadAttachedEntries(database);
+    const classified = await classifyImportEntries(database, entries);
+    return {
+      fileName: path.basename(resolved),
+      source,
+      ...summariseImport(classified),
+      rejected,
+    };
+  });
+}
+
+// Merges another install's database into this one in a single transaction;
+// see mergeImportEntries. Returns the counts and the photo files the caller
+// must copy from beside the source file.
+async function importDatabase(filePath, options = {}) {
+  const resolved = resolveImportPath(filePath);
+  const policy = parseConflictPolicy(options.conflicts);
+
+  return withAttachedDatabase(resolved, async (database) => {
+    const source = await inspectAttachedSource(database);
+    const { entries, rejected } = await loadAttachedEntries(database);
+    const classified = await classifyImportEntries(database, entries);
+    const result = await mergeImportEntries(
+      database,
+      classified,
+      source,
+      policy
+    );
+    await writeSyncLog(database, {
+      direction: "import",
+      method: "database",
+      deviceId: source.id,
+      deviceName: source.name,
+      fileName: path.basename(resolved),
+      entryCount: result.total + rejected.length,
+      added: result.added,
+      updated: result.replaced,
+      duplicates: result.duplicates,
+      conflicts: result.conflicts,
+      rejected: rejected.length,
+    });
+    return { fileName: path.basename(resolved), source, ...result, rejected };
+  });
+}
+
+function toIsoTimestamp(value) {
+  return value ? `${String(value).replace(" ", "T")}Z` : null;
+}
+
+function readSyncTimestamp(value, label, { required = false } = {}) {
+  if (value === null || value === undefined || value === "") {
+    if (required) {
+      throw new Error(`${label} is missing`);
+    }
+    return null;
+  }
+  const date = new Date(value);
+  if (typeof value !== "string" || Number.isNaN(date.getTime())) {
+    throw new Error(`${label} is not a valid time`);
+  }
+  return toSqlTimestamp(date);
+}
+
+function readSyncAttachment(attachment) {
+  if (
+    !attachment ||
+    typeof attachment.fileName !== "string" ||
+    typeof attachment.mimeType !== "string" ||
+    typeof attachment.file !== "string" ||
+    !Number.isFinite(attachment.sizeBytes)
+  ) {
+    throw new Error("a photo record is incomplete");
+  }
+  return {
+    fileName: attachment.fileName,
+    mimeType: attachment.mimeType,
+    storedPath: attachment.storedPath,
+    thumbnailPath: attachment.thumbnailFile ? attachment.thumbnailPath : null,
+    file: attachment.file,
+    thumbnailFile: attachment.thumbnailFile || null,
+    sizeBytes: attachment.sizeBytes,
+    originalSizeBytes: Number.isFinite(attachment.originalSizeBytes)
+      ? attachment.originalSizeBytes
+      : attachment.sizeBytes,
+    width: Number.isFinite(attachment.width) ? attachment.width : null,
+    height: Number.isFinite(attachment.height) ? attachment.height : null,
+    capturedAt:
+      typeof attachment.capturedAt === "string" ? attachment.capturedAt : null,
+    gpsLatitude: Number.isFinite(attachment.gpsLatitude)
+      ? attachment.gpsLatitude
+      : null,
+    gpsLongitude: Number.isFinite(attachment.gpsLongitude)
+      ? attachment.gpsLongitude
+      : null,
+    camera: typeof attachment.camera === "string" ? attachment.camera : null,
+    createdAt: readSyncTimestamp(attachment.createdAt, "Photo time", {
+      required: true,
+    }),
+  };
+}
+
+// Bundles arrive on USB drives from other offices, so every record passes
+// the same checks as the Field Data form before it is compared. Times travel
+// as ISO 8601 UTC and are stored in the database's own format.
+function readSyncRecord(record) {
+  if (!record || typeof record !== "object") {
+    throw new Error("Record is not an object");
+  }
+  if (typeof record.uuid !== "string" || !UUID_PATTERN.test(record.uuid)) {
+    throw new Error("Record has no valid UUID");
+  }
+  const values = normaliseFieldDataEntry(record);
+  return {
+    ...values,
+    id: Number.isInteger(record.id) ? record.id : null,
+    uuid: record.uuid.toLowerCase(),
+    sourceDevice:
+      typeof record.sourceDevice === "string" ? record.sourceDevice : null,
+    sourceRecordId: Number.isInteger(record.sourceRecordId)
+      ? record.sourceRecordId
+      : null,
+    scientificName:
+      typeof record.scientificName === "string" ? record.scientificName : null,
+    observer: record.observer && typeof record.observer === "object"
+      ? record.observer
+      : null,
+    deletedBy: record.deletedBy && typeof record.deletedBy === "object"
+      ? record.deletedBy
+      : null,
+    recordedAt: readSyncTimestamp(record.recordedAt, "Recorded time", {
+      required: true,
+    }),
+    updatedAt: readSyncTimestamp(record.updatedAt, "Updated time", {
+      required: true,
+    }),
+    deletedAt: readSyncTimestamp(record.deletedAt, "Deleted time"),
+    attachments: (Array.isArray(record.attachments)
+      ? record.attachments
+      : []
+    ).map(readSyncAttachment),
+  };
+}
+
+// Splits incoming records into entries ready to merge and those that failed
+// validation, which are reported and never imported.
+function readSyncRecords(records) {
+  const entries = [];
+  const rejected = [];
+  const seen = new Set();
+  (Array.isArray(records) ? records : []).forEach((record, index) => {
+    try {
+      const entry = readSyncRecord(record);
+      if (seen.has(entry.uuid)) {
+        throw new Error("Record appears twice in the import");
+      }
+      seen.add(entry.uuid);
+      entries.push(entry);
+    } catch (error) {
+      rejected.push({
+        index,
+        uuid: typeof record?.uuid === "string" ? record.uuid : null,
+        species: typeof record?.species === "string" ? record.species : null,
+        message: error.message,
+      });
+    }
+  });
+  return { entries, rejected };
+}
+
+function toSyncRecord(row, attachments) {
+  return {
+    ...row,
+    observedAt: toIsoTimestamp(row.observedAt),
+    recordedAt: toIsoTimestamp(row.recordedAt),
+    updatedAt: toIsoTimestamp(row.updatedAt),
+    deletedAt: toIsoTimestamp(row.deletedAt),
+    observer: parseJsonColumn(row.observer, null),
+    deletedBy: parseJsonColumn(row.deletedBy, null),
+    tags: parseJsonColumn(row.tags, []),
+    attachments,
+  };
+}
+
+// Everything changed since `options.since` (a date read as IST, or every
+// entry when empty), trashed entries included so deletions travel too. An
+// entry also counts as changed when a photo was added to it.
+async function exportSyncEntries(options = {}) {
+  const database = getDatabase();
+  const since = normaliseDateBound(options.since);
+  const device = await readDeviceIdentity(database);
+
+  const rows = await all(
+    database,
+    `SELECT ${SYNC_EXPORT_COLUMNS}
+     FROM field_data
+     LEFT JOIN species ON species.id = field_data.species_id
+     ${
+       since
+         ? `WHERE field_data.updated_at >= ?
+              OR field_data.id IN (
+                SELECT field_data_id FROM attachments WHERE created_at >= ?
+              )`
+         : ""
+     }
+     ORDER BY field_data.id`,
+    since ? [since, since] : []
+  );
+  const attachments = await all(
+    database,
+    `SELECT ${ATTACHMENT_COLUMNS}
+     FROM attachments
+     WHERE field_data_id IN (SELECT value FROM json_each(?))
+     ORDER BY id`,
+    [JSON.stringify(rows.map((row) => row.id))]
+  );
+  const devices = await all(database, "SELECT id, name FROM devices");
+
+  const attachmentsByEntry = new Map();
+  attachments.forEach((attachment) => {
+    const list = attachmentsByEntry.get(attachment.fieldDataId) || [];
+    list.push({
+      fileName: attachment.fileName,
+      mimeType: attachment.mimeType,
+      storedPath: attachment.storedPath,
+      thumbnailPath: attachment.thumbnailPath,
+      sizeBytes: attachment.sizeBytes,
+      originalSizeBytes: attachment.originalSizeBytes,
+      width: attachment.width,
+      height: attachment.height,
+      capturedAt: attachment.capturedAt,
+      gpsLatitude: attachment.gpsLatitude,
+      gpsLongitude: attachment.gpsLongitude,
+      camera: attachment.camera,
+      createdAt: toIsoTimestamp(attachment.createdAt),
+    });
+    attachmentsByEntry.set(attachment.fieldDataId, list);
+  });
+
+  return {
+    device,
+    devices,
+    since: toIsoTimestamp(since),
+    entries: rows.map((row) =>
+      toSyncRecord(row, attachmentsByEntry.get(row.id) || [])
+    ),
+  };
+}
+
+async function recordSyncExport(values = {}) {
+  const since = values.since ? readSyncTimestamp(values.since, "Since") : null;
+  await withTransaction(async (database) => {
+    const device = await readDeviceIdentity(database);
+    await writeSyncLog(database, {
+      ...values,
+      direction: "export",
+      deviceId: device.id,
+      deviceName: device.name,
+      since,
+    });
+  });
+}
+
+// `source` is the signer named in a bundle manifest: { id, name, publicKey,
+// devices }. Nothing is written.
+async function previewSyncEntries(source, records) {
+  const database = getDatabase();
+  const checked = await checkImportSource(database, source);
+  const { entries, rejected } = readSyncRecords(records);
+  const classified = await classifyImportEntries(database, entries);
+  return {
+    source: checked,
+    ...summariseImport(classified),
+    rejected,
+  };
+}
+
+// Merges validated bundle records like a database import and logs the
+// exchange. Returns the photo files to write, keyed by their bundle path.
+async function importSyncEntries(source, records, options = {}) {
+  const policy = parseConflictPolicy(options.conflicts);
+  const { entries, rejected } = readSyncRecords(records);
+
+  return withTransaction(async (database) => {
+    const checked = await checkImportSource(database, source);
+    const classified = await classifyImportEntries(database, entries);
+    const result = await mergeImportEntries(
+      database,
+      classified,
+      checked,
+      policy
+    );
+    await writeSyncLog(database, {
+      direction: "import",
+      method: options.method || "bundle",
+      deviceId: checked.id,
+      deviceName: checked.name,
+      fileName: options.fileName,
+      since: options.since ? readSyncTimestamp(options.since, "Since") : null,
+      entryCount: result.total + rejected.length,
+      added: result.added,
+      updated: result.replaced,
+      duplicates: result.duplicates,
+      conflicts: result.conflicts,
+      rejected: rejected.length,
+    });
+    return { source: checked, ...result, rejected };
+  });
+}
+
+const SYNC_CURSOR_KEY = "sync_cursor";
+const SYNC_SERVER_KEY = "sync_server_id";
+
+async function readAppState(database, key) {
+  const row = await get(database, "SELECT value FROM app_state WHERE key = ?", [
+    key,
+  ]);
+  return row ? row.value : null;
+}
+
+async function writeAppState(database, key, value) {
+  await run(
+    database,
+    `INSERT INTO app_state (key, value, updated_at)
+     VALUES (?, ?, CURRENT_TIMESTAMP)
+     ON CONFLICT(key) DO UPDATE SET
+       value = excluded.value,
+       updated_at = CURRENT_TIMESTAMP`,
+    [key, String(value)]
+  );
+}
+
+async function getDeviceIdentity() {
+  return readDeviceIdentity(getDatabase());
+}
+
+// How far through the division server's change feed this install has read,
+// and which server that was. A different server id means the server was set
+// up afresh or replaced, so nothing it is assumed to hold can be trusted:
+// the feed is read again from the start and every entry is queued again.
+async function getServerSyncState() {
+  const database = getDatabase();
+  const cursor = Number(await readAppState(database, SYNC_CURSOR_KEY)) || 0;
+  const pending = await get(
+    database,
+    "SELECT COUNT(DISTINCT field_data_uuid) AS count FROM sync_outbox"
+  );
+  return {
+    serverId: await readAppState(database, SYNC_SERVER_KEY),
+    cursor,
+    pending: Number(pending?.count) || 0,
+  };
+}
+
+async function resetServerSync(serverId) {
+  return withTransaction(async (database) => {
+    await run(
+      database,
+      `INSERT INTO sync_outbox (field_data_uuid, operation)
+       SELECT uuid, 'update' FROM field_data
+       WHERE uuid IS NOT NULL
+       ORDER BY id`
+    );
+    await writeAppState(database, SYNC_CURSOR_KEY, 0);
+    await writeAppState(database, SYNC_SERVER_KEY, serverId);
+  });
+}
+
+// The oldest queued changes, one per entry, with each entry as it stands now
+// in the sync bundle shape. Photos stay on the laptop; bundles carry them.
+// `outboxId` is the newest queued change the record covers, which is what
+// acknowledgeServerChanges clears up to once the server has it.
+async function listPendingServerChanges(limit = 100) {
+  const database = getDatabase();
+  const device = await readDeviceIdentity(database);
+  const queued = await all(
+    database,
+    `SELECT queued.uuid, queued.outboxId, latest.operation
+     FROM (
+       SELECT field_data_uuid AS uuid,
+              MIN(id) AS firstId,
+              MAX(id) AS outboxId
+       FROM sync_outbox
+       GROUP BY field_data_uuid
+     ) AS queued
+     JOIN sync_outbox AS latest ON latest.id = queued.outboxId
+     ORDER BY queued.firstId
+     LIMIT ?`,
+    [limit]
+  );
+  if (!queued.length) {
+    return [];
+  }
+
+  const rows = await all(
+    database,
+    `SELECT ${SYNC_EXPORT_COLUMNS}
+     FROM field_data
+     LEFT JOIN species ON species.id = field_data.species_id
+     WHERE field_data.uuid IN (SELECT value FROM json_each(?))`,
+    [JSON.stringify(queued.map((item) => item.uuid))]
+  );
+  const byUuid = new Map(rows.map((row) => [row.uuid, row]));
+
+  // Entries are only ever trashed, never removed, so a missing row means the
+  // UUID was replaced (by a merge, say) and there is nothing left to send.
+  return queued.map((item) => {
+    const row = byUuid.get(item.uuid);
+    if (!row) {
+      return { ...item, record: null };
+    }
+    // Every laptop stores its own row ids, so the wire record names the
+    // device and row an entry was first recorded on instead.
+    const { id, ...record } = toSyncRecord(row, []);
+    return {
+      ...item,
+      record: {
+        ...record,
+        sourceDevice: row.sourceDevice || device.id,
+        sourceRecordId: row.sourceDevice ? row.sourceRecordId : id,
+      },
+    };
+  });
+}
+
+async function acknowledgeServerChanges(changes = []) {
+  if (!changes.length) {
+    return;
+  }
+  await withTransaction(async (database) => {
+    for (const change of changes) {
+      await run(
+        database,
+        "DELETE FROM sync_outbox WHERE field_data_uuid = ? AND id <= ?",
+        [change.uuid, change.outboxId]
+      );
+    }
+  });
+}
+
+// Applies changes from the division server, each { device, deviceName,
+// record } where device is the install that made the change. An entry with
+// changes still waiting to be sent keeps the local version when it wins by
+// conflicts.compareVersions, the rule the server applies too; otherwise the
+// server's version is taken as it stands. `options.cursor`, when given, is
+// saved in the same transaction so a failed batch is read again.
+async function applyServerChanges(changes = [], options = {}) {
+  return withTransaction(async (database) => {
+    const local = await readDeviceIdentity(database);
+    const before = await get(
+      database,
+      "SELECT COALESCE(MAX(id), 0) AS id FROM sync_outbox"
+    );
+    const pending = new Set(
+      (
+        await all(
+          database,
+          "SELECT DISTINCT field_data_uuid AS uuid FROM sync_outbox"
+        )
+      ).map((row) => row.uuid)
+    );
+
+    const groups = new Map();
+    changes.forEach((change) => {
+      if (!change || typeof change.device !== "string") {
+        return;
+      }
+      if (change.device === local.id) {
+        return;
+      }
+      const group = groups.get(change.device) || {
+        source: {
+          id: change.device,
+          name:
+            typeof change.deviceName === "string" ? change.deviceName : null,
+        },
+        records: [],
+      };
+      group.records.push(change.record);
+      groups.set(change.device, group);
+    });
+
+    const totals = {
+      total: 0,
+      added: 0,
+      replaced: 0,
+      duplicates: 0,
+      kept: 0,
+      rejected: [],
+    };
+    const replaced = [];
+    for (const { source, records } of groups.values()) {
+      const { entries, rejected } = readSyncRecords(records);
+      const classified = await classifyImportEntries(database, entries);
+      classified.forEach((item) => {
+        if (item.status !== "conflict") {
+          return;
+        }
+        item.incomingIsNewer =
+          !pending.has(item.incoming.uuid) ||
+          compareVersions(
+            { updatedAt: item.incoming.updatedAt, device: source.id },
+            { updatedAt: item.local.updatedAt, device: local.id }
+          ) > 0;
+        if (item.incomingIsNewer) {
+          replaced.push(item.incoming.uuid);
+        }
+      });
+
+      const result = await mergeImportEntries(
+        database,
+        classified,
+        source,
+        "newer"
+      );
+      totals.total += result.total;
+      totals.added += result.added;
+      totals.replaced += result.replaced;
+      totals.duplicates += result.duplicates;
+      totals.kept += result.kept;
+      totals.rejected.push(...rejected);
+    }
+
+    // Applying the changes fired the outbox triggers; sending those rows
+    // would only echo the server's own changes back to it. Local changes to
+    // entries the server's version replaced are superseded too.
+    await run(database, "DELETE FROM sync_outbox WHERE id > ?", [before.id]);
+    await run(
+      database,
+      `DELETE FROM sync_outbox
+       WHERE field_data_uuid IN (SELECT value FROM json_each(?))`,
+      [JSON.stringify(replaced)]
+    );
+
+    if (options.cursor !== undefined) {
+      await writeAppState(
+        database,
+        SYNC_CURSOR_KEY,
+        Number(options.cursor) || 0
+      );
+    }
+    if (totals.added || totals.replaced || totals.rejected.length) {
+      await writeSyncLog(database, {
+        direction: "import",
+        method: "server",
+        deviceName: options.serverName,
+        entryCount: totals.total + totals.rejected.length,
+        added: totals.added,
+        updated: totals.replaced,
+        duplicates: totals.duplicates,
+        conflicts: totals.kept,
+        rejected: totals.rejected.length,
+      });
+    }
+    return totals;
+  });
+}
+
+async function listFieldData(limit = 10) {
+  const { rows } = await queryFieldData({ limit: Number(limit) || 10 });
+  return rows;
+}
+
+async function hasUserProfile() {
+  const database = getDatabase();
+  const row = await get(
+    database,
+    "SELECT 1 AS hasProfile FROM users LIMIT 1"
+  );
+  return Boolean(row);
+}
+
+// VACUUM INTO copies through the live connection, so committed pages still in
+// the WAL are included and readers are not interrupted. It cannot run inside
+// a transaction, so it takes a queue slot of its own and writers wait.
+async function backupDatabaseTo(targetPath) {
+  ensureDirectory(targetPath);
+  await enqueueTransaction(() =>
+    run(getDatabase(), "VACUUM INTO ?", [targetPath])
+  );
+  return targetPath;
+}
+
+async function checkDatabaseIntegrity() {
+  const database = getDatabase();
+  const rows = await all(database, "PRAGMA integrity_check");
+  const messages = rows.map((row) => Object.values(row)[0]);
+  return {
+    ok: messages.length === 1 && messages[0] === "ok",
+    messages,
+  };
+}
+
+// Closes the connection once the transactions queued before it have run.
+// A failed close keeps the handle and rejects, since the connection is still
+// open. `whileClosed` runs in the same queue slot, before any transaction
+// queued later can reopen the file.
+function closeDatabase(whileClosed) {
+  return enqueueTransaction(async () => {
+    if (db) {
+      await new Promise((resolve, reject) => {
+        db.close((error) => {
+          if (error) {
+            reject(error);
+            return;
+          }
+          db = null;
+          resolve();
+        });
+      });
+    }
+    if (whileClosed) {
+      await whileClosed();
+    }
   });
 }
 
@@ -380,8 +4352,62 @@ module.exports = {
   saveUserProfile,
   getUserProfile,
   hasUserProfile,
+  listUsers,
+  getUser,
+  createUser,
+  updateUser,
+  getActiveUser,
+  setActiveUser,
   saveFieldData,
+  getFieldData,
+  updateFieldData,
+  deleteFieldData,
+  restoreFieldData,
+  listFieldDataRevisions,
+  compareFieldDataRevisions,
+  rollbackFieldData,
+  mergeIntoFieldData,
+  findDuplicateClusters,
+  mergeDuplicateEntries,
   listFieldData,
+  queryFieldData,
+  summariseFieldData,
+  searchFieldData,
+  findFieldDataNear,
+  listCoordinateIssues,
+  previewDatabaseImport,
+  importDatabase,
+  exportSyncEntries,
+  recordSyncExport,
+  previewSyncEntries,
+  importSyncEntries,
+  listSyncLog,
+  getDeviceIdentity,
+  getServerSyncState,
+  resetServerSync,
+  listPendingServerChanges,
+  acknowledgeServerChanges,
+  applyServerChanges,
+  listTags,
+  createTag,
+  renameTag,
+  mergeTags,
+  deleteTag,
+  searchSpecies,
+  getSpecies,
+  listUnmatchedSpecies,
+  listSites,
+  importSites,
+  listStoredSettings,
+  saveStoredSettings,
+  insertAttachment,
+  getAttachment,
+  listAttachments,
+  deleteAttachment,
+  recordEnvironmentalSummary,
+  queryEnvironmentHistory,
   getDatabaseFilePath,
+  backupDatabaseTo,
+  checkDatabaseIntegrity,
   closeDatabase,
 };
@@ -0,0 +1,191 @@
+const { haversineDistanceKm } = require("./geo");
+const { normaliseSpeciesName } = require("./species");
+
+// Two sightings of the same species further apart than this in time or
+// distance are treated as separate events however similar they look.
+const DUPLICATE_WINDOW_HOURS = 6;
+const DUPLICATE_RADIUS_KM = 1;
+const DUPLICATE_THRESHOLD = 0.6;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Time carries the most weight because a draft and its final copy are
+// usually saved minutes apart; coordinates and counts confirm the match.
+const WEIGHTS = { time: 0.45, distance: 0.35, count: 0.2 };
+
+class DuplicateObservationError extends Error {
+  constructor(candidates) {
+    super(
+      `This looks like ${
+        candidates.length === 1
+          ? "an entry that already exists"
+          : `${candidates.length} entries that already exist`
+      }`
+    );
+    this.name = "DuplicateObservationError";
+    this.candidates = candidates;
+  }
+}
+
+// SQLite timestamps are stored in UTC without a zone designator.
+function parseSqlTimestamp(value) {
+  if (!value) {
+    return Number.NaN;
+  }
+  return Date.parse(`${String(value).replace(" ", "T")}Z`);
+}
+
+function getObservationTime(entry) {
+  return parseSqlTimestamp(entry.observedAt || entry.recordedAt);
+}
+
+function getSpeciesKey(entry) {
+  if (entry.speciesId) {
+    return `species:${entry.speciesId}`;
+  }
+  const name = normaliseSpeciesName(entry.species);
+  return name ? `text:${name}` : "";
+}
+
+function hasCoordinates(entry) {
+  return Number.isFinite(entry.latitude) && Number.isFinite(entry.longitude);
+}
+
+// Returns null when the pair cannot be the same sighting, otherwise a score
+// between 0 and 1 with the distances it was based on. Missing coordinates or
+// counts neither prove nor rule out a match and score halfway.
+function scoreDuplicate(a, b) {
+  const key = getSpeciesKey(a);
+  if (!key || key !== getSpeciesKey(b)) {
+    return null;
+  }
+
+  const hoursApart =
+    Math.abs(getObservationTime(a) - getObservationTime(b)) / HOUR_MS;
+  if (!Number.isFinite(hoursApart) || hoursApart > DUPLICATE_WINDOW_HOURS) {
+    return null;
+  }
+
+  let distanceKm = null;
+  let distanceScore = 0.5;
+  if (hasCoordinates(a) && hasCoordinates(b)) {
+    distanceKm = haversineDistanceKm(
+      a.latitude,
+      a.longitude,
+      b.latitude,
+      b.longitude
+    );
+    if (distanceKm > DUPLICATE_RADIUS_KM) {
+      return null;
+    }
+    distanceScore = 1 - distanceKm / DUPLICATE_RADIUS_KM;
+  }
+
+  let countScore = 0.5;
+  const countA = Number(a.individualCount);
+  const countB = Number(b.individualCount);
+  if (
+    a.individualCount !== null &&
+    a.individualCount !== undefined &&
+    b.individualCount !== null &&
+    b.individualCount !== undefined &&
+    Number.isFinite(countA) &&
+    Number.isFinite(countB)
+  ) {
+    const larger = Math.max(countA, countB);
+    countScore = larger === 0 ? 1 : Math.min(countA, countB) / larger;
+  }
+
+  const score =
+    WEIGHTS.time * (1 - hoursApart / DUPLICATE_WINDOW_HOURS) +
+    WEIGHTS.distance * distanceScore +
+    WEIGHTS.count * countScore;
+
+  return {
+    score: Math.round(score * 100) / 100,
+    minutesApart: Math.round(hoursApart * 60),
+    distanceKm:
+      distanceKm === null ? null : Math.round(distanceKm * 1000) / 1000,
+  };
+}
+
+// Best matches first, keeping only those above the threshold.
+function findDuplicateCandidates(entry, rows) {
+  return rows
+    .map((row) => ({ id: row.id, match: scoreDuplicate(entry, row) }))
+    .filter(({ match }) => match && match.score >= DUPLICATE_THRESHOLD)
+    .sort((a, b) => b.match.score - a.match.score);
+}
+
+// Groups rows into clusters of likely duplicates. Rows are compared only with
+// later rows of the same species inside the time window, and any matching
+// pair joins their clusters, so a chain of near-identical entries ends up
+// together even if its first and last members are hours apart.
+function clusterDuplicates(rows) {
+  const sorted = rows
+    .map((row) => ({
+      row,
+      key: getSpeciesKey(row),
+      time: getObservationTime(row),
+    }))
+    .filter((item) => item.key && Number.isFinite(item.time))
+    .sort((a, b) =>
+      a.key === b.key ? a.time - b.time : a.key.localeCompare(b.key)
+    );
+
+  const parent = new Map(sorted.map(({ row }) => [row.id, row.id]));
+  const find = (id) => {
+    let root = id;
+    while (parent.get(root) !== root) {
+      root = parent.get(root);
+    }
+    parent.set(id, root);
+    return root;
+  };
+  const bestScore = new Map();
+
+  for (let i = 0; i < sorted.length; i += 1) {
+    for (let j = i + 1; j < sorted.length; j += 1) {
+      if (
+        sorted[j].key !== sorted[i].key ||
+        sorted[j].time - sorted[i].time > DUPLICATE_WINDOW_HOURS * HOUR_MS
+      ) {
+        break;
+      }
+      const match = scoreDuplicate(sorted[i].row, sorted[j].row);
+      if (!match || match.score < DUPLICATE_THRESHOLD) {
+        continue;
+      }
+      const rootA = find(sorted[i].row.id);
+      const rootB = find(sorted[j].row.id);
+      const score = Math.max(
+        match.score,
+        bestScore.get(rootA) ?? 0,
+        bestScore.get(rootB) ?? 0
+      );
+      parent.set(rootB, rootA);
+      bestScore.set(rootA, score);
+    }
+  }
+
+  const clusters = new Map();
+  sorted.forEach(({ row }) => {
+    const root = find(row.id);
+    if (!clusters.has(root)) {
+      clusters.set(root, []);
+    }
+    clusters.get(root).push(row.id);
+  });
+
+  return Array.from(clusters.entries())
+    .filter(([, ids]) => ids.length > 1)
+    .map(([root, ids]) => ({ ids, score: bestScore.get(root) ?? 0 }))
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  DUPLICATE_WINDOW_HOURS,
+  DuplicateObservationError,
+  findDuplicateCandidates,
+  clusterDuplicates,
+};
@@ -0,0 +1,158 @@
+const { ValidationError } = require("./validation");
+const { DuplicateObservationError } = require("./duplicates");
+
+// Every failure a page can be told about has one of these codes. `message`
+// is always safe to show a ranger and says what went wrong; the page adds
+// what to do about it (src/js/bridge.js). `retryable` says whether trying
+// again unchanged may work.
+const ERROR_CODES = {
+  invalid_request: {
+    retryable: false,
+    message: "EcoWatch could not read that request.",
+  },
+  invalid_input: {
+    retryable: false,
+    message: "Some fields need attention.",
+  },
+  duplicate: {
+    retryable: false,
+    message: "This looks like an entry that already exists.",
+  },
+  rejected: {
+    retryable: false,
+    message: "That could not be done.",
+  },
+  not_configured: {
+    retryable: false,
+    message: "This needs to be set up first.",
+  },
+  database_busy: {
+    retryable: true,
+    message: "The database is busy with another task.",
+  },
+  database_damaged: {
+    retryable: false,
+    message: "The database file is damaged.",
+  },
+  storage_full: {
+    retryable: false,
+    message: "The disk is full.",
+  },
+  storage_error: {
+    retryable: true,
+    message: "EcoWatch could not read or write its files.",
+  },
+  file_not_found: {
+    retryable: false,
+    message: "The file could not be found. It may have been moved or deleted.",
+  },
+  permission_denied: {
+    retryable: false,
+    message: "EcoWatch is not allowed to use that file or folder.",
+  },
+  offline: {
+    retryable: true,
+    message: "The service could not be reached.",
+  },
+  service_auth: {
+    retryable: false,
+    message: "The service refused the saved key or token.",
+  },
+  service_unavailable: {
+    retryable: true,
+    message: "The service is not answering right now.",
+  },
+  internal: {
+    retryable: false,
+    message: "Something went wrong in EcoWatch.",
+  },
+};
+
+// For failures whose cause is known where they happen, such as a service
+// answering 401. `field` names the input or setting to fix, when there is one.
+class AppError extends Error {
+  constructor(code, message, { field = null, retryable } = {}) {
+    super(
+      message || ERROR_CODES[code]?.message || ERROR_CODES.internal.message
+    );
+    this.name = "AppError";
+    this.code = ERROR_CODES[code] ? code : "internal";
+    this.field = field;
+    this.retryable = retryable ?? ERROR_CODES[this.code].retryable;
+  }
+}
+
+// node-sqlite3 reports the primary result code; Node reports errno names.
+const SYSTEM_ERROR_CODES = {
+  SQLITE_BUSY: "database_busy",
+  SQLITE_LOCKED: "database_busy",
+  SQLITE_CORRUPT: "database_damaged",
+  SQLITE_NOTADB: "database_damaged",
+  SQLITE_FULL: "storage_full",
+  SQLITE_IOERR: "storage_error",
+  SQLITE_CANTOPEN: "storage_error",
+  SQLITE_READONLY: "permission_denied",
+  ENOSPC: "storage_full",
+  ENOENT: "file_not_found",
+  EACCES: "permission_denied",
+  EPERM: "permission_denied",
+  EBUSY: "storage_error",
+  EMFILE: "storage_error",
+  EIO: "storage_error",
+};
+
+function fromCode(code, extra = {}) {
+  return {
+    code,
+    message: ERROR_CODES[code].message,
+    field: null,
+    retryable: ERROR_CODES[code].retryable,
+    ...extra,
+  };
+}
+
+// Turns anything thrown by a handler into { code, message, field, retryable }
+// plus the details a page needs for validation and duplicate errors.
+//
+// A plain Error with no code is one of EcoWatch's own refusals ("Choose a
+// database to import first") and its message is shown as it is. Anything
+// else, such as a SQLite or file system error or a bug, gets the message for
+// its code so raw text like "SQLITE_BUSY" never reaches a page.
+function describeError(error) {
+  if (error instanceof AppError) {
+    return {
+      code: error.code,
+      message: error.message,
+      field: error.field,
+      retryable: error.retryable,
+    };
+  }
+  if (error instanceof ValidationError) {
+    return fromCode("invalid_input", {
+      message: error.message,
+      field: error.fields[0]?.field ?? null,
+      fieldErrors: error.fields,
+    });
+  }
+  if (error instanceof DuplicateObservationError) {
+    return fromCode("duplicate", {
+      message: error.message,
+      duplicates: error.candidates,
+    });
+  }
+
+  const systemCode = SYSTEM_ERROR_CODES[error?.code];
+  if (systemCode) {
+    return fromCode(systemCode);
+  }
+  if (error?.constructor === Error && !error.code && error.message) {
+    return fromCode("rejected", { message: error.message });
+  }
+  return fromCode("internal");
+}
+
+module.exports = {
+  ERROR_CODES,
+  AppError,
+  describeError,
+};
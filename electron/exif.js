@@ -0,0 +1,225 @@
+const TAGS = {
+  make: 0x010f,
+  model: 0x0110,
+  dateTime: 0x0132,
+  exifPointer: 0x8769,
+  gpsPointer: 0x8825,
+  dateTimeOriginal: 0x9003,
+  offsetTimeOriginal: 0x9011,
+  gpsLatitudeRef: 0x0001,
+  gpsLatitude: 0x0002,
+  gpsLongitudeRef: 0x0003,
+  gpsLongitude: 0x0004,
+};
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+function findExifSegment(buffer) {
+  if (buffer.length < 4 || buffer.readUInt16BE(0) !== 0xffd8) {
+    return null;
+  }
+
+  let offset = 2;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null;
+    }
+    const marker = buffer[offset + 1];
+    // Start of scan: image data follows and no more metadata segments.
+    if (marker === 0xda) {
+      return null;
+    }
+    const length = buffer.readUInt16BE(offset + 2);
+    const start = offset + 4;
+    if (
+      marker === 0xe1 &&
+      start + 6 <= buffer.length &&
+      buffer.toString("latin1", start, start + 6) === "Exif\0\0"
+    ) {
+      const end = Math.min(buffer.length, offset + 2 + length);
+      return buffer.subarray(start + 6, end);
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+function createReader(tiff) {
+  const byteOrder = tiff.toString("latin1", 0, 2);
+  if (byteOrder !== "II" && byteOrder !== "MM") {
+    return null;
+  }
+  const little = byteOrder === "II";
+  const fits = (offset, size) => offset >= 0 && offset + size <= tiff.length;
+
+  return {
+    fits,
+    uint16: (offset) =>
+      little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset),
+    uint32: (offset) =>
+      little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset),
+    int32: (offset) =>
+      little ? tiff.readInt32LE(offset) : tiff.readInt32BE(offset),
+    ascii: (offset, length) =>
+      tiff
+        .toString("latin1", offset, offset + length)
+        .replace(/\0[\s\S]*$/, "")
+        .trim(),
+  };
+}
+
+function readIfd(reader, ifdOffset) {
+  const entries = new Map();
+  if (!reader.fits(ifdOffset, 2)) {
+    return entries;
+  }
+
+  const count = reader.uint16(ifdOffset);
+  for (let index = 0; index < count; index += 1) {
+    const entryOffset = ifdOffset + 2 + index * 12;
+    if (!reader.fits(entryOffset, 12)) {
+      break;
+    }
+
+    const tag = reader.uint16(entryOffset);
+    const type = reader.uint16(entryOffset + 2);
+    const valueCount = reader.uint32(entryOffset + 4);
+    const size = (TYPE_SIZES[type] || 0) * valueCount;
+    if (!size) {
+      continue;
+    }
+    const valueOffset =
+      size <= 4 ? entryOffset + 8 : reader.uint32(entryOffset + 8);
+    if (!reader.fits(valueOffset, size)) {
+      continue;
+    }
+
+    entries.set(tag, { type, count: valueCount, offset: valueOffset });
+  }
+  return entries;
+}
+
+function readValue(reader, entry) {
+  if (!entry) {
+    return null;
+  }
+
+  switch (entry.type) {
+    case 2:
+      return reader.ascii(entry.offset, entry.count);
+    case 3:
+      return reader.uint16(entry.offset);
+    case 4:
+      return reader.uint32(entry.offset);
+    case 5:
+    case 10: {
+      const values = [];
+      for (let index = 0; index < entry.count; index += 1) {
+        const offset = entry.offset + index * 8;
+        const read = entry.type === 5 ? reader.uint32 : reader.int32;
+        const denominator = read(offset + 4);
+        values.push(denominator ? read(offset) / denominator : Number.NaN);
+      }
+      return values;
+    }
+    default:
+      return null;
+  }
+}
+
+function toDecimalDegrees(parts, reference, negative) {
+  if (!Array.isArray(parts) || parts.length < 3) {
+    return null;
+  }
+  const [degrees, minutes, seconds] = parts;
+  const value = degrees + minutes / 60 + seconds / 3600;
+  if (!Number.isFinite(value)) {
+    return null;
+  }
+  const signed = reference === negative ? -value : value;
+  return Number(signed.toFixed(7));
+}
+
+function toIsoLocalTime(value) {
+  const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(
+    value || ""
+  );
+  if (!match || match[1] === "0000") {
+    return null;
+  }
+  const [, year, month, day, hour, minute, second] = match;
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}`;
+}
+
+// Reads the GPS position, capture time and camera details from a JPEG's
+// EXIF block. Only the leading segments are inspected, so callers may pass
+// the first few hundred kilobytes of a file instead of the whole image.
+// Returns null when the data is not a JPEG or carries no EXIF block.
+function readExifMetadata(buffer) {
+  if (!Buffer.isBuffer(buffer)) {
+    return null;
+  }
+
+  try {
+    const tiff = findExifSegment(buffer);
+    const reader = tiff ? createReader(tiff) : null;
+    if (!reader || !reader.fits(4, 4)) {
+      return null;
+    }
+
+    const ifd0 = readIfd(reader, reader.uint32(4));
+    const exifPointer = readValue(reader, ifd0.get(TAGS.exifPointer));
+    const gpsPointer = readValue(reader, ifd0.get(TAGS.gpsPointer));
+    const exifIfd = exifPointer ? readIfd(reader, exifPointer) : new Map();
+    const gpsIfd = gpsPointer ? readIfd(reader, gpsPointer) : new Map();
+
+    let latitude = toDecimalDegrees(
+      readValue(reader, gpsIfd.get(TAGS.gpsLatitude)),
+      readValue(reader, gpsIfd.get(TAGS.gpsLatitudeRef)),
+      "S"
+    );
+    let longitude = toDecimalDegrees(
+      readValue(reader, gpsIfd.get(TAGS.gpsLongitude)),
+      readValue(reader, gpsIfd.get(TAGS.gpsLongitudeRef)),
+      "W"
+    );
+    // Cameras without a fix often write zeros rather than omitting the tags.
+    if (
+      latitude === null ||
+      longitude === null ||
+      Math.abs(latitude) > 90 ||
+      Math.abs(longitude) > 180 ||
+      (latitude === 0 && longitude === 0)
+    ) {
+      latitude = null;
+      longitude = null;
+    }
+
+    const capturedAt = toIsoLocalTime(
+      readValue(reader, exifIfd.get(TAGS.dateTimeOriginal)) ||
+        readValue(reader, ifd0.get(TAGS.dateTime))
+    );
+    const offset = readValue(reader, exifIfd.get(TAGS.offsetTimeOriginal));
+    const make = readValue(reader, ifd0.get(TAGS.make)) || "";
+    const model = readValue(reader, ifd0.get(TAGS.model)) || "";
+    const camera =
+      make && model && !model.toLowerCase().startsWith(make.toLowerCase())
+        ? `${make} ${model}`
+        : model || make;
+
+    return {
+      latitude,
+      longitude,
+      capturedAt,
+      capturedOffset: /^[+-]\d{2}:\d{2}$/.test(offset || "") ? offset : null,
+      camera: camera || null,
+    };
+  } catch (error) {
+    console.warn("[exif] failed to read metadata:", error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  readExifMetadata,
+};
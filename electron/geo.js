@@ -0,0 +1,234 @@
+const EARTH_RADIUS_KM = 6371.0088;
+
+const COORDINATE_LIMITS = {
+  latitude: { min: -90, max: 90, positive: "N", negative: "S" },
+  longitude: { min: -180, max: 180, positive: "E", negative: "W" },
+};
+
+function toRadians(value) {
+  return (value * Math.PI) / 180;
+}
+
+function parseDegrees(text) {
+  const dms = text.match(
+    /^(\d+(?:\.\d+)?)\s*[°\s]\s*(\d+(?:\.\d+)?)?\s*['′]?\s*(\d+(?:\.\d+)?)?\s*["″]?$/
+  );
+  if (dms && (dms[2] !== undefined || /°/.test(text))) {
+    const degrees = Number(dms[1]);
+    const minutes = Number(dms[2] || 0);
+    const seconds = Number(dms[3] || 0);
+    if (minutes >= 60 || seconds >= 60) {
+      return null;
+    }
+    return degrees + minutes / 60 + seconds / 3600;
+  }
+
+  if (!/^[+-]?\d+(?:\.\d+)?$/.test(text)) {
+    return null;
+  }
+  return Number(text);
+}
+
+function parseCoordinate(value, axis) {
+  const limits = COORDINATE_LIMITS[axis];
+  if (!limits) {
+    throw new Error(`Unknown coordinate axis: ${axis}`);
+  }
+
+  if (value === null || value === undefined || value === "") {
+    return { value: null, error: null };
+  }
+
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) {
+      return { value: null, error: "not a number" };
+    }
+    if (value < limits.min || value > limits.max) {
+      return { value: null, error: `outside ${limits.min} to ${limits.max}` };
+    }
+    return { value, error: null };
+  }
+
+  let text = String(value).trim().toUpperCase().replace(/,/g, ".");
+  if (!text) {
+    return { value: null, error: null };
+  }
+
+  let sign = 1;
+  const hemisphere = text.match(/^([NSEW])\s*|\s*([NSEW])$/);
+  if (hemisphere) {
+    const letter = hemisphere[1] || hemisphere[2];
+    if (letter !== limits.positive && letter !== limits.negative) {
+      return { value: null, error: `hemisphere ${letter} is not valid here` };
+    }
+    sign = letter === limits.negative ? -1 : 1;
+    text = text.replace(hemisphere[0], "").trim();
+  }
+
+  if (text.startsWith("-")) {
+    sign *= -1;
+    text = text.slice(1).trim();
+  } else if (text.startsWith("+")) {
+    text = text.slice(1).trim();
+  }
+
+  const degrees = parseDegrees(text);
+  if (degrees === null || !Number.isFinite(degrees)) {
+    return { value: null, error: "not a number" };
+  }
+
+  const result = sign * degrees;
+  if (result < limits.min || result > limits.max) {
+    return { value: null, error: `outside ${limits.min} to ${limits.max}` };
+  }
+
+  return { value: Number(result.toFixed(7)), error: null };
+}
+
+function haversineDistanceKm(fromLat, fromLon, toLat, toLon) {
+  const dLat = toRadians(toLat - fromLat);
+  const dLon = toRadians(toLon - fromLon);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(fromLat)) *
+      Math.cos(toRadians(toLat)) *
+      Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+function boundingBoxAround(latitude, longitude, radiusKm) {
+  const latDelta = (radiusKm / EARTH_RADIUS_KM) * (180 / Math.PI);
+  const cosLat = Math.cos(toRadians(latitude));
+  const lonDelta = cosLat < 1e-6 ? 180 : Math.min(180, latDelta / cosLat);
+
+  return {
+    minLat: Math.max(-90, latitude - latDelta),
+    maxLat: Math.min(90, latitude + latDelta),
+    minLon: Math.max(-180, longitude - lonDelta),
+    maxLon: Math.min(180, longitude + lonDelta),
+  };
+}
+
+// GeoJSON rings are [longitude, latitude] pairs. Returns the polygons of a
+// Polygon or MultiPolygon as arrays of rings, or throws for anything else.
+function toPolygonList(geometry) {
+  if (geometry?.type === "Polygon") {
+    return [geometry.coordinates];
+  }
+  if (geometry?.type === "MultiPolygon") {
+    return geometry.coordinates;
+  }
+  throw new Error(
+    `Expected a Polygon or MultiPolygon, got ${geometry?.type || "nothing"}`
+  );
+}
+
+function validatePolygonGeometry(geometry) {
+  const polygons = toPolygonList(geometry);
+  if (!Array.isArray(polygons) || !polygons.length) {
+    throw new Error("Polygon has no coordinates");
+  }
+  polygons.forEach((rings) => {
+    if (!Array.isArray(rings) || !rings.length) {
+      throw new Error("Polygon has no rings");
+    }
+    rings.forEach((ring) => {
+      if (!Array.isArray(ring) || ring.length < 4) {
+        throw new Error("Polygon rings need at least four positions");
+      }
+      ring.forEach((position) => {
+        const [lon, lat] = Array.isArray(position) ? position : [];
+        if (
+          !Number.isFinite(lon) ||
+          !Number.isFinite(lat) ||
+          Math.abs(lon) > 180 ||
+          Math.abs(lat) > 90
+        ) {
+          throw new Error("Polygon contains an invalid position");
+        }
+      });
+    });
+  });
+  return geometry;
+}
+
+function geometryBounds(geometry) {
+  const bounds = {
+    minLat: Infinity,
+    maxLat: -Infinity,
+    minLon: Infinity,
+    maxLon: -Infinity,
+  };
+  toPolygonList(geometry).forEach(([outer]) => {
+    outer.forEach(([lon, lat]) => {
+      bounds.minLat = Math.min(bounds.minLat, lat);
+      bounds.maxLat = Math.max(bounds.maxLat, lat);
+      bounds.minLon = Math.min(bounds.minLon, lon);
+      bounds.maxLon = Math.max(bounds.maxLon, lon);
+    });
+  });
+  return bounds;
+}
+
+// Even-odd ray casting. Points exactly on an edge may fall either way, which
+// is well inside the accuracy of a handheld GPS fix.
+function pointInRing(latitude, longitude, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+    const [lonI, latI] = ring[i];
+    const [lonJ, latJ] = ring[j];
+    if (
+      latI > latitude !== latJ > latitude &&
+      longitude < ((lonJ - lonI) * (latitude - latI)) / (latJ - latI) + lonI
+    ) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function pointInPolygon(latitude, longitude, geometry) {
+  return toPolygonList(geometry).some(
+    ([outer, ...holes]) =>
+      pointInRing(latitude, longitude, outer) &&
+      !holes.some((hole) => pointInRing(latitude, longitude, hole))
+  );
+}
+
+// Shoelace formula on an equirectangular projection centred on each ring.
+// Good to a percent or so at the size of a forest range, which is all the
+// area is used for: ordering overlapping sites from most to least specific.
+function ringAreaKm2(ring) {
+  const meanLat =
+    ring.reduce((sum, [, lat]) => sum + lat, 0) / Math.max(ring.length, 1);
+  const kmPerDegLat = (Math.PI / 180) * EARTH_RADIUS_KM;
+  const kmPerDegLon = kmPerDegLat * Math.cos(toRadians(meanLat));
+  let twiceArea = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+    twiceArea +=
+      ring[j][0] * kmPerDegLon * (ring[i][1] * kmPerDegLat) -
+      ring[i][0] * kmPerDegLon * (ring[j][1] * kmPerDegLat);
+  }
+  return Math.abs(twiceArea) / 2;
+}
+
+function polygonAreaKm2(geometry) {
+  return toPolygonList(geometry).reduce(
+    (total, [outer, ...holes]) =>
+      total +
+      ringAreaKm2(outer) -
+      holes.reduce((sum, hole) => sum + ringAreaKm2(hole), 0),
+    0
+  );
+}
+
+module.exports = {
+  COORDINATE_LIMITS,
+  parseCoordinate,
+  haversineDistanceKm,
+  boundingBoxAround,
+  validatePolygonGeometry,
+  geometryBounds,
+  pointInPolygon,
+  polygonAreaKm2,
+};
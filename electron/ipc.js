@@ -0,0 +1,302 @@
+const { ipcMain } = require("electron");
+const { AppError, describeError } = require("./errors");
+
+// The contract between the pages and the main process: what each channel
+// accepts and what it resolves to. electron/preload.js exposes the same
+// channels to the pages.
+//
+// Every channel answers { ok: true, data } where data has the `result`
+// shape, or { ok: false, error, code, field, retryable } as described in
+// electron/errors.js, with fieldErrors or duplicates added for those codes.
+//
+// `payload` lists the keys a channel reads and their types; a trailing "?"
+// marks a key that may be left out, null or empty. Keys not listed, such as
+// the fields of an entry, go through to the handler, which checks them
+// itself. A channel without a payload ignores anything sent.
+const FIELD_DATA_FILTERS = {
+  trash: "boolean?",
+  category: "list?",
+  priority: "list?",
+  species: "text?",
+  observerId: "id?",
+  speciesId: "id?",
+  siteId: "id?",
+  tags: "list?",
+  from: "text?",
+  to: "text?",
+  bounds: "object?",
+};
+
+const PROFILE_FIELDS = {
+  name: "text?",
+  email: "text?",
+  dob: "text?",
+  designation: "text?",
+  division: "text?",
+  city: "text?",
+};
+
+const CHANNELS = {
+  "userProfile:get": { result: "the active ranger's profile, or null" },
+  "userProfile:save": {
+    payload: { id: "id?", ...PROFILE_FIELDS },
+    result: "the saved profile",
+  },
+  "users:list": { result: "{ users, activeUserId }" },
+  "users:create": { payload: PROFILE_FIELDS, result: "the new ranger" },
+  "users:switch": { payload: { id: "id" }, result: "the active ranger" },
+
+  "fieldData:create": {
+    payload: { allowDuplicates: "boolean?" },
+    result: "the saved entry",
+  },
+  "fieldData:get": { payload: { id: "id" }, result: "the entry" },
+  "fieldData:update": {
+    payload: { id: "id", entry: "object" },
+    result: "the updated entry",
+  },
+  "fieldData:delete": { payload: { id: "id" }, result: "the trashed entry" },
+  "fieldData:restore": { payload: { id: "id" }, result: "the entry" },
+  "fieldData:revisions": {
+    payload: { id: "id" },
+    result: "the entry's revisions, newest first",
+  },
+  "fieldData:compare": {
+    payload: { id: "id", from: "revision?", to: "revision?" },
+    result: "{ id, from, to, changes }",
+  },
+  "fieldData:rollback": {
+    payload: { id: "id", revision: "revision" },
+    result: "the entry as rolled back",
+  },
+  "fieldData:merge": {
+    payload: { id: "id", entry: "object" },
+    result: "the entry merged into",
+  },
+  "fieldData:duplicates": { result: "clusters of likely duplicates" },
+  "fieldData:mergeDuplicates": {
+    payload: { targetId: "id", sourceIds: "ids" },
+    result: "the entry kept",
+  },
+  "fieldData:list": {
+    payload: { limit: "integer?" },
+    result: "the newest entries",
+  },
+  "fieldData:query": {
+    payload: {
+      ...FIELD_DATA_FILTERS,
+      sortBy: "text?",
+      sortDirection: "text?",
+      limit: "integer?",
+      offset: "integer?",
+    },
+    result: "{ rows, total, limit, offset, nextOffset }",
+  },
+  "fieldData:search": {
+    payload: { query: "text?", limit: "integer?", offset: "integer?" },
+    result: "{ rows, total, limit, offset, nextOffset }",
+  },
+  "fieldData:near": {
+    payload: {
+      ...FIELD_DATA_FILTERS,
+      latitude: "number",
+      longitude: "number",
+      radiusKm: "number?",
+      limit: "integer?",
+    },
+    result: "entries within the radius, nearest first",
+  },
+  "fieldData:summary": {
+    payload: { ...FIELD_DATA_FILTERS, limit: "integer?" },
+    result: "totals and breakdowns for the matching entries",
+  },
+  "fieldData:coordinateIssues": {
+    result: "entries whose coordinates need checking",
+  },
+
+  "attachments:inspect": {
+    payload: { data: "binary" },
+    result: "what the photo's metadata says",
+  },
+  "attachments:add": {
+    payload: { fieldDataId: "id", files: "array" },
+    result: "the stored attachments",
+  },
+  "attachments:list": {
+    payload: { fieldDataId: "id" },
+    result: "the entry's attachments with thumbnails",
+  },
+  "attachments:delete": {
+    payload: { id: "id" },
+    result: "the removed attachment",
+  },
+  "attachments:open": { payload: { id: "id" }, result: "null" },
+
+  "tags:list": { result: "tags with usage counts" },
+  "tags:create": { payload: { name: "text?" }, result: "the tag" },
+  "tags:rename": {
+    payload: { id: "id", name: "text?" },
+    result: "the renamed tag",
+  },
+  "tags:merge": {
+    payload: { sourceIds: "ids", targetId: "id" },
+    result: "the tag kept",
+  },
+  "tags:delete": { payload: { id: "id" }, result: "the removed tag" },
+
+  "species:search": {
+    payload: { query: "text?", limit: "integer?" },
+    result: "matching species",
+  },
+  "species:get": { payload: { id: "id" }, result: "the species" },
+  "species:unmatched": {
+    result: "species names with no checklist match",
+  },
+
+  "sites:list": { result: "protected areas and sites" },
+  "sites:import": { result: "the import summary, or { canceled }" },
+
+  "consolidation:preview": {
+    result: "what importing the chosen database would do, or { canceled }",
+  },
+  "consolidation:import": {
+    payload: { conflicts: "text?" },
+    result: "the import summary",
+  },
+
+  "sync:exportBundle": {
+    payload: { since: "text?" },
+    result: "the export summary, or { canceled }",
+  },
+  "sync:previewBundle": {
+    result: "what importing the chosen bundle would do, or { canceled }",
+  },
+  "sync:importBundle": {
+    payload: { conflicts: "text?" },
+    result: "the import summary",
+  },
+  "sync:log": { result: "the sync history, newest first" },
+  "sync:status": { result: "the division server sync status" },
+  "sync:run": { result: "what the sync sent and received" },
+
+  "settings:get": { result: "every setting with its value and source" },
+  "settings:set": {
+    payload: { values: "object" },
+    result: "every setting after saving",
+  },
+
+  "backup:status": {
+    result: "the schedule and the fields .env pins, backups and last check",
+  },
+  "backup:create": { result: "the new backup" },
+  "backup:delete": {
+    payload: { fileName: "text" },
+    result: "the removed backup",
+  },
+  "backup:integrityCheck": { result: "the integrity report" },
+  "backup:restore": {
+    payload: { fileName: "text?" },
+    result: "{ restored } with the restore details",
+  },
+
+  "environment:summary": {
+    payload: { city: "text?" },
+    result: "weather, air quality, alerts and earthquakes",
+  },
+  "environment:history": {
+    payload: { city: "text?", from: "text?", to: "text?", limit: "integer?" },
+    result: "stored environmental readings",
+  },
+};
+
+function isBlank(value) {
+  return value === undefined || value === null || value === "";
+}
+
+function isId(value) {
+  return (
+    (Number.isInteger(value) && value > 0) ||
+    (typeof value === "string" && /^[1-9]\d*$/.test(value.trim()))
+  );
+}
+
+const TYPE_CHECKS = {
+  id: isId,
+  ids: (value) => Array.isArray(value) && value.every(isId),
+  text: (value) => typeof value === "string",
+  list: (value) =>
+    typeof value === "string" ||
+    (Array.isArray(value) && value.every((item) => typeof item === "string")),
+  number: (value) =>
+    Number.isFinite(typeof value === "string" ? Number(value) : value),
+  integer: (value) =>
+    Number.isInteger(typeof value === "string" ? Number(value) : value),
+  boolean: (value) => typeof value === "boolean",
+  revision: (value) => value === "current" || isId(value),
+  object: (value) =>
+    typeof value === "object" && value !== null && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+  binary: (value) => ArrayBuffer.isView(value) || value instanceof ArrayBuffer,
+};
+
+// Pages build these payloads themselves, so a mismatch is a bug in the page
+// rather than something the ranger typed; the log gets the detail.
+function checkPayload(channel, payload) {
+  const rules = CHANNELS[channel].payload;
+  if (!rules) {
+    return {};
+  }
+  if (isBlank(payload)) {
+    payload = {};
+  }
+  if (!TYPE_CHECKS.object(payload)) {
+    console.warn(`[ipc] ${channel}: payload should be an object, got`, payload);
+    throw new AppError("invalid_request", null);
+  }
+
+  Object.entries(rules).forEach(([key, rule]) => {
+    const optional = rule.endsWith("?");
+    const type = optional ? rule.slice(0, -1) : rule;
+    const value = payload[key];
+    if (isBlank(value) ? optional : TYPE_CHECKS[type](value)) {
+      return;
+    }
+    console.warn(
+      `[ipc] ${channel}: ${key} should be ${
+        optional ? "an optional " : ""
+      }${type}, got`,
+      value
+    );
+    throw new AppError("invalid_request", null, { field: key });
+  });
+  return payload;
+}
+
+// Rejected input is the ranger's to fix and a bad payload was logged when
+// it was checked, so neither is logged again as a failure.
+const QUIET_ERROR_CODES = ["invalid_request", "invalid_input", "duplicate"];
+
+// Registers `handler(payload, event)` for a channel in the contract. The
+// handler returns its result or throws; the reply to the page is built here.
+function handle(channel, handler) {
+  if (!CHANNELS[channel]) {
+    throw new Error(`${channel} is not in the IPC contract`);
+  }
+  ipcMain.handle(channel, async (event, payload) => {
+    try {
+      const data = await handler(checkPayload(channel, payload), event);
+      return { ok: true, data: data ?? null };
+    } catch (error) {
+      const { message, ...details } = describeError(error);
+      if (!QUIET_ERROR_CODES.includes(details.code)) {
+        console.error(`[ipc] ${channel} failed:`, error);
+      }
+      return { ok: false, error: message, ...details };
+    }
+  });
+}
+
+module.exports = {
+  CHANNELS,
+  handle,
+};
@@ -1,19 +1,95 @@
 const path = require("path");
 const fs = require("fs");
+const { fileURLToPath } = require("url");
 const dotenv = require("dotenv");
-const { app, BrowserWindow, ipcMain } = require("electron");
+const { app, BrowserWindow, ipcMain, dialog, shell } = require("electron");
 const {
   initDatabase,
   saveUserProfile,
   hasUserProfile,
   closeDatabase,
   getUserProfile,
+  listUsers,
+  createUser,
+  getActiveUser,
+  setActiveUser,
   saveFieldData,
+  getFieldData,
+  updateFieldData,
+  deleteFieldData,
+  restoreFieldData,
+  listFieldDataRevisions,
+  compareFieldDataRevisions,
+  rollbackFieldData,
+  mergeIntoFieldData,
+  findDuplicateClusters,
+  mergeDuplicateEntries,
   listFieldData,
+  queryFieldData,
+  summariseFieldData,
+  searchFieldData,
+  findFieldDataNear,
+  listCoordinateIssues,
+  previewDatabaseImport,
+  importDatabase,
+  listSyncLog,
+  listTags,
+  createTag,
+  renameTag,
+  mergeTags,
+  deleteTag,
+  searchSpecies,
+  getSpecies,
+  listUnmatchedSpecies,
+  listSites,
+  importSites,
+  recordEnvironmentalSummary,
+  queryEnvironmentHistory,
 } = require("./db");
+const { MigrationError } = require("./migrations");
+const { handle } = require("./ipc");
+const {
+  inspectPhoto,
+  addAttachments,
+  listAttachmentsWithThumbnails,
+  removeAttachment,
+  copyImportedAttachments,
+  getAttachmentFilePath,
+} = require("./attachments");
+const {
+  BUNDLE_EXTENSION,
+  exportBundle,
+  previewBundle,
+  importBundle,
+} = require("./bundles");
+const {
+  syncNow,
+  startSyncScheduler,
+  stopSyncScheduler,
+  getSyncStatus,
+} = require("./sync");
+const {
+  getBackupStatus,
+  importLegacyBackupSettings,
+  pruneBackups,
+  createBackup,
+  deleteBackup,
+  resolveBackupPath,
+  restoreBackup,
+  runIntegrityCheck,
+  startBackupScheduler,
+  stopBackupScheduler,
+} = require("./backup");
+const {
+  loadSettings,
+  describeSettings,
+  updateSettings,
+  onSettingsChange,
+} = require("./settings");
 const {
   startDailyDigestScheduler,
   stopDailyDigestScheduler,
+  restartDailyDigestScheduler,
 } = require("../src/notification/scheduler");
 const { collectEnvironmentalSummary } = require("../src/notification/api");
 
@@ -83,6 +159,31 @@ function mirrorEnvToUserData(sourcePath) {
 const envFilePath = loadEnvironmentConfiguration();
 
 let mainWindow;
+let migrationWarnings = [];
+
+const PAGE_DIRECTORY = path.join(__dirname, "../src/page");
+
+// The preload hands every page window.ecowatch, so the window may only show
+// EcoWatch's own pages. A link in imported or fetched text that points
+// anywhere else goes nowhere, and no page may open further windows.
+function restrictNavigation(contents) {
+  contents.on("will-navigate", (event, url) => {
+    let target = null;
+    try {
+      target = url.startsWith("file:") ? fileURLToPath(url) : null;
+    } catch (error) {
+      target = null;
+    }
+    if (!target || path.dirname(target) !== PAGE_DIRECTORY) {
+      console.warn("[window] blocked navigation to", url);
+      event.preventDefault();
+    }
+  });
+  contents.setWindowOpenHandler(({ url }) => {
+    console.warn("[window] blocked new window for", url);
+    return { action: "deny" };
+  });
+}
 
 async function createWindow() {
   const isFirstRun = !(await hasUserProfile());
@@ -93,10 +194,10 @@ async function createWindow() {
     minHeight: 800,
     icon: path.join(__dirname, "../src/assets/logo.ico"),
     webPreferences: {
-      contextIsolation: false,
-      nodeIntegration: true,
-      enableRemoteModule: true,
-      sandbox: false,
+      preload: path.join(__dirname, "preload.js"),
+      contextIsolation: true,
+      nodeIntegration: false,
+      sandbox: true,
       devTools: process.env.NODE_ENV === "development",
       autoplayPolicy: "document-user-activation-required",
     },
@@ -107,9 +208,10 @@ async function createWindow() {
   mainWindow.once("ready-to-show", () => {
     mainWindow.show();
   });
+  restrictNavigation(mainWindow.webContents);
 
   const entryFile = isFirstRun ? "login.html" : "dashboard.html";
-  await mainWindow.loadFile(path.join(__dirname, "../src/page", entryFile));
+  await mainWindow.loadFile(path.join(PAGE_DIRECTORY, entryFile));
 
   mainWindow.on("closed", () => {
     mainWindow = null;
@@ -118,76 +220,437 @@ async function createWindow() {
 
 app.whenReady().then(async () => {
   try {
-    await initDatabase();
+    const migration = await initDatabase();
+    await loadSettings();
+    await importLegacyBackupSettings();
+    if (migration?.warnings?.length) {
+      migration.warnings.forEach((warning) =>
+        console.warn(`[database] ${warning}`)
+      );
+      migrationWarnings = migration.warnings;
+    }
   } catch (error) {
     console.error("[database] initialization failed:", error);
+    if (error instanceof MigrationError) {
+      const backupNote = error.backupPath
+        ? `\n\nA copy of your data taken before the upgrade is stored at:\n${error.backupPath}`
+        : "";
+      dialog.showErrorBox(
+        "EcoWatch could not upgrade its database",
+        `${error.message}\n\nChanges from the failed step were rolled back.${backupNote}`
+      );
+      app.quit();
+      return;
+    }
   }
 
   mirrorEnvToUserData(envFilePath);
 
   startDailyDigestScheduler();
+  startBackupScheduler();
+  startSyncScheduler();
+  onSettingsChange(({ keys }) => {
+    if (keys.some((key) => key.startsWith("digest"))) {
+      restartDailyDigestScheduler();
+    }
+    if (keys.some((key) => key.startsWith("sync"))) {
+      startSyncScheduler();
+    }
+    if (keys.some((key) => key.startsWith("backup"))) {
+      startBackupScheduler();
+      pruneBackups().catch((error) => {
+        console.error("[backup] failed to remove expired backups:", error);
+      });
+    }
+  });
 
   await createWindow();
+
+  if (migrationWarnings.length && mainWindow) {
+    const count = migrationWarnings.length;
+    dialog.showMessageBox(mainWindow, {
+      type: "warning",
+      title: "Database upgrade notes",
+      message: `The database upgrade finished with ${count} ${
+        count === 1 ? "record" : "records"
+      } that need attention.`,
+      detail: `${migrationWarnings.slice(0, 10).join("\n")}${
+        count > 10 ? `\n…and ${count - 10} more.` : ""
+      }\n\nThe original values are kept and the entries can be corrected from the Field Data page.`,
+    });
+  }
+});
+
+handle("userProfile:save", async (payload) => {
+  return saveUserProfile(payload);
+});
+
+handle("userProfile:get", async () => {
+  return getUserProfile();
+});
+
+handle("users:list", async () => {
+  const [users, activeUser] = await Promise.all([listUsers(), getActiveUser()]);
+  return { users, activeUserId: activeUser?.id ?? null };
+});
+
+handle("users:create", async (payload) => {
+  return createUser(payload);
+});
+
+handle("users:switch", async (payload) => {
+  return setActiveUser(payload.id);
+});
+
+handle("fieldData:create", async (payload) => {
+  return saveFieldData(payload, {
+    allowDuplicates: payload.allowDuplicates === true,
+  });
+});
+
+handle("fieldData:get", async (options) => {
+  return getFieldData(options.id);
+});
+
+handle("fieldData:update", async (payload) => {
+  return updateFieldData(payload.id, payload.entry);
+});
+
+handle("fieldData:delete", async (payload) => {
+  return deleteFieldData(payload.id);
+});
+
+handle("fieldData:restore", async (payload) => {
+  return restoreFieldData(payload.id);
+});
+
+handle("fieldData:revisions", async (payload) => {
+  return listFieldDataRevisions(payload.id);
+});
+
+handle("fieldData:compare", async (payload) => {
+  return compareFieldDataRevisions(payload);
+});
+
+handle("fieldData:rollback", async (payload) => {
+  return rollbackFieldData(payload);
+});
+
+handle("fieldData:merge", async (payload) => {
+  return mergeIntoFieldData(payload.id, payload.entry);
+});
+
+handle("fieldData:duplicates", async () => {
+  return findDuplicateClusters();
+});
+
+handle("fieldData:mergeDuplicates", async (payload) => {
+  return mergeDuplicateEntries(payload);
+});
+
+// The contract lets numeric strings through; listFieldData converts them.
+handle("fieldData:list", async (options) => {
+  return listFieldData(options.limit);
+});
+
+handle("fieldData:query", async (options) => {
+  return queryFieldData(options);
+});
+
+handle("fieldData:search", async (options) => {
+  return searchFieldData(options);
+});
+
+handle("fieldData:near", async (options) => {
+  return findFieldDataNear(options);
+});
+
+handle("fieldData:summary", async (options) => {
+  return summariseFieldData(options);
+});
+
+handle("fieldData:coordinateIssues", async () => {
+  return listCoordinateIssues();
+});
+
+handle("attachments:add", async (payload) => {
+  return addAttachments(payload.fieldDataId, payload.files);
+});
+
+handle("tags:list", async () => {
+  return listTags();
+});
+
+handle("tags:create", async (payload) => {
+  return createTag(payload.name);
+});
+
+handle("tags:rename", async (payload) => {
+  return renameTag(payload.id, payload.name);
+});
+
+handle("tags:merge", async (payload) => {
+  return mergeTags(payload.sourceIds, payload.targetId);
+});
+
+handle("tags:delete", async (payload) => {
+  return deleteTag(payload.id);
+});
+
+handle("species:search", async (payload) => {
+  return searchSpecies(payload);
+});
+
+handle("species:get", async (payload) => {
+  return getSpecies(payload.id);
+});
+
+handle("species:unmatched", async () => {
+  return listUnmatchedSpecies();
 });
 
-ipcMain.handle("userProfile:save", async (_event, payload) => {
+handle("sites:list", async () => {
+  return listSites();
+});
+
+handle("sites:import", async (_payload, event) => {
+  const ownerWindow = BrowserWindow.fromWebContents(event.sender);
+  const selection = await dialog.showOpenDialog(ownerWindow, {
+    title: "Import site boundaries",
+    properties: ["openFile"],
+    filters: [{ name: "GeoJSON", extensions: ["geojson", "json"] }],
+  });
+  if (selection.canceled || !selection.filePaths.length) {
+    return { canceled: true };
+  }
+
+  const sourcePath = selection.filePaths[0];
+  let collection;
   try {
-    const profile = await saveUserProfile(payload);
-    return { ok: true, data: profile };
+    collection = JSON.parse(fs.readFileSync(sourcePath, "utf8"));
   } catch (error) {
-    console.error("[database] failed to save user profile:", error);
-    return { ok: false, error: error.message };
+    throw new Error(`${path.basename(sourcePath)} is not valid JSON`);
   }
+
+  return importSites(collection, path.basename(sourcePath));
 });
 
-ipcMain.handle("userProfile:get", async () => {
-  try {
-    const profile = await getUserProfile();
-    return { ok: true, data: profile };
-  } catch (error) {
-    console.error("[database] failed to load user profile:", error);
-    return { ok: false, error: error.message };
+// The file chosen for a preview is kept here, so the import that follows
+// merges exactly the file that was previewed rather than a path from the page.
+let pendingImportPath = null;
+
+handle("consolidation:preview", async (_payload, event) => {
+  const ownerWindow = BrowserWindow.fromWebContents(event.sender);
+  const selection = await dialog.showOpenDialog(ownerWindow, {
+    title: "Import another EcoWatch database",
+    properties: ["openFile"],
+    filters: [{ name: "SQLite database", extensions: ["sqlite", "db"] }],
+  });
+  if (selection.canceled || !selection.filePaths.length) {
+    return { canceled: true };
   }
+
+  const sourcePath = selection.filePaths[0];
+  const preview = await previewDatabaseImport(sourcePath);
+  pendingImportPath = sourcePath;
+  return preview;
 });
 
-ipcMain.handle("fieldData:create", async (_event, payload) => {
-  try {
-    const saved = await saveFieldData(payload);
-    return { ok: true, data: saved };
-  } catch (error) {
-    console.error("[database] failed to save field data:", error);
-    return { ok: false, error: error.message };
+handle("consolidation:import", async (payload) => {
+  if (!pendingImportPath) {
+    throw new Error("Choose a database to import first");
   }
+  const { files, ...result } = await importDatabase(pendingImportPath, {
+    conflicts: payload.conflicts,
+  });
+  const photos = await copyImportedAttachments(pendingImportPath, files);
+  pendingImportPath = null;
+  return { ...result, photos };
 });
 
-ipcMain.handle("fieldData:list", async (_event, options = {}) => {
-  try {
-    const limit =
-      typeof options?.limit === "number" ? options.limit : undefined;
-    const rows = await listFieldData(limit);
-    return { ok: true, data: rows };
-  } catch (error) {
-    console.error("[database] failed to list field data:", error);
-    return { ok: false, error: error.message };
+// Same as pendingImportPath, for the sync bundle chosen for a preview.
+let pendingBundlePath = null;
+
+function formatBundleDate(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+handle("sync:exportBundle", async (payload, event) => {
+  const ownerWindow = BrowserWindow.fromWebContents(event.sender);
+  const selection = await dialog.showSaveDialog(ownerWindow, {
+    title: "Export sync bundle",
+    defaultPath: `ecowatch-${formatBundleDate()}.${BUNDLE_EXTENSION}`,
+    filters: [
+      { name: "EcoWatch sync bundle", extensions: [BUNDLE_EXTENSION] },
+    ],
+  });
+  if (selection.canceled || !selection.filePath) {
+    return { canceled: true };
   }
+
+  return exportBundle(selection.filePath, { since: payload.since });
 });
 
-ipcMain.handle("environment:summary", async (_event, options = {}) => {
-  try {
-    let targetCity = (options?.city || "").trim();
-    if (!targetCity) {
-      const profile = await getUserProfile();
-      if (profile?.city) {
-        targetCity = profile.city;
-      }
+handle("sync:previewBundle", async (_payload, event) => {
+  const ownerWindow = BrowserWindow.fromWebContents(event.sender);
+  const selection = await dialog.showOpenDialog(ownerWindow, {
+    title: "Import sync bundle",
+    properties: ["openFile"],
+    filters: [
+      { name: "EcoWatch sync bundle", extensions: [BUNDLE_EXTENSION] },
+    ],
+  });
+  if (selection.canceled || !selection.filePaths.length) {
+    return { canceled: true };
+  }
+
+  const bundlePath = selection.filePaths[0];
+  const preview = await previewBundle(bundlePath);
+  pendingBundlePath = bundlePath;
+  return preview;
+});
+
+handle("sync:importBundle", async (payload) => {
+  if (!pendingBundlePath) {
+    throw new Error("Choose a sync bundle to import first");
+  }
+  const result = await importBundle(pendingBundlePath, {
+    conflicts: payload.conflicts,
+  });
+  pendingBundlePath = null;
+  return result;
+});
+
+handle("sync:log", async () => {
+  return listSyncLog();
+});
+
+handle("sync:status", async () => {
+  return getSyncStatus();
+});
+
+handle("sync:run", async () => {
+  return syncNow();
+});
+
+handle("attachments:inspect", async (payload) => {
+  return inspectPhoto(payload.data);
+});
+
+handle("attachments:list", async (options) => {
+  return listAttachmentsWithThumbnails(options.fieldDataId);
+});
+
+handle("attachments:delete", async (payload) => {
+  return removeAttachment(payload.id);
+});
+
+handle("attachments:open", async (payload) => {
+  const filePath = await getAttachmentFilePath(payload.id);
+  const failure = await shell.openPath(filePath);
+  if (failure) {
+    throw new Error(failure);
+  }
+  return null;
+});
+
+handle("settings:get", async () => {
+  return describeSettings();
+});
+
+handle("settings:set", async (payload) => {
+  return updateSettings(payload.values);
+});
+
+handle("backup:status", async () => {
+  return getBackupStatus();
+});
+
+handle("backup:create", async () => {
+  return createBackup("manual");
+});
+
+handle("backup:delete", async (payload) => {
+  return deleteBackup(payload.fileName);
+});
+
+handle("backup:integrityCheck", async () => {
+  return runIntegrityCheck();
+});
+
+// Restoring replaces every record, so the confirmation is shown by the main
+// process rather than trusted to the page that asked for it.
+handle("backup:restore", async (payload, event) => {
+  const ownerWindow = BrowserWindow.fromWebContents(event.sender);
+  let sourcePath;
+  if (payload.fileName) {
+    sourcePath = resolveBackupPath(payload.fileName);
+  } else {
+    const selection = await dialog.showOpenDialog(ownerWindow, {
+      title: "Restore EcoWatch database",
+      properties: ["openFile"],
+      filters: [{ name: "SQLite database", extensions: ["sqlite", "db"] }],
+    });
+    if (selection.canceled || !selection.filePaths.length) {
+      return { restored: false };
+    }
+    sourcePath = selection.filePaths[0];
+  }
+
+  const { response } = await dialog.showMessageBox(ownerWindow, {
+    type: "warning",
+    buttons: ["Cancel", "Restore"],
+    defaultId: 0,
+    cancelId: 0,
+    title: "Restore database",
+    message: `Replace all current records with ${path.basename(
+      sourcePath
+    )}?`,
+    detail:
+      "A copy of the current database is saved to the backups folder first. Photo files are not affected.",
+  });
+  if (response !== 1) {
+    return { restored: false };
+  }
+
+  const result = await restoreBackup(sourcePath);
+  // Settings are stored in the database, so the restored copy brings its own
+  // and the schedulers that read them start over with those values.
+  await loadSettings();
+  restartDailyDigestScheduler();
+  startBackupScheduler();
+  startSyncScheduler();
+  return { restored: true, ...result };
+});
+
+handle("environment:summary", async (options) => {
+  let targetCity = (options.city || "").trim();
+  if (!targetCity) {
+    const profile = await getUserProfile();
+    if (profile?.city) {
+      targetCity = profile.city;
     }
+  }
 
-    const summary = await collectEnvironmentalSummary(targetCity);
-    return { ok: true, data: summary };
+  const summary = await collectEnvironmentalSummary(targetCity);
+  try {
+    await recordEnvironmentalSummary(summary);
   } catch (error) {
-    console.error("[environment] failed to collect summary:", error);
-    return { ok: false, error: error.message };
+    console.error("[environment] failed to store summary:", error);
+  }
+  return summary;
+});
+
+handle("environment:history", async (options) => {
+  let targetCity = (options.city || "").trim();
+  if (!targetCity) {
+    const profile = await getUserProfile();
+    if (profile?.city) {
+      targetCity = profile.city;
+    }
   }
+
+  return queryEnvironmentHistory({ ...options, city: targetCity });
 });
 
 ipcMain.handle("window-control", (event, action) => {
@@ -226,6 +689,8 @@ app.on("window-all-closed", () => {
 
 app.on("before-quit", () => {
   stopDailyDigestScheduler();
+  stopBackupScheduler();
+  stopSyncScheduler();
   closeDatabase().catch((error) => {
     console.error("[database] failed to close cleanly:", error);
   });
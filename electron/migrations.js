@@ -0,0 +1,933 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { exec, run, get, all } = require("./sqlite");
+const { parseCoordinate } = require("./geo");
+const { parseTagList } = require("./tags");
+
+const FIELD_DATA_FTS_TRIGGERS = `
+  CREATE TRIGGER IF NOT EXISTS field_data_fts_insert
+  AFTER INSERT ON field_data BEGIN
+    INSERT INTO field_data_fts (rowid, species, notes, behavior, tags)
+    VALUES (new.id, new.species, new.notes, new.behavior, new.tags);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS field_data_fts_delete
+  AFTER DELETE ON field_data BEGIN
+    INSERT INTO field_data_fts (field_data_fts, rowid, species, notes, behavior, tags)
+    VALUES ('delete', old.id, old.species, old.notes, old.behavior, old.tags);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS field_data_fts_update
+  AFTER UPDATE OF species, notes, behavior, tags ON field_data BEGIN
+    INSERT INTO field_data_fts (field_data_fts, rowid, species, notes, behavior, tags)
+    VALUES ('delete', old.id, old.species, old.notes, old.behavior, old.tags);
+    INSERT INTO field_data_fts (rowid, species, notes, behavior, tags)
+    VALUES (new.id, new.species, new.notes, new.behavior, new.tags);
+  END;`;
+
+const FIELD_DATA_RTREE_TRIGGERS = `
+  CREATE TRIGGER IF NOT EXISTS field_data_rtree_insert
+  AFTER INSERT ON field_data
+  WHEN new.latitude IS NOT NULL AND new.longitude IS NOT NULL BEGIN
+    INSERT INTO field_data_rtree (id, min_lat, max_lat, min_lon, max_lon)
+    VALUES (new.id, new.latitude, new.latitude, new.longitude, new.longitude);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS field_data_rtree_update
+  AFTER UPDATE OF latitude, longitude ON field_data BEGIN
+    DELETE FROM field_data_rtree WHERE id = old.id;
+    INSERT INTO field_data_rtree (id, min_lat, max_lat, min_lon, max_lon)
+    SELECT new.id, new.latitude, new.latitude, new.longitude, new.longitude
+    WHERE new.latitude IS NOT NULL AND new.longitude IS NOT NULL;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS field_data_rtree_delete
+  AFTER DELETE ON field_data BEGIN
+    DELETE FROM field_data_rtree WHERE id = old.id;
+  END;`;
+
+// Every change to an entry queues its UUID for the division server. Saves
+// and edits always set updated_at and moving to the trash sets deleted_at;
+// renaming, merging or deleting a tag sets updated_at on the entries that
+// carry it, since tag names are part of the synced record. Refreshing the
+// species link alone queues nothing.
+const FIELD_DATA_OUTBOX_TRIGGERS = `
+  CREATE TRIGGER IF NOT EXISTS field_data_outbox_insert
+  AFTER INSERT ON field_data
+  WHEN new.uuid IS NOT NULL BEGIN
+    INSERT INTO sync_outbox (field_data_uuid, operation)
+    VALUES (new.uuid, 'create');
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS field_data_outbox_update
+  AFTER UPDATE OF updated_at, deleted_at ON field_data
+  WHEN new.uuid IS NOT NULL BEGIN
+    INSERT INTO sync_outbox (field_data_uuid, operation)
+    VALUES (
+      new.uuid,
+      CASE
+        WHEN new.deleted_at IS NOT NULL AND old.deleted_at IS NULL
+          THEN 'delete'
+        ELSE 'update'
+      END
+    );
+  END;`;
+
+async function rebuildFieldDataWithNumericCoordinates(database) {
+  const rows = await all(
+    database,
+    "SELECT id, latitude, longitude FROM field_data"
+  );
+
+  await exec(
+    database,
+    `CREATE TABLE field_data_next (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      recorded_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      latitude REAL CHECK (latitude IS NULL OR latitude BETWEEN -90 AND 90),
+      longitude REAL CHECK (longitude IS NULL OR longitude BETWEEN -180 AND 180),
+      category TEXT,
+      species TEXT NOT NULL,
+      age_group TEXT,
+      behavior TEXT,
+      individual_count INTEGER,
+      weather TEXT,
+      temperature REAL,
+      visibility TEXT,
+      notes TEXT,
+      priority TEXT,
+      tags TEXT
+    );
+
+    INSERT INTO field_data_next (
+      id, recorded_at, updated_at, category, species, age_group, behavior,
+      individual_count, weather, temperature, visibility, notes, priority, tags
+    )
+    SELECT
+      id, recorded_at, updated_at, category, species, age_group, behavior,
+      individual_count, weather, temperature, visibility, notes, priority, tags
+    FROM field_data;
+
+    DELETE FROM sqlite_sequence WHERE name = 'field_data_next';
+    INSERT INTO sqlite_sequence (name, seq)
+      SELECT 'field_data_next', seq FROM sqlite_sequence WHERE name = 'field_data';`
+  );
+
+  const issues = [];
+  for (const row of rows) {
+    const latitude = parseCoordinate(row.latitude, "latitude");
+    const longitude = parseCoordinate(row.longitude, "longitude");
+
+    if (latitude.value !== null && longitude.value !== null) {
+      await run(
+        database,
+        "UPDATE field_data_next SET latitude = ?, longitude = ? WHERE id = ?",
+        [latitude.value, longitude.value, row.id]
+      );
+      continue;
+    }
+
+    const hasText =
+      String(row.latitude ?? "").trim() || String(row.longitude ?? "").trim();
+    if (!hasText) {
+      continue;
+    }
+
+    let reason = "latitude and longitude must both be present";
+    if (latitude.error) {
+      reason = `latitude ${latitude.error}`;
+    } else if (longitude.error) {
+      reason = `longitude ${longitude.error}`;
+    }
+    issues.push({ ...row, reason });
+  }
+
+  await exec(
+    database,
+    `DROP TABLE field_data;
+    ALTER TABLE field_data_next RENAME TO field_data;
+
+    CREATE INDEX IF NOT EXISTS idx_field_data_recorded_at
+      ON field_data (recorded_at);
+
+    ${FIELD_DATA_FTS_TRIGGERS}
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS field_data_rtree USING rtree(
+      id,
+      min_lat,
+      max_lat,
+      min_lon,
+      max_lon
+    );
+
+    ${FIELD_DATA_RTREE_TRIGGERS}
+
+    INSERT INTO field_data_rtree (id, min_lat, max_lat, min_lon, max_lon)
+      SELECT id, latitude, latitude, longitude, longitude
+      FROM field_data
+      WHERE latitude IS NOT NULL AND longitude IS NOT NULL;
+
+    CREATE TABLE IF NOT EXISTS coordinate_issues (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      field_data_id INTEGER NOT NULL REFERENCES field_data (id) ON DELETE CASCADE,
+      latitude_text TEXT,
+      longitude_text TEXT,
+      reason TEXT NOT NULL,
+      detected_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );`
+  );
+
+  for (const issue of issues) {
+    await run(
+      database,
+      `INSERT INTO coordinate_issues (field_data_id, latitude_text, longitude_text, reason)
+       VALUES (?, ?, ?, ?)`,
+      [issue.id, issue.latitude, issue.longitude, issue.reason]
+    );
+  }
+
+  return {
+    warnings: issues.map(
+      (issue) =>
+        `Field entry ${issue.id}: could not read coordinates "${
+          issue.latitude ?? ""
+        }, ${issue.longitude ?? ""}" (${issue.reason})`
+    ),
+  };
+}
+
+const DEFAULT_TAGS = [
+  "Endangered Species",
+  "Human-Wildlife Conflict",
+  "Habitat Degradation",
+  "Research Priority",
+];
+
+// Splits the comma-separated tags column into the tags and field_data_tags
+// tables. field_data.tags stays behind as a read-only copy of the names so the
+// full-text index keeps matching on them; db.js rewrites it on every change.
+async function normaliseFieldDataTags(database) {
+  await exec(
+    database,
+    `CREATE TABLE IF NOT EXISTS tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL COLLATE NOCASE UNIQUE,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS field_data_tags (
+      field_data_id INTEGER NOT NULL
+        REFERENCES field_data (id) ON DELETE CASCADE,
+      tag_id INTEGER NOT NULL REFERENCES tags (id) ON DELETE CASCADE,
+      position INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (field_data_id, tag_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_field_data_tags_tag
+      ON field_data_tags (tag_id);`
+  );
+
+  for (const name of DEFAULT_TAGS) {
+    await run(database, "INSERT OR IGNORE INTO tags (name) VALUES (?)", [
+      name,
+    ]);
+  }
+
+  const rows = await all(
+    database,
+    "SELECT id, tags FROM field_data WHERE TRIM(COALESCE(tags, '')) <> ''"
+  );
+
+  for (const row of rows) {
+    const names = parseTagList(row.tags);
+    for (const [position, name] of names.entries()) {
+      await run(database, "INSERT OR IGNORE INTO tags (name) VALUES (?)", [
+        name,
+      ]);
+      await run(
+        database,
+        `INSERT OR IGNORE INTO field_data_tags (field_data_id, tag_id, position)
+         SELECT ?, id, ? FROM tags WHERE name = ?`,
+        [row.id, position, name]
+      );
+    }
+  }
+
+  await run(
+    database,
+    `UPDATE field_data SET tags = (
+       SELECT group_concat(name, ', ')
+       FROM (
+         SELECT tags.name
+         FROM field_data_tags
+         JOIN tags ON tags.id = field_data_tags.tag_id
+         WHERE field_data_tags.field_data_id = field_data.id
+         ORDER BY field_data_tags.position
+       )
+     )
+     WHERE TRIM(COALESCE(tags, '')) <> ''`
+  );
+}
+
+// Gives every entry a UUID that survives being copied to another install,
+// and this install an id of its own, so consolidating range office databases
+// can recognise records it has already merged.
+async function addRecordIdentity(database) {
+  await exec(
+    database,
+    `ALTER TABLE field_data ADD COLUMN uuid TEXT;
+    ALTER TABLE field_data ADD COLUMN source_device TEXT;
+    ALTER TABLE field_data ADD COLUMN source_record_id INTEGER;
+
+    CREATE TABLE IF NOT EXISTS devices (
+      id TEXT PRIMARY KEY,
+      name TEXT,
+      last_imported_at DATETIME
+    );`
+  );
+
+  const rows = await all(database, "SELECT id FROM field_data");
+  for (const row of rows) {
+    await run(database, "UPDATE field_data SET uuid = ? WHERE id = ?", [
+      crypto.randomUUID(),
+      row.id,
+    ]);
+  }
+
+  await exec(
+    database,
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_field_data_uuid
+      ON field_data (uuid);`
+  );
+  await run(
+    database,
+    `INSERT OR IGNORE INTO app_state (key, value)
+     VALUES ('device_id', ?), ('device_name', ?)`,
+    [crypto.randomUUID(), os.hostname()]
+  );
+}
+
+// Ordered schema steps. Append new entries with the next version number and
+// never edit a step that has already shipped: installed databases record the
+// versions they have applied in `schema_version` and will not run them again.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "baseline schema",
+    async up(database) {
+      await exec(
+        database,
+        `CREATE TABLE IF NOT EXISTS user_profile (
+          id INTEGER PRIMARY KEY CHECK (id = 1),
+          name TEXT NOT NULL,
+          email TEXT NOT NULL,
+          dob TEXT NOT NULL,
+          city TEXT NOT NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS field_data (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          recorded_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          latitude TEXT,
+          longitude TEXT,
+          category TEXT,
+          species TEXT NOT NULL,
+          age_group TEXT,
+          behavior TEXT,
+          individual_count INTEGER,
+          weather TEXT,
+          temperature REAL,
+          visibility TEXT,
+          notes TEXT,
+          priority TEXT,
+          tags TEXT
+        );`
+      );
+    },
+  },
+  {
+    version: 2,
+    name: "full-text search index",
+    async up(database) {
+      await exec(
+        database,
+        `CREATE VIRTUAL TABLE IF NOT EXISTS field_data_fts USING fts5(
+          species,
+          notes,
+          behavior,
+          tags,
+          content = 'field_data',
+          content_rowid = 'id',
+          tokenize = 'unicode61 remove_diacritics 2'
+        );
+
+        ${FIELD_DATA_FTS_TRIGGERS}
+
+        INSERT INTO field_data_fts (field_data_fts) VALUES ('rebuild');`
+      );
+    },
+  },
+  {
+    version: 3,
+    name: "numeric coordinates and spatial index",
+    up: rebuildFieldDataWithNumericCoordinates,
+  },
+  {
+    version: 4,
+    name: "environmental history",
+    async up(database) {
+      await exec(
+        database,
+        `CREATE TABLE IF NOT EXISTS weather_readings (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          city TEXT NOT NULL COLLATE NOCASE,
+          country TEXT,
+          latitude REAL,
+          longitude REAL,
+          temperature REAL,
+          condition TEXT,
+          humidity REAL,
+          rainfall REAL,
+          source TEXT NOT NULL,
+          recorded_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_weather_readings_city_time
+          ON weather_readings (city, recorded_at);
+
+        CREATE TABLE IF NOT EXISTS aqi_readings (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          city TEXT NOT NULL COLLATE NOCASE,
+          latitude REAL,
+          longitude REAL,
+          aqi_index INTEGER,
+          category TEXT,
+          components TEXT,
+          source TEXT NOT NULL,
+          recorded_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_aqi_readings_city_time
+          ON aqi_readings (city, recorded_at);
+
+        CREATE TABLE IF NOT EXISTS alert_notices (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          region TEXT NOT NULL COLLATE NOCASE,
+          notice TEXT NOT NULL,
+          issued_on DATE NOT NULL,
+          source TEXT NOT NULL,
+          recorded_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (region, notice, issued_on)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_alert_notices_time
+          ON alert_notices (recorded_at);
+
+        CREATE TABLE IF NOT EXISTS quake_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          location TEXT NOT NULL,
+          magnitude REAL,
+          occurred_at DATETIME NOT NULL,
+          source TEXT NOT NULL,
+          recorded_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (location, occurred_at)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_quake_events_time
+          ON quake_events (occurred_at);`
+      );
+    },
+  },
+  {
+    version: 5,
+    name: "photo attachments",
+    async up(database) {
+      await exec(
+        database,
+        `CREATE TABLE IF NOT EXISTS attachments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          field_data_id INTEGER NOT NULL
+            REFERENCES field_data (id) ON DELETE CASCADE,
+          file_name TEXT NOT NULL,
+          mime_type TEXT NOT NULL,
+          stored_path TEXT NOT NULL,
+          thumbnail_path TEXT,
+          size_bytes INTEGER NOT NULL,
+          original_size_bytes INTEGER NOT NULL,
+          width INTEGER,
+          height INTEGER,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_attachments_field_data
+          ON attachments (field_data_id);`
+      );
+    },
+  },
+  {
+    version: 6,
+    name: "photo metadata and observation time",
+    async up(database) {
+      await exec(
+        database,
+        `ALTER TABLE attachments ADD COLUMN captured_at TEXT;
+        ALTER TABLE attachments ADD COLUMN gps_latitude REAL;
+        ALTER TABLE attachments ADD COLUMN gps_longitude REAL;
+        ALTER TABLE attachments ADD COLUMN camera TEXT;
+
+        ALTER TABLE field_data ADD COLUMN observed_at DATETIME;`
+      );
+    },
+  },
+  {
+    version: 7,
+    name: "team roster",
+    async up(database) {
+      // The single-row profile becomes the first ranger on the roster and is
+      // credited with every entry recorded before rosters existed.
+      await exec(
+        database,
+        `CREATE TABLE IF NOT EXISTS users (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          email TEXT NOT NULL COLLATE NOCASE UNIQUE,
+          dob TEXT,
+          designation TEXT,
+          division TEXT,
+          city TEXT NOT NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        INSERT INTO users (name, email, dob, city, created_at, updated_at)
+          SELECT name, email, dob, city, created_at, updated_at
+          FROM user_profile;
+
+        CREATE TABLE IF NOT EXISTS app_state (
+          key TEXT PRIMARY KEY,
+          value TEXT,
+          updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        INSERT INTO app_state (key, value)
+          SELECT 'active_user_id', MIN(id) FROM users HAVING COUNT(*) > 0;
+
+        ALTER TABLE field_data ADD COLUMN observer_id INTEGER
+          REFERENCES users (id) ON DELETE SET NULL;
+
+        UPDATE field_data SET observer_id = (SELECT MIN(id) FROM users);
+
+        CREATE INDEX IF NOT EXISTS idx_field_data_observer
+          ON field_data (observer_id);
+
+        DROP TABLE user_profile;`
+      );
+    },
+  },
+  {
+    version: 8,
+    name: "normalised tags",
+    up: normaliseFieldDataTags,
+  },
+  {
+    version: 9,
+    name: "species catalogue",
+    async up(database) {
+      // The tables start empty: db.js loads the bundled checklist after the
+      // migrations run, so checklist updates never need a schema step.
+      await exec(
+        database,
+        `CREATE TABLE IF NOT EXISTS species (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          scientific_name TEXT NOT NULL COLLATE NOCASE UNIQUE,
+          common_name TEXT NOT NULL,
+          hindi_name TEXT,
+          taxon_group TEXT NOT NULL,
+          iucn_category TEXT
+            CHECK (iucn_category IN ('EX', 'EW', 'CR', 'EN', 'VU', 'NT', 'LC', 'DD', 'NE')),
+          wpa_schedule TEXT
+            CHECK (wpa_schedule IN ('I', 'II', 'III', 'IV')),
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS species_aliases (
+          alias TEXT PRIMARY KEY,
+          species_id INTEGER NOT NULL
+            REFERENCES species (id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_species_aliases_species
+          ON species_aliases (species_id);
+
+        ALTER TABLE field_data ADD COLUMN species_id INTEGER
+          REFERENCES species (id) ON DELETE SET NULL;
+
+        CREATE INDEX IF NOT EXISTS idx_field_data_species
+          ON field_data (species_id);`
+      );
+    },
+  },
+  {
+    version: 10,
+    name: "trash and revision history",
+    async up(database) {
+      // Each revision row is the complete entry as it stood before the change
+      // named in `action`, so the newest revision plus the live row tell the
+      // whole story of a record.
+      await exec(
+        database,
+        `ALTER TABLE field_data ADD COLUMN deleted_at DATETIME;
+
+        ALTER TABLE field_data ADD COLUMN deleted_by INTEGER
+          REFERENCES users (id) ON DELETE SET NULL;
+
+        CREATE INDEX IF NOT EXISTS idx_field_data_deleted
+          ON field_data (deleted_at);
+
+        CREATE TABLE IF NOT EXISTS field_data_revisions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          field_data_id INTEGER NOT NULL
+            REFERENCES field_data (id) ON DELETE CASCADE,
+          revision INTEGER NOT NULL,
+          action TEXT NOT NULL
+            CHECK (action IN ('update', 'delete', 'restore', 'rollback')),
+          snapshot TEXT NOT NULL,
+          changed_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (field_data_id, revision)
+        );`
+      );
+    },
+  },
+  {
+    version: 11,
+    name: "site registry",
+    async up(database) {
+      // Like the species tables these start empty and are filled from the
+      // bundled GeoJSON after migrating. The bounding box columns let a point
+      // lookup skip most polygons before parsing any geometry.
+      await exec(
+        database,
+        `CREATE TABLE IF NOT EXISTS sites (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          code TEXT NOT NULL UNIQUE,
+          name TEXT NOT NULL,
+          site_type TEXT NOT NULL
+            CHECK (site_type IN ('national_park', 'wildlife_sanctuary', 'conservation_reserve', 'tiger_reserve', 'forest_division', 'range')),
+          district TEXT,
+          geometry TEXT NOT NULL,
+          min_lat REAL NOT NULL,
+          max_lat REAL NOT NULL,
+          min_lon REAL NOT NULL,
+          max_lon REAL NOT NULL,
+          area_km2 REAL NOT NULL,
+          source TEXT,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_sites_bounds
+          ON sites (min_lat, max_lat);
+
+        CREATE TABLE IF NOT EXISTS field_data_sites (
+          field_data_id INTEGER NOT NULL
+            REFERENCES field_data (id) ON DELETE CASCADE,
+          site_id INTEGER NOT NULL
+            REFERENCES sites (id) ON DELETE CASCADE,
+          PRIMARY KEY (field_data_id, site_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_field_data_sites_site
+          ON field_data_sites (site_id);`
+      );
+    },
+  },
+  {
+    version: 12,
+    name: "app settings",
+    async up(database) {
+      // Values are stored JSON-encoded so booleans and numbers read back with
+      // their type. Keys without a row use the default from settings.js.
+      await exec(
+        database,
+        `CREATE TABLE IF NOT EXISTS settings (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL,
+          updated_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+          updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );`
+      );
+    },
+  },
+  {
+    version: 13,
+    name: "record uuids and provenance",
+    up: addRecordIdentity,
+  },
+  {
+    version: 14,
+    name: "sync bundles",
+    async up(database) {
+      // public_key is the signing key first seen in a bundle from the device;
+      // later bundles claiming the same device must be signed with it.
+      await exec(
+        database,
+        `ALTER TABLE devices ADD COLUMN public_key TEXT;
+
+        CREATE TABLE IF NOT EXISTS sync_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          direction TEXT NOT NULL CHECK (direction IN ('import', 'export')),
+          method TEXT NOT NULL,
+          device_id TEXT,
+          device_name TEXT,
+          file_name TEXT,
+          since DATETIME,
+          entry_count INTEGER NOT NULL DEFAULT 0,
+          added INTEGER NOT NULL DEFAULT 0,
+          updated INTEGER NOT NULL DEFAULT 0,
+          duplicates INTEGER NOT NULL DEFAULT 0,
+          conflicts INTEGER NOT NULL DEFAULT 0,
+          rejected INTEGER NOT NULL DEFAULT 0,
+          created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_sync_log_created_at
+          ON sync_log (created_at);`
+      );
+    },
+  },
+  {
+    version: 15,
+    name: "server sync outbox",
+    async up(database) {
+      // Entries recorded before this version have never reached a server,
+      // so all of them are queued for the first sync.
+      await exec(
+        database,
+        `CREATE TABLE IF NOT EXISTS sync_outbox (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          field_data_uuid TEXT NOT NULL,
+          operation TEXT NOT NULL
+            CHECK (operation IN ('create', 'update', 'delete')),
+          created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_sync_outbox_uuid
+          ON sync_outbox (field_data_uuid);
+
+        INSERT INTO sync_outbox (field_data_uuid, operation)
+        SELECT uuid, 'create' FROM field_data ORDER BY id;
+
+        ${FIELD_DATA_OUTBOX_TRIGGERS}`
+      );
+    },
+  },
+  {
+    version: 16,
+    name: "observation time index",
+    async up(database) {
+      // Date filters and the default sort use the observation time, falling
+      // back to the time the entry was typed in.
+      await exec(
+        database,
+        `CREATE INDEX IF NOT EXISTS idx_field_data_observed
+          ON field_data (COALESCE(observed_at, recorded_at));`
+      );
+    },
+  },
+  {
+    version: 17,
+    name: "merged photo origin",
+    async up(database) {
+      // Merging duplicates moves photos to the kept entry; this remembers
+      // the entry each came from so restoring that entry takes them back.
+      await exec(
+        database,
+        `ALTER TABLE attachments ADD COLUMN merged_from INTEGER
+          REFERENCES field_data(id);
+
+        CREATE INDEX IF NOT EXISTS idx_attachments_merged_from
+          ON attachments (merged_from);`
+      );
+    },
+  },
+];
+
+class MigrationError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "MigrationError";
+    this.version = details.version ?? null;
+    this.step = details.step ?? null;
+    this.backupPath = details.backupPath ?? null;
+    this.cause = details.cause;
+  }
+}
+
+function getLatestVersion() {
+  return MIGRATIONS.reduce(
+    (latest, migration) => Math.max(latest, migration.version),
+    0
+  );
+}
+
+async function ensureVersionTable(database) {
+  await exec(
+    database,
+    `CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+}
+
+async function getCurrentVersion(database) {
+  const row = await get(
+    database,
+    "SELECT MAX(version) AS version FROM schema_version"
+  );
+  return Number(row?.version) || 0;
+}
+
+async function hasExistingTables(database) {
+  const row = await get(
+    database,
+    `SELECT COUNT(*) AS total
+       FROM sqlite_master
+       WHERE type = 'table'
+         AND name NOT LIKE 'sqlite_%'
+         AND name <> 'schema_version'`
+  );
+  return Number(row?.total) > 0;
+}
+
+function formatTimestamp(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, "-");
+}
+
+async function backupBeforeMigrating(database, databasePath, fromVersion) {
+  const backupDir = path.join(path.dirname(databasePath), "backups");
+  if (!fs.existsSync(backupDir)) {
+    fs.mkdirSync(backupDir, { recursive: true });
+  }
+
+  const backupPath = path.join(
+    backupDir,
+    `ecowatch-pre-migration-v${fromVersion}-${formatTimestamp()}.sqlite`
+  );
+
+  // VACUUM INTO writes a consistent copy through SQLite itself, so pages still
+  // sitting in the WAL file are included without a manual checkpoint.
+  await run(database, "VACUUM INTO ?", [backupPath]);
+  return backupPath;
+}
+
+async function applyMigration(database, migration) {
+  await exec(database, "BEGIN IMMEDIATE");
+  try {
+    const outcome = await migration.up(database);
+    await run(
+      database,
+      "INSERT INTO schema_version (version, name) VALUES (?, ?)",
+      [migration.version, migration.name]
+    );
+    await exec(database, "COMMIT");
+    return Array.isArray(outcome?.warnings) ? outcome.warnings : [];
+  } catch (error) {
+    try {
+      await exec(database, "ROLLBACK");
+    } catch (rollbackError) {
+      console.error("[migrations] rollback failed:", rollbackError);
+    }
+    throw error;
+  }
+}
+
+async function runMigrations(database, options = {}) {
+  await ensureVersionTable(database);
+
+  const fromVersion = await getCurrentVersion(database);
+  const pending = MIGRATIONS.filter(
+    (migration) => migration.version > fromVersion
+  ).sort((a, b) => a.version - b.version);
+
+  const result = {
+    fromVersion,
+    toVersion: fromVersion,
+    applied: [],
+    warnings: [],
+    backupPath: null,
+  };
+
+  if (!pending.length) {
+    return result;
+  }
+
+  if (options.databasePath && (await hasExistingTables(database))) {
+    try {
+      result.backupPath = await backupBeforeMigrating(
+        database,
+        options.databasePath,
+        fromVersion
+      );
+      console.info(`[migrations] backup written to ${result.backupPath}`);
+    } catch (error) {
+      throw new MigrationError(
+        `Could not back up the database before upgrading: ${error.message}`,
+        { version: fromVersion, cause: error }
+      );
+    }
+  }
+
+  for (const migration of pending) {
+    try {
+      const warnings = await applyMigration(database, migration);
+      result.warnings.push(...warnings);
+    } catch (error) {
+      throw new MigrationError(
+        `Database upgrade to version ${migration.version} (${migration.name}) failed: ${error.message}`,
+        {
+          version: migration.version,
+          step: migration.name,
+          backupPath: result.backupPath,
+          cause: error,
+        }
+      );
+    }
+
+    result.toVersion = migration.version;
+    result.applied.push(migration.version);
+    console.info(
+      `[migrations] applied v${migration.version} (${migration.name})`
+    );
+  }
+
+  return result;
+}
+
+async function listAppliedMigrations(database) {
+  await ensureVersionTable(database);
+  return all(
+    database,
+    `SELECT version, name, applied_at AS appliedAt
+       FROM schema_version
+       ORDER BY version ASC`
+  );
+}
+
+module.exports = {
+  MigrationError,
+  runMigrations,
+  listAppliedMigrations,
+  getLatestVersion,
+};
@@ -0,0 +1,122 @@
+const { contextBridge, ipcRenderer } = require("electron");
+
+// Pages run sandboxed with context isolation, so this is the only way they
+// reach the main process: window.ecowatch, one method per IPC channel. Each
+// method takes a single payload and resolves to the handler's
+// { ok, data, error } response. A channel missing from this list cannot be
+// called from a page at all.
+//
+// A sandboxed preload can only require "electron", so the list lives here
+// rather than in a module shared with main.js.
+const CHANNELS = {
+  profile: {
+    get: "userProfile:get",
+    save: "userProfile:save",
+  },
+  users: {
+    list: "users:list",
+    create: "users:create",
+    switch: "users:switch",
+  },
+  fieldData: {
+    create: "fieldData:create",
+    get: "fieldData:get",
+    update: "fieldData:update",
+    delete: "fieldData:delete",
+    restore: "fieldData:restore",
+    revisions: "fieldData:revisions",
+    compare: "fieldData:compare",
+    rollback: "fieldData:rollback",
+    merge: "fieldData:merge",
+    duplicates: "fieldData:duplicates",
+    mergeDuplicates: "fieldData:mergeDuplicates",
+    list: "fieldData:list",
+    query: "fieldData:query",
+    search: "fieldData:search",
+    near: "fieldData:near",
+    summary: "fieldData:summary",
+    coordinateIssues: "fieldData:coordinateIssues",
+  },
+  attachments: {
+    inspect: "attachments:inspect",
+    add: "attachments:add",
+    list: "attachments:list",
+    delete: "attachments:delete",
+    open: "attachments:open",
+  },
+  tags: {
+    list: "tags:list",
+    create: "tags:create",
+    rename: "tags:rename",
+    merge: "tags:merge",
+    delete: "tags:delete",
+  },
+  species: {
+    search: "species:search",
+    get: "species:get",
+    unmatched: "species:unmatched",
+  },
+  sites: {
+    list: "sites:list",
+    import: "sites:import",
+  },
+  consolidation: {
+    preview: "consolidation:preview",
+    import: "consolidation:import",
+  },
+  sync: {
+    exportBundle: "sync:exportBundle",
+    previewBundle: "sync:previewBundle",
+    importBundle: "sync:importBundle",
+    log: "sync:log",
+    status: "sync:status",
+    run: "sync:run",
+  },
+  settings: {
+    get: "settings:get",
+    set: "settings:set",
+  },
+  backup: {
+    status: "backup:status",
+    create: "backup:create",
+    delete: "backup:delete",
+    integrityCheck: "backup:integrityCheck",
+    restore: "backup:restore",
+  },
+  environment: {
+    summary: "environment:summary",
+    history: "environment:history",
+  },
+};
+
+// The frameless window's title bar buttons. These resolve to
+// { isMaximized } or null rather than the usual response.
+const WINDOW_ACTIONS = {
+  minimize: "minimize",
+  toggleMaximize: "toggle-maximize",
+  close: "close",
+  isMaximized: "query-maximized",
+};
+
+function bindMethods(entries, call) {
+  return Object.fromEntries(
+    Object.entries(entries).map(([method, target]) => [
+      method,
+      (payload) => call(target, payload),
+    ])
+  );
+}
+
+const api = Object.fromEntries(
+  Object.entries(CHANNELS).map(([namespace, channels]) => [
+    namespace,
+    bindMethods(channels, (channel, payload) =>
+      ipcRenderer.invoke(channel, payload)
+    ),
+  ])
+);
+api.windowControl = bindMethods(WINDOW_ACTIONS, (action) =>
+  ipcRenderer.invoke("window-control", action)
+);
+
+contextBridge.exposeInMainWorld("ecowatch", api);
@@ -0,0 +1,297 @@
+const { EventEmitter } = require("events");
+const { listStoredSettings, saveStoredSettings } = require("./db");
+
+// Every setting a ranger can change from the Settings page. `env` names the
+// variable that overrides the saved value, so a deployment can still pin a
+// value from .env; without it the saved value, then the default, applies.
+const SETTING_DEFINITIONS = {
+  digestEnabled: {
+    type: "boolean",
+    default: true,
+    env: "DAILY_DIGEST_ENABLED",
+  },
+  digestHour: {
+    type: "integer",
+    default: 10,
+    min: 0,
+    max: 23,
+    env: "DAILY_DIGEST_HOUR",
+  },
+  digestMinute: {
+    type: "integer",
+    default: 0,
+    min: 0,
+    max: 59,
+    env: "DAILY_DIGEST_MINUTE",
+  },
+  smtpHost: { type: "string", default: "", env: "SMTP_HOST" },
+  smtpPort: {
+    type: "integer",
+    default: 587,
+    min: 1,
+    max: 65535,
+    env: "SMTP_PORT",
+  },
+  smtpSecure: { type: "boolean", default: false, env: "SMTP_SECURE" },
+  smtpUser: { type: "string", default: "", env: "SMTP_USER" },
+  smtpPassword: {
+    type: "string",
+    default: "",
+    env: "SMTP_PASS",
+    secret: true,
+  },
+  notifyFrom: {
+    type: "string",
+    default: "",
+    env: "NOTIFY_FROM",
+    pattern: /\S+@\S+\.\S+/,
+    patternMessage: "must contain an email address",
+  },
+  openWeatherApiKey: {
+    type: "string",
+    default: "",
+    env: "OPENWEATHER_API_KEY",
+    secret: true,
+  },
+  syncEnabled: { type: "boolean", default: false, env: "SYNC_ENABLED" },
+  syncServerUrl: {
+    type: "string",
+    default: "",
+    env: "SYNC_SERVER_URL",
+    pattern: /^https?:\/\/\S+$/i,
+    patternMessage: "must be an http:// or https:// address",
+  },
+  syncToken: {
+    type: "string",
+    default: "",
+    env: "SYNC_TOKEN",
+    secret: true,
+  },
+  syncIntervalMinutes: {
+    type: "integer",
+    default: 5,
+    min: 1,
+    max: 24 * 60,
+    env: "SYNC_INTERVAL_MINUTES",
+  },
+  backupEnabled: { type: "boolean", default: true, env: "BACKUP_ENABLED" },
+  backupIntervalHours: {
+    type: "integer",
+    default: 24,
+    min: 1,
+    max: 24 * 7,
+    env: "BACKUP_INTERVAL_HOURS",
+  },
+  backupRetention: {
+    type: "integer",
+    default: 7,
+    min: 1,
+    max: 90,
+    env: "BACKUP_RETENTION",
+  },
+};
+
+const MAX_STRING_LENGTH = 500;
+const TRUE_VALUES = ["true", "1", "yes", "on"];
+const FALSE_VALUES = ["false", "0", "no", "off"];
+
+const settingsEvents = new EventEmitter();
+
+let storedValues = {};
+let loaded = false;
+const reportedOverrides = new Set();
+
+// Returns the typed value or throws with a message naming the setting. Text
+// from .env arrives as strings, so booleans and numbers accept their usual
+// spellings.
+function normaliseSettingValue(key, value) {
+  const definition = SETTING_DEFINITIONS[key];
+  if (!definition) {
+    throw new Error(`Unknown setting ${key}`);
+  }
+
+  if (definition.type === "boolean") {
+    if (typeof value === "boolean") {
+      return value;
+    }
+    const text = String(value ?? "")
+      .trim()
+      .toLowerCase();
+    if (TRUE_VALUES.includes(text)) {
+      return true;
+    }
+    if (FALSE_VALUES.includes(text)) {
+      return false;
+    }
+    throw new Error(`${key} must be true or false`);
+  }
+
+  if (definition.type === "integer") {
+    const text = typeof value === "string" ? value.trim() : value;
+    const number =
+      typeof text === "number" || (typeof text === "string" && text)
+        ? Number(text)
+        : Number.NaN;
+    if (!Number.isInteger(number)) {
+      throw new Error(`${key} must be a whole number`);
+    }
+    if (number < definition.min || number > definition.max) {
+      throw new Error(
+        `${key} must be between ${definition.min} and ${definition.max}`
+      );
+    }
+    return number;
+  }
+
+  if (typeof value !== "string") {
+    throw new Error(`${key} must be text`);
+  }
+  const text = value.trim();
+  if (text.length > MAX_STRING_LENGTH) {
+    throw new Error(`${key} is too long`);
+  }
+  if (text && definition.pattern && !definition.pattern.test(text)) {
+    throw new Error(`${key} ${definition.patternMessage}`);
+  }
+  return text;
+}
+
+function readEnvironmentOverride(key) {
+  const { env } = SETTING_DEFINITIONS[key];
+  const raw = process.env[env];
+  if (raw === undefined || raw.trim() === "") {
+    return undefined;
+  }
+  try {
+    return normaliseSettingValue(key, raw);
+  } catch (error) {
+    // Reads happen on every lookup, so each bad value is reported once.
+    if (!reportedOverrides.has(env)) {
+      reportedOverrides.add(env);
+      console.warn(`[settings] ignoring ${env}: ${error.message}`);
+    }
+    return undefined;
+  }
+}
+
+function resolveSetting(key) {
+  const override = readEnvironmentOverride(key);
+  if (override !== undefined) {
+    return { value: override, source: "environment" };
+  }
+  if (Object.prototype.hasOwnProperty.call(storedValues, key)) {
+    return { value: storedValues[key], source: "saved" };
+  }
+  return { value: SETTING_DEFINITIONS[key].default, source: "default" };
+}
+
+// Reads are synchronous so the notification modules can look values up at
+// the moment they need them. Before loadSettings runs only defaults and
+// environment overrides are known.
+function getSetting(key) {
+  if (!SETTING_DEFINITIONS[key]) {
+    throw new Error(`Unknown setting ${key}`);
+  }
+  return resolveSetting(key).value;
+}
+
+function getSettings() {
+  return Object.fromEntries(
+    Object.keys(SETTING_DEFINITIONS).map((key) => [key, getSetting(key)])
+  );
+}
+
+async function loadSettings() {
+  const rows = await listStoredSettings();
+  const next = {};
+  rows.forEach((row) => {
+    if (!SETTING_DEFINITIONS[row.key]) {
+      return;
+    }
+    try {
+      next[row.key] = normaliseSettingValue(row.key, JSON.parse(row.value));
+    } catch (error) {
+      console.warn(`[settings] ignoring saved ${row.key}: ${error.message}`);
+    }
+  });
+  storedValues = next;
+  loaded = true;
+  return getSettings();
+}
+
+// What the Settings page shows. Secrets never leave the main process; the
+// page only learns whether one is set.
+function describeSettings() {
+  return Object.entries(SETTING_DEFINITIONS).map(([key, definition]) => {
+    const { value, source } = resolveSetting(key);
+    return {
+      key,
+      type: definition.type,
+      min: definition.min ?? null,
+      max: definition.max ?? null,
+      secret: Boolean(definition.secret),
+      value: definition.secret ? null : value,
+      isSet: definition.type === "string" ? Boolean(value) : true,
+      source,
+      env: definition.env,
+    };
+  });
+}
+
+// Validates every value before writing any of them. A null value clears the
+// saved value. Keys pinned by an environment variable are refused, since the
+// saved value would silently have no effect.
+async function updateSettings(values = {}) {
+  if (!values || typeof values !== "object" || Array.isArray(values)) {
+    throw new Error("Settings must be an object of key and value pairs");
+  }
+  if (!loaded) {
+    await loadSettings();
+  }
+
+  const entries = Object.entries(values).map(([key, value]) => {
+    const definition = SETTING_DEFINITIONS[key];
+    if (!definition) {
+      throw new Error(`Unknown setting ${key}`);
+    }
+    if (readEnvironmentOverride(key) !== undefined) {
+      throw new Error(
+        `${key} is set by ${definition.env} in the environment and cannot be changed here`
+      );
+    }
+    return {
+      key,
+      value: value === null ? null : normaliseSettingValue(key, value),
+    };
+  });
+  if (!entries.length) {
+    return describeSettings();
+  }
+
+  const before = getSettings();
+  await saveStoredSettings(entries);
+  await loadSettings();
+  const after = getSettings();
+
+  const changed = Object.keys(after).filter((key) => before[key] !== after[key]);
+  if (changed.length) {
+    settingsEvents.emit("change", { keys: changed, settings: after });
+  }
+  return describeSettings();
+}
+
+function onSettingsChange(listener) {
+  settingsEvents.on("change", listener);
+  return () => settingsEvents.off("change", listener);
+}
+
+module.exports = {
+  SETTING_DEFINITIONS,
+  normaliseSettingValue,
+  getSetting,
+  getSettings,
+  loadSettings,
+  describeSettings,
+  updateSettings,
+  onSettingsChange,
+};
@@ -0,0 +1,138 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  validatePolygonGeometry,
+  geometryBounds,
+  polygonAreaKm2,
+} = require("./geo");
+
+const REGISTRY_PATH = path.join(__dirname, "data", "uttarakhand-sites.geojson");
+
+const SITE_TYPES = [
+  "national_park",
+  "wildlife_sanctuary",
+  "conservation_reserve",
+  "tiger_reserve",
+  "forest_division",
+  "range",
+];
+
+// Legally notified protected areas, as opposed to administrative forest units.
+const PROTECTED_AREA_TYPES = [
+  "national_park",
+  "wildlife_sanctuary",
+  "conservation_reserve",
+  "tiger_reserve",
+];
+
+// Forest Department layers label the same thing several ways.
+const SITE_TYPE_ALIASES = {
+  np: "national_park",
+  park: "national_park",
+  wls: "wildlife_sanctuary",
+  ws: "wildlife_sanctuary",
+  sanctuary: "wildlife_sanctuary",
+  cr: "conservation_reserve",
+  tr: "tiger_reserve",
+  division: "forest_division",
+  fd: "forest_division",
+  forest_range: "range",
+};
+
+function normaliseSiteType(value) {
+  const key = String(value ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  const type = SITE_TYPE_ALIASES[key] || key;
+  return SITE_TYPES.includes(type) ? type : null;
+}
+
+function slugifySiteCode(value) {
+  return String(value ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function toSite(feature, index) {
+  const properties = feature?.properties || {};
+  const name = String(properties.name ?? properties.NAME ?? "").trim();
+  const label = name || `feature ${index + 1}`;
+  if (!name) {
+    throw new Error(`Site ${label} needs a name`);
+  }
+
+  const siteType = normaliseSiteType(properties.type ?? properties.TYPE);
+  if (!siteType) {
+    throw new Error(`Site ${label} has an unknown type`);
+  }
+
+  const code = slugifySiteCode(properties.code ?? properties.CODE ?? name);
+  if (!code) {
+    throw new Error(`Site ${label} needs a code`);
+  }
+
+  let geometry;
+  try {
+    geometry = validatePolygonGeometry(feature.geometry);
+  } catch (error) {
+    throw new Error(`Site ${label}: ${error.message}`);
+  }
+
+  return {
+    code,
+    name,
+    siteType,
+    district: properties.district ? String(properties.district).trim() : null,
+    geometry,
+    bounds: geometryBounds(geometry),
+    areaKm2: Math.round(polygonAreaKm2(geometry) * 100) / 100,
+  };
+}
+
+// Accepts a FeatureCollection of Polygon or MultiPolygon features whose
+// properties carry a name, a type and optionally a code and district.
+function parseSiteCollection(collection) {
+  if (
+    collection?.type !== "FeatureCollection" ||
+    !Array.isArray(collection.features)
+  ) {
+    throw new Error("Site file must be a GeoJSON FeatureCollection");
+  }
+  if (!collection.features.length) {
+    throw new Error("Site file has no features");
+  }
+
+  const sites = collection.features.map(toSite);
+  const seen = new Set();
+  sites.forEach((site) => {
+    if (seen.has(site.code)) {
+      throw new Error(`Site code ${site.code} appears more than once`);
+    }
+    seen.add(site.code);
+  });
+  return sites;
+}
+
+function loadSiteRegistry(filePath = REGISTRY_PATH) {
+  const collection = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (!Number.isInteger(collection?.version)) {
+    throw new Error("Site registry is missing its version");
+  }
+  return {
+    version: collection.version,
+    sites: parseSiteCollection(collection),
+  };
+}
+
+module.exports = {
+  SITE_TYPES,
+  PROTECTED_AREA_TYPES,
+  normaliseSiteType,
+  parseSiteCollection,
+  loadSiteRegistry,
+};
@@ -0,0 +1,142 @@
+const fs = require("fs");
+const path = require("path");
+
+const CHECKLIST_PATH = path.join(__dirname, "data", "uttarakhand-species.json");
+
+const TAXON_GROUPS = [
+  "Mammal",
+  "Bird",
+  "Reptile",
+  "Amphibian",
+  "Fish",
+  "Invertebrate",
+  "Plant",
+  "Fungus",
+];
+
+// IUCN Red List categories, most to least threatened after the extinct ones.
+const IUCN_CATEGORIES = ["EX", "EW", "CR", "EN", "VU", "NT", "LC", "DD", "NE"];
+
+// Wildlife (Protection) Amendment Act, 2022 schedules.
+const WPA_SCHEDULES = ["I", "II", "III", "IV"];
+
+// Sightings of these default to urgent priority. The field data form keeps a
+// copy of this rule so it can preselect the chip before saving.
+const URGENT_IUCN_CATEGORIES = ["CR", "EN"];
+
+function isPriorityTaxon(taxon) {
+  return (
+    Boolean(taxon) &&
+    (URGENT_IUCN_CATEGORIES.includes(taxon.iucnCategory) ||
+      taxon.wpaSchedule === "I")
+  );
+}
+
+// Lower-cases, drops Latin accents and punctuation and collapses whitespace so
+// "Snow-Leopard", "snow leopard" and "Snow  leopard." compare equal. Devanagari
+// vowel signs are combining marks too, so only the Latin accent block is
+// stripped.
+function normaliseSpeciesName(value) {
+  if (typeof value !== "string") {
+    return "";
+  }
+  return value
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, " ")
+    .trim();
+}
+
+// Field notes tend to read "Snow leopard (Panthera uncia)", "Leopards" or
+// "Guldar (leopard)", so each part of the text is tried on its own as well as
+// a naive singular. Candidates come back most specific first.
+function speciesNameCandidates(value) {
+  const text = typeof value === "string" ? value : "";
+  const candidates = [];
+  const add = (part) => {
+    const name = normaliseSpeciesName(part);
+    if (name && !candidates.includes(name)) {
+      candidates.push(name);
+    }
+  };
+
+  add(text);
+  const bracketed = text.match(/\(([^)]*)\)/g) || [];
+  add(text.replace(/\([^)]*\)/g, " "));
+  bracketed.forEach((part) => add(part.slice(1, -1)));
+
+  candidates.slice().forEach((name) => {
+    if (/[^s]s$/.test(name) && name.length > 4) {
+      add(name.slice(0, -1));
+    }
+  });
+
+  return candidates;
+}
+
+function validateChecklistEntry(entry, index) {
+  const label = entry?.scientificName || `entry ${index + 1}`;
+  if (!entry?.scientificName || !entry?.commonName) {
+    throw new Error(
+      `Species checklist ${label} needs a scientific and common name`
+    );
+  }
+  if (!TAXON_GROUPS.includes(entry.taxonGroup)) {
+    throw new Error(`Species checklist ${label} has an unknown taxon group`);
+  }
+  if (entry.iucnCategory && !IUCN_CATEGORIES.includes(entry.iucnCategory)) {
+    throw new Error(`Species checklist ${label} has an unknown IUCN category`);
+  }
+  if (entry.wpaSchedule && !WPA_SCHEDULES.includes(entry.wpaSchedule)) {
+    throw new Error(`Species checklist ${label} has an unknown WPA schedule`);
+  }
+
+  return {
+    scientificName: entry.scientificName.trim(),
+    commonName: entry.commonName.trim(),
+    hindiName: entry.hindiName || null,
+    taxonGroup: entry.taxonGroup,
+    iucnCategory: entry.iucnCategory || null,
+    wpaSchedule: entry.wpaSchedule || null,
+    aliases: Array.isArray(entry.aliases) ? entry.aliases : [],
+  };
+}
+
+function loadSpeciesChecklist(filePath = CHECKLIST_PATH) {
+  const checklist = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  if (
+    !Number.isInteger(checklist?.version) ||
+    !Array.isArray(checklist.species)
+  ) {
+    throw new Error("Species checklist is missing its version or species list");
+  }
+  return {
+    version: checklist.version,
+    species: checklist.species.map(validateChecklistEntry),
+  };
+}
+
+// Every name a species can be recorded under, normalised for lookup.
+function speciesLookupNames(species) {
+  const names = [
+    species.scientificName,
+    species.commonName,
+    species.hindiName,
+    ...species.aliases,
+  ]
+    .map(normaliseSpeciesName)
+    .filter(Boolean);
+  return [...new Set(names)];
+}
+
+module.exports = {
+  TAXON_GROUPS,
+  IUCN_CATEGORIES,
+  WPA_SCHEDULES,
+  isPriorityTaxon,
+  normaliseSpeciesName,
+  speciesNameCandidates,
+  loadSpeciesChecklist,
+  speciesLookupNames,
+};
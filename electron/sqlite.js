@@ -0,0 +1,50 @@
+function exec(dbInstance, sql) {
+  return new Promise((resolve, reject) => {
+    dbInstance.exec(sql, (error) => {
+      if (error) {
+        return reject(error);
+      }
+      resolve();
+    });
+  });
+}
+
+function run(dbInstance, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    dbInstance.run(sql, params, function runCallback(error) {
+      if (error) {
+        return reject(error);
+      }
+      resolve(this);
+    });
+  });
+}
+
+function get(dbInstance, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    dbInstance.get(sql, params, (error, row) => {
+      if (error) {
+        return reject(error);
+      }
+      resolve(row);
+    });
+  });
+}
+
+function all(dbInstance, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    dbInstance.all(sql, params, (error, rows) => {
+      if (error) {
+        return reject(error);
+      }
+      resolve(rows || []);
+    });
+  });
+}
+
+module.exports = {
+  exec,
+  run,
+  get,
+  all,
+};
@@ -0,0 +1,343 @@
+const { net } = require("electron");
+const { getSettings } = require("./settings");
+const { AppError } = require("./errors");
+const {
+  getDeviceIdentity,
+  getServerSyncState,
+  resetServerSync,
+  listPendingServerChanges,
+  acknowledgeServerChanges,
+  applyServerChanges,
+  recordSyncExport,
+} = require("./db");
+
+// Keeps this laptop in step with a division server, such as the reference
+// server in server/sync-server.js. Every change to an entry is queued in the
+// sync_outbox table by triggers; a run pushes the queue, applies whatever
+// the server sent back in its place, then pulls changes made elsewhere.
+//
+//   GET  /status           { serverId, cursor }
+//   POST /changes          { device, changes: [{ uuid, operation, record }] }
+//                          -> { results: [{ uuid, status, current? }] }
+//   GET  /changes?since=   -> { changes: [{ seq, uuid, device, deviceName,
+//                               record }], cursor, more }
+const PUSH_BATCH_SIZE = 100;
+const PULL_BATCH_SIZE = 200;
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+const STARTUP_DELAY_MS = 15 * 1000;
+const OFFLINE_CHECK_MS = 30 * 1000;
+const RETRY_BASE_MS = 60 * 1000;
+
+let timerId = null;
+let nextRunAt = null;
+let running = null;
+let lastRun = null;
+let failures = 0;
+
+function getServerConfig() {
+  const settings = getSettings();
+  return {
+    enabled: settings.syncEnabled,
+    url: settings.syncServerUrl.replace(/\/+$/, ""),
+    token: settings.syncToken,
+    intervalMs: settings.syncIntervalMinutes * 60 * 1000,
+  };
+}
+
+function describeServer(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return url;
+  }
+}
+
+async function requestJson(config, method, pathname, body) {
+  const headers = { Accept: "application/json" };
+  if (body !== undefined) {
+    headers["Content-Type"] = "application/json";
+  }
+  if (config.token) {
+    headers.Authorization = `Bearer ${config.token}`;
+  }
+
+  let response;
+  try {
+    response = await fetch(`${config.url}${pathname}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+  } catch (error) {
+    if (error.name === "TimeoutError") {
+      throw new AppError(
+        "service_unavailable",
+        `${describeServer(config.url)} did not answer in time`
+      );
+    }
+    throw new AppError(
+      "offline",
+      `Could not reach ${describeServer(config.url)}`
+    );
+  }
+
+  let payload = null;
+  try {
+    payload = await response.json();
+  } catch (error) {
+    // Reported below; a proxy's HTML error page is not worth showing.
+  }
+  const message =
+    payload?.error ||
+    `${describeServer(config.url)} answered ${response.status}`;
+  if (response.status === 401 || response.status === 403) {
+    throw new AppError("service_auth", message, { field: "syncToken" });
+  }
+  if (response.status === 429 || response.status >= 500) {
+    throw new AppError("service_unavailable", message);
+  }
+  if (!response.ok) {
+    throw new Error(message);
+  }
+  if (!payload || typeof payload !== "object") {
+    throw new AppError(
+      "not_configured",
+      `${describeServer(config.url)} is not an EcoWatch server`,
+      { field: "syncServerUrl" }
+    );
+  }
+  return payload;
+}
+
+// A server that was set up again from scratch no longer holds what was sent
+// to it before, so this laptop starts over with it.
+async function checkServer(config) {
+  const status = await requestJson(config, "GET", "/status");
+  if (typeof status.serverId !== "string" || !status.serverId) {
+    throw new AppError(
+      "not_configured",
+      `${describeServer(config.url)} is not an EcoWatch server`,
+      { field: "syncServerUrl" }
+    );
+  }
+  const state = await getServerSyncState();
+  if (state.serverId !== status.serverId) {
+    console.log(
+      `[sync] ${describeServer(config.url)} is a new server; sending every entry`
+    );
+    await resetServerSync(status.serverId);
+  }
+}
+
+async function pushChanges(config, device) {
+  let pushed = 0;
+  let refused = 0;
+  const serverName = describeServer(config.url);
+
+  for (;;) {
+    const batch = await listPendingServerChanges(PUSH_BATCH_SIZE);
+    if (!batch.length) {
+      break;
+    }
+    const sendable = batch.filter((change) => change.record);
+    const response = sendable.length
+      ? await requestJson(config, "POST", "/changes", {
+          device,
+          changes: sendable.map(({ uuid, operation, record }) => ({
+            uuid,
+            operation,
+            record,
+          })),
+        })
+      : { results: [] };
+    const results = Array.isArray(response.results) ? response.results : [];
+
+    // Whatever the server answered about is done with, including changes it
+    // refused; a queued change it never mentioned is sent again next time.
+    const answered = new Set(results.map((result) => result?.uuid));
+    await acknowledgeServerChanges(
+      batch.filter((change) => !change.record || answered.has(change.uuid))
+    );
+    const current = results
+      .filter((result) => result?.status === "stale" && result.current)
+      .map((result) => result.current);
+    if (current.length) {
+      await applyServerChanges(current, { serverName });
+    }
+
+    results.forEach((result) => {
+      if (result?.status === "rejected") {
+        refused += 1;
+        console.warn(
+          `[sync] ${serverName} refused entry ${result.uuid}: ${result.error}`
+        );
+      }
+    });
+    pushed += results.filter((result) => result?.status === "applied").length;
+    if (!answered.size && sendable.length) {
+      throw new Error(`${serverName} did not confirm the changes it was sent`);
+    }
+  }
+
+  if (pushed) {
+    await recordSyncExport({
+      method: "server",
+      fileName: serverName,
+      entryCount: pushed,
+    });
+  }
+  return { pushed, refused };
+}
+
+async function pullChanges(config, device) {
+  const serverName = describeServer(config.url);
+  const totals = { added: 0, updated: 0, rejected: 0 };
+
+  for (;;) {
+    const { cursor } = await getServerSyncState();
+    const params = new URLSearchParams({
+      since: String(cursor),
+      limit: String(PULL_BATCH_SIZE),
+      exclude: device.id,
+    });
+    const response = await requestJson(config, "GET", `/changes?${params}`);
+    const changes = Array.isArray(response.changes) ? response.changes : [];
+    const nextCursor = Number(response.cursor);
+    if (!Number.isInteger(nextCursor) || nextCursor < cursor) {
+      throw new Error(`${serverName} sent an unreadable change feed`);
+    }
+
+    const result = await applyServerChanges(changes, {
+      cursor: nextCursor,
+      serverName,
+    });
+    totals.added += result.added;
+    totals.updated += result.replaced;
+    totals.rejected += result.rejected.length;
+    if (!response.more || nextCursor === cursor) {
+      break;
+    }
+  }
+  return totals;
+}
+
+async function performSync() {
+  const config = getServerConfig();
+  if (!config.url) {
+    throw new AppError(
+      "not_configured",
+      "No division server address is set",
+      { field: "syncServerUrl" }
+    );
+  }
+  const device = await getDeviceIdentity();
+  await checkServer(config);
+  const push = await pushChanges(config, device);
+  const pull = await pullChanges(config, device);
+  return { ...push, ...pull };
+}
+
+// Runs one sync, or joins the one already running.
+function syncNow() {
+  if (!running) {
+    const startedAt = new Date();
+    running = performSync()
+      .then((result) => {
+        failures = 0;
+        lastRun = { at: startedAt.toISOString(), ok: true, ...result };
+        return lastRun;
+      })
+      .catch((error) => {
+        failures += 1;
+        lastRun = {
+          at: startedAt.toISOString(),
+          ok: false,
+          error: error.message,
+        };
+        throw error;
+      })
+      .finally(() => {
+        running = null;
+      });
+  }
+  return running;
+}
+
+function schedule(delayMs) {
+  if (timerId) {
+    clearTimeout(timerId);
+  }
+  nextRunAt = new Date(Date.now() + delayMs);
+  timerId = setTimeout(runScheduledSync, delayMs);
+}
+
+// Offline laptops are checked often so queued changes go out soon after the
+// connection returns. A failing server is retried sooner than the interval
+// at first, backing off to it.
+async function runScheduledSync() {
+  timerId = null;
+  nextRunAt = null;
+  const config = getServerConfig();
+  if (!config.enabled) {
+    return;
+  }
+  if (!net.isOnline()) {
+    schedule(OFFLINE_CHECK_MS);
+    return;
+  }
+
+  try {
+    const result = await syncNow();
+    if (result.pushed || result.added || result.updated) {
+      console.log(
+        `[sync] sent ${result.pushed}, received ${result.added} new and ${result.updated} updated`
+      );
+    }
+    schedule(config.intervalMs);
+  } catch (error) {
+    console.error("[sync] scheduled sync failed:", error.message);
+    schedule(
+      Math.min(config.intervalMs, RETRY_BASE_MS * 2 ** (failures - 1))
+    );
+  }
+}
+
+function startSyncScheduler() {
+  stopSyncScheduler();
+  const config = getServerConfig();
+  if (!config.enabled || !config.url) {
+    console.log("[sync] division server sync disabled");
+    return;
+  }
+  schedule(STARTUP_DELAY_MS);
+}
+
+function stopSyncScheduler() {
+  if (timerId) {
+    clearTimeout(timerId);
+    timerId = null;
+  }
+  nextRunAt = null;
+}
+
+async function getSyncStatus() {
+  const config = getServerConfig();
+  const state = await getServerSyncState();
+  return {
+    enabled: config.enabled,
+    server: config.url ? describeServer(config.url) : null,
+    pending: state.pending,
+    online: net.isOnline(),
+    running: Boolean(running),
+    nextRunAt: nextRunAt ? nextRunAt.toISOString() : null,
+    lastRun,
+  };
+}
+
+module.exports = {
+  syncNow,
+  startSyncScheduler,
+  stopSyncScheduler,
+  getSyncStatus,
+};
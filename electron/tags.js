@@ -0,0 +1,58 @@
+const MAX_TAG_LENGTH = 48;
+const MAX_TAGS_PER_ENTRY = 20;
+
+// Collapses runs of whitespace so "Human  Wildlife" and "Human Wildlife" end up
+// as one tag. Case is kept as typed; uniqueness is case-insensitive in SQLite.
+function normaliseTagName(value) {
+  if (typeof value !== "string") {
+    return "";
+  }
+  return value.replace(/\s+/g, " ").trim();
+}
+
+function validateTagName(value) {
+  const name = normaliseTagName(value);
+  if (!name) {
+    throw new Error("Tag name is required");
+  }
+  if (name.length > MAX_TAG_LENGTH) {
+    throw new Error(`Tags must be ${MAX_TAG_LENGTH} characters or fewer`);
+  }
+  if (/[,|]/.test(name)) {
+    throw new Error("Tags cannot contain commas or vertical bars");
+  }
+  return name;
+}
+
+// Accepts an array of names or the legacy "a, b | c" text and returns the
+// distinct names in their original order. The first spelling of a name wins.
+function parseTagList(value) {
+  const parts = Array.isArray(value)
+    ? value.flatMap((item) =>
+        typeof item === "string" ? item.split(/[,|]/) : []
+      )
+    : typeof value === "string"
+    ? value.split(/[,|]/)
+    : [];
+
+  const seen = new Set();
+  const names = [];
+  for (const part of parts) {
+    const name = normaliseTagName(part);
+    const key = name.toLowerCase();
+    if (!name || seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+    names.push(name);
+  }
+  return names;
+}
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  MAX_TAGS_PER_ENTRY,
+  normaliseTagName,
+  validateTagName,
+  parseTagList,
+};
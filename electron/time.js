@@ -0,0 +1,67 @@
+// Timestamps are stored in UTC. Anything that depends on the calendar, such
+// as a date-only filter or the hour the digest goes out, is worked out in
+// India Standard Time, and wall-clock input without a zone (the form's
+// date-time field, a seismic bulletin) is read as IST.
+const APP_TIME_ZONE = "Asia/Kolkata";
+
+// India has not observed daylight saving since 1945, so the offset is fixed.
+const APP_UTC_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// The same offset as an SQLite date modifier, for grouping by IST day.
+const APP_SQL_OFFSET = "+330 minutes";
+
+const WALL_CLOCK_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+
+// Returns a Date, which is invalid when the text cannot be read. Text that
+// names its own zone or offset is taken at its word.
+function parseWallClockTime(value) {
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  const text = String(value ?? "").trim();
+  const match = WALL_CLOCK_PATTERN.exec(text);
+  if (!match) {
+    return new Date(text || Number.NaN);
+  }
+
+  const [year, month, day, hour = 0, minute = 0, second = 0] = match
+    .slice(1)
+    .map((part) => (part === undefined ? undefined : Number(part)));
+  const utc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const check = new Date(utc);
+  // Date.UTC rolls 31 June over to 1 July; a typo should not move the date.
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    return new Date(Number.NaN);
+  }
+  return new Date(utc - APP_UTC_OFFSET_MS);
+}
+
+// The first instant of the IST calendar day containing `date`.
+function startOfAppDay(date = new Date()) {
+  const local = date.getTime() + APP_UTC_OFFSET_MS;
+  return new Date(local - (local % DAY_MS) - APP_UTC_OFFSET_MS);
+}
+
+// The next time the IST clock reads hour:minute, strictly after `now`.
+function nextAppClockTime(hour, minute, now = new Date()) {
+  let target = startOfAppDay(now).getTime() + (hour * 60 + minute) * 60000;
+  if (target <= now.getTime()) {
+    target += DAY_MS;
+  }
+  return new Date(target);
+}
+
+function formatAppDateTime(date, options = {}) {
+  return date.toLocaleString("en-IN", { ...options, timeZone: APP_TIME_ZONE });
+}
+
+module.exports = {
+  APP_TIME_ZONE,
+  DAY_MS,
+  APP_SQL_OFFSET,
+  parseWallClockTime,
+  startOfAppDay,
+  nextAppClockTime,
+  formatAppDateTime,
+};
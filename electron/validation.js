@@ -0,0 +1,272 @@
+const { parseCoordinate } = require("./geo");
+const { parseWallClockTime } = require("./time");
+const { MAX_TAGS_PER_ENTRY, validateTagName, parseTagList } = require("./tags");
+
+// The options offered on the Field Data form. Stored values use exactly these
+// spellings; input is matched case-insensitively.
+const FIELD_DATA_OPTIONS = {
+  category: ["Wildlife", "Flora", "Disaster Alert", "Patrol", "Community"],
+  ageGroup: ["Adult", "Juvenile", "Sub-adult", "Unknown"],
+  behavior: [
+    "Feeding",
+    "Resting",
+    "Migrating",
+    "Aggressive",
+    "Disaster",
+    "Other",
+  ],
+  weather: ["Clear", "Cloudy", "Rainy", "Stormy", "Snowfall", "Foggy"],
+  visibility: ["Excellent", "Good", "Moderate", "Low", "Very Low"],
+  priority: ["Routine", "Important", "Urgent", "Draft"],
+};
+
+// Allows for clock drift between the device that took the photo or reading
+// and this machine before treating an observation time as being in the future.
+const OBSERVED_AT_TOLERANCE_MS = 5 * 60 * 1000;
+
+const FIELD_DATA_SCHEMA = {
+  species: {
+    type: "text",
+    label: "Species or subject",
+    required: true,
+    maxLength: 200,
+  },
+  category: {
+    type: "option",
+    label: "Category",
+    options: FIELD_DATA_OPTIONS.category,
+  },
+  ageGroup: {
+    type: "option",
+    label: "Age group",
+    options: FIELD_DATA_OPTIONS.ageGroup,
+  },
+  behavior: {
+    type: "option",
+    label: "Behavior",
+    options: FIELD_DATA_OPTIONS.behavior,
+  },
+  weather: {
+    type: "option",
+    label: "Weather",
+    options: FIELD_DATA_OPTIONS.weather,
+  },
+  visibility: {
+    type: "option",
+    label: "Visibility",
+    options: FIELD_DATA_OPTIONS.visibility,
+  },
+  priority: {
+    type: "option",
+    label: "Priority",
+    options: FIELD_DATA_OPTIONS.priority,
+  },
+  individualCount: {
+    type: "number",
+    label: "Individual count",
+    integer: true,
+    min: 0,
+    max: 10000,
+  },
+  temperature: {
+    type: "number",
+    label: "Temperature (°C)",
+    min: -50,
+    max: 60,
+  },
+  latitude: { type: "coordinate", label: "Latitude", axis: "latitude" },
+  longitude: { type: "coordinate", label: "Longitude", axis: "longitude" },
+  observedAt: { type: "pastTime", label: "Observation time" },
+  notes: { type: "text", label: "Notes", maxLength: 2000 },
+  tags: { type: "tags", label: "Tags" },
+};
+
+// Carries one entry per failing field so the form can mark each input. The
+// message reads well on its own for callers that only show one line.
+class ValidationError extends Error {
+  constructor(fields) {
+    super(
+      fields.length === 1
+        ? fields[0].message
+        : `${fields.length} fields need attention: ${fields
+            .map((field) => field.label)
+            .join(", ")}`
+    );
+    this.name = "ValidationError";
+    this.fields = fields;
+  }
+}
+
+// Thrown by a single rule and collected into a ValidationError, so one bad
+// field never hides the others.
+class FieldIssue extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "FieldIssue";
+    this.code = code;
+  }
+}
+
+function toText(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  return typeof value === "string" ? value.trim() : String(value).trim();
+}
+
+const VALIDATORS = {
+  text(value, rule) {
+    const text = toText(value);
+    if (rule.maxLength && text.length > rule.maxLength) {
+      throw new FieldIssue(
+        "too_long",
+        `${rule.label} must be ${rule.maxLength} characters or fewer`
+      );
+    }
+    return text || null;
+  },
+
+  option(value, rule) {
+    const text = toText(value);
+    if (!text) {
+      return null;
+    }
+    const match = rule.options.find(
+      (option) => option.toLowerCase() === text.toLowerCase()
+    );
+    if (!match) {
+      throw new FieldIssue(
+        "invalid_option",
+        `${rule.label} must be one of ${rule.options.join(", ")}`
+      );
+    }
+    return match;
+  },
+
+  number(value, rule) {
+    const text = toText(value);
+    if (!text) {
+      return null;
+    }
+    const number = Number(text);
+    if (!Number.isFinite(number)) {
+      throw new FieldIssue("not_a_number", `${rule.label} must be a number`);
+    }
+    if (rule.integer && !Number.isInteger(number)) {
+      throw new FieldIssue(
+        "not_an_integer",
+        `${rule.label} must be a whole number`
+      );
+    }
+    if (number < rule.min || number > rule.max) {
+      throw new FieldIssue(
+        "out_of_range",
+        `${rule.label} must be between ${rule.min} and ${rule.max}`
+      );
+    }
+    return number;
+  },
+
+  coordinate(value, rule) {
+    const { value: parsed, error } = parseCoordinate(value, rule.axis);
+    if (error) {
+      const outOfRange = error.startsWith("outside");
+      throw new FieldIssue(
+        outOfRange ? "out_of_range" : "invalid_format",
+        `${rule.label} is invalid (${error}). Use decimal degrees${
+          outOfRange ? "" : " such as 30.3165"
+        }`
+      );
+    }
+    return parsed;
+  },
+
+  pastTime(value, rule) {
+    const text = toText(value);
+    if (!text) {
+      return null;
+    }
+    const parsed = parseWallClockTime(text);
+    if (Number.isNaN(parsed.getTime())) {
+      throw new FieldIssue("invalid_date", `${rule.label} is invalid`);
+    }
+    if (parsed.getTime() > Date.now() + OBSERVED_AT_TOLERANCE_MS) {
+      throw new FieldIssue(
+        "in_future",
+        `${rule.label} cannot be in the future`
+      );
+    }
+    return parsed;
+  },
+
+  tags(value) {
+    let tags;
+    try {
+      tags = parseTagList(value).map(validateTagName);
+    } catch (error) {
+      throw new FieldIssue("invalid_tag", error.message);
+    }
+    if (tags.length > MAX_TAGS_PER_ENTRY) {
+      throw new FieldIssue(
+        "too_many",
+        `An entry can have at most ${MAX_TAGS_PER_ENTRY} tags`
+      );
+    }
+    return tags;
+  },
+};
+
+// Checks every field against the schema and reports all failures at once.
+// Returns the normalised values: trimmed text, canonical option spellings,
+// numbers, decimal coordinates and a Date for the observation time, which is
+// read as IST unless the text carries its own offset.
+function validateFieldDataEntry(entry = {}) {
+  const values = {};
+  const fields = [];
+
+  Object.entries(FIELD_DATA_SCHEMA).forEach(([field, rule]) => {
+    try {
+      values[field] = VALIDATORS[rule.type](entry[field], rule);
+      if (rule.required && values[field] === null) {
+        throw new FieldIssue("required", `${rule.label} is required`);
+      }
+    } catch (error) {
+      if (!(error instanceof FieldIssue)) {
+        throw error;
+      }
+      fields.push({
+        field,
+        label: rule.label,
+        code: error.code,
+        message: error.message,
+      });
+    }
+  });
+
+  const failed = new Set(fields.map((item) => item.field));
+  if (
+    !failed.has("latitude") &&
+    !failed.has("longitude") &&
+    (values.latitude === null) !== (values.longitude === null)
+  ) {
+    const missing = values.latitude === null ? "latitude" : "longitude";
+    fields.push({
+      field: missing,
+      label: FIELD_DATA_SCHEMA[missing].label,
+      code: "incomplete_pair",
+      message: "Latitude and longitude must be provided together",
+    });
+  }
+
+  if (fields.length) {
+    throw new ValidationError(fields);
+  }
+  return values;
+}
+
+module.exports = {
+  FIELD_DATA_OPTIONS,
+  FIELD_DATA_SCHEMA,
+  ValidationError,
+  validateFieldDataEntry,
+};
@@ -0,0 +1,278 @@
+// A small division sync server for testing EcoWatch sync on a local network
+// without any cloud service. It keeps the latest version of every entry in
+// one JSON file and uses only Node's built-in modules:
+//
+//   node server/sync-server.js
+//
+// SYNC_PORT (default 8787), SYNC_HOST (default 0.0.0.0), SYNC_DATA_FILE
+// (default ecowatch-sync.json in the current folder) and SYNC_TOKEN, which
+// when set must be sent by every laptop as a bearer token, configure it.
+//
+// Two laptops that change the same entry are settled with the rule in
+// electron/conflicts.js, the same one the laptops apply.
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const crypto = require("crypto");
+const { compareVersions } = require("../electron/conflicts");
+
+const PORT = Number(process.env.SYNC_PORT) || 8787;
+const HOST = process.env.SYNC_HOST || "0.0.0.0";
+const DATA_FILE = path.resolve(
+  process.env.SYNC_DATA_FILE || "ecowatch-sync.json"
+);
+const TOKEN = process.env.SYNC_TOKEN || "";
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+const MAX_PULL_LIMIT = 1000;
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+// { serverId, cursor, entries: { [uuid]: { seq, uuid, device, deviceName,
+// record, receivedAt } } }. seq orders the change feed; cursor is the
+// highest seq handed out.
+function loadStore() {
+  try {
+    const store = JSON.parse(fs.readFileSync(DATA_FILE, "utf8"));
+    if (typeof store.serverId === "string" && store.entries) {
+      return store;
+    }
+    throw new Error("unrecognised contents");
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw new Error(`Cannot read ${DATA_FILE}: ${error.message}`);
+    }
+  }
+  return { serverId: crypto.randomUUID(), cursor: 0, entries: {} };
+}
+
+// Written beside the data file and renamed over it, so a crash mid-write
+// leaves the previous copy intact.
+function saveStore(store) {
+  const stagingPath = `${DATA_FILE}.partial`;
+  fs.writeFileSync(stagingPath, JSON.stringify(store));
+  fs.renameSync(stagingPath, DATA_FILE);
+}
+
+const store = loadStore();
+saveStore(store);
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Too many changes in one request"));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (error) {
+        reject(new HttpError(400, "The request body is not valid JSON"));
+      }
+    });
+    request.on("error", reject);
+  });
+}
+
+function sendJson(response, status, payload) {
+  response.writeHead(status, { "Content-Type": "application/json" });
+  response.end(JSON.stringify(payload));
+}
+
+function isAuthorised(request) {
+  if (!TOKEN) {
+    return true;
+  }
+  const header = request.headers.authorization || "";
+  const expected = Buffer.from(`Bearer ${TOKEN}`);
+  const given = Buffer.from(header);
+  return (
+    given.length === expected.length && crypto.timingSafeEqual(given, expected)
+  );
+}
+
+function toFeedChange(entry) {
+  return {
+    seq: entry.seq,
+    uuid: entry.uuid,
+    device: entry.device,
+    deviceName: entry.deviceName,
+    record: entry.record,
+  };
+}
+
+// The laptops validate every record field by field before applying it; the
+// server only needs enough to store and order it.
+function checkChange(change) {
+  if (!change || typeof change !== "object") {
+    return "Change is not an object";
+  }
+  if (typeof change.uuid !== "string" || !UUID_PATTERN.test(change.uuid)) {
+    return "Change has no valid UUID";
+  }
+  const record = change.record;
+  if (!record || typeof record !== "object" || record.uuid !== change.uuid) {
+    return "Change has no record for its UUID";
+  }
+  if (Number.isNaN(Date.parse(record.updatedAt))) {
+    return "Record has no valid updated time";
+  }
+  return null;
+}
+
+function applyChange(device, change) {
+  const problem = checkChange(change);
+  if (problem) {
+    return { uuid: change?.uuid ?? null, status: "rejected", error: problem };
+  }
+
+  const uuid = change.uuid.toLowerCase();
+  const stored = store.entries[uuid];
+  if (stored) {
+    if (JSON.stringify(stored.record) === JSON.stringify(change.record)) {
+      return { uuid: change.uuid, status: "unchanged" };
+    }
+    const order = compareVersions(
+      { updatedAt: change.record.updatedAt, device: device.id },
+      { updatedAt: stored.record.updatedAt, device: stored.device }
+    );
+    if (order <= 0) {
+      return {
+        uuid: change.uuid,
+        status: "stale",
+        current: toFeedChange(stored),
+      };
+    }
+  }
+
+  store.cursor += 1;
+  store.entries[uuid] = {
+    seq: store.cursor,
+    uuid,
+    device: device.id,
+    deviceName: device.name,
+    record: change.record,
+    receivedAt: new Date().toISOString(),
+  };
+  return { uuid: change.uuid, status: "applied" };
+}
+
+async function handlePush(request, response) {
+  const body = await readBody(request);
+  const device = body?.device;
+  if (!device || typeof device.id !== "string" || !device.id) {
+    throw new HttpError(400, "The request does not name its device");
+  }
+  if (!Array.isArray(body.changes)) {
+    throw new HttpError(400, "The request has no list of changes");
+  }
+
+  const results = body.changes.map((change) =>
+    applyChange(
+      {
+        id: device.id,
+        name: typeof device.name === "string" ? device.name : null,
+      },
+      change
+    )
+  );
+  if (results.some((result) => result.status === "applied")) {
+    saveStore(store);
+  }
+  const applied = results.filter((result) => result.status === "applied");
+  console.log(
+    `[sync-server] ${device.name || device.id}: ${applied.length} of ${
+      results.length
+    } changes applied`
+  );
+  sendJson(response, 200, { results, cursor: store.cursor });
+}
+
+// Changes after `since` in feed order, leaving out entries whose latest
+// version came from `exclude`, which is the laptop asking: it already has
+// them. The cursor still moves past them.
+function handlePull(url, response) {
+  const since = Number(url.searchParams.get("since")) || 0;
+  const limit = Math.min(
+    Math.max(Number(url.searchParams.get("limit")) || 200, 1),
+    MAX_PULL_LIMIT
+  );
+  const exclude = url.searchParams.get("exclude");
+
+  const pending = Object.values(store.entries)
+    .filter((entry) => entry.seq > since)
+    .sort((a, b) => a.seq - b.seq);
+  const changes = [];
+  let cursor = since > store.cursor ? store.cursor : since;
+  let scanned = 0;
+  for (const entry of pending) {
+    if (changes.length >= limit) {
+      break;
+    }
+    scanned += 1;
+    cursor = entry.seq;
+    if (entry.device !== exclude) {
+      changes.push(toFeedChange(entry));
+    }
+  }
+  if (scanned === pending.length) {
+    cursor = Math.max(cursor, store.cursor);
+  }
+
+  sendJson(response, 200, {
+    changes,
+    cursor,
+    more: scanned < pending.length,
+  });
+}
+
+const server = http.createServer(async (request, response) => {
+  try {
+    const url = new URL(request.url, "http://localhost");
+    if (!isAuthorised(request)) {
+      throw new HttpError(401, "The sync token is missing or wrong");
+    }
+    if (request.method === "GET" && url.pathname === "/status") {
+      sendJson(response, 200, {
+        serverId: store.serverId,
+        cursor: store.cursor,
+        entries: Object.keys(store.entries).length,
+      });
+    } else if (request.method === "GET" && url.pathname === "/changes") {
+      handlePull(url, response);
+    } else if (request.method === "POST" && url.pathname === "/changes") {
+      await handlePush(request, response);
+    } else {
+      throw new HttpError(404, "Not found");
+    }
+  } catch (error) {
+    if (!(error instanceof HttpError)) {
+      console.error("[sync-server] request failed:", error);
+    }
+    sendJson(response, error.status || 500, {
+      error: error instanceof HttpError ? error.message : "Server error",
+    });
+  }
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(
+    `[sync-server] listening on http://${HOST}:${PORT} with ${
+      Object.keys(store.entries).length
+    } entries in ${DATA_FILE}${TOKEN ? "" : " (no token required)"}`
+  );
+});
@@ -1,13 +1,12 @@
-let aiPredictionsBridge = null;
+const aiPredictionsBridge = window.ecowatch ?? null;
 
-if (typeof require === "function") {
-  try {
-    const { ipcRenderer } = require("electron");
-    aiPredictionsBridge = ipcRenderer ?? null;
-  } catch (error) {
-    console.warn("IPC renderer unavailable for AI predictions:", error);
-  }
-}
+// Mirrors PROTECTED_AREA_TYPES in electron/sites.js.
+const PROTECTED_AREA_TYPES = [
+  "national_park",
+  "wildlife_sanctuary",
+  "conservation_reserve",
+  "tiger_reserve",
+];
 
 const PRIORITY_WEIGHTS = {
   urgent: 0.45,
@@ -63,52 +62,53 @@ function toTitleCase(value) {
     );
 }
 
-function parseTags(rawTags) {
-  return sanitiseText(rawTags)
-    .split(/[,|]/)
-    .map((tag) => toTitleCase(tag))
-    .filter(Boolean);
+// Entries carry their tags as an array of names already deduplicated and
+// spelled the way the tag manager keeps them.
+function parseTags(tags) {
+  return Array.isArray(tags)
+    ? tags.map((tag) => sanitiseText(tag)).filter(Boolean)
+    : [];
 }
 
+// Whole IST calendar days from one time to another: 0 is the same day and 1
+// is yesterday, so "this week" is 0 to 6.
 function differenceInDays(fromDate, toDate = new Date()) {
-  if (!fromDate) {
-    return Infinity;
-  }
-  const from = new Date(fromDate);
-  if (Number.isNaN(from.getTime())) {
+  const from = parseStoredTimestamp(fromDate);
+  if (!from) {
     return Infinity;
   }
-  const diffMs = toDate.getTime() - from.getTime();
-  return diffMs / (1000 * 60 * 60 * 24);
+  return calendarDaysBetween(from, toDate);
 }
 
-function getRegionLabel(entry, tags) {
-  if (tags.length) {
-    return tags[0];
-  }
-
-  const city = sanitiseText(entry?.city);
-  if (city) {
-    return toTitleCase(city);
-  }
+// Sightings are dated by when they happened, not when they were typed up.
+function getObservedAt(entry) {
+  return entry?.observedAt || entry?.recordedAt;
+}
 
-  const category = sanitiseText(entry?.category);
-  if (category) {
-    return toTitleCase(category);
-  }
+function formatCoordinate(value) {
+  const parsed = typeof value === "number" ? value : Number.NaN;
+  return Number.isFinite(parsed) ? parsed.toFixed(5) : "";
+}
 
-  const species = sanitiseText(entry?.species);
-  if (species) {
-    return toTitleCase(species);
-  }
+// Sites come back smallest first, so the first protected area is the most
+// specific park or sanctuary; divisions and ranges are the fallback.
+function getPrimarySite(entry) {
+  const sites = Array.isArray(entry?.sites) ? entry.sites : [];
+  return (
+    sites.find((site) => PROTECTED_AREA_TYPES.includes(site?.type)) ||
+    sites[0] ||
+    null
+  );
+}
 
-  const latitude = sanitiseText(entry?.latitude);
-  const longitude = sanitiseText(entry?.longitude);
-  if (latitude && longitude) {
-    return `${latitude}, ${longitude}`;
+function getRegionLabel(entry) {
+  const site = getPrimarySite(entry);
+  if (site?.name) {
+    return site.name;
   }
-
-  return "Field Observation";
+  const latitude = formatCoordinate(entry?.latitude);
+  const longitude = formatCoordinate(entry?.longitude);
+  return latitude && longitude ? "Outside mapped sites" : "Unlocated";
 }
 
 function getRegionDescription(entry) {
@@ -170,7 +170,7 @@ function scoreEntry(entry) {
     PRIORITY_WEIGHTS[toPriorityKey(entry?.priority)] || 0.12;
   score += priorityWeight;
 
-  const days = differenceInDays(entry?.recordedAt);
+  const days = differenceInDays(getObservedAt(entry));
   if (days <= 3) {
     score += 0.25;
   } else if (days <= 7) {
@@ -225,7 +225,7 @@ function scoreEntry(entry) {
   return {
     entry,
     tags,
-    label: getRegionLabel(entry, tags),
+    label: getRegionLabel(entry),
     description: getRegionDescription(entry),
     factors: deriveFactorList(entry, tags),
     probability,
@@ -235,15 +235,18 @@ function scoreEntry(entry) {
   };
 }
 
-function analysePredictions(entries) {
-  const safeEntries = Array.isArray(entries) ? entries : [];
-  if (!safeEntries.length) {
+// Regions come from the database summary, each led by its most urgent and
+// then latest entry; the urgent count for the week is the database's too.
+function analysePredictions(totals) {
+  const regions = Array.isArray(totals?.byRegion) ? totals.byRegion : [];
+  const allPredictions = regions
+    .filter((region) => region.entry)
+    .map((region) => scoreEntry(region.entry));
+  if (!allPredictions.length) {
     return {
       predictions: [],
       counts: { high: 0, medium: 0, low: 0 },
       summary: {
-        total: 0,
-        submittedThisWeek: 0,
         recentHigh: 0,
         highActive: 0,
         topRegion: "—",
@@ -252,19 +255,7 @@ function analysePredictions(entries) {
     };
   }
 
-  const scored = safeEntries.map((entry) => scoreEntry(entry));
-  scored.sort((a, b) => b.probability - a.probability);
-
-  const uniqueByLabel = new Map();
-  scored.forEach((item) => {
-    const key = item.label.toLowerCase();
-    const current = uniqueByLabel.get(key);
-    if (!current || item.probability > current.probability) {
-      uniqueByLabel.set(key, item);
-    }
-  });
-
-  const allPredictions = Array.from(uniqueByLabel.values());
+  allPredictions.sort((a, b) => b.probability - a.probability);
   const predictions = allPredictions.slice(0, 6);
 
   const counts = {
@@ -280,31 +271,15 @@ function analysePredictions(entries) {
     }
   });
 
-  const submittedThisWeek = scored.filter((item) => item.daysSince <= 7).length;
-
-  const recentHigh = scored.filter(
-    (item) => item.riskLevel === "high" && item.daysSince <= 7
-  ).length;
-
   const topPrediction = predictions[0];
 
-  const safeRegions = Math.max(
-    safeEntries.length - counts.high - counts.medium,
-    0
-  );
-  counts.low = safeRegions;
-
   const summary = {
-    total: safeEntries.length,
-    submittedThisWeek,
-    recentHigh,
+    recentHigh: Number(totals.urgentThisWeek) || 0,
     highActive: counts.high,
-    topRegion: topPrediction ? topPrediction.label : "—",
-    topRegionMeta: topPrediction
-      ? `${topPrediction.probability}% risk • ${toTitleCase(
-          topPrediction.riskLevel
-        )}`
-      : "Waiting for analytics",
+    topRegion: topPrediction.label,
+    topRegionMeta: `${topPrediction.probability}% risk • ${toTitleCase(
+      topPrediction.riskLevel
+    )}`,
   };
 
   return { predictions, counts, summary };
@@ -344,12 +319,10 @@ function formatRainfall(value) {
   return `${number.toFixed(1)} mm`;
 }
 
+// Minutes and hours within the same IST day, calendar days after that.
 function formatRelativeTime(value) {
-  if (!value) {
-    return "recent";
-  }
-  const target = new Date(value);
-  if (Number.isNaN(target.getTime())) {
+  const target = parseStoredTimestamp(value);
+  if (!target) {
     return "recent";
   }
   const diffMs = target.getTime() - Date.now();
@@ -360,11 +333,10 @@ function formatRelativeTime(value) {
   if (Math.abs(diffMinutes) < 60) {
     return formatter.format(diffMinutes, "minute");
   }
-  const diffHours = Math.round(diffMinutes / 60);
-  if (Math.abs(diffHours) < 24) {
-    return formatter.format(diffHours, "hour");
+  const diffDays = -differenceInDays(target);
+  if (diffDays === 0) {
+    return formatter.format(Math.round(diffMinutes / 60), "hour");
   }
-  const diffDays = Math.round(diffHours / 24);
   return formatter.format(diffDays, "day");
 }
 
@@ -388,7 +360,7 @@ function renderEnvironmentStrip(summary) {
 
   if (timestampNode) {
     const now = new Date();
-    timestampNode.textContent = `Updated ${now.toLocaleTimeString(undefined, {
+    timestampNode.textContent = `Updated ${formatAppDateTime(now, {
       hour: "2-digit",
       minute: "2-digit",
     })}`;
@@ -615,11 +587,15 @@ function updateInsights(summary) {
   setText(regionMetaNode, summary.topRegionMeta);
 }
 
+async function fetchFieldDataSummary(query = {}) {
+  return readBridgeResponse(
+    await aiPredictionsBridge.fieldData.summary(query),
+    "Failed to load statistics"
+  );
+}
+
 async function loadPredictions() {
-  if (
-    !aiPredictionsBridge ||
-    typeof aiPredictionsBridge.invoke !== "function"
-  ) {
+  if (!aiPredictionsBridge) {
     const listNode = document.getElementById("prediction-list");
     renderPredictions([], listNode);
     updateRiskTiles({ high: 0, medium: 0, low: 0 });
@@ -635,21 +611,19 @@ async function loadPredictions() {
   }
 
   try {
-    const response = await aiPredictionsBridge.invoke("fieldData:list", {
-      limit: 50,
-    });
-
-    if (!response?.ok) {
-      throw new Error(response?.error || "Failed to load field data");
-    }
-
-    const analysis = analysePredictions(response.data || []);
+    const totals = await fetchFieldDataSummary();
+    const analysis = analysePredictions(totals);
     renderPredictions(
       analysis.predictions,
       document.getElementById("prediction-list")
     );
     updateRiskTiles(analysis.counts);
-    updateInsights(analysis.summary);
+    // Observation counts come from the database so they cover every entry.
+    updateInsights({
+      ...analysis.summary,
+      total: totals.total,
+      submittedThisWeek: totals.observedThisWeek,
+    });
   } catch (error) {
     console.error("Failed to load AI predictions:", error);
     renderPredictions([], document.getElementById("prediction-list"));
@@ -666,40 +640,32 @@ async function loadPredictions() {
 }
 
 async function loadEnvironmentSummary() {
-  if (
-    !aiPredictionsBridge ||
-    typeof aiPredictionsBridge.invoke !== "function"
-  ) {
+  if (!aiPredictionsBridge) {
     return;
   }
 
   try {
-    const response = await aiPredictionsBridge.invoke("environment:summary");
-    if (!response?.ok) {
-      throw new Error(response?.error || "Failed to load environment summary");
-    }
-    renderEnvironmentStrip(response.data);
+    const summary = readBridgeResponse(
+      await aiPredictionsBridge.environment.summary(),
+      "Failed to load environment summary"
+    );
+    renderEnvironmentStrip(summary);
   } catch (error) {
     console.error("Failed to load environment summary:", error);
-    renderEnvironmentStripError(error?.message);
+    renderEnvironmentStripError(describeBridgeError(error));
   }
 }
 
 async function loadUserProfile() {
-  if (
-    !aiPredictionsBridge ||
-    typeof aiPredictionsBridge.invoke !== "function"
-  ) {
+  if (!aiPredictionsBridge) {
     return;
   }
 
   try {
-    const response = await aiPredictionsBridge.invoke("userProfile:get");
-    if (!response?.ok) {
-      throw new Error(response?.error || "Failed to load profile");
-    }
-
-    const profile = response.data;
+    const profile = readBridgeResponse(
+      await aiPredictionsBridge.profile.get(),
+      "Failed to load profile"
+    );
     if (!profile) {
       return;
     }
@@ -713,7 +679,11 @@ async function loadUserProfile() {
     }
 
     if (userRoleNode) {
-      const role = profile.city || profile.email || "Field Coordinator";
+      const role =
+        profile.designation ||
+        profile.city ||
+        profile.email ||
+        "Field Coordinator";
       userRoleNode.textContent = role;
     }
 
@@ -0,0 +1,50 @@
+// Reading window.ecowatch responses, the same way on every page. A failed
+// response carries a code from electron/errors.js along with its message;
+// the message says what went wrong and the hint for its code says what the
+// ranger can do about it.
+const BRIDGE_ERROR_HINTS = {
+  invalid_request: "Reload the page and try again.",
+  not_configured: "Check Settings.",
+  database_busy: "Try again in a moment.",
+  database_damaged: "Restore a backup from Settings before carrying on.",
+  storage_full: "Free some disk space and try again.",
+  storage_error: "Try again, and restart EcoWatch if it keeps happening.",
+  offline: "Check the internet connection and try again.",
+  service_auth: "Check the key or token in Settings.",
+  service_unavailable: "Try again later.",
+  internal: "The details are in EcoWatch's log.",
+};
+
+// A failed response as an Error, keeping what the page may act on: the
+// setting or input to fix (`field`), whether trying again unchanged may
+// work, and the details sent for rejected input and likely duplicates.
+class BridgeError extends Error {
+  constructor(response, fallbackMessage = "Request failed.") {
+    super(response?.error || fallbackMessage);
+    this.name = "BridgeError";
+    this.code = response?.code || "internal";
+    this.field = response?.field ?? null;
+    this.retryable = Boolean(response?.retryable);
+    this.fieldErrors = response?.fieldErrors || [];
+    this.duplicates = response?.duplicates || [];
+  }
+}
+
+// The data of a successful response; a failed one is thrown as a BridgeError.
+function readBridgeResponse(response, fallbackMessage) {
+  if (!response?.ok) {
+    throw new BridgeError(response, fallbackMessage);
+  }
+  return response.data;
+}
+
+// The feedback line for anything caught around a bridge call.
+function describeBridgeError(error, fallbackMessage) {
+  const message = error?.message || fallbackMessage;
+  const hint =
+    error instanceof BridgeError ? BRIDGE_ERROR_HINTS[error.code] : null;
+  if (!message || !hint) {
+    return message;
+  }
+  return `${/[.!?]$/.test(message) ? message : `${message}.`} ${hint}`;
+}
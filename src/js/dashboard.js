@@ -1,13 +1,4 @@
-let dashboardBridge = null;
-
-if (typeof require === "function") {
-  try {
-    const { ipcRenderer } = require("electron");
-    dashboardBridge = ipcRenderer ?? null;
-  } catch (error) {
-    console.warn("IPC renderer unavailable for dashboard:", error);
-  }
-}
+const dashboardBridge = window.ecowatch ?? null;
 
 const PRIORITY_WEIGHTS = {
   urgent: 0.45,
@@ -53,6 +44,14 @@ const PROBABILITY_CLASS = {
   },
 };
 
+// Mirrors PROTECTED_AREA_TYPES in electron/sites.js.
+const PROTECTED_AREA_TYPES = [
+  "national_park",
+  "wildlife_sanctuary",
+  "conservation_reserve",
+  "tiger_reserve",
+];
+
 const MAP_BOUNDS = {
   minLat: 28.0,
   maxLat: 31.5,
@@ -88,31 +87,33 @@ function getInitials(name) {
   return `${parts[0][0]}${parts[parts.length - 1][0]}`.toUpperCase();
 }
 
-function parseTags(rawTags) {
-  return sanitiseText(rawTags)
-    .split(/[,|]/)
-    .map((tag) => toTitleCase(tag))
-    .filter(Boolean);
+// Entries carry their tags as an array of names already deduplicated and
+// spelled the way the tag manager keeps them.
+function parseTags(tags) {
+  return Array.isArray(tags)
+    ? tags.map((tag) => sanitiseText(tag)).filter(Boolean)
+    : [];
 }
 
+// Whole IST calendar days from one time to another: 0 is the same day and 1
+// is yesterday, so "this week" is 0 to 6.
 function differenceInDays(fromDate, toDate = new Date()) {
-  if (!fromDate) {
+  const from = parseStoredTimestamp(fromDate);
+  if (!from) {
     return Infinity;
   }
-  const from = new Date(fromDate);
-  if (Number.isNaN(from.getTime())) {
-    return Infinity;
-  }
-  const diffMs = toDate.getTime() - from.getTime();
-  return diffMs / (1000 * 60 * 60 * 24);
+  return calendarDaysBetween(from, toDate);
+}
+
+// Sightings are dated by when they happened, not when they were typed up.
+function getObservedAt(entry) {
+  return entry?.observedAt || entry?.recordedAt;
 }
 
+// Minutes and hours within the same IST day, calendar days after that.
 function formatRelativeTime(value) {
-  if (!value) {
-    return "—";
-  }
-  const target = new Date(value);
-  if (Number.isNaN(target.getTime())) {
+  const target = parseStoredTimestamp(value);
+  if (!target) {
     return "—";
   }
   const diffMs = target.getTime() - Date.now();
@@ -122,11 +123,10 @@ function formatRelativeTime(value) {
   if (abs(diffMinutes) < 60) {
     return rtf.format(Math.round(diffMinutes), "minute");
   }
-  const diffHours = Math.round(diffMinutes / 60);
-  if (abs(diffHours) < 24) {
-    return rtf.format(diffHours, "hour");
+  const diffDays = -differenceInDays(target);
+  if (diffDays === 0) {
+    return rtf.format(Math.round(diffMinutes / 60), "hour");
   }
-  const diffDays = Math.round(diffHours / 24);
   if (abs(diffDays) < 30) {
     return rtf.format(diffDays, "day");
   }
@@ -134,28 +134,30 @@ function formatRelativeTime(value) {
   return rtf.format(diffMonths, "month");
 }
 
-function getRegionLabel(entry, tags) {
-  if (tags.length) {
-    return tags[0];
-  }
-  const city = sanitiseText(entry?.city);
-  if (city) {
-    return toTitleCase(city);
-  }
-  const category = sanitiseText(entry?.category);
-  if (category) {
-    return toTitleCase(category);
-  }
-  const species = sanitiseText(entry?.species);
-  if (species) {
-    return toTitleCase(species);
-  }
-  const latitude = sanitiseText(entry?.latitude);
-  const longitude = sanitiseText(entry?.longitude);
-  if (latitude && longitude) {
-    return `${latitude}, ${longitude}`;
+function formatCoordinate(value) {
+  const parsed = typeof value === "number" ? value : Number.NaN;
+  return Number.isFinite(parsed) ? parsed.toFixed(5) : "";
+}
+
+// Sites come back smallest first, so the first protected area is the most
+// specific park or sanctuary; divisions and ranges are the fallback.
+function getPrimarySite(entry) {
+  const sites = Array.isArray(entry?.sites) ? entry.sites : [];
+  return (
+    sites.find((site) => PROTECTED_AREA_TYPES.includes(site?.type)) ||
+    sites[0] ||
+    null
+  );
+}
+
+function getRegionLabel(entry) {
+  const site = getPrimarySite(entry);
+  if (site?.name) {
+    return site.name;
   }
-  return "Field Observation";
+  const latitude = formatCoordinate(entry?.latitude);
+  const longitude = formatCoordinate(entry?.longitude);
+  return latitude && longitude ? "Outside mapped sites" : "Unlocated";
 }
 
 function getRegionDescription(entry) {
@@ -211,7 +213,7 @@ function scoreEntry(entry) {
     PRIORITY_WEIGHTS[toPriorityKey(entry?.priority)] || 0.1;
   score += priorityWeight;
 
-  const days = differenceInDays(entry?.recordedAt);
+  const days = differenceInDays(getObservedAt(entry));
   if (days <= 3) {
     score += 0.25;
   } else if (days <= 7) {
@@ -266,7 +268,7 @@ function scoreEntry(entry) {
   return {
     entry,
     tags,
-    label: getRegionLabel(entry, tags),
+    label: getRegionLabel(entry),
     description: getRegionDescription(entry),
     factors: deriveFactors(entry, tags),
     probability,
@@ -275,41 +277,20 @@ function scoreEntry(entry) {
   };
 }
 
-function analyseEntries(entries) {
-  const safeEntries = Array.isArray(entries) ? entries : [];
-  const scored = safeEntries.map((entry) => scoreEntry(entry));
-  scored.sort((a, b) => b.probability - a.probability);
-
-  const regionMap = new Map();
-  scored.forEach((item) => {
-    const key = sanitiseText(item.label).toLowerCase();
-    const current = regionMap.get(key);
-    if (!current || item.probability > current.probability) {
-      regionMap.set(key, { ...item });
-    }
-  });
-
-  const regions = Array.from(regionMap.values());
-
-  const metrics = {
-    total: safeEntries.length,
-    uniqueRegions: regions.length,
-    uniqueSpecies: new Set(
-      safeEntries
-        .map((entry) => sanitiseText(entry?.species).toLowerCase())
-        .filter(Boolean)
-    ).size,
-    recentReports: safeEntries.filter(
-      (entry) => differenceInDays(entry?.recordedAt) <= 7
-    ).length,
-  };
+// Regions come from the database summary, each led by its most urgent and
+// then latest entry, so every region is scored without loading every entry.
+function analyseRegions(byRegion) {
+  const regions = (Array.isArray(byRegion) ? byRegion : [])
+    .filter((region) => region.entry)
+    .map((region) => scoreEntry(region.entry));
+  regions.sort((a, b) => b.probability - a.probability);
 
   const highRegions = regions.filter((region) => region.riskLevel === "high");
   const mediumRegions = regions.filter(
     (region) => region.riskLevel === "medium"
   );
   const safeRegions = Math.max(
-    metrics.uniqueRegions - highRegions.length - mediumRegions.length,
+    regions.length - highRegions.length - mediumRegions.length,
     0
   );
 
@@ -320,10 +301,8 @@ function analyseEntries(entries) {
   };
 
   return {
-    scored,
     regions,
     counts,
-    metrics,
     highRegions,
     mediumRegions,
   };
@@ -385,7 +364,7 @@ function renderEnvironmentSummary(summary) {
   const now = new Date();
   setText(
     updatedNode,
-    `Updated ${now.toLocaleTimeString(undefined, {
+    `Updated ${formatAppDateTime(now, {
       hour: "2-digit",
       minute: "2-digit",
     })}`
@@ -512,36 +491,40 @@ function renderEnvironmentError(errorMessage) {
 }
 
 async function loadEnvironmentSummary() {
-  if (!dashboardBridge || typeof dashboardBridge.invoke !== "function") {
+  if (!dashboardBridge) {
     return;
   }
 
   try {
-    const response = await dashboardBridge.invoke("environment:summary");
-    if (!response?.ok) {
-      throw new Error(response?.error || "Failed to load environment summary");
-    }
-    renderEnvironmentSummary(response.data);
+    const summary = readBridgeResponse(
+      await dashboardBridge.environment.summary(),
+      "Failed to load environment summary"
+    );
+    renderEnvironmentSummary(summary);
   } catch (error) {
     console.error("Failed to load environment summary:", error);
-    renderEnvironmentError(error?.message);
+    renderEnvironmentError(describeBridgeError(error));
   }
 }
 
-function renderStats(metrics, counts) {
+// Counts come from the database summary so they cover every entry; only the
+// risk tally depends on the scored regions.
+function renderStats(summary, counts) {
   setText(
     document.getElementById("stat-protected-areas"),
-    metrics.uniqueRegions
-      ? `${metrics.uniqueRegions} region${
-          metrics.uniqueRegions === 1 ? "" : "s"
-        }`
+    summary.protectedAreas
+      ? `${summary.protectedAreas} area${
+          summary.protectedAreas === 1 ? "" : "s"
+        } with sightings`
+      : summary.total
+      ? "No sightings inside"
       : "Awaiting data"
   );
 
   setText(
     document.getElementById("stat-species-tracked"),
-    metrics.uniqueSpecies
-      ? `${metrics.uniqueSpecies} species`
+    summary.species
+      ? `${summary.species} species`
       : "No species logged"
   );
 
@@ -553,9 +536,9 @@ function renderStats(metrics, counts) {
 
   setText(
     document.getElementById("stat-reports-week"),
-    metrics.recentReports
-      ? `${metrics.recentReports} entr${
-          metrics.recentReports === 1 ? "y" : "ies"
+    summary.observedThisWeek
+      ? `${summary.observedThisWeek} entr${
+          summary.observedThisWeek === 1 ? "y" : "ies"
         }`
       : "0 entries"
   );
@@ -719,7 +702,7 @@ function createAlertItem(region) {
 
   const time = document.createElement("span");
   time.className = "alert-time";
-  time.textContent = formatRelativeTime(region.entry?.recordedAt);
+  time.textContent = formatRelativeTime(getObservedAt(region.entry));
 
   li.appendChild(meta);
   li.appendChild(time);
@@ -727,7 +710,7 @@ function createAlertItem(region) {
   return li;
 }
 
-function renderAlerts(highRegions, mediumRegions, scored) {
+function renderAlerts(highRegions, mediumRegions, regions) {
   const criticalList = document.getElementById("alert-critical-list");
   const fieldList = document.getElementById("alert-field-list");
 
@@ -737,8 +720,8 @@ function renderAlerts(highRegions, mediumRegions, scored) {
       .slice()
       .sort(
         (a, b) =>
-          new Date(b.entry?.recordedAt || 0) -
-          new Date(a.entry?.recordedAt || 0)
+          (parseStoredTimestamp(getObservedAt(b.entry)) || 0) -
+          (parseStoredTimestamp(getObservedAt(a.entry)) || 0)
       )
       .slice(0, 4);
 
@@ -757,7 +740,7 @@ function renderAlerts(highRegions, mediumRegions, scored) {
 
   if (fieldList) {
     fieldList.innerHTML = "";
-    const remaining = scored
+    const remaining = regions
       .filter((item) => item.riskLevel !== "high")
       .slice(0, 5);
 
@@ -774,16 +757,23 @@ function renderAlerts(highRegions, mediumRegions, scored) {
   }
 }
 
+async function fetchFieldDataSummary(query = {}) {
+  return readBridgeResponse(
+    await dashboardBridge.fieldData.summary(query),
+    "Failed to load statistics"
+  );
+}
+
+const EMPTY_SUMMARY = {
+  total: 0,
+  species: 0,
+  protectedAreas: 0,
+  observedThisWeek: 0,
+};
+
 async function loadFieldData() {
-  if (!dashboardBridge || typeof dashboardBridge.invoke !== "function") {
-    renderStats(
-      { uniqueRegions: 0, uniqueSpecies: 0, recentReports: 0 },
-      {
-        high: 0,
-        medium: 0,
-        low: 0,
-      }
-    );
+  if (!dashboardBridge) {
+    renderStats(EMPTY_SUMMARY, { high: 0, medium: 0, low: 0 });
     renderMapMarkers([]);
     renderRiskList([]);
     renderAlerts([], [], []);
@@ -791,30 +781,20 @@ async function loadFieldData() {
   }
 
   try {
-    const response = await dashboardBridge.invoke("fieldData:list", {
-      limit: 100,
-    });
-    if (!response?.ok) {
-      throw new Error(response?.error || "Failed to load field data");
-    }
-
-    const entries = response.data || [];
-    const analysis = analyseEntries(entries);
+    const summary = await fetchFieldDataSummary();
+    const analysis = analyseRegions(summary.byRegion);
 
-    renderStats(analysis.metrics, analysis.counts);
+    renderStats(summary, analysis.counts);
     renderMapMarkers(analysis.regions);
     renderRiskList(analysis.regions);
-    renderAlerts(analysis.highRegions, analysis.mediumRegions, analysis.scored);
+    renderAlerts(
+      analysis.highRegions,
+      analysis.mediumRegions,
+      analysis.regions
+    );
   } catch (error) {
     console.error("Failed to load dashboard data:", error);
-    renderStats(
-      { uniqueRegions: 0, uniqueSpecies: 0, recentReports: 0 },
-      {
-        high: 0,
-        medium: 0,
-        low: 0,
-      }
-    );
+    renderStats(EMPTY_SUMMARY, { high: 0, medium: 0, low: 0 });
     renderMapMarkers([]);
     renderRiskList([]);
     renderAlerts([], [], []);
@@ -822,17 +802,15 @@ async function loadFieldData() {
 }
 
 async function loadUserProfile() {
-  if (!dashboardBridge || typeof dashboardBridge.invoke !== "function") {
+  if (!dashboardBridge) {
     return;
   }
 
   try {
-    const response = await dashboardBridge.invoke("userProfile:get");
-    if (!response?.ok) {
-      throw new Error(response?.error || "Failed to fetch profile");
-    }
-
-    const profile = response.data;
+    const profile = readBridgeResponse(
+      await dashboardBridge.profile.get(),
+      "Failed to fetch profile"
+    );
     if (!profile) {
       return;
     }
@@ -846,7 +824,11 @@ async function loadUserProfile() {
     }
 
     if (userRoleNode) {
-      const role = profile.city || profile.email || "Field Coordinator";
+      const role =
+        profile.designation ||
+        profile.city ||
+        profile.email ||
+        "Field Coordinator";
       userRoleNode.textContent = role;
     }
 
@@ -1,13 +1,4 @@
-let fieldDataBridge = null;
-
-if (typeof require === "function") {
-  try {
-    const { ipcRenderer } = require("electron");
-    fieldDataBridge = ipcRenderer ?? null;
-  } catch (error) {
-    console.warn("IPC renderer unavailable:", error);
-  }
-}
+const fieldDataBridge = window.ecowatch ?? null;
 
 const PRIORITY_LABELS = {
   routine: "Routine",
@@ -42,27 +33,21 @@ function toPriorityClass(priority) {
 }
 
 function formatDateTime(value) {
-  if (!value) {
-    return "";
-  }
-  const date = new Date(value);
-  if (Number.isNaN(date.getTime())) {
+  const date = parseStoredTimestamp(value);
+  if (!date) {
     return "";
   }
-  try {
-    return new Intl.DateTimeFormat(undefined, {
-      dateStyle: "medium",
-      timeStyle: "short",
-    }).format(date);
-  } catch (error) {
-    console.warn("Date formatting failed", error);
-    return date.toLocaleString();
-  }
+  return formatAppDateTime(date, { dateStyle: "medium", timeStyle: "short" });
+}
+
+function formatCoordinate(value) {
+  const parsed = typeof value === "number" ? value : Number.NaN;
+  return Number.isFinite(parsed) ? parsed.toFixed(5) : "";
 }
 
 function formatLocation(entry) {
-  const latitude = sanitiseText(entry?.latitude || "");
-  const longitude = sanitiseText(entry?.longitude || "");
+  const latitude = formatCoordinate(entry?.latitude);
+  const longitude = formatCoordinate(entry?.longitude);
   if (latitude && longitude) {
     return `${latitude}, ${longitude}`;
   }
@@ -83,6 +68,197 @@ function formatCount(value) {
   return parsed === 1 ? "1 individual" : `${parsed} individuals`;
 }
 
+function appendHighlightedText(node, text, highlight) {
+  const start = highlight?.start;
+  const end = highlight?.end;
+  const value = typeof text === "string" ? text : "";
+  if (!start || !end) {
+    node.textContent = value;
+    return;
+  }
+
+  value.split(start).forEach((segment, index) => {
+    if (index === 0) {
+      node.appendChild(document.createTextNode(segment));
+      return;
+    }
+    const [marked, ...rest] = segment.split(end);
+    const mark = document.createElement("mark");
+    mark.textContent = marked;
+    node.appendChild(mark);
+    node.appendChild(document.createTextNode(rest.join(end)));
+  });
+}
+
+const IUCN_LABELS = {
+  EX: "Extinct",
+  EW: "Extinct in the Wild",
+  CR: "Critically Endangered",
+  EN: "Endangered",
+  VU: "Vulnerable",
+  NT: "Near Threatened",
+  LC: "Least Concern",
+  DD: "Data Deficient",
+  NE: "Not Evaluated",
+};
+
+// Same rule as isPriorityTaxon in electron/species.js.
+const URGENT_IUCN_CATEGORIES = ["CR", "EN"];
+const FLORA_TAXON_GROUPS = ["Plant", "Fungus"];
+const SPECIES_CATEGORIES = ["Wildlife", "Flora"];
+const SPECIES_SEARCH_DELAY_MS = 150;
+const SPECIES_SUGGESTION_LIMIT = 8;
+
+function isPriorityTaxon(taxon) {
+  return (
+    Boolean(taxon) &&
+    (URGENT_IUCN_CATEGORIES.includes(taxon.iucnCategory) ||
+      taxon.wpaSchedule === "I")
+  );
+}
+
+function getCategoryForTaxon(taxon) {
+  return FLORA_TAXON_GROUPS.includes(taxon?.taxonGroup) ? "Flora" : "Wildlife";
+}
+
+function createConservationBadges(taxon) {
+  const badges = document.createElement("span");
+  badges.className = "conservation-badges";
+
+  const iucnCategory = sanitiseText(taxon?.iucnCategory);
+  if (iucnCategory) {
+    const badge = document.createElement("span");
+    badge.className = `conservation-badge conservation-badge--${iucnCategory.toLowerCase()}`;
+    badge.textContent = iucnCategory;
+    badge.title = `IUCN Red List: ${IUCN_LABELS[iucnCategory] || iucnCategory}`;
+    badges.appendChild(badge);
+  }
+
+  const schedule = sanitiseText(taxon?.wpaSchedule);
+  if (schedule) {
+    const badge = document.createElement("span");
+    badge.className = "conservation-badge conservation-badge--schedule";
+    badge.textContent = `Sch. ${schedule}`;
+    badge.title = `Wildlife (Protection) Act Schedule ${schedule}`;
+    badges.appendChild(badge);
+  }
+
+  return badges;
+}
+
+function describeTaxon(taxon) {
+  return [taxon?.scientificName, taxon?.hindiName, taxon?.taxonGroup]
+    .map((part) => sanitiseText(part))
+    .filter(Boolean)
+    .join(" · ");
+}
+
+const PHOTO_MAX_BYTES = 10 * 1024 * 1024;
+const PHOTO_EXTENSIONS = ["jpg", "jpeg", "png", "heic", "heif"];
+const PHOTO_STRIP_LIMIT = 4;
+const PHOTO_EXIF_SCAN_BYTES = 256 * 1024;
+const PHOTO_DISTANCE_WARNING_KM = 1;
+
+function haversineDistanceKm(fromLat, fromLon, toLat, toLon) {
+  const toRadians = (value) => (value * Math.PI) / 180;
+  const dLat = toRadians(toLat - fromLat);
+  const dLon = toRadians(toLon - fromLon);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(fromLat)) *
+      Math.cos(toRadians(toLat)) *
+      Math.sin(dLon / 2) ** 2;
+  return 2 * 6371.0088 * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+function toDateTimeLocalValue(timestamp) {
+  const date = parseStoredTimestamp(sanitiseText(timestamp));
+  return date ? toWallClockValue(date) : "";
+}
+
+function getFileExtension(name) {
+  const match = /\.([a-z0-9]+)$/i.exec(sanitiseText(name));
+  return match ? match[1].toLowerCase() : "";
+}
+
+function formatFileSize(bytes) {
+  const size = Number(bytes);
+  if (!Number.isFinite(size) || size <= 0) {
+    return "";
+  }
+  if (size < 1024 * 1024) {
+    return `${Math.max(1, Math.round(size / 1024))} KB`;
+  }
+  return `${(size / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function validatePhotoFile(file) {
+  const name = sanitiseText(file?.name) || "photo";
+  const extension = getFileExtension(name);
+  const isImageType = /^image\/(jpeg|png|heic|heif)$/.test(file?.type || "");
+  if (!PHOTO_EXTENSIONS.includes(extension) && !isImageType) {
+    return `${name} is not a JPG, PNG or HEIC photo.`;
+  }
+  if (file.size > PHOTO_MAX_BYTES) {
+    return `${name} is larger than 10MB.`;
+  }
+  return null;
+}
+
+async function openAttachment(attachmentId) {
+  if (!fieldDataBridge) {
+    return;
+  }
+  try {
+    readBridgeResponse(
+      await fieldDataBridge.attachments.open({
+        id: attachmentId,
+      }),
+      "Unable to open photo."
+    );
+  } catch (error) {
+    console.error("Failed to open attachment:", error);
+  }
+}
+
+async function renderPhotoStrip(container, entryId) {
+  if (!fieldDataBridge) {
+    return;
+  }
+
+  try {
+    const attachments = readBridgeResponse(
+      await fieldDataBridge.attachments.list({
+        fieldDataId: entryId,
+      }),
+      "Unable to load photos."
+    );
+    (attachments || []).slice(0, PHOTO_STRIP_LIMIT).forEach((attachment) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "recent-list__photo";
+      button.title = sanitiseText(attachment.fileName) || "Photo";
+      if (attachment.thumbnail) {
+        button.style.backgroundImage = `url("${attachment.thumbnail}")`;
+      } else {
+        button.textContent =
+          getFileExtension(attachment.fileName).toUpperCase() || "IMG";
+      }
+      button.addEventListener("click", () => openAttachment(attachment.id));
+      container.appendChild(button);
+    });
+
+    if (attachments.length > PHOTO_STRIP_LIMIT) {
+      const more = document.createElement("span");
+      more.className = "recent-list__photo";
+      more.textContent = `+${attachments.length - PHOTO_STRIP_LIMIT}`;
+      container.appendChild(more);
+    }
+  } catch (error) {
+    console.error("Failed to load photo strip:", error);
+  }
+}
+
 function getInitials(name) {
   const parts = sanitiseText(name).split(/\s+/).filter(Boolean);
   if (!parts.length) {
@@ -196,7 +372,7 @@ function renderEnvironmentBanner(summary) {
 
   const now = new Date();
   if (timestampNode) {
-    timestampNode.textContent = `Updated ${now.toLocaleTimeString(undefined, {
+    timestampNode.textContent = `Updated ${formatAppDateTime(now, {
       hour: "2-digit",
       minute: "2-digit",
     })}`;
@@ -248,13 +424,14 @@ function renderEnvironmentBanner(summary) {
         ? `Magnitude ${Number(latest.magnitude).toFixed(1)}`
         : "Magnitude unavailable";
       const location = latest?.location || "Uttarakhand";
-      const timeLabel = latest?.timestamp
-        ? new Intl.DateTimeFormat(undefined, {
+      const seenAt = parseStoredTimestamp(latest?.timestamp);
+      const timeLabel = seenAt
+        ? formatAppDateTime(seenAt, {
             hour: "2-digit",
             minute: "2-digit",
             day: "numeric",
             month: "short",
-          }).format(new Date(latest.timestamp))
+          })
         : "recent";
       seismicNode.textContent = `${magnitude} near ${location} (${timeLabel})`;
     } else {
@@ -325,19 +502,61 @@ document.addEventListener("DOMContentLoaded", () => {
   const notesField = document.getElementById("field-notes");
   const notesCounter = document.querySelector('[data-field="notes-count"]');
   const recentList = document.getElementById("recent-entries");
+  const recentCaption = document.getElementById("recent-entries-caption");
+  const searchInput = document.getElementById("recent-search");
   const feedbackNode = document.getElementById("form-feedback");
   const autoTagButton = form.querySelector('[data-action="autotag-location"]');
+  const photoDrop = document.getElementById("photo-drop");
+  const photoInput = document.getElementById("photo-input");
+  const attachmentList = document.getElementById("attachment-list");
+  const takePhotoButton = form.querySelector('[data-action="take-photo"]');
+  const choosePhotosButton = form.querySelector(
+    '[data-action="choose-photos"]'
+  );
+  const cameraDialog = document.getElementById("camera-dialog");
+  const cameraPreview = document.getElementById("camera-preview");
+  const duplicateDialog = document.getElementById("duplicate-dialog");
+  const duplicateLead = document.getElementById("duplicate-dialog-lead");
+  const duplicateList = document.getElementById("duplicate-list");
 
   const latitudeInput = document.getElementById("field-latitude");
   const longitudeInput = document.getElementById("field-longitude");
+  const observedAtInput = document.getElementById("field-observed-at");
+  const photoMetadataNode = document.getElementById("photo-metadata");
   const temperatureInput = document.getElementById("field-temperature");
   const weatherSelect = document.getElementById("field-weather");
+  const categorySelect = document.getElementById("field-category");
+  const speciesInput = document.getElementById("field-species");
+  const speciesIdInput = document.getElementById("field-species-id");
+  const speciesSuggestions = document.getElementById("species-suggestions");
+  const speciesStatus = document.getElementById("species-status");
 
   const userNameNode = document.getElementById("user-name");
   const userRoleNode = document.getElementById("user-role");
   const userAvatarNode = document.getElementById("user-avatar");
 
   const notesLimit = Number(notesField?.getAttribute("maxlength")) || 2000;
+  const submitLabel = sanitiseText(submitButton?.textContent) || "Submit Report";
+  const clearLabel = sanitiseText(clearButton?.textContent) || "Clear Form";
+
+  const recentCaptionLabel =
+    sanitiseText(recentCaption?.textContent) || "Your last 5 submissions";
+
+  let editingId = null;
+  let searchTimer = null;
+  let pendingPhotos = [];
+  let savedPhotos = [];
+  let cameraStream = null;
+  let photoMetadata = null;
+  let selectedSpecies = null;
+  let speciesResults = [];
+  let speciesActiveIndex = -1;
+  let speciesSearchTimer = null;
+  let speciesSearchToken = 0;
+  let priorityTouched = false;
+  // The submission waiting on the duplicate dialog, so each choice can finish
+  // it without gathering the form again.
+  let pendingDuplicate = null;
 
   function clearFeedback() {
     if (!feedbackNode) {
@@ -347,6 +566,83 @@ document.addEventListener("DOMContentLoaded", () => {
     feedbackNode.classList.remove("is-error", "is-success", "is-visible");
   }
 
+  // Errors name the payload field; priority and tags have no single input,
+  // so their whole group is marked instead.
+  function getFieldContainer(field) {
+    if (field === "priority") {
+      return priorityChips[0]?.closest(".field-group") || null;
+    }
+    if (field === "tags") {
+      return tagContainer?.closest(".field-group") || null;
+    }
+    const input = form.elements[field];
+    return input instanceof Element ? input.closest(".field") : null;
+  }
+
+  function clearFieldError(field) {
+    const container = getFieldContainer(field);
+    if (!container) {
+      return;
+    }
+    container.classList.remove("field--invalid");
+    container.querySelector(".field-error")?.remove();
+    const input = form.elements[field];
+    if (input instanceof Element) {
+      input.removeAttribute("aria-invalid");
+      input.removeAttribute("aria-describedby");
+    }
+  }
+
+  function clearFieldErrors() {
+    form.querySelectorAll(".field--invalid").forEach((container) => {
+      container.classList.remove("field--invalid");
+    });
+    form.querySelectorAll(".field-error").forEach((node) => node.remove());
+    form.querySelectorAll("[aria-invalid]").forEach((input) => {
+      input.removeAttribute("aria-invalid");
+      input.removeAttribute("aria-describedby");
+    });
+  }
+
+  function showFieldErrors(fieldErrors) {
+    clearFieldErrors();
+    let firstInput = null;
+    fieldErrors.forEach(({ field, message }) => {
+      const container = getFieldContainer(field);
+      if (!container || container.classList.contains("field--invalid")) {
+        return;
+      }
+      container.classList.add("field--invalid");
+      const note = document.createElement("small");
+      note.className = "field-error";
+      note.id = `field-error-${field}`;
+      note.textContent = message;
+      container.appendChild(note);
+
+      const input = form.elements[field];
+      if (input instanceof Element) {
+        input.setAttribute("aria-invalid", "true");
+        input.setAttribute("aria-describedby", note.id);
+        firstInput = firstInput || input;
+      }
+    });
+    firstInput?.focus();
+
+    const count = fieldErrors.length;
+    setFeedback(
+      count === 1
+        ? fieldErrors[0].message
+        : `${count} fields need attention. Check the highlighted inputs.`,
+      "error"
+    );
+  }
+
+  function toFieldError(field, code, message) {
+    const error = new Error(message);
+    error.fieldErrors = [{ field, code, message }];
+    return error;
+  }
+
   function setFeedback(message, type = "neutral") {
     if (!feedbackNode) {
       return;
@@ -398,6 +694,85 @@ document.addEventListener("DOMContentLoaded", () => {
     tagButtons.forEach((btn) => btn.classList.remove("tag--active"));
   }
 
+  function createTagButton(label, isActive) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = isActive ? "tag tag--active" : "tag";
+    button.dataset.tag = label;
+    button.textContent = label;
+    return button;
+  }
+
+  function applyTags(tags) {
+    resetTags();
+    if (!tagContainer) {
+      return;
+    }
+
+    const labels = Array.isArray(tags)
+      ? tags.map((tag) => sanitiseText(tag)).filter(Boolean)
+      : [];
+
+    const addButton = tagContainer.querySelector(
+      '[data-action="add-custom-tag"]'
+    );
+
+    labels.forEach((label) => {
+      const match = Array.from(
+        tagContainer.querySelectorAll("[data-tag]")
+      ).find(
+        (button) => button.dataset.tag?.toLowerCase() === label.toLowerCase()
+      );
+      if (match) {
+        match.classList.add("tag--active");
+        return;
+      }
+      tagContainer.insertBefore(createTagButton(label, true), addButton);
+    });
+  }
+
+  // The buttons in the markup are only a fallback for when the bridge is
+  // missing; the stored tag list replaces them, keeping any selection made
+  // while it loaded.
+  async function loadTags() {
+    if (!tagContainer || !fieldDataBridge) {
+      return;
+    }
+
+    try {
+      const tags = readBridgeResponse(
+        await fieldDataBridge.tags.list(),
+        "Unable to load tags"
+      );
+
+      const selected = getSelectedTags();
+      const addButton = tagContainer.querySelector(
+        '[data-action="add-custom-tag"]'
+      );
+      tagContainer
+        .querySelectorAll("[data-tag]")
+        .forEach((button) => button.remove());
+      (tags || []).forEach((tag) => {
+        tagContainer.insertBefore(createTagButton(tag.name, false), addButton);
+      });
+      applyTags(selected);
+    } catch (error) {
+      console.error("Failed to load tags:", error);
+    }
+  }
+
+  async function addCustomTag(label, addButton) {
+    let name = label;
+    if (fieldDataBridge) {
+      const tag = readBridgeResponse(
+        await fieldDataBridge.tags.create({ name }),
+        "Unable to save tag"
+      );
+      name = tag?.name || label;
+    }
+    tagContainer.insertBefore(createTagButton(name, true), addButton);
+  }
+
   function updateNotesCounter() {
     if (!notesCounter) {
       return;
@@ -406,6 +781,171 @@ document.addEventListener("DOMContentLoaded", () => {
     notesCounter.textContent = `Character count: ${length} / ${notesLimit}`;
   }
 
+  function renderSpeciesStatus() {
+    if (!speciesStatus) {
+      return;
+    }
+    speciesStatus.innerHTML = "";
+    speciesStatus.hidden = !selectedSpecies;
+    if (!selectedSpecies) {
+      return;
+    }
+
+    speciesStatus.appendChild(createConservationBadges(selectedSpecies));
+    const detail = document.createElement("small");
+    detail.textContent = describeTaxon(selectedSpecies);
+    speciesStatus.appendChild(detail);
+
+    if (isPriorityTaxon(selectedSpecies)) {
+      const flag = document.createElement("p");
+      flag.className = "species-status__flag";
+      flag.textContent =
+        "Endangered or Schedule I species: reports default to urgent priority.";
+      speciesStatus.appendChild(flag);
+    }
+  }
+
+  // Shows the catalogue link for the species in the input without touching
+  // category or priority, which is what editing an existing entry needs.
+  function showLinkedSpecies(taxon) {
+    selectedSpecies = taxon?.id ? taxon : null;
+    if (speciesIdInput) {
+      speciesIdInput.value = selectedSpecies ? String(selectedSpecies.id) : "";
+    }
+    renderSpeciesStatus();
+  }
+
+  function closeSpeciesSuggestions() {
+    speciesActiveIndex = -1;
+    if (!speciesSuggestions) {
+      return;
+    }
+    speciesSuggestions.hidden = true;
+    speciesInput?.setAttribute("aria-expanded", "false");
+    speciesInput?.removeAttribute("aria-activedescendant");
+  }
+
+  function setActiveSuggestion(index) {
+    const options = Array.from(
+      speciesSuggestions?.querySelectorAll("[role='option']") || []
+    );
+    if (!options.length) {
+      return;
+    }
+    speciesActiveIndex = (index + options.length) % options.length;
+    options.forEach((option, optionIndex) => {
+      option.setAttribute(
+        "aria-selected",
+        String(optionIndex === speciesActiveIndex)
+      );
+    });
+    const active = options[speciesActiveIndex];
+    speciesInput?.setAttribute("aria-activedescendant", active.id);
+    active.scrollIntoView({ block: "nearest" });
+  }
+
+  function renderSpeciesSuggestions(query) {
+    if (!speciesSuggestions) {
+      return;
+    }
+    speciesSuggestions.innerHTML = "";
+    speciesActiveIndex = -1;
+
+    if (!speciesResults.length) {
+      const empty = document.createElement("li");
+      empty.className = "species-suggestions__empty";
+      empty.textContent = `"${query}" is not in the species catalogue. It will be saved as typed.`;
+      speciesSuggestions.appendChild(empty);
+    }
+
+    speciesResults.forEach((species, index) => {
+      const option = document.createElement("li");
+      option.className = "species-suggestions__option";
+      option.id = `species-option-${species.id}`;
+      option.setAttribute("role", "option");
+      option.setAttribute("aria-selected", "false");
+      option.dataset.index = String(index);
+
+      const name = document.createElement("strong");
+      name.className = "species-suggestions__name";
+      name.textContent = species.commonName;
+      name.appendChild(createConservationBadges(species));
+
+      const detail = document.createElement("small");
+      detail.className = "species-suggestions__detail";
+      detail.textContent = describeTaxon(species);
+
+      option.append(name, detail);
+      speciesSuggestions.appendChild(option);
+    });
+
+    speciesSuggestions.hidden = false;
+    speciesInput?.setAttribute("aria-expanded", "true");
+  }
+
+  async function searchSpecies(query) {
+    if (!fieldDataBridge) {
+      return;
+    }
+
+    // Responses can come back out of order while the ranger is still typing.
+    const token = ++speciesSearchToken;
+    try {
+      const matches = readBridgeResponse(
+        await fieldDataBridge.species.search({
+          query,
+          limit: SPECIES_SUGGESTION_LIMIT,
+        }),
+        "Unable to search species"
+      );
+      if (token !== speciesSearchToken) {
+        return;
+      }
+      speciesResults = Array.isArray(matches) ? matches : [];
+      if (document.activeElement === speciesInput) {
+        renderSpeciesSuggestions(query);
+      }
+    } catch (error) {
+      console.error("Failed to search species:", error);
+    }
+  }
+
+  // Picking from the catalogue links the entry, files it under Wildlife or
+  // Flora unless the ranger chose a non-species category on purpose, and
+  // raises protected species to urgent unless a priority was already picked.
+  function selectSpecies(species, { keepTypedName = false } = {}) {
+    if (speciesInput && !keepTypedName) {
+      speciesInput.value = species.commonName;
+    }
+    showLinkedSpecies(species);
+    closeSpeciesSuggestions();
+
+    if (
+      categorySelect &&
+      (!categorySelect.value ||
+        SPECIES_CATEGORIES.includes(categorySelect.value))
+    ) {
+      categorySelect.value = getCategoryForTaxon(species);
+    }
+    if (isPriorityTaxon(species) && !priorityTouched) {
+      setPriority("urgent");
+    }
+  }
+
+  function findExactSpeciesMatch(text) {
+    const name = sanitiseText(text).toLowerCase();
+    if (!name) {
+      return null;
+    }
+    return (
+      speciesResults.find((species) =>
+        [species.commonName, species.scientificName, species.hindiName].some(
+          (candidate) => sanitiseText(candidate).toLowerCase() === name
+        )
+      ) || null
+    );
+  }
+
   function gatherFormData() {
     const formData = new FormData(form);
     const payload = {
@@ -413,6 +953,7 @@ document.addEventListener("DOMContentLoaded", () => {
       longitude: sanitiseText(formData.get("longitude")),
       category: sanitiseText(formData.get("category")),
       species: sanitiseText(formData.get("species")),
+      speciesId: sanitiseText(formData.get("speciesId")),
       ageGroup: sanitiseText(formData.get("ageGroup")),
       behavior: sanitiseText(formData.get("behavior")),
       individualCount: sanitiseText(formData.get("individualCount")),
@@ -422,19 +963,477 @@ document.addEventListener("DOMContentLoaded", () => {
       notes: sanitiseText(formData.get("notes")),
       priority: getSelectedPriority(),
       tags: getSelectedTags(),
+      observedAt: "",
     };
 
+    // The field reads in IST, so an entry typed up at base that evening still
+    // carries the time of the sighting.
+    const observedAt = sanitiseText(formData.get("observedAt"));
+    if (observedAt) {
+      const observedDate = parseWallClockTime(observedAt);
+      if (!observedDate) {
+        throw toFieldError(
+          "observedAt",
+          "invalid_date",
+          "Observation time is invalid"
+        );
+      }
+      payload.observedAt = observedDate.toISOString();
+    }
+
     if (!payload.species) {
-      throw new Error("Species or subject is required.");
+      throw toFieldError(
+        "species",
+        "required",
+        "Species or subject is required"
+      );
     }
 
     return payload;
   }
 
+  function setEditMode(entryId) {
+    editingId = entryId || null;
+    form.dataset.mode = editingId ? "edit" : "create";
+    if (submitButton) {
+      submitButton.textContent = editingId ? "Update Report" : submitLabel;
+    }
+    if (clearButton) {
+      clearButton.textContent = editingId ? "Cancel Edit" : clearLabel;
+    }
+  }
+
   function resetForm() {
     form.reset();
+    clearFieldErrors();
     resetTags();
     setPriority("important");
+    priorityTouched = false;
+    showLinkedSpecies(null);
+    closeSpeciesSuggestions();
+    updateNotesCounter();
+    setEditMode(null);
+    clearPhotos();
+  }
+
+  function createAttachmentTile({ name, preview, label, pending, onRemove }) {
+    const item = document.createElement("li");
+    item.className = pending
+      ? "attachment-tile attachment-tile--pending"
+      : "attachment-tile";
+
+    let previewNode;
+    if (preview) {
+      previewNode = document.createElement("img");
+      previewNode.src = preview;
+      previewNode.alt = name;
+    } else {
+      previewNode = document.createElement("span");
+      previewNode.textContent = getFileExtension(name).toUpperCase() || "IMG";
+    }
+    previewNode.classList.add("attachment-tile__preview");
+
+    const caption = document.createElement("span");
+    caption.className = "attachment-tile__name";
+    caption.textContent = label;
+    caption.title = name;
+
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.className = "attachment-tile__remove";
+    removeButton.setAttribute("aria-label", `Remove ${name}`);
+    removeButton.textContent = "×";
+    removeButton.addEventListener("click", onRemove);
+
+    item.appendChild(previewNode);
+    item.appendChild(caption);
+    item.appendChild(removeButton);
+    return item;
+  }
+
+  function renderAttachmentTiles() {
+    if (!attachmentList) {
+      return;
+    }
+    attachmentList.innerHTML = "";
+
+    savedPhotos.forEach((attachment) => {
+      const name = sanitiseText(attachment.fileName) || "Photo";
+      const tile = createAttachmentTile({
+        name,
+        preview: attachment.thumbnail,
+        label: formatFileSize(attachment.sizeBytes) || name,
+        pending: false,
+        onRemove: () => removeSavedPhoto(attachment),
+      });
+      const preview = tile.querySelector(".attachment-tile__preview");
+      preview.addEventListener("click", () => openAttachment(attachment.id));
+      attachmentList.appendChild(tile);
+    });
+
+    pendingPhotos.forEach((photo) => {
+      const name = sanitiseText(photo.file.name) || "Photo";
+      attachmentList.appendChild(
+        createAttachmentTile({
+          name,
+          preview: photo.previewUrl,
+          label: `${formatFileSize(photo.file.size)} • new`,
+          pending: true,
+          onRemove: () => {
+            if (photo.previewUrl) {
+              URL.revokeObjectURL(photo.previewUrl);
+            }
+            pendingPhotos = pendingPhotos.filter((item) => item !== photo);
+            renderAttachmentTiles();
+          },
+        })
+      );
+    });
+
+    renderPhotoMetadata();
+  }
+
+  function getTypedCoordinates() {
+    const latitude = Number(sanitiseText(latitudeInput?.value));
+    const longitude = Number(sanitiseText(longitudeInput?.value));
+    if (
+      !sanitiseText(latitudeInput?.value) ||
+      !sanitiseText(longitudeInput?.value) ||
+      !Number.isFinite(latitude) ||
+      !Number.isFinite(longitude)
+    ) {
+      return null;
+    }
+    return { latitude, longitude };
+  }
+
+  function createMetadataButton(label, action) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "secondary";
+    button.dataset.action = action;
+    button.textContent = label;
+    return button;
+  }
+
+  function renderPhotoMetadata() {
+    if (!photoMetadataNode) {
+      return;
+    }
+    photoMetadataNode.innerHTML = "";
+
+    if (photoMetadata && !pendingPhotos.includes(photoMetadata.photo)) {
+      photoMetadata = null;
+    }
+    if (!photoMetadata) {
+      photoMetadataNode.hidden = true;
+      return;
+    }
+
+    const { latitude, longitude, capturedAt, camera, photo } = photoMetadata;
+    const hasPosition = Number.isFinite(latitude) && Number.isFinite(longitude);
+    const details = [];
+    if (camera) {
+      details.push(camera);
+    }
+    if (capturedAt) {
+      details.push(
+        `taken ${formatDateTime(parseWallClockTime(capturedAt)) || capturedAt}`
+      );
+    }
+    if (hasPosition) {
+      details.push(`${latitude.toFixed(5)}, ${longitude.toFixed(5)}`);
+    }
+
+    const summary = document.createElement("p");
+    summary.className = "photo-metadata__summary";
+    summary.textContent = `From ${
+      sanitiseText(photo.file.name) || "photo"
+    }: ${details.join(" • ")}`;
+    photoMetadataNode.appendChild(summary);
+
+    const actions = document.createElement("div");
+    actions.className = "photo-metadata__actions";
+    if (hasPosition) {
+      actions.appendChild(
+        createMetadataButton("Use photo location", "use-photo-location")
+      );
+    }
+    if (capturedAt && observedAtInput) {
+      actions.appendChild(
+        createMetadataButton("Use photo time", "use-photo-time")
+      );
+    }
+    photoMetadataNode.appendChild(actions);
+
+    const typed = getTypedCoordinates();
+    if (hasPosition && typed) {
+      const distance = haversineDistanceKm(
+        typed.latitude,
+        typed.longitude,
+        latitude,
+        longitude
+      );
+      if (distance > PHOTO_DISTANCE_WARNING_KM) {
+        const warning = document.createElement("p");
+        warning.className = "photo-metadata__warning";
+        warning.textContent = `This photo was taken ${distance.toFixed(
+          1
+        )} km from the coordinates entered. Check the location before saving.`;
+        photoMetadataNode.appendChild(warning);
+      }
+    }
+
+    photoMetadataNode.hidden = false;
+  }
+
+  async function readPhotoMetadata(photo) {
+    const extension = getFileExtension(photo.file.name);
+    if (
+      photo.file.type !== "image/jpeg" &&
+      extension !== "jpg" &&
+      extension !== "jpeg"
+    ) {
+      return null;
+    }
+
+    const data = new Uint8Array(
+      await photo.file.slice(0, PHOTO_EXIF_SCAN_BYTES).arrayBuffer()
+    );
+    const metadata = readBridgeResponse(
+      await fieldDataBridge.attachments.inspect({ data }),
+      "Unable to read photo metadata."
+    );
+    if (!metadata || (metadata.latitude === null && !metadata.capturedAt)) {
+      return null;
+    }
+    return metadata;
+  }
+
+  async function inspectPhotos(photos) {
+    if (!fieldDataBridge) {
+      return;
+    }
+    for (const photo of photos) {
+      try {
+        const metadata = await readPhotoMetadata(photo);
+        if (metadata && pendingPhotos.includes(photo)) {
+          photoMetadata = { ...metadata, photo };
+        }
+      } catch (error) {
+        console.error("Failed to read photo metadata:", error);
+      }
+    }
+    renderPhotoMetadata();
+  }
+
+  function addPendingPhotos(files) {
+    const rejected = [];
+    const added = [];
+    Array.from(files || []).forEach((file) => {
+      const problem = validatePhotoFile(file);
+      if (problem) {
+        rejected.push(problem);
+        return;
+      }
+      // Chromium cannot preview HEIC, so those tiles fall back to a label.
+      const extension = getFileExtension(file.name);
+      const previewUrl =
+        extension === "heic" || extension === "heif"
+          ? null
+          : URL.createObjectURL(file);
+      const photo = { file, previewUrl };
+      pendingPhotos.push(photo);
+      added.push(photo);
+    });
+
+    renderAttachmentTiles();
+    inspectPhotos(added);
+    if (rejected.length) {
+      setFeedback(rejected.join(" "), "error");
+    } else {
+      clearFeedback();
+    }
+  }
+
+  function clearPhotos() {
+    pendingPhotos.forEach((photo) => {
+      if (photo.previewUrl) {
+        URL.revokeObjectURL(photo.previewUrl);
+      }
+    });
+    pendingPhotos = [];
+    savedPhotos = [];
+    photoMetadata = null;
+    renderAttachmentTiles();
+  }
+
+  async function loadSavedPhotos(entryId) {
+    if (!fieldDataBridge) {
+      return;
+    }
+    try {
+      const photos = readBridgeResponse(
+        await fieldDataBridge.attachments.list({
+          fieldDataId: entryId,
+        }),
+        "Unable to load photos."
+      );
+      if (editingId !== entryId) {
+        return;
+      }
+      savedPhotos = photos || [];
+      renderAttachmentTiles();
+    } catch (error) {
+      console.error("Failed to load attached photos:", error);
+    }
+  }
+
+  async function removeSavedPhoto(attachment) {
+    const name = sanitiseText(attachment.fileName) || "this photo";
+    if (!window.confirm(`Remove ${name} from this entry?`)) {
+      return;
+    }
+    try {
+      readBridgeResponse(
+        await fieldDataBridge.attachments.delete({
+          id: attachment.id,
+        }),
+        "Unable to remove photo."
+      );
+      savedPhotos = savedPhotos.filter((item) => item.id !== attachment.id);
+      renderAttachmentTiles();
+      await loadRecentEntries();
+    } catch (error) {
+      console.error("Failed to remove photo:", error);
+      setFeedback(
+        describeBridgeError(error, "Unable to remove photo."),
+        "error"
+      );
+    }
+  }
+
+  // Photos are sent one at a time so a single bad file neither blocks the
+  // rest nor pushes one oversized message through IPC.
+  async function uploadPendingPhotos(entryId) {
+    const errors = [];
+    for (const photo of pendingPhotos) {
+      try {
+        const data = new Uint8Array(await photo.file.arrayBuffer());
+        const result = readBridgeResponse(
+          await fieldDataBridge.attachments.add({
+            fieldDataId: entryId,
+            files: [{ name: photo.file.name, type: photo.file.type, data }],
+          }),
+          "Unable to attach photo."
+        );
+        errors.push(...(result?.errors || []));
+      } catch (error) {
+        console.error("Failed to attach photo:", error);
+        errors.push(
+          describeBridgeError(error, `${photo.file.name} was not attached.`)
+        );
+      }
+    }
+    return errors;
+  }
+
+  function stopCamera() {
+    if (cameraStream) {
+      cameraStream.getTracks().forEach((track) => track.stop());
+      cameraStream = null;
+    }
+    if (cameraPreview) {
+      cameraPreview.srcObject = null;
+    }
+  }
+
+  async function openCamera() {
+    if (!cameraDialog || !navigator.mediaDevices?.getUserMedia) {
+      setFeedback(
+        "No camera is available. Use Upload from Gallery instead.",
+        "error"
+      );
+      return;
+    }
+
+    try {
+      cameraStream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: "environment" },
+        audio: false,
+      });
+      cameraPreview.srcObject = cameraStream;
+      cameraDialog.showModal();
+    } catch (error) {
+      console.error("Camera access failed:", error);
+      stopCamera();
+      setFeedback(
+        "Unable to access the camera. Check permissions or use Upload from Gallery.",
+        "error"
+      );
+    }
+  }
+
+  function capturePhoto() {
+    const width = cameraPreview?.videoWidth;
+    const height = cameraPreview?.videoHeight;
+    if (!width || !height) {
+      return;
+    }
+
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext("2d").drawImage(cameraPreview, 0, 0, width, height);
+    canvas.toBlob(
+      (blob) => {
+        if (blob) {
+          const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+          addPendingPhotos([
+            new File([blob], `camera-${stamp}.jpg`, { type: "image/jpeg" }),
+          ]);
+        }
+        cameraDialog.close();
+      },
+      "image/jpeg",
+      0.92
+    );
+  }
+
+  function setFieldValue(name, value) {
+    const field = form.elements.namedItem(name);
+    if (!field) {
+      return;
+    }
+    field.value = value === null || value === undefined ? "" : String(value);
+  }
+
+  function populateForm(entry) {
+    form.reset();
+    setFieldValue("latitude", entry?.latitude);
+    setFieldValue("longitude", entry?.longitude);
+    setFieldValue("category", entry?.category);
+    setFieldValue("species", entry?.species);
+    showLinkedSpecies(entry?.taxon);
+    setFieldValue("ageGroup", entry?.ageGroup);
+    setFieldValue("behavior", entry?.behavior);
+    setFieldValue("individualCount", entry?.individualCount);
+    setFieldValue("weather", entry?.weather);
+    setFieldValue("temperature", entry?.temperature);
+    setFieldValue("visibility", entry?.visibility);
+    setFieldValue("notes", entry?.notes);
+    setFieldValue("observedAt", toDateTimeLocalValue(entry?.observedAt));
+
+    const priorityKey = toPriorityKey(entry?.priority);
+    setPriority(
+      PRIORITY_LABELS[priorityKey] && priorityKey !== "draft"
+        ? priorityKey
+        : "important"
+    );
+    // The saved priority was a decision in its own right, so re-picking the
+    // species while editing should not override it.
+    priorityTouched = true;
+    applyTags(entry?.tags);
     updateNotesCounter();
   }
 
@@ -459,40 +1458,233 @@ document.addEventListener("DOMContentLoaded", () => {
 
   async function persistEntry(
     payload,
-    { button, loadingLabel, successMessage }
+    { button, loadingLabel, successMessage, mergeIntoId }
   ) {
-    if (!fieldDataBridge || typeof fieldDataBridge.invoke !== "function") {
+    if (!fieldDataBridge) {
       throw new Error(
         "Data bridge unavailable. Launch the desktop app to save entries."
       );
     }
 
     const restoreButton = toggleButtonState(button, true, loadingLabel);
+    const isEditing = Boolean(editingId);
+    let photoErrors = [];
 
     try {
-      const response = await fieldDataBridge.invoke(
-        "fieldData:create",
-        payload
-      );
-      if (!response?.ok) {
-        throw new Error(response?.error || "Unable to save entry.");
+      const response = isEditing
+        ? await fieldDataBridge.fieldData.update({
+            id: editingId,
+            entry: payload,
+          })
+        : mergeIntoId
+        ? await fieldDataBridge.fieldData.merge({
+            id: mergeIntoId,
+            entry: payload,
+          })
+        : await fieldDataBridge.fieldData.create(payload);
+      const saved = readBridgeResponse(response, "Unable to save entry.");
+      if (pendingPhotos.length) {
+        photoErrors = await uploadPendingPhotos(saved?.id ?? editingId);
       }
-      setFeedback(successMessage || "Entry saved successfully.", "success");
-      resetForm();
-      await loadRecentEntries();
     } finally {
       restoreButton();
     }
+
+    const savedMessage = isEditing
+      ? "Field entry updated successfully."
+      : mergeIntoId
+      ? "Merged into the existing entry."
+      : successMessage || "Entry saved successfully.";
+    if (photoErrors.length) {
+      setFeedback(
+        `${savedMessage} Some photos were not attached: ${photoErrors.join(
+          " "
+        )}`,
+        "error"
+      );
+    } else {
+      setFeedback(savedMessage, "success");
+    }
+    resetForm();
+    await loadRecentEntries();
+  }
+
+  async function startEditing(entryId) {
+    if (!fieldDataBridge) {
+      setFeedback(
+        "Data bridge unavailable. Launch the desktop app to edit entries.",
+        "error"
+      );
+      return;
+    }
+
+    try {
+      const entry = readBridgeResponse(
+        await fieldDataBridge.fieldData.get({ id: entryId }),
+        "Unable to load entry."
+      );
+      if (!entry) {
+        throw new Error("This field entry no longer exists.");
+      }
+      clearPhotos();
+      populateForm(entry);
+      setEditMode(entry.id);
+      loadSavedPhotos(entry.id);
+      setFeedback(
+        `Editing ${sanitiseText(entry.species) || "field entry"}.`,
+        "success"
+      );
+      form.scrollIntoView({ behavior: "smooth", block: "start" });
+    } catch (error) {
+      console.error("Failed to load entry for editing:", error);
+      setFeedback(describeBridgeError(error, "Unable to load entry."), "error");
+    }
+  }
+
+  async function deleteEntry(entryId, label) {
+    if (!fieldDataBridge) {
+      setFeedback(
+        "Data bridge unavailable. Launch the desktop app to delete entries.",
+        "error"
+      );
+      return;
+    }
+
+    const confirmed = window.confirm(
+      `Move "${label || "this field entry"}" to the trash? It can be restored from the Reports page.`
+    );
+    if (!confirmed) {
+      return;
+    }
+
+    try {
+      readBridgeResponse(
+        await fieldDataBridge.fieldData.delete({ id: entryId }),
+        "Unable to delete entry."
+      );
+      if (editingId === entryId) {
+        resetForm();
+      }
+      setFeedback("Field entry moved to the trash.", "success");
+      await loadRecentEntries();
+    } catch (error) {
+      console.error("Failed to delete entry:", error);
+      setFeedback(
+        describeBridgeError(error, "Unable to delete entry."),
+        "error"
+      );
+    }
+  }
+
+  function describeDuplicate(entry) {
+    const parts = [];
+    const when = formatDateTime(entry?.observedAt || entry?.recordedAt);
+    if (when) {
+      parts.push(when);
+    }
+    const location = formatLocation(entry);
+    if (location) {
+      parts.push(location);
+    }
+    const observer = sanitiseText(entry?.observerName);
+    if (observer) {
+      parts.push(`by ${observer}`);
+    }
+    const minutes = entry?.match?.minutesApart;
+    if (Number.isFinite(minutes)) {
+      parts.push(minutes < 1 ? "same time" : `${minutes} min apart`);
+    }
+    const distanceKm = entry?.match?.distanceKm;
+    if (Number.isFinite(distanceKm)) {
+      parts.push(`${Math.round(distanceKm * 1000)} m away`);
+    }
+    return parts.join(" • ");
+  }
+
+  function showDuplicates(duplicates, payload, options) {
+    if (!duplicateDialog || !duplicateList) {
+      setFeedback(
+        "This looks like an entry that already exists. Check the recent entries before saving again.",
+        "error"
+      );
+      return;
+    }
+
+    pendingDuplicate = { payload, options };
+    duplicateList.innerHTML = "";
+    duplicates.forEach((entry) => {
+      const item = document.createElement("li");
+      item.className = "duplicate-list__item";
+
+      const info = document.createElement("div");
+      const title = document.createElement("h3");
+      const species = sanitiseText(entry?.species) || "Unknown record";
+      const countLabel = formatCount(entry?.individualCount);
+      title.textContent = countLabel ? `${species} • ${countLabel}` : species;
+      const meta = document.createElement("p");
+      meta.textContent = describeDuplicate(entry) || "Recorded entry";
+      info.append(title, meta);
+
+      const mergeButton = document.createElement("button");
+      mergeButton.type = "button";
+      mergeButton.className = "primary";
+      mergeButton.dataset.action = "merge-duplicate";
+      mergeButton.dataset.id = String(entry.id);
+      mergeButton.textContent = "Merge into this entry";
+
+      item.append(info, mergeButton);
+      duplicateList.appendChild(item);
+    });
+
+    if (duplicateLead) {
+      duplicateLead.textContent =
+        duplicates.length === 1
+          ? "This sighting looks like one that is already recorded. Merge the new details into it, or save a separate entry."
+          : `This sighting looks like ${duplicates.length} entries that are already recorded. Merge the new details into one of them, or save a separate entry.`;
+    }
+    duplicateDialog.showModal();
+  }
+
+  async function resolveDuplicate(choice) {
+    const pending = pendingDuplicate;
+    pendingDuplicate = null;
+    duplicateDialog.close();
+    if (!pending || choice.cancel) {
+      setFeedback("Entry not saved. Your details are still in the form.");
+      return;
+    }
+
+    const payload = choice.mergeIntoId
+      ? pending.payload
+      : { ...pending.payload, allowDuplicates: true };
+    try {
+      await persistEntry(payload, {
+        ...pending.options,
+        mergeIntoId: choice.mergeIntoId,
+      });
+    } catch (error) {
+      if (error.fieldErrors?.length) {
+        showFieldErrors(error.fieldErrors);
+        return;
+      }
+      console.error("Failed to save entry:", error);
+      setFeedback(describeBridgeError(error, "Unable to save entry."), "error");
+    }
   }
 
   async function submitEntry(overrides = {}, options = {}) {
     clearFeedback();
+    clearFieldErrors();
 
     let payload;
     try {
       payload = gatherFormData();
     } catch (error) {
-      setFeedback(error.message, "error");
+      if (error.fieldErrors?.length) {
+        showFieldErrors(error.fieldErrors);
+      } else {
+        setFeedback(error.message, "error");
+      }
       return;
     }
 
@@ -501,8 +1693,16 @@ document.addEventListener("DOMContentLoaded", () => {
     try {
       await persistEntry(payload, options);
     } catch (error) {
+      if (error.fieldErrors?.length) {
+        showFieldErrors(error.fieldErrors);
+        return;
+      }
+      if (error.duplicates?.length) {
+        showDuplicates(error.duplicates, payload, options);
+        return;
+      }
       console.error("Failed to save entry:", error);
-      setFeedback(error.message || "Unable to save entry.", "error");
+      setFeedback(describeBridgeError(error, "Unable to save entry."), "error");
     }
   }
 
@@ -511,26 +1711,65 @@ document.addEventListener("DOMContentLoaded", () => {
       return;
     }
 
-    if (!fieldDataBridge || typeof fieldDataBridge.invoke !== "function") {
+    if (!fieldDataBridge) {
       renderRecentEntries([]);
       return;
     }
 
+    const query = sanitiseText(searchInput?.value);
+    if (query) {
+      await loadSearchResults(query);
+      return;
+    }
+
+    if (recentCaption) {
+      recentCaption.textContent = recentCaptionLabel;
+    }
+
     try {
-      const response = await fieldDataBridge.invoke("fieldData:list", {
-        limit: 5,
-      });
-      if (!response?.ok) {
-        throw new Error(response?.error || "Invalid response");
-      }
-      renderRecentEntries(response.data || []);
+      const entries = readBridgeResponse(
+        await fieldDataBridge.fieldData.list({ limit: 5 }),
+        "Invalid response"
+      );
+      renderRecentEntries(entries || []);
     } catch (error) {
       console.error("Failed to load field data:", error);
       renderRecentEntries([]);
     }
   }
 
-  function renderRecentEntries(entries) {
+  async function loadSearchResults(query) {
+    try {
+      const results = readBridgeResponse(
+        await fieldDataBridge.fieldData.search({
+          query,
+          limit: 20,
+        }),
+        "Search failed"
+      );
+      if (sanitiseText(searchInput?.value) !== query) {
+        return;
+      }
+      const { rows = [], total = 0, highlight } = results || {};
+      if (recentCaption) {
+        recentCaption.textContent = `${total} ${
+          total === 1 ? "match" : "matches"
+        } for “${query}”`;
+      }
+      renderRecentEntries(rows, {
+        highlight,
+        emptyMessage: `No observations match “${query}”.`,
+      });
+    } catch (error) {
+      console.error("Failed to search field data:", error);
+      if (recentCaption) {
+        recentCaption.textContent = "Search unavailable";
+      }
+      renderRecentEntries([], { emptyMessage: describeBridgeError(error) });
+    }
+  }
+
+  function renderRecentEntries(entries, options = {}) {
     if (!recentList) {
       return;
     }
@@ -539,6 +1778,7 @@ document.addEventListener("DOMContentLoaded", () => {
 
     if (!entries || !entries.length) {
       const emptyMessage =
+        options.emptyMessage ||
         recentList.dataset.emptyMessage ||
         "No field entries yet. Submit a report to see it listed here.";
       const emptyItem = document.createElement("li");
@@ -557,6 +1797,9 @@ document.addEventListener("DOMContentLoaded", () => {
       const species = sanitiseText(entry?.species) || "Unknown record";
       const countLabel = formatCount(entry?.individualCount);
       title.textContent = countLabel ? `${species} • ${countLabel}` : species;
+      if (entry?.taxon) {
+        title.appendChild(createConservationBadges(entry.taxon));
+      }
 
       const meta = document.createElement("p");
       const detailParts = [];
@@ -566,7 +1809,7 @@ document.addEventListener("DOMContentLoaded", () => {
         detailParts.push(category);
       }
 
-      const when = formatDateTime(entry?.recordedAt);
+      const when = formatDateTime(entry?.observedAt || entry?.recordedAt);
       if (when) {
         detailParts.push(when);
       }
@@ -576,6 +1819,11 @@ document.addEventListener("DOMContentLoaded", () => {
         detailParts.push(location);
       }
 
+      const observer = sanitiseText(entry?.observerName);
+      if (observer) {
+        detailParts.push(`by ${observer}`);
+      }
+
       const priorityLabel = toPriorityLabel(entry?.priority);
       const priorityClass = toPriorityClass(entry?.priority);
 
@@ -584,36 +1832,71 @@ document.addEventListener("DOMContentLoaded", () => {
       info.appendChild(title);
       info.appendChild(meta);
 
+      if (Number(entry?.attachmentCount) > 0) {
+        const photos = document.createElement("div");
+        photos.className = "recent-list__photos";
+        info.appendChild(photos);
+        renderPhotoStrip(photos, entry.id);
+      }
+
+      if (entry?.snippet) {
+        const snippet = document.createElement("p");
+        snippet.className = "recent-list__snippet";
+        appendHighlightedText(snippet, entry.snippet, options.highlight);
+        info.appendChild(snippet);
+      }
+
       const status = document.createElement("span");
       status.className = `status-pill ${priorityClass}`;
       status.textContent = priorityLabel;
 
+      const actions = document.createElement("div");
+      actions.className = "recent-list__actions";
+
+      const editButton = document.createElement("button");
+      editButton.type = "button";
+      editButton.className = "recent-list__action";
+      editButton.dataset.action = "edit-entry";
+      editButton.dataset.id = String(entry?.id ?? "");
+      editButton.textContent = "Edit";
+
+      const deleteButton = document.createElement("button");
+      deleteButton.type = "button";
+      deleteButton.className = "recent-list__action recent-list__action--danger";
+      deleteButton.dataset.action = "delete-entry";
+      deleteButton.dataset.id = String(entry?.id ?? "");
+      deleteButton.dataset.label = species;
+      deleteButton.textContent = "Delete";
+
+      actions.appendChild(status);
+      actions.appendChild(editButton);
+      actions.appendChild(deleteButton);
+
       item.appendChild(info);
-      item.appendChild(status);
+      item.appendChild(actions);
 
       recentList.appendChild(item);
     });
   }
 
   async function loadUserProfile() {
-    if (!fieldDataBridge || typeof fieldDataBridge.invoke !== "function") {
+    if (!fieldDataBridge) {
       return;
     }
 
     try {
-      const response = await fieldDataBridge.invoke("userProfile:get");
-      if (!response?.ok) {
-        throw new Error(response?.error || "Unable to fetch profile");
-      }
-      const profile = response.data;
+      const profile = readBridgeResponse(
+        await fieldDataBridge.profile.get(),
+        "Unable to fetch profile"
+      );
       if (!profile) {
         return;
       }
       if (userNameNode && profile.name) {
         userNameNode.textContent = profile.name;
       }
-      if (userRoleNode && profile.city) {
-        userRoleNode.textContent = profile.city;
+      if (userRoleNode && (profile.designation || profile.city)) {
+        userRoleNode.textContent = profile.designation || profile.city;
       }
       if (userAvatarNode && profile.name) {
         userAvatarNode.textContent = getInitials(profile.name);
@@ -624,23 +1907,20 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   async function loadEnvironmentSummary() {
-    if (!fieldDataBridge || typeof fieldDataBridge.invoke !== "function") {
+    if (!fieldDataBridge) {
       return;
     }
 
     try {
-      const response = await fieldDataBridge.invoke("environment:summary");
-      if (!response?.ok) {
-        throw new Error(
-          response?.error || "Failed to load environment summary"
-        );
-      }
-      const summary = response.data;
+      const summary = readBridgeResponse(
+        await fieldDataBridge.environment.summary(),
+        "Failed to load environment summary"
+      );
       renderEnvironmentBanner(summary);
       applyWeatherToForm(summary?.weather, temperatureInput, weatherSelect);
     } catch (error) {
       console.error("Failed to load environment summary:", error);
-      renderEnvironmentBannerError(error?.message);
+      renderEnvironmentBannerError(describeBridgeError(error));
     }
   }
 
@@ -674,6 +1954,7 @@ document.addEventListener("DOMContentLoaded", () => {
       if (longitudeInput) {
         longitudeInput.value = longitude.toFixed(6);
       }
+      renderPhotoMetadata();
       setFeedback("Location auto-tagged from device sensors.", "success");
     } catch (error) {
       console.error("Geolocation lookup failed:", error);
@@ -730,21 +2011,150 @@ document.addEventListener("DOMContentLoaded", () => {
 
   if (clearButton) {
     clearButton.addEventListener("click", () => {
+      const wasEditing = Boolean(editingId);
       resetForm();
-      setFeedback("Form cleared.", "success");
+      setFeedback(wasEditing ? "Edit cancelled." : "Form cleared.", "success");
       setTimeout(() => clearFeedback(), 1500);
     });
   }
 
+  if (searchInput) {
+    searchInput.addEventListener("input", () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => loadRecentEntries(), 250);
+    });
+  }
+
+  if (recentList) {
+    recentList.addEventListener("click", (event) => {
+      const target = event.target;
+      if (!(target instanceof HTMLButtonElement)) {
+        return;
+      }
+
+      const entryId = Number(target.dataset.id);
+      if (!Number.isInteger(entryId) || entryId <= 0) {
+        return;
+      }
+
+      if (target.dataset.action === "edit-entry") {
+        startEditing(entryId);
+      } else if (target.dataset.action === "delete-entry") {
+        deleteEntry(entryId, target.dataset.label);
+      }
+    });
+  }
+
+  if (photoDrop && photoInput) {
+    photoDrop.addEventListener("click", () => photoInput.click());
+    photoDrop.addEventListener("keydown", (event) => {
+      if (event.key === "Enter" || event.key === " ") {
+        event.preventDefault();
+        photoInput.click();
+      }
+    });
+    photoDrop.addEventListener("dragover", (event) => {
+      event.preventDefault();
+      photoDrop.classList.add("upload-drop--active");
+    });
+    photoDrop.addEventListener("dragleave", () => {
+      photoDrop.classList.remove("upload-drop--active");
+    });
+    photoDrop.addEventListener("drop", (event) => {
+      event.preventDefault();
+      photoDrop.classList.remove("upload-drop--active");
+      addPendingPhotos(event.dataTransfer?.files);
+    });
+    photoInput.addEventListener("change", () => {
+      addPendingPhotos(photoInput.files);
+      photoInput.value = "";
+    });
+  }
+
+  if (choosePhotosButton && photoInput) {
+    choosePhotosButton.addEventListener("click", () => photoInput.click());
+  }
+
+  if (takePhotoButton) {
+    takePhotoButton.addEventListener("click", openCamera);
+  }
+
+  if (photoMetadataNode) {
+    photoMetadataNode.addEventListener("click", (event) => {
+      const action = event.target?.dataset?.action;
+      if (!photoMetadata || !action) {
+        return;
+      }
+      if (action === "use-photo-location") {
+        latitudeInput.value = photoMetadata.latitude.toFixed(6);
+        longitudeInput.value = photoMetadata.longitude.toFixed(6);
+        setFeedback("Location filled from photo metadata.", "success");
+      } else if (action === "use-photo-time") {
+        observedAtInput.value = photoMetadata.capturedAt.slice(0, 19);
+        setFeedback("Observation time filled from photo metadata.", "success");
+      }
+      renderPhotoMetadata();
+    });
+  }
+
+  [latitudeInput, longitudeInput].forEach((input) => {
+    input?.addEventListener("input", renderPhotoMetadata);
+  });
+
+  if (duplicateDialog) {
+    duplicateDialog.addEventListener("click", (event) => {
+      const target = event.target;
+      if (!(target instanceof HTMLButtonElement)) {
+        return;
+      }
+      const action = target.dataset.action;
+      if (action === "merge-duplicate") {
+        resolveDuplicate({ mergeIntoId: Number(target.dataset.id) });
+      } else if (action === "save-duplicate") {
+        resolveDuplicate({});
+      } else if (action === "cancel-duplicate") {
+        resolveDuplicate({ cancel: true });
+      }
+    });
+    // Escape closes the dialog without going through the buttons.
+    duplicateDialog.addEventListener("cancel", () => {
+      pendingDuplicate = null;
+      setFeedback("Entry not saved. Your details are still in the form.");
+    });
+  }
+
+  if (cameraDialog) {
+    cameraDialog.addEventListener("close", stopCamera);
+    cameraDialog.addEventListener("click", (event) => {
+      const action = event.target?.dataset?.action;
+      if (action === "capture-photo") {
+        capturePhoto();
+      } else if (action === "cancel-camera") {
+        cameraDialog.close();
+      }
+    });
+  }
+
   priorityChips.forEach((chip) => {
     chip.addEventListener("click", () => {
       priorityChips.forEach((btn) => btn.classList.remove("chip--active"));
       chip.classList.add("chip--active");
+      priorityTouched = true;
+      clearFieldError("priority");
+    });
+  });
+
+  ["input", "change"].forEach((type) => {
+    form.addEventListener(type, (event) => {
+      const name = event.target?.name;
+      if (name) {
+        clearFieldError(name);
+      }
     });
   });
 
   if (tagContainer) {
-    tagContainer.addEventListener("click", (event) => {
+    tagContainer.addEventListener("click", async (event) => {
       const target = event.target;
       if (!(target instanceof HTMLButtonElement)) {
         return;
@@ -769,13 +2179,16 @@ document.addEventListener("DOMContentLoaded", () => {
           return;
         }
 
-        const newButton = document.createElement("button");
-        newButton.type = "button";
-        newButton.className = "tag tag--active";
-        newButton.dataset.tag = label;
-        newButton.textContent = label;
-        tagContainer.insertBefore(newButton, target);
-        clearFeedback();
+        try {
+          await addCustomTag(label, target);
+          clearFeedback();
+        } catch (error) {
+          console.error("Failed to save custom tag:", error);
+          setFeedback(
+            describeBridgeError(error, "Unable to save tag."),
+            "error"
+          );
+        }
         return;
       }
 
@@ -786,6 +2199,69 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
+  if (speciesInput && speciesSuggestions) {
+    speciesInput.addEventListener("input", () => {
+      const query = sanitiseText(speciesInput.value);
+      if (selectedSpecies && query !== selectedSpecies.commonName) {
+        showLinkedSpecies(null);
+      }
+      clearTimeout(speciesSearchTimer);
+      if (!query) {
+        speciesResults = [];
+        closeSpeciesSuggestions();
+        return;
+      }
+      speciesSearchTimer = setTimeout(
+        () => searchSpecies(query),
+        SPECIES_SEARCH_DELAY_MS
+      );
+    });
+
+    speciesInput.addEventListener("keydown", (event) => {
+      if (speciesSuggestions.hidden) {
+        if (event.key === "ArrowDown" && sanitiseText(speciesInput.value)) {
+          event.preventDefault();
+          searchSpecies(sanitiseText(speciesInput.value));
+        }
+        return;
+      }
+      if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+        event.preventDefault();
+        setActiveSuggestion(
+          speciesActiveIndex + (event.key === "ArrowDown" ? 1 : -1)
+        );
+      } else if (event.key === "Enter" && speciesActiveIndex >= 0) {
+        event.preventDefault();
+        selectSpecies(speciesResults[speciesActiveIndex]);
+      } else if (event.key === "Escape") {
+        event.preventDefault();
+        closeSpeciesSuggestions();
+      }
+    });
+
+    // A name typed out in full still links the entry when the ranger tabs
+    // away without picking from the list.
+    speciesInput.addEventListener("blur", () => {
+      if (!selectedSpecies) {
+        const match = findExactSpeciesMatch(speciesInput.value);
+        if (match) {
+          selectSpecies(match, { keepTypedName: true });
+        }
+      }
+      closeSpeciesSuggestions();
+    });
+
+    // mousedown rather than click so the pick lands before the input blurs.
+    speciesSuggestions.addEventListener("mousedown", (event) => {
+      event.preventDefault();
+      const option = event.target.closest("[role='option']");
+      const species = speciesResults[Number(option?.dataset.index)];
+      if (species) {
+        selectSpecies(species);
+      }
+    });
+  }
+
   if (notesField) {
     notesField.addEventListener("input", updateNotesCounter);
     updateNotesCounter();
@@ -796,6 +2272,14 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   loadUserProfile();
+  loadTags();
   loadRecentEntries();
   loadEnvironmentSummary();
+
+  const requestedEditId = Number(
+    new URLSearchParams(window.location.search).get("edit")
+  );
+  if (Number.isInteger(requestedEditId) && requestedEditId > 0) {
+    startEditing(requestedEditId);
+  }
 });
@@ -1,13 +1,4 @@
-let loginBridge = null;
-
-if (typeof require === "function") {
-  try {
-    const electron = require("electron");
-    loginBridge = electron?.ipcRenderer ?? null;
-  } catch (error) {
-    console.warn("IPC renderer not available:", error);
-  }
-}
+const loginBridge = window.ecowatch ?? null;
 
 document.addEventListener("DOMContentLoaded", () => {
   const form = document.getElementById("onboarding-form");
@@ -84,18 +75,16 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   async function saveProfile(payload) {
-    if (!loginBridge || typeof loginBridge.invoke !== "function") {
+    if (!loginBridge) {
       throw new Error(
         "Profile bridge is unavailable. Launch the app through Electron after installing dependencies."
       );
     }
 
-    const response = await loginBridge.invoke("userProfile:save", payload);
-    if (!response?.ok) {
-      throw new Error(response?.error || "Unable to save profile.");
-    }
-
-    return response.data;
+    return readBridgeResponse(
+      await loginBridge.profile.save(payload),
+      "Unable to save profile."
+    );
   }
 
   async function handleSubmit(event) {
@@ -122,7 +111,7 @@ document.addEventListener("DOMContentLoaded", () => {
       }, 900);
     } catch (error) {
       console.error("Profile setup failed:", error);
-      setFeedback(error.message || "Unable to save profile.", true);
+      setFeedback(describeBridgeError(error, "Unable to save profile."), true);
     } finally {
       if (submitButton) {
         submitButton.disabled = false;
@@ -1,13 +1,4 @@
-let reportsBridge = null;
-
-if (typeof require === "function") {
-  try {
-    const { ipcRenderer } = require("electron");
-    reportsBridge = ipcRenderer ?? null;
-  } catch (error) {
-    console.warn("IPC renderer unavailable for reports:", error);
-  }
-}
+const reportsBridge = window.ecowatch ?? null;
 
 const PRIORITY_LABELS = {
   routine: "Routine",
@@ -57,22 +48,54 @@ function toCategoryClass(category) {
 }
 
 function formatDateTime(value) {
-  if (!value) {
+  const date = parseStoredTimestamp(value);
+  if (!date) {
     return "";
   }
-  const date = new Date(value);
-  if (Number.isNaN(date.getTime())) {
-    return "";
+  return formatAppDateTime(date, { dateStyle: "medium", timeStyle: "short" });
+}
+
+// Each stored revision is the version that the named action replaced.
+const REVISION_ACTION_LABELS = {
+  update: "Edited",
+  delete: "Moved to trash",
+  restore: "Restored from trash",
+  rollback: "Rolled back",
+};
+
+const REVISION_FIELD_LABELS = {
+  species: "Species / subject",
+  speciesId: "Catalogue species",
+  category: "Category",
+  priority: "Priority",
+  individualCount: "Individuals",
+  latitude: "Latitude",
+  longitude: "Longitude",
+  observedAt: "Observed at",
+  ageGroup: "Age group",
+  behavior: "Behaviour",
+  weather: "Weather",
+  temperature: "Temperature",
+  visibility: "Visibility",
+  notes: "Notes",
+  tags: "Tags",
+  deletedAt: "In trash since",
+};
+
+function formatRevisionValue(field, value) {
+  if (Array.isArray(value)) {
+    return value.length ? value.join(", ") : "—";
   }
-  try {
-    return new Intl.DateTimeFormat(undefined, {
-      dateStyle: "medium",
-      timeStyle: "short",
-    }).format(date);
-  } catch (error) {
-    console.warn("Date formatting failed:", error);
-    return date.toLocaleString();
+  if (value === null || value === undefined || value === "") {
+    return "—";
   }
+  if (field === "observedAt" || field === "deletedAt") {
+    return formatDateTime(value) || String(value);
+  }
+  if (field === "speciesId") {
+    return `#${value}`;
+  }
+  return String(value);
 }
 
 function formatReportId(id) {
@@ -83,14 +106,27 @@ function formatReportId(id) {
   return `FD-${numericId.toString().padStart(4, "0")}`;
 }
 
+function formatCoordinate(value) {
+  const parsed = typeof value === "number" ? value : Number.NaN;
+  return Number.isFinite(parsed) ? parsed.toFixed(5) : "";
+}
+
+function getTagNames(entry) {
+  return Array.isArray(entry?.tags)
+    ? entry.tags.map((tag) => sanitiseText(tag)).filter(Boolean)
+    : [];
+}
+
+// Sites arrive smallest first, e.g. "Dhikala Range, Corbett National Park".
 function formatRegion(entry) {
-  const tags = sanitiseText(entry?.tags);
-  if (tags) {
-    return tags;
+  const sites = Array.isArray(entry?.sites) ? entry.sites : [];
+  const names = sites.map((site) => sanitiseText(site?.name)).filter(Boolean);
+  if (names.length) {
+    return names.join(", ");
   }
 
-  const latitude = sanitiseText(entry?.latitude);
-  const longitude = sanitiseText(entry?.longitude);
+  const latitude = formatCoordinate(entry?.latitude);
+  const longitude = formatCoordinate(entry?.longitude);
 
   if (latitude && longitude) {
     return `${latitude}, ${longitude}`;
@@ -111,8 +147,7 @@ function estimateReportSize(entry) {
   const count = Number(entry?.individualCount) || 0;
   const baseSize = 1.1;
   const countContribution = Math.min(count * 0.08, 3);
-  const tagContribution =
-    (sanitiseText(entry?.tags).split(",").filter(Boolean).length || 0) * 0.15;
+  const tagContribution = getTagNames(entry).length * 0.15;
   const estimated = Math.min(8, baseSize + countContribution + tagContribution);
   return `${estimated.toFixed(1)} MB`;
 }
@@ -128,13 +163,14 @@ function getInitials(name) {
   return `${parts[0][0]}${parts[parts.length - 1][0]}`.toUpperCase();
 }
 
+// Whole IST calendar days from one time to another: 0 is the same day and 1
+// is yesterday, so "the last 7 days" is 0 to 6.
 function differenceInDays(fromDate, toDate = new Date()) {
-  const from = new Date(fromDate);
-  if (Number.isNaN(from.getTime())) {
+  const from = parseStoredTimestamp(fromDate);
+  if (!from) {
     return Infinity;
   }
-  const diffMs = toDate.getTime() - from.getTime();
-  return diffMs / (1000 * 60 * 60 * 24);
+  return calendarDaysBetween(from, toDate);
 }
 
 function notifyComingSoon(featureLabel) {
@@ -170,12 +206,10 @@ function formatRainfall(value) {
   return `${number.toFixed(1)} mm`;
 }
 
+// Minutes and hours within the same IST day, calendar days after that.
 function formatRelativeTime(value) {
-  if (!value) {
-    return "recent";
-  }
-  const target = new Date(value);
-  if (Number.isNaN(target.getTime())) {
+  const target = parseStoredTimestamp(value);
+  if (!target) {
     return "recent";
   }
   const diffMs = target.getTime() - Date.now();
@@ -184,13 +218,12 @@ function formatRelativeTime(value) {
     numeric: "auto",
   });
   if (Math.abs(diffMinutes) < 60) {
-    return formatter.format(Math.round(diffMinutes), "minute");
+    return formatter.format(diffMinutes, "minute");
   }
-  const diffHours = Math.round(diffMinutes / 60);
-  if (Math.abs(diffHours) < 24) {
-    return formatter.format(diffHours, "hour");
+  const diffDays = -differenceInDays(target);
+  if (diffDays === 0) {
+    return formatter.format(Math.round(diffMinutes / 60), "hour");
   }
-  const diffDays = Math.round(diffHours / 24);
   return formatter.format(diffDays, "day");
 }
 
@@ -219,7 +252,7 @@ function renderEnvironmentSummary(summary) {
 
   if (timestampNode) {
     const now = new Date();
-    timestampNode.textContent = `Updated ${now.toLocaleTimeString(undefined, {
+    timestampNode.textContent = `Updated ${formatAppDateTime(now, {
       hour: "2-digit",
       minute: "2-digit",
     })}`;
@@ -355,6 +388,129 @@ function renderEnvironmentSummaryError(message) {
   }
 }
 
+async function fetchAllFieldData(query = {}) {
+  const rows = [];
+  let offset = 0;
+
+  while (offset !== null) {
+    const page = readBridgeResponse(
+      await reportsBridge.fieldData.query({
+        ...query,
+        limit: 500,
+        offset,
+      }),
+      "Failed to load field data"
+    );
+    rows.push(...(page?.rows || []));
+    offset = page?.nextOffset ?? null;
+  }
+
+  return rows;
+}
+
+async function fetchAllSearchResults(query) {
+  const rows = [];
+  let highlight = null;
+  let offset = 0;
+
+  while (offset !== null) {
+    const page = readBridgeResponse(
+      await reportsBridge.fieldData.search({
+        query,
+        limit: 500,
+        offset,
+      }),
+      "Search failed"
+    );
+    rows.push(...(page?.rows || []));
+    highlight = page?.highlight || highlight;
+    offset = page?.nextOffset ?? null;
+  }
+
+  return { rows, highlight };
+}
+
+const PHOTO_STRIP_LIMIT = 3;
+
+function getFileExtension(name) {
+  const match = /\.([a-z0-9]+)$/i.exec(sanitiseText(name));
+  return match ? match[1].toLowerCase() : "";
+}
+
+async function openAttachment(attachmentId) {
+  if (!reportsBridge) {
+    return;
+  }
+  try {
+    readBridgeResponse(
+      await reportsBridge.attachments.open({ id: attachmentId }),
+      "Unable to open photo."
+    );
+  } catch (error) {
+    console.error("Failed to open attachment:", error);
+  }
+}
+
+async function renderPhotoStrip(container, entryId) {
+  if (!reportsBridge) {
+    return;
+  }
+
+  try {
+    const attachments = readBridgeResponse(
+      await reportsBridge.attachments.list({
+        fieldDataId: entryId,
+      }),
+      "Unable to load photos."
+    );
+    (attachments || []).slice(0, PHOTO_STRIP_LIMIT).forEach((attachment) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "reports-table__photo";
+      button.title = sanitiseText(attachment.fileName) || "Photo";
+      if (attachment.thumbnail) {
+        button.style.backgroundImage = `url("${attachment.thumbnail}")`;
+      } else {
+        button.textContent =
+          getFileExtension(attachment.fileName).toUpperCase() || "IMG";
+      }
+      button.addEventListener("click", () => openAttachment(attachment.id));
+      container.appendChild(button);
+    });
+
+    if (attachments.length > PHOTO_STRIP_LIMIT) {
+      const more = document.createElement("span");
+      more.className = "reports-table__photo";
+      more.textContent = `+${attachments.length - PHOTO_STRIP_LIMIT}`;
+      container.appendChild(more);
+    }
+  } catch (error) {
+    console.error("Failed to load photo strip:", error);
+  }
+}
+
+function appendHighlightedText(node, text, highlight) {
+  const start = highlight?.start;
+  const end = highlight?.end;
+  const value = typeof text === "string" ? text : "";
+  if (!start || !end) {
+    node.textContent = value;
+    return;
+  }
+
+  value.split(start).forEach((segment, index) => {
+    if (index === 0) {
+      node.appendChild(document.createTextNode(segment));
+      return;
+    }
+    const [marked, ...rest] = segment.split(end);
+    const mark = document.createElement("mark");
+    mark.textContent = marked;
+    node.appendChild(mark);
+    node.appendChild(document.createTextNode(rest.join(end)));
+  });
+}
+
 document.addEventListener("DOMContentLoaded", () => {
   const userNameNode = document.getElementById("user-name");
   const userRoleNode = document.getElementById("user-role");
@@ -375,6 +531,33 @@ document.addEventListener("DOMContentLoaded", () => {
   const draftsNode = document.getElementById("reports-drafts");
   const draftsMetaNode = document.getElementById("reports-drafts-meta");
 
+  const filterForm = document.querySelector(".filter-form");
+  const searchInput = filterForm?.elements.namedItem("query") || null;
+  const trashToggle = document.getElementById("reports-trash-toggle");
+  const findDuplicatesButton = document.getElementById(
+    "reports-find-duplicates"
+  );
+
+  const historyDialog = document.getElementById("history-dialog");
+  const historySubtitle = document.getElementById("history-dialog-subtitle");
+  const historyFeedback = document.getElementById("history-feedback");
+  const historyList = document.getElementById("history-list");
+  const historyCompareForm = document.getElementById("history-compare-form");
+  const historyCompareFrom = document.getElementById("history-compare-from");
+  const historyCompareTo = document.getElementById("history-compare-to");
+  const historyDiff = document.getElementById("history-diff");
+  const historyDiffBody = document.getElementById("history-diff-body");
+  const historyDiffFrom = document.getElementById("history-diff-from");
+  const historyDiffTo = document.getElementById("history-diff-to");
+
+  const duplicatesDialog = document.getElementById("duplicates-dialog");
+  const duplicatesFeedback = document.getElementById("duplicates-feedback");
+  const duplicateClusterList = document.getElementById("duplicate-clusters");
+
+  let showingTrash = false;
+  let historyEntryId = null;
+  let duplicateClusters = [];
+
   function setText(node, value) {
     if (!node) {
       return;
@@ -396,16 +579,11 @@ document.addEventListener("DOMContentLoaded", () => {
     tableBody.appendChild(row);
   }
 
-  function renderReports(entries = []) {
+  function renderReports(entries = [], options = {}) {
     const safeEntries = Array.isArray(entries) ? entries : [];
     const total = safeEntries.length;
 
     setText(reportsCountNode, total.toString());
-    setText(totalNode, total.toString());
-    setText(
-      totalMetaNode,
-      total ? "Synced from field submissions" : "Awaiting first submission"
-    );
 
     if (!tableBody) {
       return;
@@ -413,45 +591,25 @@ document.addEventListener("DOMContentLoaded", () => {
 
     if (!total) {
       const emptyMessage =
+        options.emptyMessage ||
         tableBody.dataset.emptyMessage ||
         "No reports available yet. Submit field data to generate reports.";
       renderEmptyState(emptyMessage);
       setText(reportsUpdatedNode, "—");
-      setText(topCategoryNode, "—");
-      setText(topCategoryMetaNode, "Awaiting data");
-      setText(recentNode, "0");
-      setText(recentMetaNode, "New reports in last 7 days");
-      setText(draftsNode, "0");
-      setText(draftsMetaNode, "Drafts awaiting final review");
       return;
     }
 
     tableBody.innerHTML = "";
 
-    const categoryCount = new Map();
     let mostRecentDate = null;
-    let drafts = 0;
-    let recent = 0;
 
     safeEntries.forEach((entry) => {
-      const priority = toPriorityKey(entry?.priority);
-      const recordedAt = entry?.recordedAt;
-
-      if (!mostRecentDate || new Date(recordedAt) > new Date(mostRecentDate)) {
-        mostRecentDate = recordedAt;
-      }
-
-      if (priority === "draft") {
-        drafts += 1;
-      }
-
-      if (differenceInDays(recordedAt) <= 7) {
-        recent += 1;
+      const recordedDate = parseStoredTimestamp(entry?.recordedAt);
+      if (recordedDate && (!mostRecentDate || recordedDate > mostRecentDate)) {
+        mostRecentDate = recordedDate;
       }
 
       const category = sanitiseText(entry?.category) || "General";
-      const currentCount = categoryCount.get(category) || 0;
-      categoryCount.set(category, currentCount + 1);
 
       const row = document.createElement("tr");
 
@@ -462,6 +620,46 @@ document.addEventListener("DOMContentLoaded", () => {
       const titleCell = document.createElement("td");
       titleCell.textContent =
         sanitiseText(entry?.species) || "Untitled Field Observation";
+      if (entry?.snippet) {
+        const snippet = document.createElement("span");
+        snippet.className = "reports-table__snippet";
+        appendHighlightedText(snippet, entry.snippet, options.highlight);
+        titleCell.appendChild(snippet);
+      }
+      const observer = sanitiseText(entry?.observerName);
+      if (observer) {
+        const observerNode = document.createElement("span");
+        observerNode.className = "reports-table__observer";
+        observerNode.textContent = `Recorded by ${observer}`;
+        titleCell.appendChild(observerNode);
+      }
+      if (entry?.sourceDevice) {
+        const sourceNode = document.createElement("span");
+        sourceNode.className = "reports-table__source";
+        sourceNode.textContent = `Imported from ${
+          sanitiseText(entry.sourceDeviceName) || "another office"
+        }${
+          entry.sourceRecordId
+            ? ` (originally ${formatReportId(entry.sourceRecordId)})`
+            : ""
+        }`;
+        titleCell.appendChild(sourceNode);
+      }
+      if (entry?.deletedAt) {
+        const deletedNode = document.createElement("span");
+        deletedNode.className = "reports-table__deleted";
+        const deletedBy = sanitiseText(entry?.deletedByName);
+        deletedNode.textContent = `Moved to trash ${
+          formatDateTime(entry.deletedAt) || ""
+        }${deletedBy ? ` by ${deletedBy}` : ""}`;
+        titleCell.appendChild(deletedNode);
+      }
+      if (Number(entry?.attachmentCount) > 0) {
+        const photos = document.createElement("span");
+        photos.className = "reports-table__photos";
+        titleCell.appendChild(photos);
+        renderPhotoStrip(photos, entry.id);
+      }
       row.appendChild(titleCell);
 
       const typeCell = document.createElement("td");
@@ -494,6 +692,30 @@ document.addEventListener("DOMContentLoaded", () => {
       const actionsCell = document.createElement("td");
       actionsCell.className = "table-actions";
 
+      const historyButton = document.createElement("button");
+      historyButton.type = "button";
+      historyButton.className = "ghost ghost--compact";
+      historyButton.textContent = "History";
+      historyButton.addEventListener("click", () => {
+        openHistory(entry);
+      });
+
+      if (options.trash) {
+        const restoreButton = document.createElement("button");
+        restoreButton.type = "button";
+        restoreButton.className = "primary primary--compact";
+        restoreButton.textContent = "Restore";
+        restoreButton.addEventListener("click", () => {
+          restoreReport(entry, restoreButton);
+        });
+
+        actionsCell.appendChild(historyButton);
+        actionsCell.appendChild(restoreButton);
+        row.appendChild(actionsCell);
+        tableBody.appendChild(row);
+        return;
+      }
+
       const viewButton = document.createElement("button");
       viewButton.type = "button";
       viewButton.className = "ghost ghost--compact";
@@ -510,8 +732,27 @@ document.addEventListener("DOMContentLoaded", () => {
         notifyComingSoon("PDF export");
       });
 
+      const editButton = document.createElement("button");
+      editButton.type = "button";
+      editButton.className = "ghost ghost--compact";
+      editButton.textContent = "Edit";
+      editButton.addEventListener("click", () => {
+        editReport(entry?.id);
+      });
+
+      const deleteButton = document.createElement("button");
+      deleteButton.type = "button";
+      deleteButton.className = "ghost ghost--compact ghost--danger";
+      deleteButton.textContent = "Delete";
+      deleteButton.addEventListener("click", () => {
+        deleteReport(entry, deleteButton);
+      });
+
       actionsCell.appendChild(viewButton);
       actionsCell.appendChild(exportButton);
+      actionsCell.appendChild(editButton);
+      actionsCell.appendChild(historyButton);
+      actionsCell.appendChild(deleteButton);
       row.appendChild(actionsCell);
 
       tableBody.appendChild(row);
@@ -522,13 +763,26 @@ document.addEventListener("DOMContentLoaded", () => {
     } else {
       setText(reportsUpdatedNode, "—");
     }
+  }
 
+  // The summary cards count every live report in the database, whatever the
+  // table is currently showing.
+  function renderSummary(summary) {
+    const total = summary?.total || 0;
+    setText(totalNode, total.toString());
+    setText(
+      totalMetaNode,
+      total ? "Synced from field submissions" : "Awaiting first submission"
+    );
+
+    const drafts = summary?.drafts || 0;
     setText(draftsNode, drafts.toString());
     setText(
       draftsMetaNode,
       drafts ? "Draft reports awaiting final review" : "All reports published"
     );
 
+    const recent = summary?.recordedThisWeek || 0;
     setText(recentNode, recent.toString());
     setText(
       recentMetaNode,
@@ -537,16 +791,12 @@ document.addEventListener("DOMContentLoaded", () => {
         : "No new reports in the last week"
     );
 
-    const [topCategory] = Array.from(categoryCount.entries()).sort(
-      (a, b) => b[1] - a[1]
-    );
-
+    const [topCategory] = summary?.byCategory || [];
     if (topCategory) {
-      const [category, categoryTotal] = topCategory;
-      setText(topCategoryNode, category);
+      setText(topCategoryNode, sanitiseText(topCategory.category) || "General");
       setText(
         topCategoryMetaNode,
-        `${categoryTotal} ${categoryTotal === 1 ? "report" : "reports"}`
+        `${topCategory.count} ${topCategory.count === 1 ? "report" : "reports"}`
       );
     } else {
       setText(topCategoryNode, "—");
@@ -554,38 +804,614 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
+  async function loadSummary() {
+    try {
+      const summary = readBridgeResponse(
+        await reportsBridge.fieldData.summary(),
+        "Failed to load statistics"
+      );
+      renderSummary(summary);
+    } catch (error) {
+      console.error("Failed to load report statistics:", error);
+      renderSummary(null);
+    }
+  }
+
+  function editReport(id) {
+    const numericId = Number(id);
+    if (!Number.isInteger(numericId) || numericId <= 0) {
+      return;
+    }
+    window.location.href = `./fielddata.html?edit=${numericId}`;
+  }
+
+  async function deleteReport(entry, button) {
+    if (!reportsBridge) {
+      window.alert("Data bridge unavailable. Launch the desktop app.");
+      return;
+    }
+
+    const label = `${formatReportId(entry?.id)} (${
+      sanitiseText(entry?.species) || "Untitled Field Observation"
+    })`;
+    if (
+      !window.confirm(
+        `Move report ${label} to the trash? It can be restored from the trash view.`
+      )
+    ) {
+      return;
+    }
+
+    if (button) {
+      button.disabled = true;
+    }
+
+    try {
+      readBridgeResponse(
+        await reportsBridge.fieldData.delete({ id: entry?.id }),
+        "Failed to delete report"
+      );
+      await loadReports();
+    } catch (error) {
+      console.error("Failed to delete report:", error);
+      window.alert(describeBridgeError(error, "Unable to delete report."));
+      if (button) {
+        button.disabled = false;
+      }
+    }
+  }
+
+  async function restoreReport(entry, button) {
+    if (!reportsBridge) {
+      window.alert("Data bridge unavailable. Launch the desktop app.");
+      return;
+    }
+
+    if (button) {
+      button.disabled = true;
+    }
+
+    try {
+      readBridgeResponse(
+        await reportsBridge.fieldData.restore({ id: entry?.id }),
+        "Failed to restore report"
+      );
+      await loadReports();
+    } catch (error) {
+      console.error("Failed to restore report:", error);
+      window.alert(describeBridgeError(error, "Unable to restore report."));
+      if (button) {
+        button.disabled = false;
+      }
+    }
+  }
+
+  function setHistoryFeedback(message, type = "success") {
+    if (!historyFeedback) {
+      return;
+    }
+    historyFeedback.textContent = message || "";
+    historyFeedback.hidden = !message;
+    historyFeedback.classList.toggle("is-error", type === "error");
+  }
+
+  function createVersionOption(value, label) {
+    const option = document.createElement("option");
+    option.value = String(value);
+    option.textContent = label;
+    return option;
+  }
+
+  function renderHistory(history) {
+    const entry = history?.entry || {};
+    const revisions = Array.isArray(history?.revisions)
+      ? history.revisions
+      : [];
+    const currentRevision = Number(history?.currentRevision) || 1;
+
+    setText(
+      historySubtitle,
+      [
+        formatReportId(entry.id),
+        sanitiseText(entry.species) || "Untitled Field Observation",
+        entry.deletedAt ? "in trash" : "",
+      ]
+        .filter(Boolean)
+        .join(" · ")
+    );
+
+    if (historyList) {
+      historyList.innerHTML = "";
+
+      const current = document.createElement("li");
+      current.className = "history-list__item history-list__item--current";
+      const currentText = document.createElement("div");
+      const currentTitle = document.createElement("strong");
+      currentTitle.textContent = `Version ${currentRevision} (current)`;
+      const currentMeta = document.createElement("small");
+      currentMeta.textContent = `Last changed ${
+        formatDateTime(entry.updatedAt || entry.recordedAt) || "—"
+      }`;
+      currentText.append(currentTitle, currentMeta);
+      current.appendChild(currentText);
+      historyList.appendChild(current);
+
+      revisions.forEach((revision) => {
+        const item = document.createElement("li");
+        item.className = "history-list__item";
+
+        const text = document.createElement("div");
+        const title = document.createElement("strong");
+        title.textContent = `Version ${revision.revision}`;
+        const meta = document.createElement("small");
+        meta.textContent = [
+          REVISION_ACTION_LABELS[revision.action] || revision.action,
+          formatDateTime(revision.createdAt),
+          revision.changedByName ? `by ${revision.changedByName}` : "",
+        ]
+          .filter(Boolean)
+          .join(" · ");
+        text.append(title, meta);
+
+        const rollbackButton = document.createElement("button");
+        rollbackButton.type = "button";
+        rollbackButton.className = "ghost ghost--compact";
+        rollbackButton.textContent = "Roll back to this";
+        rollbackButton.dataset.action = "rollback";
+        rollbackButton.dataset.revision = String(revision.revision);
+        if (entry.deletedAt) {
+          rollbackButton.disabled = true;
+          rollbackButton.title = "Restore the entry from the trash first";
+        }
+
+        item.append(text, rollbackButton);
+        historyList.appendChild(item);
+      });
+    }
+
+    if (historyCompareForm) {
+      historyCompareForm.hidden = !revisions.length;
+    }
+    [historyCompareFrom, historyCompareTo].forEach((select) => {
+      if (!select) {
+        return;
+      }
+      select.innerHTML = "";
+      select.appendChild(
+        createVersionOption("current", `Version ${currentRevision} (current)`)
+      );
+      revisions.forEach((revision) => {
+        select.appendChild(
+          createVersionOption(revision.revision, `Version ${revision.revision}`)
+        );
+      });
+    });
+    if (historyCompareFrom && revisions.length) {
+      historyCompareFrom.value = String(revisions[0].revision);
+    }
+    if (historyDiff) {
+      historyDiff.hidden = true;
+    }
+  }
+
+  async function loadHistory() {
+    const history = readBridgeResponse(
+      await reportsBridge.fieldData.revisions({
+        id: historyEntryId,
+      }),
+      "Failed to load revision history"
+    );
+    renderHistory(history);
+  }
+
+  async function openHistory(entry) {
+    if (!reportsBridge) {
+      window.alert("Data bridge unavailable. Launch the desktop app.");
+      return;
+    }
+    if (!historyDialog) {
+      return;
+    }
+
+    historyEntryId = entry?.id;
+    setHistoryFeedback("");
+    try {
+      await loadHistory();
+      if (!historyDialog.open) {
+        historyDialog.showModal();
+      }
+    } catch (error) {
+      console.error("Failed to load revision history:", error);
+      window.alert(
+        describeBridgeError(error, "Unable to load revision history.")
+      );
+    }
+  }
+
+  function describeVersion(state) {
+    return state?.current
+      ? `Version ${state.revision} (current)`
+      : `Version ${state?.revision}`;
+  }
+
+  async function compareVersions(from, to) {
+    try {
+      const comparison = readBridgeResponse(
+        await reportsBridge.fieldData.compare({
+          id: historyEntryId,
+          from,
+          to,
+        }),
+        "Failed to compare revisions"
+      );
+
+      const { changes = [] } = comparison || {};
+      setText(historyDiffFrom, describeVersion(comparison?.from));
+      setText(historyDiffTo, describeVersion(comparison?.to));
+      historyDiffBody.innerHTML = "";
+
+      if (!changes.length) {
+        const row = document.createElement("tr");
+        row.className = "history-diff__empty";
+        const cell = document.createElement("td");
+        cell.colSpan = 3;
+        cell.textContent = "These versions are identical.";
+        row.appendChild(cell);
+        historyDiffBody.appendChild(row);
+      }
+
+      changes.forEach((change) => {
+        const row = document.createElement("tr");
+        const label = document.createElement("th");
+        label.scope = "row";
+        label.textContent = REVISION_FIELD_LABELS[change.field] || change.field;
+        const before = document.createElement("td");
+        before.className = "history-diff__before";
+        before.textContent = formatRevisionValue(change.field, change.before);
+        const after = document.createElement("td");
+        after.className = "history-diff__after";
+        after.textContent = formatRevisionValue(change.field, change.after);
+        row.append(label, before, after);
+        historyDiffBody.appendChild(row);
+      });
+
+      historyDiff.hidden = false;
+      setHistoryFeedback("");
+    } catch (error) {
+      console.error("Failed to compare revisions:", error);
+      setHistoryFeedback(
+        describeBridgeError(error, "Unable to compare."),
+        "error"
+      );
+    }
+  }
+
+  async function rollbackTo(revision, button) {
+    const label = formatReportId(historyEntryId);
+    if (
+      !window.confirm(
+        `Roll ${label} back to version ${revision}? The current version stays in the history.`
+      )
+    ) {
+      return;
+    }
+
+    if (button) {
+      button.disabled = true;
+    }
+    try {
+      readBridgeResponse(
+        await reportsBridge.fieldData.rollback({
+          id: historyEntryId,
+          revision,
+        }),
+        "Failed to roll back"
+      );
+      await loadHistory();
+      setHistoryFeedback(`${label} rolled back to version ${revision}.`);
+      await loadReports();
+    } catch (error) {
+      console.error("Failed to roll back report:", error);
+      setHistoryFeedback(
+        describeBridgeError(error, "Unable to roll back."),
+        "error"
+      );
+      if (button) {
+        button.disabled = false;
+      }
+    }
+  }
+
+  function setDuplicatesFeedback(message, type = "success") {
+    if (!duplicatesFeedback) {
+      return;
+    }
+    duplicatesFeedback.textContent = message || "";
+    duplicatesFeedback.hidden = !message;
+    duplicatesFeedback.classList.toggle("is-error", type === "error");
+  }
+
+  function describeDuplicateEntry(entry) {
+    const region = formatRegion(entry);
+    return [
+      formatDateTime(entry?.observedAt || entry?.recordedAt),
+      entry?.individualCount === null || entry?.individualCount === undefined
+        ? ""
+        : `${entry.individualCount} counted`,
+      region === "—" ? "" : region,
+      entry?.observerName ? `by ${entry.observerName}` : "",
+      entry?.attachmentCount
+        ? `${entry.attachmentCount} photo${
+            entry.attachmentCount === 1 ? "" : "s"
+          }`
+        : "",
+    ]
+      .filter(Boolean)
+      .join(" · ");
+  }
+
+  function renderDuplicateClusters() {
+    if (!duplicateClusterList) {
+      return;
+    }
+    duplicateClusterList.innerHTML = "";
+
+    if (!duplicateClusters.length) {
+      const empty = document.createElement("li");
+      empty.className = "duplicate-clusters__empty";
+      empty.textContent = "No likely duplicates found.";
+      duplicateClusterList.appendChild(empty);
+      return;
+    }
+
+    duplicateClusters.forEach((cluster, index) => {
+      const item = document.createElement("li");
+      item.className = "duplicate-cluster";
+
+      const head = document.createElement("div");
+      head.className = "duplicate-cluster__head";
+      const text = document.createElement("div");
+      const title = document.createElement("strong");
+      title.textContent =
+        sanitiseText(cluster.entries[0]?.species) ||
+        "Untitled Field Observation";
+      const meta = document.createElement("small");
+      meta.textContent = ` · ${cluster.entries.length} entries · ${Math.round(
+        cluster.score * 100
+      )}% match`;
+      text.append(title, meta);
+
+      const mergeButton = document.createElement("button");
+      mergeButton.type = "button";
+      mergeButton.className = "primary primary--compact";
+      mergeButton.textContent = "Merge";
+      mergeButton.dataset.action = "merge-cluster";
+      mergeButton.dataset.index = String(index);
+      head.append(text, mergeButton);
+      item.appendChild(head);
+
+      cluster.entries.forEach((entry, position) => {
+        const label = document.createElement("label");
+        label.className = "duplicate-cluster__entry";
+        const radio = document.createElement("input");
+        radio.type = "radio";
+        radio.name = `duplicate-keep-${index}`;
+        radio.value = String(entry.id);
+        radio.checked = position === 0;
+        const body = document.createElement("span");
+        const name = document.createElement("strong");
+        name.textContent = `Keep ${formatReportId(entry.id)}`;
+        const details = document.createElement("small");
+        details.textContent = describeDuplicateEntry(entry);
+        body.append(name, details);
+        label.append(radio, body);
+        item.appendChild(label);
+      });
+
+      duplicateClusterList.appendChild(item);
+    });
+  }
+
+  async function loadDuplicateClusters() {
+    const clusters = readBridgeResponse(
+      await reportsBridge.fieldData.duplicates(),
+      "Failed to find duplicates"
+    );
+    duplicateClusters = Array.isArray(clusters) ? clusters : [];
+    renderDuplicateClusters();
+  }
+
+  async function openDuplicates() {
+    if (!reportsBridge) {
+      window.alert("Data bridge unavailable. Launch the desktop app.");
+      return;
+    }
+    if (!duplicatesDialog) {
+      return;
+    }
+
+    setDuplicatesFeedback("");
+    try {
+      await loadDuplicateClusters();
+      if (!duplicatesDialog.open) {
+        duplicatesDialog.showModal();
+      }
+    } catch (error) {
+      console.error("Failed to find duplicate reports:", error);
+      window.alert(describeBridgeError(error, "Unable to find duplicates."));
+    }
+  }
+
+  // The entries that are not kept go to the trash, so a mistaken merge can
+  // be undone by restoring them, which brings their photos back, and rolling
+  // the kept entry back.
+  async function mergeCluster(index, button) {
+    const cluster = duplicateClusters[index];
+    const selected = duplicateClusterList?.querySelector(
+      `input[name="duplicate-keep-${index}"]:checked`
+    );
+    const targetId = Number(selected?.value);
+    if (!cluster || !Number.isInteger(targetId)) {
+      return;
+    }
+    const sourceIds = cluster.entries
+      .map((entry) => entry.id)
+      .filter((id) => id !== targetId);
+    const label = formatReportId(targetId);
+    if (
+      !window.confirm(
+        `Merge ${sourceIds.length} other ${
+          sourceIds.length === 1 ? "entry" : "entries"
+        } into ${label}? They move to the trash and their photos move to ${label} until they are restored.`
+      )
+    ) {
+      return;
+    }
+
+    if (button) {
+      button.disabled = true;
+    }
+    try {
+      readBridgeResponse(
+        await reportsBridge.fieldData.mergeDuplicates({
+          targetId,
+          sourceIds,
+        }),
+        "Failed to merge entries"
+      );
+      await loadDuplicateClusters();
+      setDuplicatesFeedback(`Merged into ${label}.`);
+      await loadReports();
+    } catch (error) {
+      console.error("Failed to merge duplicate reports:", error);
+      setDuplicatesFeedback(
+        describeBridgeError(error, "Unable to merge."),
+        "error"
+      );
+      if (button) {
+        button.disabled = false;
+      }
+    }
+  }
+
   async function loadReports() {
-    if (!reportsBridge || typeof reportsBridge.invoke !== "function") {
+    if (!reportsBridge) {
       renderReports([]);
+      renderSummary(null);
       return;
     }
 
+    loadSummary();
+    const query = sanitiseText(searchInput?.value);
+
     try {
-      const response = await reportsBridge.invoke("fieldData:list", {
-        limit: 25,
-      });
-      if (!response?.ok) {
-        throw new Error(response?.error || "Failed to fetch reports");
+      if (showingTrash) {
+        const entries = await fetchAllFieldData({
+          trash: true,
+          sortBy: "deletedAt",
+          species: query,
+        });
+        renderReports(entries, {
+          trash: true,
+          emptyMessage: query
+            ? `No entries in the trash match “${query}”.`
+            : "The trash is empty.",
+        });
+        return;
       }
-      renderReports(response.data || []);
+
+      if (query) {
+        const { rows, highlight } = await fetchAllSearchResults(query);
+        renderReports(rows, {
+          highlight,
+          emptyMessage: `No reports match “${query}”.`,
+        });
+        return;
+      }
+
+      const entries = await fetchAllFieldData();
+      renderReports(entries);
     } catch (error) {
       console.error("Failed to load reports:", error);
       renderReports([]);
     }
   }
 
+  if (filterForm) {
+    filterForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      loadReports();
+    });
+
+    filterForm.addEventListener("reset", () => {
+      setTimeout(() => loadReports(), 0);
+    });
+  }
+
+  if (searchInput) {
+    searchInput.addEventListener("search", () => {
+      loadReports();
+    });
+  }
+
+  if (trashToggle) {
+    trashToggle.addEventListener("click", () => {
+      showingTrash = !showingTrash;
+      trashToggle.setAttribute("aria-pressed", String(showingTrash));
+      trashToggle.textContent = showingTrash ? "Back to reports" : "View trash";
+      loadReports();
+    });
+  }
+
+  if (historyDialog) {
+    historyDialog.addEventListener("click", (event) => {
+      const target = event.target;
+      if (!(target instanceof HTMLButtonElement)) {
+        return;
+      }
+      if (target.dataset.action === "close-history") {
+        historyDialog.close();
+      } else if (target.dataset.action === "rollback") {
+        rollbackTo(Number(target.dataset.revision), target);
+      }
+    });
+  }
+
+  if (findDuplicatesButton) {
+    findDuplicatesButton.addEventListener("click", openDuplicates);
+  }
+
+  if (duplicatesDialog) {
+    duplicatesDialog.addEventListener("click", (event) => {
+      const target = event.target;
+      if (!(target instanceof HTMLButtonElement)) {
+        return;
+      }
+      if (target.dataset.action === "close-duplicates") {
+        duplicatesDialog.close();
+      } else if (target.dataset.action === "merge-cluster") {
+        mergeCluster(Number(target.dataset.index), target);
+      }
+    });
+  }
+
+  if (historyCompareForm) {
+    historyCompareForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      compareVersions(historyCompareFrom?.value, historyCompareTo?.value);
+    });
+  }
+
   async function loadUserProfile() {
-    if (!reportsBridge || typeof reportsBridge.invoke !== "function") {
+    if (!reportsBridge) {
       return;
     }
 
     try {
-      const response = await reportsBridge.invoke("userProfile:get");
-      if (!response?.ok) {
-        throw new Error(response?.error || "Failed to fetch profile");
-      }
-
-      const profile = response.data;
+      const profile = readBridgeResponse(
+        await reportsBridge.profile.get(),
+        "Failed to fetch profile"
+      );
       if (!profile) {
         return;
       }
@@ -594,8 +1420,8 @@ document.addEventListener("DOMContentLoaded", () => {
         userNameNode.textContent = profile.name;
       }
 
-      if (userRoleNode && profile.city) {
-        userRoleNode.textContent = profile.city;
+      if (userRoleNode && (profile.designation || profile.city)) {
+        userRoleNode.textContent = profile.designation || profile.city;
       }
 
       if (userAvatarNode && profile.name) {
@@ -610,21 +1436,19 @@ document.addEventListener("DOMContentLoaded", () => {
   loadReports();
 
   async function loadEnvironmentSummary() {
-    if (!reportsBridge || typeof reportsBridge.invoke !== "function") {
+    if (!reportsBridge) {
       return;
     }
 
     try {
-      const response = await reportsBridge.invoke("environment:summary");
-      if (!response?.ok) {
-        throw new Error(
-          response?.error || "Failed to load environment summary"
-        );
-      }
-      renderEnvironmentSummary(response.data);
+      const summary = readBridgeResponse(
+        await reportsBridge.environment.summary(),
+        "Failed to load environment summary"
+      );
+      renderEnvironmentSummary(summary);
     } catch (error) {
       console.error("Failed to load environment summary:", error);
-      renderEnvironmentSummaryError(error?.message);
+      renderEnvironmentSummaryError(describeBridgeError(error));
     }
   }
 
@@ -1,13 +1,4 @@
-let settingsBridge = null;
-
-if (typeof require === "function") {
-  try {
-    const { ipcRenderer } = require("electron");
-    settingsBridge = ipcRenderer ?? null;
-  } catch (error) {
-    console.warn("IPC renderer unavailable for settings:", error);
-  }
-}
+const settingsBridge = window.ecowatch ?? null;
 
 function sanitiseText(value) {
   return typeof value === "string" ? value.trim() : "";
@@ -25,12 +16,30 @@ document.addEventListener("DOMContentLoaded", () => {
   const nameInput = form.elements.namedItem("name");
   const emailInput = form.elements.namedItem("email");
   const dobInput = form.elements.namedItem("dob");
+  const designationInput = form.elements.namedItem("designation");
+  const divisionInput = form.elements.namedItem("division");
   const cityInput = form.elements.namedItem("city");
 
+  const formTitleNode = document.getElementById("profile-form-title");
+  const modeChip = document.getElementById("profile-mode-chip");
+  const cancelNewButton = form.querySelector(
+    '[data-action="cancel-new-user"]'
+  );
+  const rosterCard = document.getElementById("team-roster");
+  const rosterList = document.getElementById("roster-list");
+
   const userNameNode = document.getElementById("user-name");
   const userRoleNode = document.getElementById("user-role");
   const userAvatarNode = document.getElementById("user-avatar");
 
+  const formTitleLabel =
+    sanitiseText(formTitleNode?.textContent) || "Profile details";
+
+  let roster = [];
+  let activeUserId = null;
+  // null while the form is set up for adding a new ranger.
+  let editingUserId = null;
+
   function setFeedback(message, type = "neutral") {
     if (!feedbackEl) {
       return;
@@ -51,8 +60,8 @@ document.addEventListener("DOMContentLoaded", () => {
     if (profile?.name && userNameNode) {
       userNameNode.textContent = profile.name;
     }
-    if (profile?.city && userRoleNode) {
-      userRoleNode.textContent = profile.city;
+    if ((profile?.designation || profile?.city) && userRoleNode) {
+      userRoleNode.textContent = profile.designation || profile.city;
     }
     if (profile?.name && userAvatarNode) {
       const parts = sanitiseText(profile.name).split(/\s+/).filter(Boolean);
@@ -68,23 +77,114 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
-  function populateForm(profile) {
-    if (!profile) {
-      return;
+  function setFormMode(user) {
+    editingUserId = user?.id ?? null;
+    const isActive = editingUserId !== null && editingUserId === activeUserId;
+
+    if (formTitleNode) {
+      if (!user) {
+        formTitleNode.textContent = "New ranger";
+      } else if (isActive) {
+        formTitleNode.textContent = formTitleLabel;
+      } else {
+        formTitleNode.textContent = `Editing ${user.name}`;
+      }
+    }
+    if (modeChip) {
+      modeChip.textContent = isActive ? "Profile active" : "Team member";
+      modeChip.classList.toggle("status-chip--online", isActive);
     }
+    if (cancelNewButton) {
+      cancelNewButton.hidden = isActive;
+    }
+  }
+
+  function populateForm(profile) {
     if (nameInput) {
-      nameInput.value = profile.name || "";
+      nameInput.value = profile?.name || "";
     }
     if (emailInput) {
-      emailInput.value = profile.email || "";
+      emailInput.value = profile?.email || "";
     }
     if (dobInput) {
-      dobInput.value = profile.dob || "";
+      dobInput.value = profile?.dob || "";
+    }
+    if (designationInput) {
+      designationInput.value = profile?.designation || "";
+    }
+    if (divisionInput) {
+      divisionInput.value = profile?.division || "";
     }
     if (cityInput) {
-      cityInput.value = profile.city || "";
+      cityInput.value = profile?.city || "";
+    }
+    setFormMode(profile);
+    if (profile && profile.id === activeUserId) {
+      updateHeader(profile);
+    }
+  }
+
+  function renderRoster() {
+    if (!rosterList) {
+      return;
+    }
+    rosterList.innerHTML = "";
+
+    if (!roster.length) {
+      const empty = document.createElement("li");
+      empty.className = "roster-list__item roster-list__item--empty";
+      empty.textContent = rosterList.dataset.emptyMessage || "No rangers yet.";
+      rosterList.appendChild(empty);
+      return;
     }
-    updateHeader(profile);
+
+    roster.forEach((user) => {
+      const isActive = user.id === activeUserId;
+      const item = document.createElement("li");
+      item.className = "roster-list__item";
+      if (isActive) {
+        item.classList.add("roster-list__item--active");
+      }
+
+      const info = document.createElement("div");
+      const name = document.createElement("p");
+      name.className = "roster-list__name";
+      name.textContent = user.name;
+      if (isActive) {
+        const badge = document.createElement("span");
+        badge.className = "status-chip status-chip--online";
+        badge.textContent = "Active";
+        name.appendChild(badge);
+      }
+      const meta = document.createElement("p");
+      meta.className = "roster-list__meta";
+      meta.textContent = [user.designation, user.division, user.email]
+        .filter(Boolean)
+        .join(" · ");
+      info.append(name, meta);
+
+      const actions = document.createElement("div");
+      actions.className = "roster-list__actions";
+      const editButton = document.createElement("button");
+      editButton.type = "button";
+      editButton.className = "secondary";
+      editButton.dataset.action = "edit-user";
+      editButton.dataset.userId = String(user.id);
+      editButton.textContent = "Edit";
+      actions.appendChild(editButton);
+      if (!isActive) {
+        const switchButton = document.createElement("button");
+        switchButton.type = "button";
+        switchButton.className = "secondary";
+        switchButton.dataset.action = "switch-user";
+        switchButton.dataset.userId = String(user.id);
+        switchButton.textContent = "Switch to";
+        actions.appendChild(switchButton);
+      }
+
+      item.append(info, actions);
+      rosterList.appendChild(item);
+    });
   }
 
   function collectPayload() {
@@ -92,6 +192,8 @@ document.addEventListener("DOMContentLoaded", () => {
       name: sanitiseText(nameInput?.value),
       email: sanitiseText(emailInput?.value),
       dob: sanitiseText(dobInput?.value),
+      designation: sanitiseText(designationInput?.value),
+      division: sanitiseText(divisionInput?.value),
       city: sanitiseText(cityInput?.value),
     };
 
@@ -104,11 +206,7 @@ document.addEventListener("DOMContentLoaded", () => {
       throw new Error("Enter a valid email address.");
     }
 
-    if (!payload.dob) {
-      throw new Error("Date of birth is required.");
-    }
-    const dobDate = new Date(payload.dob);
-    if (Number.isNaN(dobDate.getTime())) {
+    if (payload.dob && Number.isNaN(new Date(payload.dob).getTime())) {
       throw new Error("Enter a valid date of birth.");
     }
 
@@ -119,17 +217,28 @@ document.addEventListener("DOMContentLoaded", () => {
     return payload;
   }
 
+  async function loadRoster() {
+    const listing = readBridgeResponse(
+      await settingsBridge.users.list(),
+      "Unable to fetch team roster."
+    );
+    roster = Array.isArray(listing?.users) ? listing.users : [];
+    activeUserId = listing?.activeUserId ?? null;
+    renderRoster();
+  }
+
   async function loadProfile() {
-    if (!settingsBridge || typeof settingsBridge.invoke !== "function") {
+    if (!settingsBridge) {
       return;
     }
 
     try {
-      const response = await settingsBridge.invoke("userProfile:get");
-      if (!response?.ok) {
-        throw new Error(response?.error || "Unable to fetch profile.");
-      }
-      populateForm(response.data || {});
+      await loadRoster();
+      const profile = readBridgeResponse(
+        await settingsBridge.profile.get(),
+        "Unable to fetch profile."
+      );
+      populateForm(profile || null);
     } catch (error) {
       console.error("Failed to load profile:", error);
       setFeedback("Could not load profile. Try again later.", "error");
@@ -137,16 +246,66 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   async function saveProfile(payload) {
-    if (!settingsBridge || typeof settingsBridge.invoke !== "function") {
+    if (!settingsBridge) {
       throw new Error("Profile bridge unavailable. Launch the desktop app.");
     }
-    const response = await settingsBridge.invoke("userProfile:save", payload);
-    if (!response?.ok) {
-      throw new Error(response?.error || "Unable to save profile.");
-    }
-    return response.data;
+    const response =
+      editingUserId === null
+        ? await settingsBridge.users.create(payload)
+        : await settingsBridge.profile.save({
+            ...payload,
+            id: editingUserId,
+          });
+    return readBridgeResponse(response, "Unable to save profile.");
+  }
+
+  async function switchToUser(userId) {
+    readBridgeResponse(
+      await settingsBridge.users.switch({ id: userId }),
+      "Unable to switch ranger."
+    );
+    window.location.reload();
   }
 
+  function showActiveProfile() {
+    populateForm(roster.find((user) => user.id === activeUserId) || null);
+  }
+
+  rosterCard?.addEventListener("click", async (event) => {
+    const button = event.target.closest("button[data-action]");
+    if (!button) {
+      return;
+    }
+    const userId = Number(button.dataset.userId);
+    setFeedback("");
+
+    if (button.dataset.action === "new-user") {
+      populateForm(null);
+      form.scrollIntoView({ behavior: "smooth", block: "start" });
+      nameInput?.focus();
+    } else if (button.dataset.action === "edit-user") {
+      populateForm(roster.find((user) => user.id === userId) || null);
+      form.scrollIntoView({ behavior: "smooth", block: "start" });
+    } else if (button.dataset.action === "switch-user") {
+      try {
+        button.disabled = true;
+        await switchToUser(userId);
+      } catch (error) {
+        console.error("Ranger switch failed:", error);
+        setFeedback(
+          describeBridgeError(error, "Unable to switch ranger."),
+          "error"
+        );
+        button.disabled = false;
+      }
+    }
+  });
+
+  cancelNewButton?.addEventListener("click", () => {
+    setFeedback("");
+    showActiveProfile();
+  });
+
   form.addEventListener("submit", async (event) => {
     event.preventDefault();
     setFeedback("");
@@ -161,12 +320,25 @@ document.addEventListener("DOMContentLoaded", () => {
         submitButton.textContent = "Saving...";
       }
 
+      const isNew = editingUserId === null;
       const savedProfile = await saveProfile(payload);
-      populateForm(savedProfile);
-      setFeedback("Profile updated successfully.", "success");
+      await loadRoster();
+      if (isNew) {
+        showActiveProfile();
+        setFeedback(
+          `${savedProfile.name} was added to the team roster.`,
+          "success"
+        );
+      } else {
+        populateForm(savedProfile);
+        setFeedback("Profile updated successfully.", "success");
+      }
     } catch (error) {
       console.error("Profile save failed:", error);
-      setFeedback(error.message || "Unable to save profile.", "error");
+      setFeedback(
+        describeBridgeError(error, "Unable to save profile."),
+        "error"
+      );
     } finally {
       if (submitButton) {
         submitButton.disabled = false;
@@ -179,3 +351,1344 @@ document.addEventListener("DOMContentLoaded", () => {
 
   loadProfile();
 });
+
+const BACKUP_KIND_LABELS = {
+  auto: "Automatic",
+  manual: "Manual",
+  "pre-restore": "Before restore",
+  "pre-migration": "Before upgrade",
+};
+
+function formatBytes(bytes) {
+  const value = Number(bytes) || 0;
+  if (value < 1024) {
+    return `${value} B`;
+  }
+  if (value < 1024 * 1024) {
+    return `${(value / 1024).toFixed(1)} KB`;
+  }
+  return `${(value / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatDateTime(value) {
+  const date = parseStoredTimestamp(value);
+  if (!date) {
+    return "—";
+  }
+  return formatAppDateTime(date, { dateStyle: "medium", timeStyle: "short" });
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const panel = document.getElementById("backup-panel");
+  if (!panel) {
+    return;
+  }
+
+  const form = document.getElementById("backup-form");
+  const listEl = document.getElementById("backup-list");
+  const feedbackEl = document.getElementById("backup-feedback");
+  const nextRunEl = document.getElementById("backup-next-run");
+  const directoryEl = document.getElementById("backup-directory");
+  const integrityChip = document.getElementById("integrity-chip");
+  const enabledInput = document.getElementById("backup-enabled");
+  const intervalInput = document.getElementById("backup-interval");
+  const retentionInput = document.getElementById("backup-retention");
+  const scheduleInputs = {
+    enabled: enabledInput,
+    intervalHours: intervalInput,
+    retention: retentionInput,
+  };
+
+  function setFeedback(message, type = "neutral") {
+    if (!feedbackEl) {
+      return;
+    }
+    feedbackEl.textContent = message || "";
+    feedbackEl.classList.remove("form-status--success", "form-status--error");
+    if (type === "success") {
+      feedbackEl.classList.add("form-status--success");
+    } else if (type === "error") {
+      feedbackEl.classList.add("form-status--error");
+    }
+  }
+
+  async function invoke(method, payload) {
+    if (typeof method !== "function") {
+      throw new Error("Backup bridge unavailable. Launch the desktop app.");
+    }
+    return readBridgeResponse(await method(payload));
+  }
+
+  async function withBusyButton(button, busyLabel, task) {
+    const originalLabel = button?.textContent;
+    if (button) {
+      button.disabled = true;
+      button.textContent = busyLabel;
+    }
+    try {
+      return await task();
+    } finally {
+      if (button) {
+        button.disabled = false;
+        button.textContent = originalLabel;
+      }
+    }
+  }
+
+  function renderIntegrity(report) {
+    if (!integrityChip) {
+      return;
+    }
+    integrityChip.classList.remove(
+      "status-chip--online",
+      "status-chip--danger"
+    );
+    if (!report) {
+      integrityChip.textContent = "Not checked";
+      integrityChip.title = "";
+      return;
+    }
+    integrityChip.textContent = report.ok
+      ? "Database healthy"
+      : "Problems found";
+    integrityChip.classList.add(
+      report.ok ? "status-chip--online" : "status-chip--danger"
+    );
+    integrityChip.title = `Last checked ${formatDateTime(report.checkedAt)}`;
+  }
+
+  // A field set in .env cannot be saved from here, as on the main settings
+  // form.
+  function showPin(input, env) {
+    const label = input?.closest("label");
+    label?.querySelector(".field__hint")?.remove();
+    if (!input) {
+      return;
+    }
+    input.disabled = Boolean(env);
+    if (!env) {
+      return;
+    }
+    const hint = document.createElement("small");
+    hint.className = "field__hint";
+    hint.textContent = `Set by ${env} in .env`;
+    label?.appendChild(hint);
+  }
+
+  function renderSchedule(status) {
+    const settings = status?.settings || {};
+    if (enabledInput) {
+      enabledInput.checked = Boolean(settings.enabled);
+    }
+    if (intervalInput && settings.intervalHours) {
+      const value = String(settings.intervalHours);
+      if (!intervalInput.querySelector(`option[value="${value}"]`)) {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = `Every ${value} hours`;
+        intervalInput.append(option);
+      }
+      intervalInput.value = value;
+    }
+    if (retentionInput && settings.retention) {
+      retentionInput.value = settings.retention;
+    }
+    Object.entries(scheduleInputs).forEach(([field, input]) => {
+      showPin(input, status?.pinned?.[field]);
+    });
+
+    if (nextRunEl) {
+      const parts = [];
+      if (!settings.enabled) {
+        parts.push("Automatic backups are off.");
+      } else if (status?.nextRunAt) {
+        parts.push(`Next backup ${formatDateTime(status.nextRunAt)}.`);
+      }
+      if (status?.lastRun?.error) {
+        parts.push(`Last backup failed: ${status.lastRun.error}`);
+      } else if (status?.lastRun?.at) {
+        parts.push(`Last backup ${formatDateTime(status.lastRun.at)}.`);
+      }
+      nextRunEl.textContent = parts.join(" ") || "Scheduling first backup…";
+    }
+    if (directoryEl && status?.directory) {
+      directoryEl.textContent = `Stored in ${status.directory}`;
+    }
+  }
+
+  function renderBackups(backups = []) {
+    if (!listEl) {
+      return;
+    }
+    listEl.innerHTML = "";
+
+    if (!backups.length) {
+      const empty = document.createElement("li");
+      empty.className = "backup-list__item backup-list__item--empty";
+      empty.textContent = listEl.dataset.emptyMessage || "No backups yet.";
+      listEl.append(empty);
+      return;
+    }
+
+    backups.forEach((backup) => {
+      const item = document.createElement("li");
+      item.className = "backup-list__item";
+
+      const info = document.createElement("div");
+      const name = document.createElement("p");
+      name.className = "backup-list__name";
+      name.textContent = formatDateTime(backup.createdAt);
+      const meta = document.createElement("p");
+      meta.className = "backup-list__meta";
+      meta.textContent = [
+        BACKUP_KIND_LABELS[backup.kind] || backup.kind,
+        formatBytes(backup.sizeBytes),
+        backup.fileName,
+      ].join(" · ");
+      info.append(name, meta);
+
+      const actions = document.createElement("div");
+      actions.className = "backup-list__actions";
+      const restoreButton = document.createElement("button");
+      restoreButton.type = "button";
+      restoreButton.className = "secondary";
+      restoreButton.dataset.action = "restore-backup";
+      restoreButton.dataset.fileName = backup.fileName;
+      restoreButton.textContent = "Restore";
+      const deleteButton = document.createElement("button");
+      deleteButton.type = "button";
+      deleteButton.className = "secondary";
+      deleteButton.dataset.action = "delete-backup";
+      deleteButton.dataset.fileName = backup.fileName;
+      deleteButton.textContent = "Delete";
+      actions.append(restoreButton, deleteButton);
+
+      item.append(info, actions);
+      listEl.append(item);
+    });
+  }
+
+  async function loadStatus() {
+    try {
+      const status = await invoke(settingsBridge?.backup.status);
+      renderSchedule(status);
+      renderBackups(status?.backups || []);
+      renderIntegrity(status?.lastIntegrityCheck);
+    } catch (error) {
+      console.error("Failed to load backup status:", error);
+      setFeedback("Could not load backups. Try again later.", "error");
+    }
+  }
+
+  async function restore(button, fileName) {
+    const result = await withBusyButton(button, "Restoring...", () =>
+      invoke(settingsBridge?.backup.restore, fileName ? { fileName } : {})
+    );
+    if (!result?.restored) {
+      return;
+    }
+    setFeedback(
+      `Restored ${result.restoredFrom}. The previous data was kept as ${result.safetyCopy}. Reloading…`,
+      "success"
+    );
+    setTimeout(() => window.location.reload(), 1500);
+  }
+
+  form?.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    setFeedback("");
+    const submitButton = form.querySelector('button[type="submit"]');
+
+    try {
+      const values = {};
+      if (enabledInput && !enabledInput.disabled) {
+        values.backupEnabled = enabledInput.checked;
+      }
+      if (intervalInput && !intervalInput.disabled) {
+        values.backupIntervalHours = Number(intervalInput.value);
+      }
+      if (retentionInput && !retentionInput.disabled) {
+        values.backupRetention = Number(retentionInput.value);
+      }
+      await withBusyButton(submitButton, "Saving...", () =>
+        invoke(settingsBridge?.settings.set, { values })
+      );
+      await loadStatus();
+      setFeedback("Backup schedule saved.", "success");
+    } catch (error) {
+      console.error("Backup settings save failed:", error);
+      setFeedback(
+        describeBridgeError(error, "Unable to save backup schedule."),
+        "error"
+      );
+    }
+  });
+
+  panel.addEventListener("click", async (event) => {
+    const button = event.target.closest("button[data-action]");
+    if (!button) {
+      return;
+    }
+    const { action, fileName } = button.dataset;
+    setFeedback("");
+
+    try {
+      if (action === "backup-now") {
+        const backup = await withBusyButton(button, "Backing up...", () =>
+          invoke(settingsBridge?.backup.create)
+        );
+        await loadStatus();
+        setFeedback(`Backup saved as ${backup.fileName}.`, "success");
+      } else if (action === "check-integrity") {
+        const report = await withBusyButton(button, "Checking...", () =>
+          invoke(settingsBridge?.backup.integrityCheck)
+        );
+        renderIntegrity(report);
+        if (report.ok) {
+          setFeedback("Integrity check passed. No problems found.", "success");
+        } else {
+          setFeedback(
+            `Integrity check found problems: ${report.messages
+              .slice(0, 3)
+              .join("; ")}. Restore a recent backup.`,
+            "error"
+          );
+        }
+      } else if (action === "restore-file") {
+        await restore(button);
+      } else if (action === "restore-backup" && fileName) {
+        await restore(button, fileName);
+      } else if (action === "delete-backup" && fileName) {
+        if (!window.confirm(`Delete backup ${fileName}?`)) {
+          return;
+        }
+        await invoke(settingsBridge?.backup.delete, { fileName });
+        await loadStatus();
+        setFeedback("Backup deleted.", "success");
+      }
+    } catch (error) {
+      console.error(`Backup action "${action}" failed:`, error);
+      setFeedback(describeBridgeError(error, "Backup action failed."), "error");
+    }
+  });
+
+  loadStatus();
+});
+
+document.addEventListener("DOMContentLoaded", () => {
+  const panel = document.getElementById("consolidation-panel");
+  if (!panel) {
+    return;
+  }
+
+  const previewEl = document.getElementById("consolidation-preview");
+  const sourceEl = document.getElementById("consolidation-source");
+  const summaryEl = document.getElementById("consolidation-summary");
+  const conflictsInput = document.getElementById("consolidation-conflicts");
+  const feedbackEl = document.getElementById("consolidation-feedback");
+
+  function setFeedback(message, type = "neutral") {
+    if (!feedbackEl) {
+      return;
+    }
+    feedbackEl.textContent = message || "";
+    feedbackEl.classList.remove("form-status--success", "form-status--error");
+    if (type === "success") {
+      feedbackEl.classList.add("form-status--success");
+    } else if (type === "error") {
+      feedbackEl.classList.add("form-status--error");
+    }
+  }
+
+  async function invoke(method, payload) {
+    if (typeof method !== "function") {
+      throw new Error("Import bridge unavailable. Launch the desktop app.");
+    }
+    return readBridgeResponse(await method(payload));
+  }
+
+  function setText(node, value) {
+    if (node) {
+      node.textContent = value;
+    }
+  }
+
+  function countLabel(count, singular, plural = `${singular}s`) {
+    return `${count} ${count === 1 ? singular : plural}`;
+  }
+
+  function showPreview(preview) {
+    if (!previewEl) {
+      return;
+    }
+    if (!preview) {
+      previewEl.hidden = true;
+      return;
+    }
+
+    const deviceName = preview.source?.name || "another computer";
+    setText(sourceEl, `${preview.fileName} from ${deviceName}`);
+
+    const parts = [
+      countLabel(preview.toAdd, "new entry", "new entries"),
+      `${countLabel(preview.duplicates, "entry", "entries")} already here`,
+      `${countLabel(preview.conflicts, "conflict")}${
+        preview.conflicts
+          ? ` (${preview.newerConflicts} edited more recently there)`
+          : ""
+      }`,
+    ];
+    if (preview.rejected?.length) {
+      parts.push(
+        `${countLabel(
+          preview.rejected.length,
+          "invalid record"
+        )} that will be skipped`
+      );
+    }
+    const lastImport = preview.source?.lastImportedAt
+      ? ` Last imported ${formatDateTime(preview.source.lastImportedAt)}.`
+      : "";
+    setText(summaryEl, `${parts.join(", ")}.${lastImport}`);
+
+    if (conflictsInput) {
+      conflictsInput.value = "keep";
+      conflictsInput.disabled = !preview.conflicts;
+    }
+    previewEl.hidden = false;
+  }
+
+  function describeResult(result) {
+    const parts = [
+      `Added ${countLabel(result.added, "entry", "entries")}`,
+      `skipped ${result.duplicates} already here`,
+    ];
+    if (result.conflicts) {
+      parts.push(
+        `updated ${result.replaced} and kept ${result.kept} of ${countLabel(
+          result.conflicts,
+          "conflict"
+        )}`
+      );
+    }
+    if (result.rejected?.length) {
+      parts.push(`rejected ${result.rejected.length} invalid`);
+    }
+    const missing = result.photos?.missing
+      ? ` ${countLabel(
+          result.photos.missing,
+          "photo file"
+        )} could not be found beside the database and were left out.`
+      : "";
+    return `${parts.join(", ")} from ${
+      result.source?.name || result.fileName
+    }.${missing}`;
+  }
+
+  panel.addEventListener("click", async (event) => {
+    const button = event.target.closest("button[data-action]");
+    if (!button) {
+      return;
+    }
+    const { action } = button.dataset;
+    setFeedback("");
+
+    if (action === "cancel-import") {
+      showPreview(null);
+      return;
+    }
+
+    button.disabled = true;
+    try {
+      if (action === "choose-import") {
+        const preview = await invoke(settingsBridge?.consolidation.preview);
+        if (preview?.canceled) {
+          return;
+        }
+        showPreview(preview);
+      } else if (action === "run-import") {
+        const result = await invoke(settingsBridge?.consolidation.import, {
+          conflicts: conflictsInput?.value || "keep",
+        });
+        showPreview(null);
+        setFeedback(describeResult(result), "success");
+      }
+    } catch (error) {
+      console.error(`Database import action "${action}" failed:`, error);
+      setFeedback(
+        describeBridgeError(error, "Database import failed."),
+        "error"
+      );
+    } finally {
+      button.disabled = false;
+    }
+  });
+});
+
+document.addEventListener("DOMContentLoaded", () => {
+  const panel = document.getElementById("sync-panel");
+  if (!panel) {
+    return;
+  }
+
+  const sinceInput = document.getElementById("sync-since");
+  const previewEl = document.getElementById("sync-preview");
+  const sourceEl = document.getElementById("sync-source");
+  const summaryEl = document.getElementById("sync-summary");
+  const fingerprintEl = document.getElementById("sync-fingerprint");
+  const conflictsInput = document.getElementById("sync-conflicts");
+  const logEl = document.getElementById("sync-log");
+  const feedbackEl = document.getElementById("sync-feedback");
+  const serverChip = document.getElementById("sync-server-chip");
+  const serverStatusEl = document.getElementById("sync-server-status");
+  const serverLastEl = document.getElementById("sync-server-last");
+
+  const METHOD_LABELS = {
+    bundle: "Bundle",
+    database: "Database",
+    server: "Division server",
+  };
+
+  function setFeedback(message, type = "neutral") {
+    if (!feedbackEl) {
+      return;
+    }
+    feedbackEl.textContent = message || "";
+    feedbackEl.classList.remove("form-status--success", "form-status--error");
+    if (type === "success") {
+      feedbackEl.classList.add("form-status--success");
+    } else if (type === "error") {
+      feedbackEl.classList.add("form-status--error");
+    }
+  }
+
+  async function invoke(method, payload) {
+    if (typeof method !== "function") {
+      throw new Error("Sync bridge unavailable. Launch the desktop app.");
+    }
+    return readBridgeResponse(await method(payload));
+  }
+
+  function setText(node, value) {
+    if (node) {
+      node.textContent = value;
+    }
+  }
+
+  function countLabel(count, singular, plural = `${singular}s`) {
+    return `${count} ${count === 1 ? singular : plural}`;
+  }
+
+  function showPreview(preview) {
+    if (!previewEl) {
+      return;
+    }
+    if (!preview) {
+      previewEl.hidden = true;
+      return;
+    }
+
+    const deviceName = preview.source?.name || "another computer";
+    setText(
+      sourceEl,
+      `${preview.fileName} from ${deviceName}, made ${formatDateTime(
+        preview.createdAt
+      )}`
+    );
+
+    const parts = [
+      countLabel(preview.toAdd, "new entry", "new entries"),
+      `${countLabel(preview.duplicates, "entry", "entries")} already here`,
+      `${countLabel(preview.conflicts, "conflict")}${
+        preview.conflicts
+          ? ` (${preview.newerConflicts} edited more recently there)`
+          : ""
+      }`,
+    ];
+    if (preview.rejected?.length) {
+      parts.push(
+        `${countLabel(
+          preview.rejected.length,
+          "invalid record"
+        )} that will be skipped`
+      );
+    }
+    setText(summaryEl, `${parts.join(", ")}.`);
+
+    // A key seen for the first time is trusted from then on, so the ranger
+    // is asked to compare it with the sending office before the first import.
+    setText(
+      fingerprintEl,
+      preview.source?.trusted
+        ? `Signed with the key this office used before (${preview.fingerprint}).`
+        : `First bundle from this office. Confirm its key ${preview.fingerprint} with the sender before importing.`
+    );
+
+    if (conflictsInput) {
+      conflictsInput.value = "keep";
+      conflictsInput.disabled = !preview.conflicts;
+    }
+    previewEl.hidden = false;
+  }
+
+  function describeExport(result) {
+    const scope = result.since
+      ? `changed since ${formatDateTime(result.since)}`
+      : "in total";
+    const missing = result.missing
+      ? ` ${countLabel(
+          result.missing,
+          "photo file"
+        )} could not be found and were left out.`
+      : "";
+    return `Saved ${result.fileName} with ${countLabel(
+      result.entryCount,
+      "entry",
+      "entries"
+    )} ${scope} and ${countLabel(result.photos, "photo")}.${missing}`;
+  }
+
+  function describeImport(result) {
+    const parts = [
+      `Added ${countLabel(result.added, "entry", "entries")}`,
+      `skipped ${result.duplicates} already here`,
+    ];
+    if (result.conflicts) {
+      parts.push(
+        `updated ${result.replaced} and kept ${result.kept} of ${countLabel(
+          result.conflicts,
+          "conflict"
+        )}`
+      );
+    }
+    if (result.rejected?.length) {
+      parts.push(`rejected ${result.rejected.length} invalid`);
+    }
+    return `${parts.join(", ")} from ${
+      result.source?.name || result.fileName
+    }.`;
+  }
+
+  function renderLog(rows = []) {
+    if (!logEl) {
+      return;
+    }
+    logEl.innerHTML = "";
+
+    if (!rows.length) {
+      const empty = document.createElement("li");
+      empty.className = "sync-log__item sync-log__item--empty";
+      empty.textContent =
+        logEl.dataset.emptyMessage || "Nothing has been exchanged yet.";
+      logEl.append(empty);
+      return;
+    }
+
+    rows.forEach((row) => {
+      const item = document.createElement("li");
+      item.className = "sync-log__item";
+
+      const info = document.createElement("div");
+      const name = document.createElement("p");
+      name.className = "sync-log__name";
+      const entries = countLabel(row.entryCount, "entry", "entries");
+      if (row.direction === "import") {
+        name.textContent = `Imported from ${
+          row.deviceName || row.deviceId || "unknown"
+        }`;
+      } else if (row.method === "server") {
+        name.textContent = `Sent ${entries} to ${row.fileName || "the server"}`;
+      } else {
+        name.textContent = `Exported ${entries}`;
+      }
+
+      const meta = document.createElement("p");
+      meta.className = "sync-log__meta";
+      const details = [
+        formatDateTime(row.createdAt),
+        METHOD_LABELS[row.method] || row.method,
+      ];
+      if (row.direction === "import") {
+        details.push(
+          `${row.added} added`,
+          `${row.updated} updated`,
+          `${row.duplicates} already here`
+        );
+        if (row.rejected) {
+          details.push(`${row.rejected} rejected`);
+        }
+      } else if (row.since) {
+        details.push(`since ${formatDateTime(row.since)}`);
+      }
+      if (row.fileName && row.method !== "server") {
+        details.push(row.fileName);
+      }
+      if (row.createdByName) {
+        details.push(row.createdByName);
+      }
+      meta.textContent = details.join(" · ");
+
+      info.append(name, meta);
+      item.append(info);
+      logEl.append(item);
+    });
+  }
+
+  function describeServerSync(result) {
+    const parts = [
+      `Sent ${countLabel(result.pushed, "entry", "entries")}`,
+      `received ${result.added} new and ${result.updated} updated`,
+    ];
+    const rejected = (result.refused || 0) + (result.rejected || 0);
+    if (rejected) {
+      parts.push(`${rejected} rejected as invalid`);
+    }
+    return `${parts.join(", ")}.`;
+  }
+
+  function renderServerStatus(status) {
+    if (!status) {
+      return;
+    }
+    const pending = countLabel(status.pending, "change", "changes");
+    let chipLabel = "Sync off";
+    let chipState = null;
+    let summary = status.server
+      ? `Automatic sync with ${status.server} is off. ${pending} waiting to be sent.`
+      : "No division server is set. Add its address under Notifications & services.";
+
+    if (status.enabled && status.server) {
+      if (status.running) {
+        chipLabel = "Syncing";
+        summary = `Syncing with ${status.server}…`;
+      } else if (!status.online) {
+        chipLabel = "Offline";
+        summary = `Offline. ${pending} will be sent to ${status.server} when this laptop reconnects.`;
+      } else {
+        const failing = status.lastRun?.ok === false;
+        chipLabel = failing ? "Sync failing" : "Sync on";
+        chipState = failing ? "status-chip--danger" : "status-chip--online";
+        summary = `Syncing with ${status.server}. ${pending} waiting to be sent${
+          status.nextRunAt
+            ? `; next sync ${formatDateTime(status.nextRunAt)}`
+            : ""
+        }.`;
+      }
+    }
+
+    if (serverChip) {
+      serverChip.textContent = chipLabel;
+      serverChip.classList.remove(
+        "status-chip--online",
+        "status-chip--danger"
+      );
+      if (chipState) {
+        serverChip.classList.add(chipState);
+      }
+    }
+    setText(serverStatusEl, summary);
+
+    const lastRun = status.lastRun;
+    setText(
+      serverLastEl,
+      lastRun
+        ? `Last sync ${formatDateTime(lastRun.at)}: ${
+            lastRun.ok ? describeServerSync(lastRun) : lastRun.error
+          }`
+        : ""
+    );
+  }
+
+  async function loadServerStatus() {
+    try {
+      renderServerStatus(await invoke(settingsBridge?.sync.status));
+    } catch (error) {
+      console.error("Failed to load server sync status:", error);
+      setText(serverStatusEl, "Could not read the server sync status.");
+    }
+  }
+
+  async function loadLog() {
+    try {
+      renderLog(await invoke(settingsBridge?.sync.log));
+    } catch (error) {
+      console.error("Failed to load sync history:", error);
+      setFeedback(
+        describeBridgeError(error, "Unable to load sync history."),
+        "error"
+      );
+    }
+  }
+
+  panel.addEventListener("click", async (event) => {
+    const button = event.target.closest("button[data-action]");
+    if (!button) {
+      return;
+    }
+    const { action } = button.dataset;
+    setFeedback("");
+
+    if (action === "cancel-bundle") {
+      showPreview(null);
+      return;
+    }
+
+    button.disabled = true;
+    try {
+      if (action === "export-bundle") {
+        const result = await invoke(settingsBridge?.sync.exportBundle, {
+          since: sinceInput?.value || null,
+        });
+        if (result?.canceled) {
+          return;
+        }
+        setFeedback(describeExport(result), "success");
+        await loadLog();
+      } else if (action === "choose-bundle") {
+        const preview = await invoke(settingsBridge?.sync.previewBundle);
+        if (preview?.canceled) {
+          return;
+        }
+        showPreview(preview);
+      } else if (action === "run-bundle") {
+        const result = await invoke(settingsBridge?.sync.importBundle, {
+          conflicts: conflictsInput?.value || "keep",
+        });
+        showPreview(null);
+        setFeedback(describeImport(result), "success");
+        await loadLog();
+      } else if (action === "run-sync") {
+        setText(serverStatusEl, "Syncing with the division server…");
+        const result = await invoke(settingsBridge?.sync.run);
+        setFeedback(describeServerSync(result), "success");
+        await loadLog();
+      }
+    } catch (error) {
+      console.error(`Sync action "${action}" failed:`, error);
+      setFeedback(describeBridgeError(error, "Sync failed."), "error");
+      // A refused token or an address that is not a sync server points at
+      // its setting in the form below.
+      if (error.field) {
+        document
+          .querySelector(`#app-settings-form [name="${error.field}"]`)
+          ?.focus();
+      }
+    } finally {
+      button.disabled = false;
+      if (action === "run-sync") {
+        await loadServerStatus();
+      }
+    }
+  });
+
+  // Scheduled syncs run in the background, so the status is refreshed while
+  // the page is open.
+  window.setInterval(loadServerStatus, 30 * 1000);
+
+  loadLog();
+  loadServerStatus();
+});
+
+document.addEventListener("DOMContentLoaded", () => {
+  const card = document.getElementById("tag-manager");
+  if (!card) {
+    return;
+  }
+
+  const listEl = document.getElementById("tag-manager-list");
+  const feedbackEl = document.getElementById("tag-feedback");
+  const mergeTargetSelect = document.getElementById("tag-merge-target");
+  const mergeButton = card.querySelector('[data-action="merge-tags"]');
+
+  let tags = [];
+
+  function setFeedback(message, type = "neutral") {
+    if (!feedbackEl) {
+      return;
+    }
+    feedbackEl.textContent = message || "";
+    feedbackEl.classList.remove("form-status--success", "form-status--error");
+    if (type === "success") {
+      feedbackEl.classList.add("form-status--success");
+    } else if (type === "error") {
+      feedbackEl.classList.add("form-status--error");
+    }
+  }
+
+  async function invoke(method, payload) {
+    if (typeof method !== "function") {
+      throw new Error("Tag bridge unavailable. Launch the desktop app.");
+    }
+    return readBridgeResponse(await method(payload));
+  }
+
+  function describeUsage(count) {
+    const total = Number(count) || 0;
+    if (!total) {
+      return "Not used yet";
+    }
+    return `Used in ${total} ${total === 1 ? "entry" : "entries"}`;
+  }
+
+  function getCheckedIds() {
+    return Array.from(
+      listEl?.querySelectorAll('input[type="checkbox"]:checked') || []
+    ).map((input) => Number(input.value));
+  }
+
+  function updateMergeControls() {
+    const checked = getCheckedIds();
+    if (mergeTargetSelect) {
+      const current = Number(mergeTargetSelect.value);
+      mergeTargetSelect.innerHTML = "";
+      tags
+        .filter((tag) => checked.includes(tag.id))
+        .forEach((tag) => {
+          const option = document.createElement("option");
+          option.value = String(tag.id);
+          option.textContent = tag.name;
+          mergeTargetSelect.appendChild(option);
+        });
+      if (checked.includes(current)) {
+        mergeTargetSelect.value = String(current);
+      }
+      mergeTargetSelect.disabled = checked.length < 2;
+    }
+    if (mergeButton) {
+      mergeButton.disabled = checked.length < 2;
+    }
+  }
+
+  function renderTags() {
+    if (!listEl) {
+      return;
+    }
+    listEl.innerHTML = "";
+
+    if (!tags.length) {
+      const empty = document.createElement("li");
+      empty.className = "tag-manager-list__item tag-manager-list__item--empty";
+      empty.textContent = listEl.dataset.emptyMessage || "No tags yet.";
+      listEl.appendChild(empty);
+      updateMergeControls();
+      return;
+    }
+
+    tags.forEach((tag) => {
+      const item = document.createElement("li");
+      item.className = "tag-manager-list__item";
+
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = String(tag.id);
+      const info = document.createElement("div");
+      const name = document.createElement("p");
+      name.className = "tag-manager-list__name";
+      name.textContent = tag.name;
+      const meta = document.createElement("p");
+      meta.className = "tag-manager-list__meta";
+      meta.textContent = describeUsage(tag.usageCount);
+      info.append(name, meta);
+      label.append(checkbox, info);
+
+      const actions = document.createElement("div");
+      actions.className = "tag-manager-list__actions";
+      const renameButton = document.createElement("button");
+      renameButton.type = "button";
+      renameButton.className = "secondary";
+      renameButton.dataset.action = "rename-tag";
+      renameButton.dataset.tagId = String(tag.id);
+      renameButton.textContent = "Rename";
+      const deleteButton = document.createElement("button");
+      deleteButton.type = "button";
+      deleteButton.className = "secondary";
+      deleteButton.dataset.action = "delete-tag";
+      deleteButton.dataset.tagId = String(tag.id);
+      deleteButton.textContent = "Delete";
+      actions.append(renameButton, deleteButton);
+
+      item.append(label, actions);
+      listEl.appendChild(item);
+    });
+
+    updateMergeControls();
+  }
+
+  async function loadTags() {
+    try {
+      tags = (await invoke(settingsBridge?.tags.list)) || [];
+      renderTags();
+    } catch (error) {
+      console.error("Failed to load tags:", error);
+      setFeedback("Could not load tags. Try again later.", "error");
+    }
+  }
+
+  listEl?.addEventListener("change", updateMergeControls);
+
+  card.addEventListener("click", async (event) => {
+    const button = event.target.closest("button[data-action]");
+    if (!button) {
+      return;
+    }
+    const tag = tags.find((item) => item.id === Number(button.dataset.tagId));
+    setFeedback("");
+
+    try {
+      if (button.dataset.action === "new-tag") {
+        const name = sanitiseText(window.prompt("Name for the new tag:") || "");
+        if (!name) {
+          return;
+        }
+        const created = await invoke(settingsBridge?.tags.create, { name });
+        await loadTags();
+        setFeedback(`Tag "${created.name}" is available.`, "success");
+      } else if (button.dataset.action === "rename-tag" && tag) {
+        const name = sanitiseText(
+          window.prompt(`Rename "${tag.name}" to:`, tag.name) || ""
+        );
+        if (!name || name === tag.name) {
+          return;
+        }
+        const renamed = await invoke(settingsBridge?.tags.rename, {
+          id: tag.id,
+          name,
+        });
+        await loadTags();
+        setFeedback(`Renamed to "${renamed.name}".`, "success");
+      } else if (button.dataset.action === "delete-tag" && tag) {
+        const usage = Number(tag.usageCount) || 0;
+        const message = usage
+          ? `Delete "${tag.name}"? It will be removed from ${usage} ${
+              usage === 1 ? "entry" : "entries"
+            }.`
+          : `Delete "${tag.name}"?`;
+        if (!window.confirm(message)) {
+          return;
+        }
+        await invoke(settingsBridge?.tags.delete, { id: tag.id });
+        await loadTags();
+        setFeedback(`Deleted "${tag.name}".`, "success");
+      } else if (button.dataset.action === "merge-tags") {
+        const targetId = Number(mergeTargetSelect?.value);
+        const target = tags.find((item) => item.id === targetId);
+        const sourceIds = getCheckedIds().filter((id) => id !== targetId);
+        if (!target || !sourceIds.length) {
+          return;
+        }
+        const names = tags
+          .filter((item) => sourceIds.includes(item.id))
+          .map((item) => `"${item.name}"`)
+          .join(", ");
+        if (!window.confirm(`Merge ${names} into "${target.name}"?`)) {
+          return;
+        }
+        button.disabled = true;
+        const merged = await invoke(settingsBridge?.tags.merge, {
+          sourceIds,
+          targetId,
+        });
+        await loadTags();
+        setFeedback(
+          `Merged into "${merged.name}", now ${describeUsage(
+            merged.usageCount
+          ).toLowerCase()}.`,
+          "success"
+        );
+      }
+    } catch (error) {
+      console.error("Tag action failed:", error);
+      setFeedback(describeBridgeError(error, "Tag action failed."), "error");
+      updateMergeControls();
+    }
+  });
+
+  loadTags();
+});
+
+const SITE_TYPE_LABELS = {
+  national_park: "National park",
+  wildlife_sanctuary: "Wildlife sanctuary",
+  conservation_reserve: "Conservation reserve",
+  tiger_reserve: "Tiger reserve",
+  forest_division: "Forest division",
+  range: "Forest range",
+};
+
+document.addEventListener("DOMContentLoaded", () => {
+  const card = document.getElementById("site-registry");
+  if (!card) {
+    return;
+  }
+
+  const listEl = document.getElementById("site-list");
+  const feedbackEl = document.getElementById("site-feedback");
+
+  function setFeedback(message, type = "neutral") {
+    if (!feedbackEl) {
+      return;
+    }
+    feedbackEl.textContent = message || "";
+    feedbackEl.classList.remove("form-status--success", "form-status--error");
+    if (type === "success") {
+      feedbackEl.classList.add("form-status--success");
+    } else if (type === "error") {
+      feedbackEl.classList.add("form-status--error");
+    }
+  }
+
+  async function invoke(method, payload) {
+    if (typeof method !== "function") {
+      throw new Error("Site bridge unavailable. Launch the desktop app.");
+    }
+    return readBridgeResponse(await method(payload));
+  }
+
+  function describeSite(site) {
+    const parts = [SITE_TYPE_LABELS[site.siteType] || site.siteType];
+    if (site.district) {
+      parts.push(site.district);
+    }
+    const area = Number(site.areaKm2);
+    if (Number.isFinite(area) && area > 0) {
+      parts.push(
+        `${area.toLocaleString(undefined, { maximumFractionDigits: 0 })} km²`
+      );
+    }
+    parts.push(
+      site.source === "bundled" ? "approximate outline" : `from ${site.source}`
+    );
+    return parts.join(" · ");
+  }
+
+  function renderSites(sites = []) {
+    if (!listEl) {
+      return;
+    }
+    listEl.innerHTML = "";
+
+    if (!sites.length) {
+      const empty = document.createElement("li");
+      empty.className = "site-list__item site-list__item--empty";
+      empty.textContent = listEl.dataset.emptyMessage || "No sites loaded.";
+      listEl.appendChild(empty);
+      return;
+    }
+
+    sites.forEach((site) => {
+      const item = document.createElement("li");
+      item.className = "site-list__item";
+
+      const info = document.createElement("div");
+      const name = document.createElement("p");
+      name.className = "site-list__name";
+      name.textContent = site.name;
+      const meta = document.createElement("p");
+      meta.className = "site-list__meta";
+      meta.textContent = describeSite(site);
+      info.append(name, meta);
+
+      const count = document.createElement("span");
+      count.className = "site-list__count";
+      const total = Number(site.observationCount) || 0;
+      count.textContent = `${total} ${total === 1 ? "entry" : "entries"}`;
+
+      item.append(info, count);
+      listEl.appendChild(item);
+    });
+  }
+
+  async function loadSites() {
+    try {
+      renderSites((await invoke(settingsBridge?.sites.list)) || []);
+    } catch (error) {
+      console.error("Failed to load sites:", error);
+      setFeedback("Could not load sites. Try again later.", "error");
+    }
+  }
+
+  card.addEventListener("click", async (event) => {
+    const button = event.target.closest('button[data-action="import-sites"]');
+    if (!button) {
+      return;
+    }
+
+    setFeedback("");
+    button.disabled = true;
+    try {
+      const result = await invoke(settingsBridge?.sites.import);
+      if (result?.canceled) {
+        return;
+      }
+      await loadSites();
+      setFeedback(
+        `Imported ${result.imported} ${
+          result.imported === 1 ? "site" : "sites"
+        }. ${result.assigned} entries fall inside a site, ${
+          result.outside
+        } outside.`,
+        "success"
+      );
+    } catch (error) {
+      console.error("Site import failed:", error);
+      setFeedback(describeBridgeError(error, "Site import failed."), "error");
+    } finally {
+      button.disabled = false;
+    }
+  });
+
+  loadSites();
+});
+
+document.addEventListener("DOMContentLoaded", () => {
+  const form = document.getElementById("app-settings-form");
+  if (!form) {
+    return;
+  }
+
+  const feedbackEl = document.getElementById("app-settings-feedback");
+  const timeInput = form.elements.digestTime;
+
+  let settings = new Map();
+
+  function setFeedback(message, type = "neutral") {
+    if (!feedbackEl) {
+      return;
+    }
+    feedbackEl.textContent = message || "";
+    feedbackEl.classList.remove("form-status--success", "form-status--error");
+    if (type === "success") {
+      feedbackEl.classList.add("form-status--success");
+    } else if (type === "error") {
+      feedbackEl.classList.add("form-status--error");
+    }
+  }
+
+  async function invoke(method, payload) {
+    if (typeof method !== "function") {
+      throw new Error("Settings bridge unavailable. Launch the desktop app.");
+    }
+    return readBridgeResponse(await method(payload));
+  }
+
+  function isPinned(...keys) {
+    return keys.some((key) => settings.get(key)?.source === "environment");
+  }
+
+  function showPin(input, ...keys) {
+    const label = input?.closest("label");
+    label?.querySelector(".field__hint")?.remove();
+    input.disabled = isPinned(...keys);
+    if (!input.disabled) {
+      return;
+    }
+    const hint = document.createElement("small");
+    hint.className = "field__hint";
+    hint.textContent = `Set by ${keys
+      .filter((key) => isPinned(key))
+      .map((key) => settings.get(key).env)
+      .join(" and ")} in .env`;
+    label?.appendChild(hint);
+  }
+
+  function padTime(value) {
+    return String(Number(value) || 0).padStart(2, "0");
+  }
+
+  function renderSettings() {
+    settings.forEach((setting, key) => {
+      const input = form.elements[key];
+      if (!input) {
+        return;
+      }
+      if (setting.type === "boolean") {
+        input.checked = Boolean(setting.value);
+      } else if (setting.secret) {
+        input.value = "";
+        input.placeholder = setting.isSet
+          ? "Saved. Leave blank to keep it."
+          : "Not set";
+      } else {
+        input.value = setting.value ?? "";
+      }
+      showPin(input, key);
+    });
+
+    if (timeInput) {
+      timeInput.value = `${padTime(
+        settings.get("digestHour")?.value
+      )}:${padTime(settings.get("digestMinute")?.value)}`;
+      showPin(timeInput, "digestHour", "digestMinute");
+    }
+  }
+
+  function collectValues() {
+    const values = {};
+    settings.forEach((setting, key) => {
+      const input = form.elements[key];
+      if (!input || input.disabled) {
+        return;
+      }
+      if (setting.type === "boolean") {
+        values[key] = input.checked;
+      } else if (setting.secret) {
+        if (input.value.trim()) {
+          values[key] = input.value;
+        }
+      } else {
+        values[key] = input.value;
+      }
+    });
+
+    if (timeInput && !timeInput.disabled) {
+      const [hour, minute] = timeInput.value.split(":");
+      if (!hour || !minute) {
+        throw new Error("Choose a time for the daily digest.");
+      }
+      values.digestHour = Number(hour);
+      values.digestMinute = Number(minute);
+    }
+    return values;
+  }
+
+  async function loadAppSettings() {
+    try {
+      const list = (await invoke(settingsBridge?.settings.get)) || [];
+      settings = new Map(list.map((setting) => [setting.key, setting]));
+      renderSettings();
+    } catch (error) {
+      console.error("Failed to load settings:", error);
+      setFeedback("Could not load settings. Try again later.", "error");
+    }
+  }
+
+  form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    setFeedback("");
+    const submitButton = form.querySelector('button[type="submit"]');
+    if (submitButton) {
+      submitButton.disabled = true;
+    }
+    try {
+      const list = await invoke(settingsBridge?.settings.set, {
+        values: collectValues(),
+      });
+      settings = new Map(list.map((setting) => [setting.key, setting]));
+      renderSettings();
+      setFeedback("Settings saved.", "success");
+    } catch (error) {
+      console.error("Failed to save settings:", error);
+      setFeedback(
+        describeBridgeError(error, "Could not save settings."),
+        "error"
+      );
+    } finally {
+      if (submitButton) {
+        submitButton.disabled = false;
+      }
+    }
+  });
+
+  loadAppSettings();
+});
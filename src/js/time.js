@@ -0,0 +1,69 @@
+// One time policy for every page, matching electron/time.js: timestamps from
+// the database are UTC, and everything shown to a ranger or counted by
+// calendar day ("yesterday", "this week") uses India Standard Time, whatever
+// zone the laptop's clock is set to.
+const APP_TIME_ZONE = "Asia/Kolkata";
+const APP_UTC_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+const APP_DAY_MS = 24 * 60 * 60 * 1000;
+
+const SQL_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+const WALL_CLOCK_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+
+// Reads a stored timestamp. SQLite writes UTC without a zone designator,
+// which `new Date()` would otherwise take as the laptop's local time.
+function parseStoredTimestamp(value) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value;
+  }
+  const text = typeof value === "string" ? value.trim() : "";
+  if (!text && typeof value !== "number") {
+    return null;
+  }
+  const date = SQL_TIMESTAMP_PATTERN.test(text)
+    ? new Date(`${text.replace(" ", "T")}Z`)
+    : new Date(text || value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Reads a time typed or captured without a zone, such as the form's
+// date-time field or a camera's EXIF clock, as IST.
+function parseWallClockTime(value) {
+  const text = typeof value === "string" ? value.trim() : "";
+  const match = WALL_CLOCK_PATTERN.exec(text);
+  if (!match) {
+    return parseStoredTimestamp(value);
+  }
+  const [year, month, day, hour = 0, minute = 0, second = 0] = match
+    .slice(1)
+    .map((part) => (part === undefined ? undefined : Number(part)));
+  const utc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const check = new Date(utc);
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    return null;
+  }
+  return new Date(utc - APP_UTC_OFFSET_MS);
+}
+
+// Counts IST calendar days since the epoch, so two times on the same IST
+// date share a number even when their UTC dates differ.
+function toAppDayNumber(date) {
+  return Math.floor((date.getTime() + APP_UTC_OFFSET_MS) / APP_DAY_MS);
+}
+
+function calendarDaysBetween(from, to = new Date()) {
+  return toAppDayNumber(to) - toAppDayNumber(from);
+}
+
+function formatAppDateTime(date, options) {
+  return new Intl.DateTimeFormat("en-IN", {
+    ...options,
+    timeZone: APP_TIME_ZONE,
+  }).format(date);
+}
+
+// The value a datetime-local input expects, on the IST clock.
+function toWallClockValue(date) {
+  const shifted = new Date(date.getTime() + APP_UTC_OFFSET_MS);
+  return shifted.toISOString().slice(0, 19);
+}
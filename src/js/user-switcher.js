@@ -0,0 +1,191 @@
+const userSwitcherBridge = window.ecowatch ?? null;
+
+// One colour per ranger so whoever picks up the shared laptop can tell at a
+// glance whose name new entries will be saved under.
+const AVATAR_COLOURS = [
+  "#1fa147",
+  "#2563eb",
+  "#d97706",
+  "#7c3aed",
+  "#db2777",
+  "#0d9488",
+  "#b45309",
+  "#4b5563",
+];
+
+function getAvatarColour(userId) {
+  const index = Math.abs(Number(userId) || 0) % AVATAR_COLOURS.length;
+  return AVATAR_COLOURS[index];
+}
+
+function getUserInitials(name) {
+  const parts = (typeof name === "string" ? name.trim() : "")
+    .split(/\s+/)
+    .filter(Boolean);
+  if (!parts.length) {
+    return "EW";
+  }
+  if (parts.length === 1) {
+    return parts[0].slice(0, 2).toUpperCase();
+  }
+  return `${parts[0][0]}${parts[parts.length - 1][0]}`.toUpperCase();
+}
+
+function describeUser(user) {
+  return [user?.designation, user?.division || user?.city]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+function createAvatar(user) {
+  const avatar = document.createElement("span");
+  avatar.className = "user-switcher__avatar";
+  avatar.textContent = getUserInitials(user.name);
+  avatar.style.background = getAvatarColour(user.id);
+  avatar.setAttribute("aria-hidden", "true");
+  return avatar;
+}
+
+async function switchUser(userId) {
+  readBridgeResponse(
+    await userSwitcherBridge.users.switch({ id: userId }),
+    "Unable to switch ranger"
+  );
+  // Every page reads the active ranger on load, so a reload is the simplest
+  // way to bring headers, filters and defaults in line.
+  window.location.reload();
+}
+
+function renderSwitcherMenu(menu, users, activeUserId) {
+  menu.innerHTML = "";
+
+  const heading = document.createElement("p");
+  heading.className = "user-switcher__heading";
+  heading.textContent = "Switch ranger";
+  menu.appendChild(heading);
+
+  users.forEach((user) => {
+    const option = document.createElement("button");
+    option.type = "button";
+    option.className = "user-switcher__option";
+    option.setAttribute("role", "menuitemradio");
+    option.setAttribute("aria-checked", String(user.id === activeUserId));
+    option.dataset.userId = String(user.id);
+
+    const text = document.createElement("span");
+    text.className = "user-switcher__text";
+    const name = document.createElement("strong");
+    name.textContent = user.name;
+    text.appendChild(name);
+    const meta = describeUser(user);
+    if (meta) {
+      const detail = document.createElement("small");
+      detail.textContent = meta;
+      text.appendChild(detail);
+    }
+
+    option.append(createAvatar(user), text);
+    menu.appendChild(option);
+  });
+
+  const manage = document.createElement("a");
+  manage.className = "user-switcher__manage";
+  manage.href = "setting.html#team-roster";
+  manage.setAttribute("role", "menuitem");
+  manage.textContent = "Manage team roster";
+  menu.appendChild(manage);
+}
+
+async function initUserSwitcher() {
+  const area = document.querySelector(".user-area");
+  if (!area || !userSwitcherBridge) {
+    return;
+  }
+
+  let roster;
+  try {
+    roster = readBridgeResponse(
+      await userSwitcherBridge.users.list(),
+      "Unable to load rangers"
+    );
+  } catch (error) {
+    console.error("Failed to load team roster:", error);
+    return;
+  }
+
+  const users = Array.isArray(roster?.users) ? roster.users : [];
+  const activeUser = users.find((user) => user.id === roster.activeUserId);
+  const avatarNode = document.getElementById("user-avatar");
+  if (avatarNode && activeUser) {
+    avatarNode.style.background = getAvatarColour(activeUser.id);
+    avatarNode.textContent = getUserInitials(activeUser.name);
+  }
+  if (!activeUser) {
+    return;
+  }
+
+  area.classList.add("user-area--switcher");
+  area.title = `Recording as ${activeUser.name}`;
+  area.tabIndex = 0;
+  area.setAttribute("role", "button");
+  area.setAttribute("aria-haspopup", "menu");
+  area.setAttribute("aria-expanded", "false");
+
+  const menu = document.createElement("div");
+  menu.className = "user-switcher";
+  menu.setAttribute("role", "menu");
+  menu.hidden = true;
+  renderSwitcherMenu(menu, users, activeUser.id);
+  area.appendChild(menu);
+
+  function setOpen(open) {
+    menu.hidden = !open;
+    area.setAttribute("aria-expanded", String(open));
+  }
+
+  area.addEventListener("click", async (event) => {
+    const option = event.target.closest(".user-switcher__option");
+    if (option) {
+      const userId = Number(option.dataset.userId);
+      setOpen(false);
+      if (userId === activeUser.id) {
+        return;
+      }
+      try {
+        await switchUser(userId);
+      } catch (error) {
+        console.error("Failed to switch ranger:", error);
+        window.alert(describeBridgeError(error, "Unable to switch ranger."));
+      }
+      return;
+    }
+    if (!event.target.closest(".user-switcher")) {
+      setOpen(menu.hidden);
+    }
+  });
+
+  area.addEventListener("keydown", (event) => {
+    if (event.target !== area) {
+      return;
+    }
+    if (event.key === "Enter" || event.key === " ") {
+      event.preventDefault();
+      setOpen(menu.hidden);
+    }
+  });
+
+  document.addEventListener("keydown", (event) => {
+    if (event.key === "Escape" && !menu.hidden) {
+      setOpen(false);
+      area.focus();
+    }
+  });
+
+  document.addEventListener("click", (event) => {
+    if (!area.contains(event.target)) {
+      setOpen(false);
+    }
+  });
+}
+
+document.addEventListener("DOMContentLoaded", initUserSwitcher);
@@ -1,13 +1,11 @@
-let windowControlBridge = null;
+const windowControlBridge = window.ecowatch?.windowControl ?? null;
 
-if (typeof require === "function") {
-  try {
-    const electron = require("electron");
-    windowControlBridge = electron?.ipcRenderer ?? null;
-  } catch (error) {
-    console.warn("IPC renderer unavailable for window controls:", error);
-  }
-}
+// data-window-action values on the title bar buttons.
+const WINDOW_CONTROL_METHODS = {
+  minimize: "minimize",
+  "toggle-maximize": "toggleMaximize",
+  close: "close",
+};
 
 function updateMaximizeButton(button, isMaximized) {
   if (!button) {
@@ -23,13 +21,14 @@ function updateMaximizeButton(button, isMaximized) {
 }
 
 async function handleWindowAction(action, button) {
-  if (!windowControlBridge) {
+  const control = windowControlBridge?.[WINDOW_CONTROL_METHODS[action]];
+  if (!control) {
     console.warn("window control requested without IPC bridge:", action);
     return;
   }
 
   try {
-    const response = await windowControlBridge.invoke("window-control", action);
+    const response = await control();
     if (action === "toggle-maximize" && response) {
       updateMaximizeButton(button, Boolean(response.isMaximized));
     }
@@ -54,13 +53,11 @@ function initWindowControls() {
   );
 
   if (maximizeButton && windowControlBridge) {
-    windowControlBridge
-      .invoke("window-control", "query-maximized")
-      .then((state) => {
-        if (state) {
-          updateMaximizeButton(maximizeButton, Boolean(state.isMaximized));
-        }
-      });
+    windowControlBridge.isMaximized().then((state) => {
+      if (state) {
+        updateMaximizeButton(maximizeButton, Boolean(state.isMaximized));
+      }
+    });
   }
 }
 
@@ -1,3 +1,7 @@
+const { getSetting } = require("../../electron/settings");
+const { parseWallClockTime } = require("../../electron/time");
+const { AppError } = require("../../electron/errors");
+
 const DEFAULT_COORDINATES = {
   lat: 30.3165,
   lon: 78.0322,
@@ -21,6 +25,57 @@ function getFetch() {
   );
 }
 
+// Fetches from one of the services above, turning its failures into
+// messages a ranger can act on. `keySetting` names the setting holding the
+// API key, so a refused key points back to it.
+async function requestService(name, url, { headers, keySetting } = {}) {
+  const fetchFn = getFetch();
+  let response;
+  try {
+    response = await fetchFn(url, { headers });
+  } catch (error) {
+    throw new AppError(
+      "offline",
+      `${name} could not be reached. Check the internet connection.`
+    );
+  }
+
+  if (response.status === 401 || response.status === 403) {
+    throw new AppError(
+      "service_auth",
+      keySetting
+        ? `${name} refused the API key. Check it in Settings.`
+        : `${name} refused the request.`,
+      { field: keySetting ?? null }
+    );
+  }
+  if (response.status === 429 || response.status >= 500) {
+    throw new AppError(
+      "service_unavailable",
+      `${name} is not answering right now. Try again later.`
+    );
+  }
+  if (!response.ok) {
+    throw new AppError(
+      "rejected",
+      `${name} could not answer that request (status ${response.status}).`
+    );
+  }
+  return response;
+}
+
+function requireApiKey() {
+  const apiKey = getSetting("openWeatherApiKey");
+  if (!apiKey) {
+    throw new AppError(
+      "not_configured",
+      "Add an OpenWeather API key in Settings to see weather and air quality.",
+      { field: "openWeatherApiKey" }
+    );
+  }
+  return apiKey;
+}
+
 function decodeHtmlEntities(value = "") {
   return value
     .replace(/&nbsp;/gi, " ")
@@ -66,10 +121,7 @@ function formatNumber(value, options = {}) {
 }
 
 async function fetchWeatherByCity(city) {
-  const apiKey = process.env.OPENWEATHER_API_KEY;
-  if (!apiKey) {
-    throw new Error("OPENWEATHER_API_KEY is not configured");
-  }
+  const apiKey = requireApiKey();
 
   const trimmedCity = (city || "").trim() || "Dehradun";
   const params = new URLSearchParams({
@@ -78,13 +130,11 @@ async function fetchWeatherByCity(city) {
     appid: apiKey,
   });
 
-  const fetchFn = getFetch();
-  const response = await fetchFn(`${WEATHER_ENDPOINT}?${params.toString()}`);
-  if (!response.ok) {
-    throw new Error(
-      `Weather API request failed with status ${response.status}`
-    );
-  }
+  const response = await requestService(
+    "OpenWeather",
+    `${WEATHER_ENDPOINT}?${params.toString()}`,
+    { keySetting: "openWeatherApiKey" }
+  );
 
   const data = await response.json();
   const weatherDescription =
@@ -121,10 +171,7 @@ function mapAqiCategory(value) {
 }
 
 async function fetchAirQualityByCoords(latitude, longitude) {
-  const apiKey = process.env.OPENWEATHER_API_KEY;
-  if (!apiKey) {
-    throw new Error("OPENWEATHER_API_KEY is not configured");
-  }
+  const apiKey = requireApiKey();
 
   const lat = Number(latitude ?? DEFAULT_COORDINATES.lat);
   const lon = Number(longitude ?? DEFAULT_COORDINATES.lon);
@@ -135,20 +182,19 @@ async function fetchAirQualityByCoords(latitude, longitude) {
     appid: apiKey,
   });
 
-  const fetchFn = getFetch();
-  const response = await fetchFn(
-    `${AIR_QUALITY_ENDPOINT}?${params.toString()}`
+  const response = await requestService(
+    "OpenWeather",
+    `${AIR_QUALITY_ENDPOINT}?${params.toString()}`,
+    { keySetting: "openWeatherApiKey" }
   );
-  if (!response.ok) {
-    throw new Error(
-      `Air quality API request failed with status ${response.status}`
-    );
-  }
 
   const payload = await response.json();
   const reading = Array.isArray(payload.list) ? payload.list[0] : null;
   if (!reading) {
-    throw new Error("Air quality data is missing in API response");
+    throw new AppError(
+      "service_unavailable",
+      "OpenWeather sent no air quality reading. Try again later."
+    );
   }
 
   return {
@@ -176,17 +222,12 @@ function extractTableRows(html) {
 }
 
 async function fetchUttarakhandAlerts() {
-  const fetchFn = getFetch();
-  const response = await fetchFn(IMD_ALERTS_URL, {
+  const response = await requestService("IMD", IMD_ALERTS_URL, {
     headers: {
       "User-Agent": "EcoWatch-Dashboard/1.0",
     },
   });
 
-  if (!response.ok) {
-    throw new Error(`IMD alert request failed with status ${response.status}`);
-  }
-
   const html = await response.text();
   const rows = extractTableRows(html);
   const targetRow = rows.find((row) =>
@@ -197,6 +238,8 @@ async function fetchUttarakhandAlerts() {
     return {
       summary: "No major warnings today.",
       notices: [],
+      region: "Uttarakhand",
+      source: IMD_ALERTS_URL,
     };
   }
 
@@ -208,6 +251,8 @@ async function fetchUttarakhandAlerts() {
   return {
     summary: notices.length ? notices[0] : "No major warnings today.",
     notices,
+    region: "Uttarakhand",
+    source: IMD_ALERTS_URL,
   };
 }
 
@@ -220,7 +265,8 @@ function parseEarthquakeDate(dateStr, timeStr) {
     .replace(/\//g, "-")
     .replace(/(\d{2})-(\d{2})-(\d{4})/g, "$3-$2-$1");
 
-  const parsed = new Date(normalised);
+  // The seismic bulletin lists times in IST without saying so.
+  const parsed = parseWallClockTime(normalised);
   if (Number.isNaN(parsed.getTime())) {
     return null;
   }
@@ -228,19 +274,12 @@ function parseEarthquakeDate(dateStr, timeStr) {
 }
 
 async function fetchUttarakhandEarthquakes() {
-  const fetchFn = getFetch();
-  const response = await fetchFn(EARTHQUAKE_URL, {
+  const response = await requestService("RISEQ", EARTHQUAKE_URL, {
     headers: {
       "User-Agent": "EcoWatch-Dashboard/1.0",
     },
   });
 
-  if (!response.ok) {
-    throw new Error(
-      `Earthquake feed request failed with status ${response.status}`
-    );
-  }
-
   const html = await response.text();
   const rows = extractTableRows(html).filter((row) => row.length >= 6);
 
@@ -257,6 +296,7 @@ async function fetchUttarakhandEarthquakes() {
         location: stripHtml(locationCell),
         magnitude: magnitude ? Number(magnitude.toFixed(1)) : null,
         timestamp: dateTime,
+        source: EARTHQUAKE_URL,
       };
     })
     .filter(Boolean)
@@ -1,17 +1,24 @@
 const nodemailer = require("nodemailer");
 
 const { getUserProfile } = require("../../electron/db");
+const { getSetting, getSettings } = require("../../electron/settings");
+const { formatAppDateTime } = require("../../electron/time");
 const { collectEnvironmentalSummary } = require("./api");
 
+// Settings are read on every send so a change on the Settings page applies
+// to the next digest without a restart.
 function createTransport() {
-  const host = process.env.SMTP_HOST;
-  const port = Number(process.env.SMTP_PORT || 587);
-  const user = process.env.SMTP_USER;
-  const pass = process.env.SMTP_PASS;
-  const secure = process.env.SMTP_SECURE === "true" || port === 465;
+  const {
+    smtpHost: host,
+    smtpPort: port,
+    smtpUser: user,
+    smtpPassword: pass,
+    smtpSecure,
+  } = getSettings();
+  const secure = smtpSecure || port === 465;
 
   if (!host) {
-    throw new Error("SMTP_HOST is not configured");
+    throw new Error("SMTP host is not configured");
   }
 
   return nodemailer.createTransport({
@@ -76,7 +83,7 @@ function formatEarthquakeSection(earthquakes) {
     : "Magnitude not reported";
   const locationText = latest.location || "Uttarakhand";
   const timeText = latest.timestamp
-    ? latest.timestamp.toLocaleString(undefined, {
+    ? formatAppDateTime(latest.timestamp, {
         hour: "2-digit",
         minute: "2-digit",
         day: "numeric",
@@ -91,7 +98,7 @@ function buildEmailContent(user, summary) {
   const recipientName = user?.name ? user.name.trim() : "there";
   const cityName = summary?.city || user?.city || "Uttarakhand";
   const date = new Date();
-  const subjectDate = date.toLocaleDateString(undefined, {
+  const subjectDate = formatAppDateTime(date, {
     year: "numeric",
     month: "short",
     day: "numeric",
@@ -165,7 +172,9 @@ async function sendDigestEmail(options = {}) {
   const summary = await collectEnvironmentalSummary(user?.city);
   const transport = options.transport || createTransport();
   const fromAddress =
-    options.from || process.env.NOTIFY_FROM || transport.options?.auth?.user;
+    options.from ||
+    getSetting("notifyFrom") ||
+    transport.options?.auth?.user;
   if (!fromAddress) {
     throw new Error("Sender address is not configured");
   }
@@ -1,43 +1,24 @@
 const { sendDigestEmail } = require("./emailer");
+const { getSettings } = require("../../electron/settings");
+const {
+  nextAppClockTime,
+  formatAppDateTime,
+} = require("../../electron/time");
 
 let timerId = null;
 let nextRunAt = null;
 
+// Explicit options win for callers that need a fixed time; otherwise the
+// saved settings apply, with DAILY_DIGEST_* variables overriding them.
 function resolveScheduleOptions(options = {}) {
-  const enabledEnv = process.env.DAILY_DIGEST_ENABLED;
-  const hourEnv = process.env.DAILY_DIGEST_HOUR;
-  const minuteEnv = process.env.DAILY_DIGEST_MINUTE;
-
-  const enabled = enabledEnv ? enabledEnv !== "false" : true;
-  const hour = Number.isFinite(Number(hourEnv))
-    ? Number(hourEnv)
-    : Number.isFinite(Number(options.hour))
-    ? Number(options.hour)
-    : 10;
-  const minute = Number.isFinite(Number(minuteEnv))
-    ? Number(minuteEnv)
-    : Number.isFinite(Number(options.minute))
-    ? Number(options.minute)
-    : 0;
-
+  const settings = getSettings();
   return {
-    enabled,
-    hour: Math.min(Math.max(hour, 0), 23),
-    minute: Math.min(Math.max(minute, 0), 59),
+    enabled: options.enabled ?? settings.digestEnabled,
+    hour: options.hour ?? settings.digestHour,
+    minute: options.minute ?? settings.digestMinute,
   };
 }
 
-function computeNextRun(hour, minute) {
-  const now = new Date();
-  const target = new Date(now);
-  target.setSeconds(0, 0);
-  target.setHours(hour, minute, 0, 0);
-  if (target.getTime() <= now.getTime()) {
-    target.setDate(target.getDate() + 1);
-  }
-  return target;
-}
-
 async function runDigestAndSchedule(hour, minute) {
   timerId = null;
   try {
@@ -53,7 +34,8 @@ async function runDigestAndSchedule(hour, minute) {
 }
 
 function scheduleNextRun(hour, minute) {
-  const target = computeNextRun(hour, minute);
+  // The digest hour is IST whatever zone this machine's clock is set to.
+  const target = nextAppClockTime(hour, minute);
   nextRunAt = target;
   const delay = target.getTime() - Date.now();
   timerId = setTimeout(() => runDigestAndSchedule(hour, minute), delay);
@@ -72,9 +54,9 @@ function startDailyDigestScheduler(options = {}) {
 
   scheduleNextRun(config.hour, config.minute);
   console.log(
-    `[notifications] daily digest scheduled for ${nextRunAt.toLocaleString()} (hour=${
-      config.hour
-    }, minute=${config.minute})`
+    `[notifications] daily digest scheduled for ${formatAppDateTime(
+      nextRunAt
+    )} IST (hour=${config.hour}, minute=${config.minute})`
   );
 }
 
@@ -90,8 +72,15 @@ function getNextScheduledDigest() {
   return nextRunAt;
 }
 
+// Picks up new digest settings without waiting for the pending run.
+function restartDailyDigestScheduler(options = {}) {
+  stopDailyDigestScheduler();
+  startDailyDigestScheduler(options);
+}
+
 module.exports = {
   startDailyDigestScheduler,
   stopDailyDigestScheduler,
+  restartDailyDigestScheduler,
   getNextScheduledDigest,
 };